@@ -0,0 +1,180 @@
+const { getInstance } = require('./RdsIamAuth');
+const { ValidationError, ForbiddenError, translateDatabaseError } = require('./Errors');
+const { getRequestId } = require('./RequestContext');
+const { logger: rootLogger } = require('./Logger');
+
+const logger = rootLogger.child({ component: 'AuditLog' });
+
+/**
+ * 트랜잭션 변경 감사 로그 (transaction_audit 테이블)
+ * - TransactionService 의 변경 작업과 같은 DB 트랜잭션 안에서 기록 (변경이 롤백되면 감사 기록도 롤백)
+ * - 이 모듈은 INSERT 와 SELECT 만 제공 (수정/삭제 API 없음, append-only)
+ * - 감사 행은 transactions 에 외래 키를 두지 않으므로 원본 행이 영구 삭제(purge)된 뒤에도 남음
+ */
+
+const AUDIT_OPERATIONS = ['create', 'update', 'delete', 'bulk_delete', 'restore', 'import'];
+
+const DEFAULT_AUDIT_LIMIT = 50;
+const MAX_AUDIT_LIMIT = 500;
+
+// 다중 행 INSERT 한 번에 넣을 최대 감사 행 수 (bulk_delete)
+const INSERT_CHUNK_SIZE = 500;
+
+/**
+ * 로그/감사에 남길 호출자 식별자 (예: user:alice, api_key:3)
+ * @param {Object} [context] - ServiceContext
+ * @returns {string|undefined}
+ */
+function actorLabel(context = {}) {
+    const { actor } = context;
+    return actor ? `${actor.type}:${actor.id}` : undefined;
+}
+
+function toJson(row) {
+    return row === null || row === undefined ? null : JSON.stringify(row);
+}
+
+/**
+ * 감사 행 기록 (호출자가 연 DB 트랜잭션 안에서 실행)
+ * @param {Object} tx - withTransaction 의 트랜잭션 핸들
+ * @param {ServiceContext} context - 호출자 정보
+ * @param {Array<{operation: string, transactionId: number, before: (Object|null), after: (Object|null)}>} entries
+ * @returns {Promise<void>}
+ */
+async function recordAudit(tx, context, entries) {
+    if (entries.length === 0) {
+        return;
+    }
+
+    const actor = actorLabel(context) || null;
+    const requestId = getRequestId() || null;
+
+    for (let offset = 0; offset < entries.length; offset += INSERT_CHUNK_SIZE) {
+        const chunk = entries.slice(offset, offset + INSERT_CHUNK_SIZE);
+        const params = [];
+        for (const entry of chunk) {
+            if (!AUDIT_OPERATIONS.includes(entry.operation)) {
+                throw new Error(`Unknown audit operation: ${entry.operation}`);
+            }
+            params.push(
+                context.tenantId,
+                entry.transactionId,
+                entry.operation,
+                actor,
+                requestId,
+                toJson(entry.before),
+                toJson(entry.after)
+            );
+        }
+
+        await tx.query(
+            'INSERT INTO `transaction_audit`'
+            + ' (`tenant_id`, `transaction_id`, `operation`, `actor`, `request_id`, `before_data`, `after_data`)'
+            + ` VALUES ${chunk.map(() => '(?, ?, ?, ?, ?, ?, ?)').join(', ')}`,
+            params
+        );
+    }
+}
+
+/**
+ * 감사 목록 커서 (마지막 행의 id)
+ */
+function encodeAuditCursor(id) {
+    return Buffer.from(JSON.stringify({ id })).toString('base64url');
+}
+
+function decodeAuditCursor(cursor) {
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (err) {
+        payload = null;
+    }
+    if (!payload || !Number.isInteger(payload.id)) {
+        throw new ValidationError(
+            [{ location: 'query', field: 'cursor', code: 'invalid', message: 'is invalid' }],
+            { message: 'Invalid cursor' }
+        );
+    }
+    return payload.id;
+}
+
+/**
+ * 감사 행 응답 형식
+ */
+function toAuditEntry(row) {
+    const parse = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+    return {
+        id: row.id,
+        transactionId: row.transaction_id,
+        operation: row.operation,
+        actor: row.actor,
+        requestId: row.request_id,
+        before: parse(row.before_data),
+        after: parse(row.after_data),
+        createdAt: row.created_at
+    };
+}
+
+/**
+ * 호출자 테넌트의 감사 기록 조회 (최신순, 커서 기반 페이지네이션)
+ * @param {Object} [options]
+ * @param {number} [options.limit=50] - 페이지 크기 (최대 500)
+ * @param {string} [options.cursor] - 이전 응답의 nextCursor
+ * @param {number} [options.transactionId] - 특정 트랜잭션의 기록만
+ * @param {string} [options.operation] - create | update | delete | bulk_delete | restore | import
+ * @param {string} [options.actor] - 호출자 (예: user:alice)
+ * @param {string} [options.requestId] - 요청 ID
+ * @param {Date} [options.from] - 기록 시각 시작 (포함)
+ * @param {Date} [options.to] - 기록 시각 끝 (포함)
+ * @param {ServiceContext} [context] - 호출자 정보
+ * @returns {Promise<{items: Array, nextCursor: (string|null)}>}
+ */
+async function listAuditEntries(options = {}, context = {}) {
+    if (!context.tenantId) {
+        throw new ForbiddenError('Caller is not assigned to a tenant');
+    }
+
+    const limit = Math.min(options.limit || DEFAULT_AUDIT_LIMIT, MAX_AUDIT_LIMIT);
+    const conditions = ['`tenant_id` = ?'];
+    const params = [context.tenantId];
+
+    const filters = [
+        ['transactionId', '`transaction_id` = ?'],
+        ['operation', '`operation` = ?'],
+        ['actor', '`actor` = ?'],
+        ['requestId', '`request_id` = ?'],
+        ['from', '`created_at` >= ?'],
+        ['to', '`created_at` <= ?']
+    ];
+    for (const [option, condition] of filters) {
+        if (options[option] !== undefined) {
+            conditions.push(condition);
+            params.push(options[option]);
+        }
+    }
+    if (options.cursor) {
+        conditions.push('`id` < ?');
+        params.push(decodeAuditCursor(options.cursor));
+    }
+    params.push(limit + 1);
+
+    const sql = `SELECT * FROM transaction_audit WHERE ${conditions.join(' AND ')} ORDER BY \`id\` DESC LIMIT ?`;
+
+    try {
+        const [rows] = await getInstance().query(sql, params);
+        const items = rows.slice(0, limit).map(toAuditEntry);
+        const nextCursor = rows.length > limit ? encodeAuditCursor(items[items.length - 1].id) : null;
+        return { items, nextCursor };
+    } catch (err) {
+        logger.error('Error listing audit entries', { actor: actorLabel(context), err });
+        throw translateDatabaseError(err);
+    }
+}
+
+module.exports = {
+    AUDIT_OPERATIONS,
+    actorLabel,
+    recordAudit,
+    listAuditEntries
+};
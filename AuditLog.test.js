@@ -0,0 +1,184 @@
+jest.mock('./RdsIamAuth');
+jest.mock('./RequestContext');
+
+const { getInstance } = require('./RdsIamAuth');
+const { getRequestId } = require('./RequestContext');
+const { actorLabel, recordAudit, listAuditEntries } = require('./AuditLog');
+const { ValidationError, ForbiddenError, DatabaseUnavailableError } = require('./Errors');
+
+describe('AuditLog', () => {
+    const context = { actor: { type: 'user', id: 'alice', role: 'admin' }, tenantId: 'tenant-a' };
+
+    describe('actorLabel', () => {
+        test('should format the actor as type:id', () => {
+            expect(actorLabel(context)).toBe('user:alice');
+            expect(actorLabel({ actor: { type: 'api_key', id: 3 } })).toBe('api_key:3');
+        });
+
+        test('should return undefined without an actor', () => {
+            expect(actorLabel({})).toBeUndefined();
+            expect(actorLabel()).toBeUndefined();
+        });
+    });
+
+    describe('recordAudit', () => {
+        let tx;
+
+        beforeEach(() => {
+            tx = { query: jest.fn().mockResolvedValue([{ affectedRows: 1 }]) };
+            getRequestId.mockReturnValue('req-1');
+        });
+
+        test('should insert one row per entry with actor, request id and JSON snapshots', async () => {
+            await recordAudit(tx, context, [
+                { operation: 'update', transactionId: 7, before: { id: 7, amount: 1 }, after: { id: 7, amount: 2 } }
+            ]);
+
+            expect(tx.query).toHaveBeenCalledWith(
+                'INSERT INTO `transaction_audit`'
+                + ' (`tenant_id`, `transaction_id`, `operation`, `actor`, `request_id`, `before_data`, `after_data`)'
+                + ' VALUES (?, ?, ?, ?, ?, ?, ?)',
+                ['tenant-a', 7, 'update', 'user:alice', 'req-1', '{"id":7,"amount":1}', '{"id":7,"amount":2}']
+            );
+        });
+
+        test('should store null for a missing snapshot, actor or request id', async () => {
+            getRequestId.mockReturnValue(undefined);
+
+            await recordAudit(tx, { tenantId: 'tenant-a' }, [
+                { operation: 'create', transactionId: 1, before: null, after: { id: 1 } }
+            ]);
+
+            expect(tx.query.mock.calls[0][1]).toEqual(['tenant-a', 1, 'create', null, null, null, '{"id":1}']);
+        });
+
+        test('should split large batches into chunks of 500 rows', async () => {
+            const entries = Array.from({ length: 1201 }, (_, i) => ({
+                operation: 'bulk_delete', transactionId: i + 1, before: { id: i + 1 }, after: null
+            }));
+
+            await recordAudit(tx, context, entries);
+
+            expect(tx.query).toHaveBeenCalledTimes(3);
+            expect(tx.query.mock.calls[0][1]).toHaveLength(500 * 7);
+            expect(tx.query.mock.calls[2][1]).toHaveLength(201 * 7);
+            expect(tx.query.mock.calls[2][1][1]).toBe(1001);
+        });
+
+        test('should do nothing for an empty batch', async () => {
+            await recordAudit(tx, context, []);
+
+            expect(tx.query).not.toHaveBeenCalled();
+        });
+
+        test('should reject an unknown operation', async () => {
+            await expect(
+                recordAudit(tx, context, [{ operation: 'truncate', transactionId: 1 }])
+            ).rejects.toThrow('Unknown audit operation: truncate');
+            expect(tx.query).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('listAuditEntries', () => {
+        let mockDbManager;
+
+        const row = {
+            id: 42,
+            tenant_id: 'tenant-a',
+            transaction_id: 7,
+            operation: 'update',
+            actor: 'user:alice',
+            request_id: 'req-1',
+            before_data: '{"amount":1}',
+            after_data: { amount: 2 },
+            created_at: '2024-03-01T00:00:00.000Z'
+        };
+
+        beforeEach(() => {
+            mockDbManager = { query: jest.fn().mockResolvedValue([[]]) };
+            getInstance.mockReturnValue(mockDbManager);
+        });
+
+        test('should list the tenant entries newest first and map rows', async () => {
+            mockDbManager.query.mockResolvedValue([[row]]);
+
+            const result = await listAuditEntries({}, context);
+
+            expect(mockDbManager.query).toHaveBeenCalledWith(
+                'SELECT * FROM transaction_audit WHERE `tenant_id` = ? ORDER BY `id` DESC LIMIT ?',
+                ['tenant-a', 51]
+            );
+            expect(result).toEqual({
+                items: [{
+                    id: 42,
+                    transactionId: 7,
+                    operation: 'update',
+                    actor: 'user:alice',
+                    requestId: 'req-1',
+                    before: { amount: 1 },
+                    after: { amount: 2 },
+                    createdAt: '2024-03-01T00:00:00.000Z'
+                }],
+                nextCursor: null
+            });
+        });
+
+        test('should apply every filter', async () => {
+            const from = new Date('2024-01-01T00:00:00Z');
+            const to = new Date('2024-02-01T00:00:00Z');
+
+            await listAuditEntries({
+                limit: 10, transactionId: 7, operation: 'delete', actor: 'user:bob', requestId: 'req-9', from, to
+            }, context);
+
+            expect(mockDbManager.query).toHaveBeenCalledWith(
+                'SELECT * FROM transaction_audit WHERE `tenant_id` = ? AND `transaction_id` = ? AND `operation` = ?'
+                + ' AND `actor` = ? AND `request_id` = ? AND `created_at` >= ? AND `created_at` <= ?'
+                + ' ORDER BY `id` DESC LIMIT ?',
+                ['tenant-a', 7, 'delete', 'user:bob', 'req-9', from, to, 11]
+            );
+        });
+
+        test('should return a cursor that continues below the last id', async () => {
+            mockDbManager.query.mockResolvedValueOnce([[{ ...row, id: 9 }, { ...row, id: 8 }, { ...row, id: 7 }]]);
+
+            const first = await listAuditEntries({ limit: 2 }, context);
+
+            expect(first.items.map(item => item.id)).toEqual([9, 8]);
+            expect(first.nextCursor).toEqual(expect.any(String));
+
+            await listAuditEntries({ limit: 2, cursor: first.nextCursor }, context);
+
+            expect(mockDbManager.query).toHaveBeenLastCalledWith(
+                'SELECT * FROM transaction_audit WHERE `tenant_id` = ? AND `id` < ? ORDER BY `id` DESC LIMIT ?',
+                ['tenant-a', 8, 3]
+            );
+        });
+
+        test('should reject an invalid cursor', async () => {
+            await expect(
+                listAuditEntries({ cursor: 'not-a-cursor' }, context)
+            ).rejects.toBeInstanceOf(ValidationError);
+            expect(mockDbManager.query).not.toHaveBeenCalled();
+        });
+
+        test('should cap the page size', async () => {
+            await listAuditEntries({ limit: 10000 }, context);
+
+            expect(mockDbManager.query.mock.calls[0][1]).toEqual(['tenant-a', 501]);
+        });
+
+        test('should require a tenant', async () => {
+            await expect(listAuditEntries({}, {})).rejects.toBeInstanceOf(ForbiddenError);
+            expect(mockDbManager.query).not.toHaveBeenCalled();
+        });
+
+        test('should translate database errors', async () => {
+            const error = new Error('connect ECONNREFUSED');
+            error.code = 'ECONNREFUSED';
+            mockDbManager.query.mockRejectedValue(error);
+
+            await expect(listAuditEntries({}, context)).rejects.toBeInstanceOf(DatabaseUnavailableError);
+        });
+    });
+});
@@ -0,0 +1,343 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { getInstance } = require('./RdsIamAuth');
+const { UnauthorizedError, ForbiddenError, ValidationError } = require('./Errors');
+const { logger: rootLogger } = require('./Logger');
+const { getConfig } = require('./Config');
+
+const logger = rootLogger.child({ component: 'Auth' });
+
+/**
+ * 인증/인가
+ * - Authorization: Bearer <JWT>
+ *   - HS256: JWT_SECRET 공유 비밀키
+ *   - RS256/ES256: JWT_JWKS_PATH 로컬 JWKS 파일 (kid 로 키 선택)
+ *   - exp 필수, nbf/iss/aud 검증 (JWT_ISSUER, JWT_AUDIENCE 설정 시)
+ *   - 역할은 JWT_ROLES_CLAIM (기본 roles) 클레임에서 읽음 (배열 또는 공백 구분 문자열)
+ * - X-API-Key: <키> - api_keys 테이블에 SHA-256 해시로 저장된 키와 비교
+ * - AUTH_DISABLED=true 이면 모든 요청을 로컬 개발용 admin 으로 처리
+ * - 테넌트는 JWT 의 JWT_TENANT_CLAIM (기본 tenant_id) 클레임 또는 api_keys.tenant_id 에서 결정
+ *   - X-Tenant-Id 헤더는 자격 증명의 테넌트와 같을 때만 허용 (AUTH_DISABLED 일 때는 헤더 값을 그대로 사용)
+ *
+ * 인증 결과는 req.user = { type, id, role, tenantId, name? } 에 저장
+ */
+
+// 권한이 낮은 순서 (상위 역할은 하위 역할의 권한을 모두 가짐)
+const ROLES = ['reader', 'writer', 'admin'];
+
+// exp/nbf 비교 시 허용하는 서버 간 시계 오차 (초)
+const CLOCK_SKEW_SECONDS = 30;
+
+const HASH_ALGORITHMS = {
+    HS256: 'sha256',
+    RS256: 'sha256',
+    ES256: 'sha256'
+};
+
+const DEV_IDENTITY = Object.freeze({ type: 'dev', id: 'local-dev', role: 'admin' });
+
+const TENANT_HEADER = 'X-Tenant-Id';
+
+// AUTH_DISABLED 에서 X-Tenant-Id 가 없을 때 사용하는 테넌트 (004 마이그레이션의 기존 행도 이 테넌트로 채워짐)
+const DEFAULT_TENANT = 'default';
+
+const TENANT_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+const INVALID_TOKEN_CHALLENGE = 'Bearer error="invalid_token"';
+
+// JWKS 파일 캐시 (파일이 바뀌면 다시 읽음)
+let jwksCache = null;
+
+/**
+ * API 키 해시 (api_keys.key_hash 에 저장되는 값, MySQL SHA2(key, 256) 과 동일)
+ * @param {string} apiKey
+ * @returns {string} 16진수 SHA-256
+ */
+function hashApiKey(apiKey) {
+    return crypto.createHash('sha256').update(apiKey, 'utf8').digest('hex');
+}
+
+function invalidToken(message = 'Invalid access token') {
+    return new UnauthorizedError(message, { challenge: INVALID_TOKEN_CHALLENGE });
+}
+
+function decodeSegment(segment) {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+/**
+ * 로컬 JWKS 파일에서 공개키 목록 로드
+ * @param {string} jwksPath
+ * @returns {Array<{kid: (string|undefined), alg: (string|undefined), key: crypto.KeyObject}>}
+ */
+function loadJwks(jwksPath) {
+    const { mtimeMs } = fs.statSync(jwksPath);
+    if (jwksCache && jwksCache.path === jwksPath && jwksCache.mtimeMs === mtimeMs) {
+        return jwksCache.keys;
+    }
+
+    const { keys = [] } = JSON.parse(fs.readFileSync(jwksPath, 'utf8'));
+    const loaded = keys
+        .filter(jwk => !jwk.use || jwk.use === 'sig')
+        .map(jwk => ({
+            kid: jwk.kid,
+            alg: jwk.alg,
+            key: crypto.createPublicKey({ key: jwk, format: 'jwk' })
+        }));
+
+    jwksCache = { path: jwksPath, mtimeMs, keys: loaded };
+    logger.info('Loaded JWKS', { path: jwksPath, keys: loaded.length });
+    return loaded;
+}
+
+/**
+ * 헤더의 alg/kid 에 맞는 검증 키 선택
+ */
+function selectVerificationKey(header, config) {
+    if (header.alg === 'HS256') {
+        if (!config.secret) {
+            throw invalidToken('Unsupported token algorithm');
+        }
+        return config.secret;
+    }
+
+    if (header.alg !== 'RS256' && header.alg !== 'ES256') {
+        throw invalidToken('Unsupported token algorithm');
+    }
+    if (!config.jwksPath) {
+        throw invalidToken('Unsupported token algorithm');
+    }
+
+    const keys = loadJwks(config.jwksPath);
+    const candidates = header.kid ? keys.filter(entry => entry.kid === header.kid) : keys;
+    if (candidates.length !== 1) {
+        throw invalidToken('Unknown signing key');
+    }
+    if (candidates[0].alg && candidates[0].alg !== header.alg) {
+        throw invalidToken('Unknown signing key');
+    }
+    return candidates[0].key;
+}
+
+function verifySignature(alg, key, signingInput, signature) {
+    if (alg === 'HS256') {
+        const expected = crypto.createHmac(HASH_ALGORITHMS.HS256, key).update(signingInput).digest();
+        return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+    }
+
+    const verifyKey = alg === 'ES256' ? { key, dsaEncoding: 'ieee-p1363' } : key;
+    try {
+        return crypto.verify(HASH_ALGORITHMS[alg], Buffer.from(signingInput), verifyKey, signature);
+    } catch (err) {
+        // 서명 길이/형식이 키와 맞지 않는 경우
+        return false;
+    }
+}
+
+/**
+ * JWT 서명과 클레임 검증
+ * @param {string} token
+ * @param {Object} config - loadAuthConfig() 결과
+ * @returns {Object} payload
+ * @throws {UnauthorizedError}
+ */
+function verifyJwt(token, config) {
+    const parts = token.split('.');
+    if (parts.length !== 3) {
+        throw invalidToken();
+    }
+    const [encodedHeader, encodedPayload, encodedSignature] = parts;
+
+    let header;
+    let payload;
+    try {
+        header = decodeSegment(encodedHeader);
+        payload = decodeSegment(encodedPayload);
+    } catch (err) {
+        throw invalidToken();
+    }
+    if (!header || typeof header !== 'object' || !payload || typeof payload !== 'object') {
+        throw invalidToken();
+    }
+
+    const key = selectVerificationKey(header, config);
+    const signature = Buffer.from(encodedSignature, 'base64url');
+    if (!verifySignature(header.alg, key, `${encodedHeader}.${encodedPayload}`, signature)) {
+        throw invalidToken();
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof payload.exp !== 'number') {
+        throw invalidToken('Access token must have an expiration time');
+    }
+    if (now > payload.exp + CLOCK_SKEW_SECONDS) {
+        throw invalidToken('Access token has expired');
+    }
+    if (typeof payload.nbf === 'number' && now + CLOCK_SKEW_SECONDS < payload.nbf) {
+        throw invalidToken('Access token is not yet valid');
+    }
+    if (config.issuer && payload.iss !== config.issuer) {
+        throw invalidToken();
+    }
+    if (config.audience) {
+        const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+        if (!audiences.includes(config.audience)) {
+            throw invalidToken();
+        }
+    }
+
+    return payload;
+}
+
+/**
+ * 역할 목록 중 가장 높은 역할 (알 수 없는 역할은 무시)
+ * @param {Array<string>|string} roles
+ * @returns {string|null}
+ */
+function highestRole(roles) {
+    const list = Array.isArray(roles) ? roles : String(roles || '').split(/\s+/);
+    let best = -1;
+    for (const role of list) {
+        best = Math.max(best, ROLES.indexOf(role));
+    }
+    return best >= 0 ? ROLES[best] : null;
+}
+
+/**
+ * 인증 설정 (Config 의 auth: AUTH_DISABLED, JWT_*)
+ */
+function loadAuthConfig() {
+    return getConfig().auth;
+}
+
+/**
+ * api_keys 테이블에서 키 조회 (폐기된 키 제외)
+ * @param {string} apiKey
+ * @returns {Promise<Object|null>} 인증 주체
+ */
+async function findApiKey(apiKey) {
+    const [rows] = await getInstance().query(
+        'SELECT `id`, `name`, `role`, `tenant_id` FROM `api_keys` WHERE `key_hash` = ? AND `revoked_at` IS NULL',
+        [hashApiKey(apiKey)]
+    );
+    if (rows.length === 0) {
+        return null;
+    }
+    const [row] = rows;
+    return { type: 'api_key', id: String(row.id), name: row.name, role: row.role, tenantId: row.tenant_id };
+}
+
+/**
+ * 요청의 테넌트 결정
+ * @param {Object} req
+ * @param {Object} identity - 인증 주체 (tenantId 는 자격 증명에 기록된 값)
+ * @param {Object} config - loadAuthConfig() 결과
+ * @returns {string}
+ * @throws {ValidationError} X-Tenant-Id 형식이 잘못된 경우
+ * @throws {ForbiddenError} 테넌트가 없거나 헤더와 자격 증명의 테넌트가 다른 경우
+ */
+function resolveTenant(req, identity, config) {
+    const requested = req.get(TENANT_HEADER);
+    if (requested !== undefined && !TENANT_ID_PATTERN.test(requested)) {
+        throw new ValidationError(
+            [{ location: 'header', field: TENANT_HEADER, code: 'pattern', message: 'must be 1-64 characters of A-Z, a-z, 0-9, ".", "_" or "-"' }],
+            { message: `Invalid ${TENANT_HEADER} header` }
+        );
+    }
+
+    if (config.disabled) {
+        return requested || DEFAULT_TENANT;
+    }
+
+    const tenantId = identity.tenantId ? String(identity.tenantId) : null;
+    if (!tenantId) {
+        throw new ForbiddenError('Caller is not assigned to a tenant');
+    }
+    if (requested !== undefined && requested !== tenantId) {
+        throw new ForbiddenError(`${TENANT_HEADER} does not match the caller's tenant`);
+    }
+    return tenantId;
+}
+
+/**
+ * 자격 증명 확인
+ * @returns {Promise<Object>} 인증 주체
+ * @throws {UnauthorizedError}
+ */
+async function identify(req, config) {
+    if (config.disabled) {
+        return DEV_IDENTITY;
+    }
+
+    const authorization = req.get('Authorization');
+    const apiKey = req.get('X-API-Key');
+
+    if (authorization) {
+        const match = /^Bearer\s+(\S+)$/i.exec(authorization);
+        if (!match) {
+            throw new UnauthorizedError('Authorization header must use the Bearer scheme');
+        }
+        const payload = verifyJwt(match[1], config);
+        return {
+            type: 'user',
+            id: payload.sub !== undefined ? String(payload.sub) : null,
+            role: highestRole(payload[config.rolesClaim]),
+            tenantId: payload[config.tenantClaim]
+        };
+    }
+
+    if (apiKey) {
+        const identity = await findApiKey(apiKey);
+        if (!identity) {
+            throw new UnauthorizedError('Invalid API key', { challenge: 'Bearer' });
+        }
+        return identity;
+    }
+
+    throw new UnauthorizedError();
+}
+
+/**
+ * 인증 미들웨어 (index.js 에서 asyncHandler 로 감싸서 등록)
+ * - 성공 시 req.user 설정, 자격 증명이 없거나 잘못되면 401, 테넌트를 결정할 수 없으면 403
+ */
+async function authenticate(req, res, next) {
+    const config = loadAuthConfig();
+    const identity = await identify(req, config);
+
+    req.user = { ...identity, tenantId: resolveTenant(req, identity, config) };
+    next();
+}
+
+/**
+ * 역할 확인 미들웨어
+ * @param {string} role - 필요한 최소 역할 (reader | writer | admin)
+ * @returns {Function}
+ */
+function requireRole(role) {
+    const required = ROLES.indexOf(role);
+    if (required < 0) {
+        throw new Error(`Unknown role: ${role}`);
+    }
+
+    return (req, res, next) => {
+        if (!req.user) {
+            return next(new UnauthorizedError());
+        }
+        if (ROLES.indexOf(req.user.role) < required) {
+            return next(new ForbiddenError(`This operation requires the ${role} role`));
+        }
+        next();
+    };
+}
+
+module.exports = {
+    ROLES,
+    TENANT_HEADER,
+    hashApiKey,
+    verifyJwt,
+    highestRole,
+    loadAuthConfig,
+    authenticate,
+    requireRole
+};
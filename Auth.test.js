@@ -0,0 +1,294 @@
+jest.mock('./RdsIamAuth');
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getInstance } = require('./RdsIamAuth');
+const { hashApiKey, verifyJwt, highestRole, authenticate, requireRole } = require('./Auth');
+const { UnauthorizedError, ForbiddenError, ValidationError } = require('./Errors');
+const { resetConfig } = require('./Config');
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+const now = () => Math.floor(Date.now() / 1000);
+
+// HS256 토큰
+const signHs256 = (payload, secret = 'shared-secret', header = {}) => {
+    const input = `${encode({ alg: 'HS256', typ: 'JWT', ...header })}.${encode(payload)}`;
+    return `${input}.${crypto.createHmac('sha256', secret).update(input).digest('base64url')}`;
+};
+
+// RS256/ES256 토큰
+const signAsymmetric = (alg, privateKey, payload, kid) => {
+    const input = `${encode({ alg, typ: 'JWT', kid })}.${encode(payload)}`;
+    const key = alg === 'ES256' ? { key: privateKey, dsaEncoding: 'ieee-p1363' } : privateKey;
+    return `${input}.${crypto.sign('sha256', Buffer.from(input), key).toString('base64url')}`;
+};
+
+describe('Auth', () => {
+    const hsConfig = { secret: 'shared-secret', jwksPath: null, issuer: null, audience: null, rolesClaim: 'roles' };
+
+    describe('hashApiKey', () => {
+        test('should match MySQL SHA2(key, 256)', () => {
+            expect(hashApiKey('abc')).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+        });
+    });
+
+    describe('verifyJwt (HS256)', () => {
+        test('should return payload for a valid token', () => {
+            const token = signHs256({ sub: 'alice', roles: ['writer'], exp: now() + 60 });
+
+            expect(verifyJwt(token, hsConfig)).toMatchObject({ sub: 'alice', roles: ['writer'] });
+        });
+
+        test.each([
+            ['a bad signature', () => signHs256({ sub: 'a', exp: now() + 60 }, 'other-secret'), 'Invalid access token'],
+            ['an expired token', () => signHs256({ sub: 'a', exp: now() - 120 }), 'Access token has expired'],
+            ['a token without exp', () => signHs256({ sub: 'a' }), 'Access token must have an expiration time'],
+            ['a token not yet valid', () => signHs256({ sub: 'a', exp: now() + 600, nbf: now() + 300 }), 'Access token is not yet valid'],
+            ['alg none', () => `${encode({ alg: 'none' })}.${encode({ sub: 'a', exp: now() + 60 })}.`, 'Unsupported token algorithm'],
+            ['a malformed token', () => 'not-a-jwt', 'Invalid access token'],
+            ['garbage segments', () => 'a.b.c', 'Invalid access token']
+        ])('should reject %s', (name, makeToken, message) => {
+            let error;
+            try {
+                verifyJwt(makeToken(), hsConfig);
+            } catch (err) {
+                error = err;
+            }
+
+            expect(error).toBeInstanceOf(UnauthorizedError);
+            expect(error.message).toBe(message);
+            expect(error.challenge).toBe('Bearer error="invalid_token"');
+        });
+
+        test('should allow small clock skew on exp', () => {
+            const token = signHs256({ sub: 'a', exp: now() - 10 });
+
+            expect(() => verifyJwt(token, hsConfig)).not.toThrow();
+        });
+
+        test('should check issuer and audience when configured', () => {
+            const config = { ...hsConfig, issuer: 'https://auth.example.com', audience: '3tier-back' };
+            const valid = signHs256({ sub: 'a', exp: now() + 60, iss: 'https://auth.example.com', aud: ['3tier-back', 'other'] });
+            const wrongIssuer = signHs256({ sub: 'a', exp: now() + 60, iss: 'https://evil.example.com', aud: '3tier-back' });
+            const wrongAudience = signHs256({ sub: 'a', exp: now() + 60, iss: 'https://auth.example.com', aud: 'other' });
+
+            expect(() => verifyJwt(valid, config)).not.toThrow();
+            expect(() => verifyJwt(wrongIssuer, config)).toThrow(UnauthorizedError);
+            expect(() => verifyJwt(wrongAudience, config)).toThrow(UnauthorizedError);
+        });
+
+        test('should reject HS256 when no secret is configured', () => {
+            const token = signHs256({ sub: 'a', exp: now() + 60 });
+
+            expect(() => verifyJwt(token, { ...hsConfig, secret: null })).toThrow('Unsupported token algorithm');
+        });
+    });
+
+    describe('verifyJwt (JWKS)', () => {
+        let tmpDir;
+        let rsaKeys;
+        let ecKeys;
+        let config;
+
+        beforeAll(() => {
+            tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jwks-'));
+            rsaKeys = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+            ecKeys = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+            const jwksPath = path.join(tmpDir, 'jwks.json');
+            fs.writeFileSync(jwksPath, JSON.stringify({
+                keys: [
+                    { ...rsaKeys.publicKey.export({ format: 'jwk' }), kid: 'rsa-1', alg: 'RS256', use: 'sig' },
+                    { ...ecKeys.publicKey.export({ format: 'jwk' }), kid: 'ec-1', alg: 'ES256' }
+                ]
+            }));
+            config = { ...hsConfig, secret: null, jwksPath };
+        });
+
+        afterAll(() => {
+            fs.rmSync(tmpDir, { recursive: true, force: true });
+        });
+
+        test('should verify RS256 tokens by kid', () => {
+            const token = signAsymmetric('RS256', rsaKeys.privateKey, { sub: 'svc', exp: now() + 60 }, 'rsa-1');
+
+            expect(verifyJwt(token, config).sub).toBe('svc');
+        });
+
+        test('should verify ES256 tokens by kid', () => {
+            const token = signAsymmetric('ES256', ecKeys.privateKey, { sub: 'svc', exp: now() + 60 }, 'ec-1');
+
+            expect(verifyJwt(token, config).sub).toBe('svc');
+        });
+
+        test('should reject unknown kid and algorithm mismatch', () => {
+            const unknownKid = signAsymmetric('RS256', rsaKeys.privateKey, { sub: 'svc', exp: now() + 60 }, 'nope');
+            const mismatch = signAsymmetric('RS256', rsaKeys.privateKey, { sub: 'svc', exp: now() + 60 }, 'ec-1');
+
+            expect(() => verifyJwt(unknownKid, config)).toThrow('Unknown signing key');
+            expect(() => verifyJwt(mismatch, config)).toThrow('Unknown signing key');
+        });
+
+        test('should reject tokens signed by another key', () => {
+            const other = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+            const token = signAsymmetric('ES256', other.privateKey, { sub: 'svc', exp: now() + 60 }, 'ec-1');
+
+            expect(() => verifyJwt(token, config)).toThrow('Invalid access token');
+        });
+
+        test('should not accept HS256 signed with the public key', () => {
+            const token = signHs256({ sub: 'svc', exp: now() + 60 }, 'anything', { kid: 'rsa-1' });
+
+            expect(() => verifyJwt(token, config)).toThrow('Unsupported token algorithm');
+        });
+    });
+
+    describe('highestRole', () => {
+        test.each([
+            [['reader', 'writer'], 'writer'],
+            ['reader admin', 'admin'],
+            [['superuser'], null],
+            [undefined, null]
+        ])('%p -> %p', (roles, expected) => {
+            expect(highestRole(roles)).toBe(expected);
+        });
+    });
+
+    describe('authenticate', () => {
+        const env = { ...process.env };
+        let mockDbManager;
+
+        const createReq = (headers) => ({
+            get: (name) => headers[name]
+        });
+
+        const run = async (headers) => {
+            const req = createReq(headers);
+            const next = jest.fn();
+            await authenticate(req, {}, next);
+            return { req, next };
+        };
+
+        beforeEach(() => {
+            process.env.JWT_SECRET = 'shared-secret';
+            delete process.env.AUTH_DISABLED;
+            resetConfig();
+            mockDbManager = { query: jest.fn().mockResolvedValue([[]]) };
+            getInstance.mockReturnValue(mockDbManager);
+        });
+
+        afterEach(() => {
+            process.env = { ...env };
+            resetConfig();
+        });
+
+        test('should set req.user from a bearer token', async () => {
+            const token = signHs256({ sub: 'alice', roles: ['reader'], tenant_id: 'acme', exp: now() + 60 });
+
+            const { req, next } = await run({ Authorization: `Bearer ${token}` });
+
+            expect(req.user).toEqual({ type: 'user', id: 'alice', role: 'reader', tenantId: 'acme' });
+            expect(next).toHaveBeenCalledWith();
+        });
+
+        test('should read roles from a configured claim', async () => {
+            process.env.JWT_ROLES_CLAIM = 'scope';
+            process.env.JWT_TENANT_CLAIM = 'org';
+            resetConfig();
+            const token = signHs256({ sub: 'alice', scope: 'reader writer', org: 'acme', exp: now() + 60 });
+
+            const { req } = await run({ Authorization: `Bearer ${token}` });
+
+            expect(req.user.role).toBe('writer');
+            expect(req.user.tenantId).toBe('acme');
+        });
+
+        test('should look up API keys by hash', async () => {
+            mockDbManager.query.mockResolvedValue([[{ id: 3, name: 'batch-job', role: 'writer', tenant_id: 'acme' }]]);
+
+            const { req } = await run({ 'X-API-Key': 'secret-key' });
+
+            expect(mockDbManager.query).toHaveBeenCalledWith(
+                expect.stringContaining('`revoked_at` IS NULL'),
+                [hashApiKey('secret-key')]
+            );
+            expect(req.user).toEqual({ type: 'api_key', id: '3', name: 'batch-job', role: 'writer', tenantId: 'acme' });
+        });
+
+        test('should reject unknown API keys', async () => {
+            await expect(run({ 'X-API-Key': 'wrong' })).rejects.toThrow('Invalid API key');
+        });
+
+        test('should reject missing credentials and non-bearer schemes', async () => {
+            await expect(run({})).rejects.toThrow('Authentication required');
+            await expect(run({ Authorization: 'Basic dXNlcjpwYXNz' }))
+                .rejects.toThrow('Authorization header must use the Bearer scheme');
+        });
+
+        test('should treat every request as admin when AUTH_DISABLED=true', async () => {
+            process.env.AUTH_DISABLED = 'true';
+            resetConfig();
+
+            const { req } = await run({});
+            const { req: scoped } = await run({ 'X-Tenant-Id': 'acme' });
+
+            expect(req.user).toEqual({ type: 'dev', id: 'local-dev', role: 'admin', tenantId: 'default' });
+            expect(scoped.user.tenantId).toBe('acme');
+        });
+
+        test('should accept X-Tenant-Id only when it matches the credential tenant', async () => {
+            const token = signHs256({ sub: 'alice', roles: ['reader'], tenant_id: 'acme', exp: now() + 60 });
+            const authorization = `Bearer ${token}`;
+
+            const { req } = await run({ Authorization: authorization, 'X-Tenant-Id': 'acme' });
+
+            expect(req.user.tenantId).toBe('acme');
+            await expect(run({ Authorization: authorization, 'X-Tenant-Id': 'globex' }))
+                .rejects.toBeInstanceOf(ForbiddenError);
+            await expect(run({ Authorization: authorization, 'X-Tenant-Id': '../etc' }))
+                .rejects.toBeInstanceOf(ValidationError);
+        });
+
+        test('should reject callers without a tenant', async () => {
+            const token = signHs256({ sub: 'alice', roles: ['reader'], exp: now() + 60 });
+
+            await expect(run({ Authorization: `Bearer ${token}` }))
+                .rejects.toThrow('Caller is not assigned to a tenant');
+        });
+    });
+
+    describe('requireRole', () => {
+        test.each([
+            ['reader', 'reader', true],
+            ['writer', 'reader', true],
+            ['admin', 'writer', true],
+            ['reader', 'writer', false],
+            ['writer', 'admin', false],
+            [null, 'reader', false]
+        ])('%s -> requires %s: allowed=%s', (role, required, allowed) => {
+            const next = jest.fn();
+
+            requireRole(required)({ user: { type: 'user', id: 'a', role } }, {}, next);
+
+            if (allowed) {
+                expect(next).toHaveBeenCalledWith();
+            } else {
+                expect(next.mock.calls[0][0]).toBeInstanceOf(ForbiddenError);
+            }
+        });
+
+        test('should reject unauthenticated requests', () => {
+            const next = jest.fn();
+
+            requireRole('reader')({}, {}, next);
+
+            expect(next.mock.calls[0][0]).toBeInstanceOf(UnauthorizedError);
+        });
+
+        test('should reject unknown roles at setup time', () => {
+            expect(() => requireRole('owner')).toThrow('Unknown role: owner');
+        });
+    });
+});
@@ -0,0 +1,189 @@
+const { CircuitOpenError } = require('./Errors');
+const { getConfig } = require('./Config');
+const { logger: rootLogger } = require('./Logger');
+
+const logger = rootLogger.child({ component: 'CircuitBreaker' });
+
+const STATES = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half_open'
+};
+
+/**
+ * 서킷 브레이커 설정 (환경 변수)
+ * - DB_CIRCUIT_FAILURE_THRESHOLD: 연속 실패 몇 번에 차단할지 (기본 5, 0 이면 사용 안 함)
+ * - DB_CIRCUIT_RESET_TIMEOUT_MS: 차단 후 다시 시도하기까지의 시간 (기본 10초)
+ */
+function loadCircuitBreakerConfig() {
+    const { failureThreshold, resetTimeoutMs } = getConfig().database.circuit;
+    return { failureThreshold, resetTimeoutMs };
+}
+
+/**
+ * 서킷 브레이커
+ * - closed: 모든 요청 실행, 연속 실패가 failureThreshold 에 도달하면 open
+ * - open: resetTimeoutMs 동안 요청을 실행하지 않고 CircuitOpenError 로 즉시 거부
+ * - half_open: 시험 요청 하나만 실행 (성공하면 closed, 실패하면 다시 open), 나머지는 거부
+ */
+class CircuitBreaker {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.name='database'] - 로그에 표시할 이름
+     * @param {number} [options.failureThreshold] - 차단할 연속 실패 횟수
+     * @param {number} [options.resetTimeoutMs] - 차단 유지 시간
+     * @param {Function} [options.isFailure] - (error) => boolean, 장애로 셀 에러인지 (기본: 모든 에러)
+     */
+    constructor({ name = 'database', isFailure = () => true, ...overrides } = {}) {
+        const config = { ...loadCircuitBreakerConfig(), ...overrides };
+        this.name = name;
+        this.failureThreshold = config.failureThreshold;
+        this.resetTimeoutMs = config.resetTimeoutMs;
+        this.isFailure = isFailure;
+
+        this.state = STATES.CLOSED;
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+        this.lastError = null;
+        this.probeInFlight = false;
+    }
+
+    get enabled() {
+        return this.failureThreshold > 0;
+    }
+
+    /**
+     * 브레이커를 거쳐 작업 실행
+     * @param {Function} fn - async () => any
+     * @returns {Promise<any>}
+     * @throws {CircuitOpenError} 차단 중일 때
+     */
+    async execute(fn) {
+        const probe = this.acquire();
+
+        try {
+            const result = await fn();
+            this.onSuccess();
+            return result;
+        } catch (error) {
+            if (this.isFailure(error)) {
+                this.onFailure(error);
+            } else {
+                // 장애가 아닌 에러 (데이터 오류 등) 는 DB 에 도달했다는 뜻이므로 성공으로 처리
+                this.onSuccess();
+            }
+            throw error;
+        } finally {
+            if (probe) {
+                this.probeInFlight = false;
+            }
+        }
+    }
+
+    /**
+     * 실행 가능 여부 확인
+     * @returns {boolean} half_open 의 시험 요청이면 true
+     * @throws {CircuitOpenError}
+     */
+    acquire() {
+        if (!this.enabled || this.state === STATES.CLOSED) {
+            return false;
+        }
+
+        if (this.state === STATES.OPEN && Date.now() >= this.openedAt + this.resetTimeoutMs) {
+            this.transition(STATES.HALF_OPEN);
+        }
+
+        if (this.state === STATES.HALF_OPEN && !this.probeInFlight) {
+            this.probeInFlight = true;
+            return true;
+        }
+
+        throw new CircuitOpenError(undefined, { retryAfter: this.retryAfterSeconds() });
+    }
+
+    /**
+     * 지금 요청을 보내면 실행되는지 (상태는 바꾸지 않음)
+     * - 리더 풀처럼 대체 경로가 있는 호출자가 미리 확인할 때 사용
+     * @returns {boolean}
+     */
+    allowsRequests() {
+        if (!this.enabled || this.state === STATES.CLOSED) {
+            return true;
+        }
+        if (this.state === STATES.OPEN) {
+            return Date.now() >= this.openedAt + this.resetTimeoutMs;
+        }
+        return !this.probeInFlight;
+    }
+
+    onSuccess() {
+        this.consecutiveFailures = 0;
+        this.lastError = null;
+        if (this.state !== STATES.CLOSED) {
+            this.transition(STATES.CLOSED);
+        }
+    }
+
+    onFailure(error) {
+        this.consecutiveFailures += 1;
+        this.lastError = { message: error.message, at: Date.now() };
+
+        if (this.state === STATES.HALF_OPEN
+            || (this.enabled && this.state === STATES.CLOSED && this.consecutiveFailures >= this.failureThreshold)) {
+            this.transition(STATES.OPEN);
+        }
+    }
+
+    transition(state) {
+        const previous = this.state;
+        this.state = state;
+        if (state === STATES.OPEN) {
+            this.openedAt = Date.now();
+            logger.error('Circuit opened', {
+                circuit: this.name,
+                consecutiveFailures: this.consecutiveFailures,
+                resetTimeoutMs: this.resetTimeoutMs
+            });
+        } else {
+            if (state === STATES.CLOSED) {
+                this.openedAt = null;
+            }
+            logger.info('Circuit state changed', { circuit: this.name, from: previous, to: state });
+        }
+    }
+
+    /**
+     * 다음 시험 요청까지 남은 시간 (Retry-After, 초 단위 올림, 최소 1)
+     * @returns {number}
+     */
+    retryAfterSeconds() {
+        if (this.state !== STATES.OPEN) {
+            return 1;
+        }
+        return Math.max(1, Math.ceil((this.openedAt + this.resetTimeoutMs - Date.now()) / 1000));
+    }
+
+    /**
+     * 헬스 체크용 상태
+     * @returns {{state: string, consecutiveFailures: number, openedAt: (string|null), nextAttemptAt: (string|null), lastError: (Object|null)}}
+     */
+    getState() {
+        return {
+            state: this.state,
+            consecutiveFailures: this.consecutiveFailures,
+            openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+            nextAttemptAt: this.state === STATES.OPEN ? new Date(this.openedAt + this.resetTimeoutMs).toISOString() : null,
+            lastError: this.lastError ? {
+                message: this.lastError.message,
+                at: new Date(this.lastError.at).toISOString()
+            } : null
+        };
+    }
+}
+
+module.exports = {
+    CircuitBreaker,
+    STATES,
+    loadCircuitBreakerConfig
+};
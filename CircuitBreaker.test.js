@@ -0,0 +1,170 @@
+const { CircuitBreaker, STATES, loadCircuitBreakerConfig } = require('./CircuitBreaker');
+const { CircuitOpenError } = require('./Errors');
+const { resetConfig } = require('./Config');
+
+describe('CircuitBreaker', () => {
+    const fail = () => Promise.reject(new Error('unreachable'));
+    const succeed = () => Promise.resolve('ok');
+
+    let now;
+
+    beforeEach(() => {
+        now = 1700000000000;
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+    });
+
+    const trip = async (breaker, times = breaker.failureThreshold) => {
+        for (let i = 0; i < times; i++) {
+            await breaker.execute(fail).catch(() => {});
+        }
+    };
+
+    describe('loadCircuitBreakerConfig', () => {
+        const env = { ...process.env };
+
+        afterEach(() => {
+            process.env = { ...env };
+            resetConfig();
+        });
+
+        test('should use defaults', () => {
+            delete process.env.DB_CIRCUIT_FAILURE_THRESHOLD;
+            delete process.env.DB_CIRCUIT_RESET_TIMEOUT_MS;
+            resetConfig();
+
+            expect(loadCircuitBreakerConfig()).toEqual({ failureThreshold: 5, resetTimeoutMs: 10000 });
+        });
+
+        test('should read environment variables', () => {
+            process.env.DB_CIRCUIT_FAILURE_THRESHOLD = '3';
+            process.env.DB_CIRCUIT_RESET_TIMEOUT_MS = '2500';
+            resetConfig();
+
+            expect(loadCircuitBreakerConfig()).toEqual({ failureThreshold: 3, resetTimeoutMs: 2500 });
+        });
+    });
+
+    test('should pass results and errors through while closed', async () => {
+        const breaker = new CircuitBreaker({ failureThreshold: 3 });
+
+        await expect(breaker.execute(succeed)).resolves.toBe('ok');
+        await expect(breaker.execute(fail)).rejects.toThrow('unreachable');
+        expect(breaker.state).toBe(STATES.CLOSED);
+        expect(breaker.consecutiveFailures).toBe(1);
+    });
+
+    test('should open after consecutive failures and reject without running the call', async () => {
+        const breaker = new CircuitBreaker({ failureThreshold: 3, resetTimeoutMs: 5000 });
+        await trip(breaker);
+
+        const fn = jest.fn();
+        const error = await breaker.execute(fn).catch(err => err);
+
+        expect(breaker.state).toBe(STATES.OPEN);
+        expect(error).toBeInstanceOf(CircuitOpenError);
+        expect(error.retryAfter).toBe(5);
+        expect(fn).not.toHaveBeenCalled();
+    });
+
+    test('should reset the failure count on success', async () => {
+        const breaker = new CircuitBreaker({ failureThreshold: 3 });
+
+        await trip(breaker, 2);
+        await breaker.execute(succeed);
+        await trip(breaker, 2);
+
+        expect(breaker.state).toBe(STATES.CLOSED);
+    });
+
+    test('should ignore errors that are not failures', async () => {
+        const breaker = new CircuitBreaker({ failureThreshold: 1, isFailure: err => err.code === 'ECONNREFUSED' });
+
+        await breaker.execute(() => Promise.reject(Object.assign(new Error('dup'), { code: 'ER_DUP_ENTRY' }))).catch(() => {});
+
+        expect(breaker.state).toBe(STATES.CLOSED);
+        expect(breaker.consecutiveFailures).toBe(0);
+    });
+
+    test('should allow a single probe after the reset timeout and close on success', async () => {
+        const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 1000 });
+        await trip(breaker);
+        now += 1000;
+
+        let finishProbe;
+        const probe = breaker.execute(() => new Promise(resolve => {
+            finishProbe = resolve;
+        }));
+
+        expect(breaker.state).toBe(STATES.HALF_OPEN);
+        await expect(breaker.execute(succeed)).rejects.toBeInstanceOf(CircuitOpenError);
+
+        finishProbe('recovered');
+        await expect(probe).resolves.toBe('recovered');
+        expect(breaker.state).toBe(STATES.CLOSED);
+        await expect(breaker.execute(succeed)).resolves.toBe('ok');
+    });
+
+    test('should re-open when the probe fails', async () => {
+        const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 1000 });
+        await trip(breaker);
+        now += 1000;
+
+        await breaker.execute(fail).catch(() => {});
+
+        expect(breaker.state).toBe(STATES.OPEN);
+        expect(breaker.openedAt).toBe(now);
+        await expect(breaker.execute(succeed)).rejects.toBeInstanceOf(CircuitOpenError);
+    });
+
+    test('should tell whether a request would run without changing state', async () => {
+        const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 1000 });
+        expect(breaker.allowsRequests()).toBe(true);
+
+        await trip(breaker);
+        expect(breaker.allowsRequests()).toBe(false);
+
+        now += 1000;
+        expect(breaker.allowsRequests()).toBe(true);
+        expect(breaker.state).toBe(STATES.OPEN);
+
+        let finishProbe;
+        const probe = breaker.execute(() => new Promise(resolve => {
+            finishProbe = resolve;
+        }));
+        expect(breaker.allowsRequests()).toBe(false);
+
+        finishProbe();
+        await probe;
+        expect(breaker.allowsRequests()).toBe(true);
+    });
+
+    test('should never open when the threshold is 0', async () => {
+        const breaker = new CircuitBreaker({ failureThreshold: 0 });
+
+        await trip(breaker, 20);
+
+        expect(breaker.enabled).toBe(false);
+        expect(breaker.state).toBe(STATES.CLOSED);
+    });
+
+    test('should report its state', async () => {
+        const breaker = new CircuitBreaker({ failureThreshold: 2, resetTimeoutMs: 3000 });
+        expect(breaker.getState()).toEqual({
+            state: 'closed',
+            consecutiveFailures: 0,
+            openedAt: null,
+            nextAttemptAt: null,
+            lastError: null
+        });
+
+        await trip(breaker);
+
+        expect(breaker.getState()).toEqual({
+            state: 'open',
+            consecutiveFailures: 2,
+            openedAt: new Date(now).toISOString(),
+            nextAttemptAt: new Date(now + 3000).toISOString(),
+            lastError: { message: 'unreachable', at: new Date(now).toISOString() }
+        });
+    });
+});
@@ -0,0 +1,357 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * 애플리케이션 설정
+ * - 모든 환경 변수는 이 모듈의 VARIABLES 에 정의하고, 각 모듈은 getConfig() 의 타입 변환된 값을 사용
+ * - 기동 시 loadConfig() 로 검증 (누락/잘못된 변수를 한 번에 모두 보고)
+ * - 설정은 한 번만 읽어 동결된 객체로 캐시 (이후 바뀐 환경 변수는 resetConfig() 전까지 반영되지 않음)
+ * - .env 파일은 loadEnvFiles() 로 로드 (.env.<NODE_ENV> 가 .env 보다 우선, 실제 환경 변수가 가장 우선)
+ *
+ * Logger 보다 먼저 로드되어야 하므로 다른 애플리케이션 모듈을 require 하지 않음
+ */
+
+const REDACTED = '[REDACTED]';
+
+const CREDENTIAL_PROVIDERS = ['env', 'iam', 'file', 'secrets-manager'];
+
+// loadEnvFiles() 로 로드한 파일 (GET /admin/config 에 표시)
+let loadedEnvFiles = [];
+
+// getConfig() / loadConfig() 가 읽은 설정 (동결)
+let cachedConfig = null;
+
+/**
+ * 환경 변수 정의
+ * - key: 설정 객체 경로 (점 구분)
+ * - type: string | integer | boolean | enum (port 는 1-65535 integer)
+ * - default: 값 또는 (지금까지 읽은 설정) => 값
+ * - required: true 또는 (설정) => boolean
+ * - secret: /admin/config 에서 값을 가림
+ */
+const VARIABLES = [
+    // 서버
+    { key: 'server.nodeEnv', env: 'NODE_ENV', type: 'string', default: 'development' },
+    { key: 'server.port', env: 'PORT', type: 'port', default: 4000 },
+    { key: 'server.corsOrigin', env: 'CORS_ORIGIN', type: 'string' },
+    { key: 'server.healthCheckTimeoutMs', env: 'HEALTH_CHECK_TIMEOUT_MS', type: 'integer', min: 1, default: 2000 },
+
+    // 로그
+    { key: 'log.level', env: 'LOG_LEVEL', type: 'enum', values: ['debug', 'info', 'warn', 'error', 'silent'], lowercase: true,
+        default: config => (config.server.nodeEnv === 'test' ? 'silent' : 'info') },
+    { key: 'log.format', env: 'LOG_FORMAT', type: 'enum', values: ['json', 'pretty'], default: 'json' },
+
+    // 데이터베이스 (writer)
+    { key: 'database.host', env: 'DB_HOST', type: 'string', required: true },
+    { key: 'database.port', env: 'DB_PORT', type: 'port', default: 3306 },
+    { key: 'database.user', env: 'DB_USER', type: 'string', required: true },
+    { key: 'database.name', env: 'DB_DATABASE', type: 'string', required: true },
+    { key: 'database.region', env: 'AWS_REGION', type: 'string', default: 'ap-northeast-2' },
+    { key: 'database.useIamAuth', env: 'USE_IAM_AUTH', type: 'boolean', default: false },
+    { key: 'database.caPath', env: 'CA_PATH', type: 'string', file: true,
+        required: config => config.database.credentials.provider === 'iam' },
+    { key: 'database.poolSize', env: 'DB_POOL_SIZE', type: 'integer', min: 1, default: 10 },
+    { key: 'database.queueLimit', env: 'DB_QUEUE_LIMIT', type: 'integer', min: 0, default: 0 },
+    { key: 'database.poolDrainTimeoutMs', env: 'DB_POOL_DRAIN_TIMEOUT_MS', type: 'integer', min: 0, default: 30000 },
+    { key: 'database.migrateOnStartup', env: 'DB_MIGRATE_ON_STARTUP', type: 'boolean', default: true },
+    { key: 'database.migrationLockTimeoutSeconds', env: 'DB_MIGRATION_LOCK_TIMEOUT', type: 'integer', min: 1, default: 60 },
+
+    // 자격 증명
+    { key: 'database.credentials.provider', env: 'DB_CREDENTIALS_PROVIDER', type: 'enum', values: CREDENTIAL_PROVIDERS,
+        default: config => (config.database.useIamAuth ? 'iam' : 'env') },
+    { key: 'database.credentials.password', env: 'DB_PWD', type: 'string', secret: true },
+    { key: 'database.credentials.passwordFile', env: 'DB_PASSWORD_FILE', type: 'string', file: true,
+        required: config => config.database.credentials.provider === 'file' },
+    { key: 'database.credentials.secretFile', env: 'DB_SECRET_FILE', type: 'string', file: true },
+    { key: 'database.credentials.secretJson', env: 'DB_SECRET_JSON', type: 'string', secret: true },
+    { key: 'database.credentials.pollIntervalMs', env: 'DB_CREDENTIALS_POLL_INTERVAL_MS', type: 'integer', min: 1, default: 10000 },
+    { key: 'database.credentials.refreshRetryBaseMs', env: 'DB_TOKEN_REFRESH_RETRY_BASE_MS', type: 'integer', min: 1, default: 1000 },
+    { key: 'database.credentials.refreshRetryMaxMs', env: 'DB_TOKEN_REFRESH_RETRY_MAX_MS', type: 'integer', min: 1, default: 60000 },
+
+    // 서킷 브레이커, 트랜잭션 재시도
+    { key: 'database.circuit.failureThreshold', env: 'DB_CIRCUIT_FAILURE_THRESHOLD', type: 'integer', min: 0, default: 5 },
+    { key: 'database.circuit.resetTimeoutMs', env: 'DB_CIRCUIT_RESET_TIMEOUT_MS', type: 'integer', min: 1, default: 10000 },
+    { key: 'database.transaction.maxRetries', env: 'DB_TX_MAX_RETRIES', type: 'integer', min: 0, default: 3 },
+    { key: 'database.transaction.retryDelayMs', env: 'DB_TX_RETRY_DELAY_MS', type: 'integer', min: 0, default: 50 },
+
+    // 리더
+    { key: 'database.reader.host', env: 'DB_READER_HOST', type: 'string' },
+    { key: 'database.reader.port', env: 'DB_READER_PORT', type: 'port', default: config => config.database.port },
+    { key: 'database.reader.poolSize', env: 'DB_READER_POOL_SIZE', type: 'integer', min: 1, default: config => config.database.poolSize },
+
+    // 인증
+    { key: 'auth.disabled', env: 'AUTH_DISABLED', type: 'boolean', default: false },
+    { key: 'auth.secret', env: 'JWT_SECRET', type: 'string', secret: true },
+    { key: 'auth.jwksPath', env: 'JWT_JWKS_PATH', type: 'string', file: true },
+    { key: 'auth.issuer', env: 'JWT_ISSUER', type: 'string' },
+    { key: 'auth.audience', env: 'JWT_AUDIENCE', type: 'string' },
+    { key: 'auth.rolesClaim', env: 'JWT_ROLES_CLAIM', type: 'string', default: 'roles' },
+    { key: 'auth.tenantClaim', env: 'JWT_TENANT_CLAIM', type: 'string', default: 'tenant_id' },
+
+    // 대량 가져오기 (POST /transactions/import)
+    { key: 'import.batchSize', env: 'TRANSACTION_IMPORT_BATCH_SIZE', type: 'integer', min: 1, default: 500 },
+    { key: 'import.maxRows', env: 'TRANSACTION_IMPORT_MAX_ROWS', type: 'integer', min: 1, default: 10000 },
+    { key: 'import.maxBytes', env: 'TRANSACTION_IMPORT_MAX_BYTES', type: 'integer', min: 1, default: 10 * 1024 * 1024 },
+
+    // 일괄 추가/삭제 (POST /transactions/batch, POST /transactions/batch-delete) 한 번에 처리할 최대 건수
+    { key: 'batch.maxItems', env: 'TRANSACTION_BATCH_MAX_ITEMS', type: 'integer', min: 1, default: 500 },
+
+    // Idempotency-Key 보관 시간 (POST /transaction, POST /transactions/batch)
+    { key: 'idempotency.ttlSeconds', env: 'IDEMPOTENCY_KEY_TTL_SECONDS', type: 'integer', min: 1, default: 24 * 60 * 60 },
+
+    // 휴지통 정리
+    { key: 'trash.retentionDays', env: 'TRASH_RETENTION_DAYS', type: 'integer', min: 0, default: 30 },
+    { key: 'trash.purgeIntervalMinutes', env: 'TRASH_PURGE_INTERVAL_MINUTES', type: 'integer', min: 1, default: 60 },
+    { key: 'trash.purgeBatchSize', env: 'TRASH_PURGE_BATCH_SIZE', type: 'integer', min: 1, default: 1000 }
+];
+
+/**
+ * 설정 검증 실패 (누락/잘못된 변수 전체 목록을 errors 로 보관)
+ */
+class ConfigError extends Error {
+    /**
+     * @param {Array<{variable: string, message: string}>} errors
+     */
+    constructor(errors) {
+        super(`Invalid configuration:\n${errors.map(error => `  - ${error.variable}: ${error.message}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * 문자열 환경 변수 값을 타입에 맞게 변환
+ * @returns {{value: any}|{error: string}}
+ */
+function parseValue(definition, raw) {
+    switch (definition.type) {
+        case 'string':
+            return { value: raw };
+        case 'boolean': {
+            const normalized = raw.toLowerCase();
+            if (normalized !== 'true' && normalized !== 'false') {
+                return { error: 'must be "true" or "false"' };
+            }
+            return { value: normalized === 'true' };
+        }
+        case 'enum': {
+            const value = definition.lowercase ? raw.toLowerCase() : raw;
+            if (!definition.values.includes(value)) {
+                return { error: `must be one of ${definition.values.join(', ')}` };
+            }
+            return { value };
+        }
+        case 'integer':
+        case 'port': {
+            const min = definition.type === 'port' ? 1 : definition.min;
+            const max = definition.type === 'port' ? 65535 : definition.max;
+            if (!/^-?\d+$/.test(raw)) {
+                return { error: 'must be an integer' };
+            }
+            const value = parseInt(raw, 10);
+            if ((min !== undefined && value < min) || (max !== undefined && value > max)) {
+                const range = max !== undefined ? `between ${min} and ${max}` : `>= ${min}`;
+                return { error: `must be ${range}` };
+            }
+            return { value };
+        }
+        default:
+            throw new Error(`Unknown config type: ${definition.type}`);
+    }
+}
+
+function setPath(target, key, value) {
+    const parts = key.split('.');
+    const last = parts.pop();
+    const parent = parts.reduce((node, part) => {
+        if (!node[part]) {
+            node[part] = {};
+        }
+        return node[part];
+    }, target);
+    parent[last] = value;
+}
+
+function getPath(target, key) {
+    return key.split('.').reduce((node, part) => (node === undefined ? undefined : node[part]), target);
+}
+
+/**
+ * 환경 변수를 읽어 설정 객체 생성 (검증 에러가 있어도 예외를 던지지 않음)
+ * - 빈 문자열은 설정하지 않은 것으로 처리
+ * - 잘못된 값은 기본값으로 대체하고 errors 에 기록
+ * @param {Object} [env=process.env]
+ * @returns {{config: Object, errors: Array<{variable: string, message: string}>}}
+ */
+function parseConfig(env = process.env) {
+    const config = {};
+    const errors = [];
+
+    for (const definition of VARIABLES) {
+        const raw = env[definition.env];
+        let value;
+
+        if (raw !== undefined && raw !== '') {
+            const parsed = parseValue(definition, String(raw).trim());
+            if (parsed.error) {
+                errors.push({ variable: definition.env, message: parsed.error });
+            } else {
+                value = parsed.value;
+            }
+        }
+
+        if (value === undefined) {
+            value = typeof definition.default === 'function' ? definition.default(config) : definition.default;
+        }
+        setPath(config, definition.key, value === undefined ? null : value);
+    }
+
+    // 다른 값에 따라 필수 여부가 정해지는 변수는 모든 값을 읽은 뒤 확인
+    for (const definition of VARIABLES) {
+        const required = typeof definition.required === 'function' ? definition.required(config) : definition.required;
+        if (required && getPath(config, definition.key) === null && !errors.some(error => error.variable === definition.env)) {
+            errors.push({ variable: definition.env, message: 'is required' });
+        }
+    }
+
+    const { credentials } = config.database;
+    if (credentials.provider === 'secrets-manager' && !credentials.secretFile && !credentials.secretJson) {
+        errors.push({ variable: 'DB_SECRET_FILE', message: 'DB_SECRET_FILE or DB_SECRET_JSON is required for the secrets-manager provider' });
+    }
+    if (credentials.refreshRetryBaseMs > credentials.refreshRetryMaxMs) {
+        errors.push({ variable: 'DB_TOKEN_REFRESH_RETRY_BASE_MS', message: 'must not be greater than DB_TOKEN_REFRESH_RETRY_MAX_MS' });
+    }
+
+    return { config, errors };
+}
+
+/**
+ * 객체와 하위 객체를 모두 동결
+ * @param {Object} target
+ * @returns {Object} target
+ */
+function deepFreeze(target) {
+    for (const value of Object.values(target)) {
+        if (value && typeof value === 'object') {
+            deepFreeze(value);
+        }
+    }
+    return Object.freeze(target);
+}
+
+/**
+ * 설정 (검증하지 않음, 기동 시 loadConfig() 로 검증된 값을 사용한다고 가정)
+ * - 처음 호출할 때 process.env 를 읽어 캐시하고 이후에는 같은 동결된 객체를 반환
+ * @returns {Object}
+ */
+function getConfig() {
+    if (!cachedConfig) {
+        cachedConfig = deepFreeze(parseConfig(process.env).config);
+    }
+    return cachedConfig;
+}
+
+/**
+ * 캐시한 설정을 버림 (다음 getConfig() 에서 process.env 를 다시 읽음, 테스트용)
+ */
+function resetConfig() {
+    cachedConfig = null;
+}
+
+/**
+ * 설정을 읽고 검증 (기동 시 사용)
+ * - 파일 경로 변수 (CA_PATH 등) 는 읽을 수 있는지까지 확인
+ * - process.env 를 검증했으면 결과를 getConfig() 의 캐시로 사용
+ * @param {Object} [env=process.env]
+ * @returns {Object}
+ * @throws {ConfigError} 누락/잘못된 변수가 하나라도 있으면 전체 목록과 함께
+ */
+function loadConfig(env = process.env) {
+    const { config, errors } = parseConfig(env);
+
+    for (const definition of VARIABLES) {
+        const file = getPath(config, definition.key);
+        if (!definition.file || file === null || errors.some(error => error.variable === definition.env)) {
+            continue;
+        }
+        try {
+            fs.accessSync(file, fs.constants.R_OK);
+        } catch (error) {
+            errors.push({ variable: definition.env, message: `file ${file} is not readable (${error.code})` });
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new ConfigError(errors);
+    }
+    if (env !== process.env) {
+        return config;
+    }
+    cachedConfig = deepFreeze(config);
+    return cachedConfig;
+}
+
+/**
+ * 민감한 값을 가린 설정 사본 (GET /admin/config 용)
+ * - secret 변수는 설정되어 있으면 [REDACTED], 아니면 null
+ * @param {Object} config
+ * @returns {Object}
+ */
+function redactConfig(config) {
+    const copy = JSON.parse(JSON.stringify(config));
+    for (const definition of VARIABLES) {
+        if (definition.secret && getPath(copy, definition.key) !== null) {
+            setPath(copy, definition.key, REDACTED);
+        }
+    }
+    return copy;
+}
+
+/**
+ * .env 파일 로드 (이미 설정된 환경 변수는 덮어쓰지 않음)
+ * - .env.<NODE_ENV> 를 먼저 로드해 .env 의 값보다 우선 적용
+ * - 테스트에서는 개발자 로컬 .env 가 섞이지 않도록 로드하지 않음
+ * @param {Object} [options]
+ * @param {string} [options.dir=process.cwd()]
+ * @returns {Array<string>} 로드한 파일 이름
+ */
+function loadEnvFiles({ dir = process.cwd() } = {}) {
+    const nodeEnv = process.env.NODE_ENV || 'development';
+    if (nodeEnv === 'test') {
+        return [];
+    }
+
+    const dotenv = require('dotenv');
+    const loaded = [];
+    for (const name of [`.env.${nodeEnv}`, '.env']) {
+        const file = path.join(dir, name);
+        if (fs.existsSync(file)) {
+            dotenv.config({ path: file, quiet: true });
+            loaded.push(name);
+        }
+    }
+
+    loadedEnvFiles = loaded;
+    // 파일을 로드하기 전에 읽은 설정은 버림
+    cachedConfig = null;
+    return loaded;
+}
+
+/**
+ * @returns {Array<string>} loadEnvFiles() 로 로드한 파일 이름
+ */
+function getLoadedEnvFiles() {
+    return [...loadedEnvFiles];
+}
+
+module.exports = {
+    VARIABLES,
+    ConfigError,
+    parseConfig,
+    getConfig,
+    resetConfig,
+    loadConfig,
+    redactConfig,
+    loadEnvFiles,
+    getLoadedEnvFiles
+};
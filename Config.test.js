@@ -0,0 +1,255 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    ConfigError,
+    parseConfig,
+    getConfig,
+    resetConfig,
+    loadConfig,
+    redactConfig,
+    loadEnvFiles,
+    getLoadedEnvFiles
+} = require('./Config');
+
+describe('Config', () => {
+    // 필수 변수만 채운 환경
+    const baseEnv = {
+        NODE_ENV: 'production',
+        DB_HOST: 'db.example.com',
+        DB_USER: 'app',
+        DB_DATABASE: 'app'
+    };
+
+    describe('parseConfig', () => {
+        test('should apply defaults', () => {
+            const { config, errors } = parseConfig(baseEnv);
+
+            expect(errors).toEqual([]);
+            expect(config.server).toEqual({
+                nodeEnv: 'production',
+                port: 4000,
+                corsOrigin: null,
+                healthCheckTimeoutMs: 2000
+            });
+            expect(config.log).toEqual({ level: 'info', format: 'json' });
+            expect(config.database).toMatchObject({
+                host: 'db.example.com',
+                port: 3306,
+                region: 'ap-northeast-2',
+                poolSize: 10,
+                migrateOnStartup: true
+            });
+            expect(config.database.credentials.provider).toBe('env');
+            expect(config.database.reader).toEqual({ host: null, port: 3306, poolSize: 10 });
+            expect(config.batch).toEqual({ maxItems: 500 });
+            expect(config.idempotency).toEqual({ ttlSeconds: 86400 });
+        });
+
+        test('should convert types', () => {
+            const { config, errors } = parseConfig({
+                ...baseEnv,
+                PORT: '8080',
+                LOG_LEVEL: 'DEBUG',
+                DB_POOL_SIZE: '20',
+                DB_MIGRATE_ON_STARTUP: 'false',
+                AUTH_DISABLED: 'TRUE'
+            });
+
+            expect(errors).toEqual([]);
+            expect(config.server.port).toBe(8080);
+            expect(config.log.level).toBe('debug');
+            expect(config.database.poolSize).toBe(20);
+            expect(config.database.reader.poolSize).toBe(20);
+            expect(config.database.migrateOnStartup).toBe(false);
+            expect(config.auth.disabled).toBe(true);
+        });
+
+        test('should treat empty strings as unset', () => {
+            const { config, errors } = parseConfig({ ...baseEnv, PORT: '', CORS_ORIGIN: '' });
+
+            expect(errors).toEqual([]);
+            expect(config.server.port).toBe(4000);
+            expect(config.server.corsOrigin).toBeNull();
+        });
+
+        test('should silence logs by default in tests', () => {
+            expect(parseConfig({ ...baseEnv, NODE_ENV: 'test' }).config.log.level).toBe('silent');
+        });
+
+        test('should report every missing and invalid variable', () => {
+            const { config, errors } = parseConfig({
+                NODE_ENV: 'production',
+                DB_HOST: 'db.example.com',
+                PORT: '80a',
+                DB_PORT: '70000',
+                DB_POOL_SIZE: '0',
+                USE_IAM_AUTH: 'yes',
+                LOG_FORMAT: 'xml'
+            });
+
+            expect(errors).toEqual([
+                { variable: 'PORT', message: 'must be an integer' },
+                { variable: 'LOG_FORMAT', message: 'must be one of json, pretty' },
+                { variable: 'DB_PORT', message: 'must be between 1 and 65535' },
+                { variable: 'USE_IAM_AUTH', message: 'must be "true" or "false"' },
+                { variable: 'DB_POOL_SIZE', message: 'must be >= 1' },
+                { variable: 'DB_USER', message: 'is required' },
+                { variable: 'DB_DATABASE', message: 'is required' }
+            ]);
+            // 잘못된 값은 기본값으로 대체
+            expect(config.server.port).toBe(4000);
+        });
+
+        test('should require CA_PATH for IAM authentication', () => {
+            const { config, errors } = parseConfig({ ...baseEnv, USE_IAM_AUTH: 'true' });
+
+            expect(config.database.credentials.provider).toBe('iam');
+            expect(errors).toEqual([{ variable: 'CA_PATH', message: 'is required' }]);
+        });
+
+        test.each([
+            [{ DB_CREDENTIALS_PROVIDER: 'file' }, 'DB_PASSWORD_FILE'],
+            [{ DB_CREDENTIALS_PROVIDER: 'secrets-manager' }, 'DB_SECRET_FILE'],
+            [{ DB_CREDENTIALS_PROVIDER: 'vault' }, 'DB_CREDENTIALS_PROVIDER'],
+            [{ DB_TOKEN_REFRESH_RETRY_BASE_MS: '5000', DB_TOKEN_REFRESH_RETRY_MAX_MS: '1000' }, 'DB_TOKEN_REFRESH_RETRY_BASE_MS']
+        ])('should reject credential settings %p', (env, variable) => {
+            const { errors } = parseConfig({ ...baseEnv, ...env });
+
+            expect(errors.map(error => error.variable)).toEqual([variable]);
+        });
+    });
+
+    describe('loadConfig', () => {
+        let dir;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        test('should return the config when valid', () => {
+            const caPath = path.join(dir, 'ca.pem');
+            fs.writeFileSync(caPath, 'certificate');
+
+            const config = loadConfig({ ...baseEnv, USE_IAM_AUTH: 'true', CA_PATH: caPath });
+
+            expect(config.database.caPath).toBe(caPath);
+        });
+
+        test('should throw ConfigError listing every problem', () => {
+            const error = (() => {
+                try {
+                    loadConfig({ NODE_ENV: 'production', CA_PATH: path.join(dir, 'missing.pem'), PORT: 'http' });
+                } catch (err) {
+                    return err;
+                }
+            })();
+
+            expect(error).toBeInstanceOf(ConfigError);
+            expect(error.errors.map(e => e.variable)).toEqual(['PORT', 'DB_HOST', 'DB_USER', 'DB_DATABASE', 'CA_PATH']);
+            expect(error.errors[4].message).toMatch(/is not readable \(ENOENT\)$/);
+            expect(error.message).toContain('Invalid configuration:\n  - PORT: must be an integer\n  - DB_HOST: is required');
+        });
+    });
+
+    describe('getConfig', () => {
+        const originalEnv = process.env;
+
+        beforeEach(() => {
+            process.env = { ...baseEnv, DB_POOL_SIZE: '5' };
+            resetConfig();
+        });
+
+        afterEach(() => {
+            process.env = originalEnv;
+            resetConfig();
+        });
+
+        test('should parse once and return the same frozen config', () => {
+            const config = getConfig();
+            process.env.DB_POOL_SIZE = '20';
+
+            expect(getConfig()).toBe(config);
+            expect(config.database.poolSize).toBe(5);
+            expect(Object.isFrozen(config)).toBe(true);
+            expect(Object.isFrozen(config.database.credentials)).toBe(true);
+        });
+
+        test('should read the environment again after resetConfig()', () => {
+            getConfig();
+            process.env.DB_POOL_SIZE = '20';
+            resetConfig();
+
+            expect(getConfig().database.poolSize).toBe(20);
+        });
+
+        test('should cache the config validated by loadConfig() for process.env only', () => {
+            const loaded = loadConfig();
+            loadConfig({ ...baseEnv, DB_POOL_SIZE: '30' });
+
+            expect(getConfig()).toBe(loaded);
+            expect(getConfig().database.poolSize).toBe(5);
+        });
+    });
+
+    describe('redactConfig', () => {
+        test('should hide set secrets without changing the original', () => {
+            const { config } = parseConfig({ ...baseEnv, DB_PWD: 'hunter2', JWT_SECRET: 'jwt-secret' });
+
+            const redacted = redactConfig(config);
+
+            expect(redacted.database.credentials.password).toBe('[REDACTED]');
+            expect(redacted.auth.secret).toBe('[REDACTED]');
+            expect(redacted.database.credentials.secretJson).toBeNull();
+            expect(redacted.database.host).toBe('db.example.com');
+            expect(config.database.credentials.password).toBe('hunter2');
+        });
+    });
+
+    describe('loadEnvFiles', () => {
+        const originalEnv = process.env;
+        let dir;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'env-files-'));
+            process.env = { ...originalEnv };
+        });
+
+        afterEach(() => {
+            process.env = originalEnv;
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        test('should not load files in tests', () => {
+            fs.writeFileSync(path.join(dir, '.env'), 'CONFIG_TEST_VALUE=from-env\n');
+            process.env.NODE_ENV = 'test';
+
+            expect(loadEnvFiles({ dir })).toEqual([]);
+            expect(process.env.CONFIG_TEST_VALUE).toBeUndefined();
+        });
+
+        test('should prefer the environment file and keep existing variables', () => {
+            fs.writeFileSync(path.join(dir, '.env'), 'CONFIG_TEST_A=base\nCONFIG_TEST_B=base\nCONFIG_TEST_C=base\n');
+            fs.writeFileSync(path.join(dir, '.env.staging'), 'CONFIG_TEST_B=staging\nCONFIG_TEST_C=staging\n');
+            process.env.NODE_ENV = 'staging';
+            process.env.CONFIG_TEST_C = 'process';
+
+            expect(loadEnvFiles({ dir })).toEqual(['.env.staging', '.env']);
+            expect(getLoadedEnvFiles()).toEqual(['.env.staging', '.env']);
+            expect(process.env.CONFIG_TEST_A).toBe('base');
+            expect(process.env.CONFIG_TEST_B).toBe('staging');
+            expect(process.env.CONFIG_TEST_C).toBe('process');
+        });
+
+        test('should skip missing files', () => {
+            fs.writeFileSync(path.join(dir, '.env'), 'CONFIG_TEST_A=base\n');
+            process.env.NODE_ENV = 'production';
+
+            expect(loadEnvFiles({ dir })).toEqual(['.env']);
+        });
+    });
+});
@@ -0,0 +1,337 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { Signer } = require('@aws-sdk/rds-signer');
+const { AuthTokenError, CredentialsError } = require('./Errors');
+const { logger: rootLogger } = require('./Logger');
+const { Counter } = require('./Metrics');
+const { getConfig } = require('./Config');
+
+const logger = rootLogger.child({ component: 'CredentialProviders' });
+
+const tokenGenerations = new Counter({
+    name: 'rds_iam_token_generations_total',
+    help: 'Total number of RDS IAM authentication tokens generated'
+});
+
+const tokenGenerationFailures = new Counter({
+    name: 'rds_iam_token_generation_failures_total',
+    help: 'Total number of failed RDS IAM authentication token generations'
+});
+
+// 토큰 유효 시간 (15분 - 1분 여유)
+const TOKEN_TTL_MS = 14 * 60 * 1000;
+
+/**
+ * 커넥션 풀 생성에 사용할 자격 증명
+ * @typedef {Object} Credentials
+ * @property {string} [user] - 없으면 DB_USER 사용
+ * @property {string} password
+ * @property {Object} [authPlugins] - mysql2 authPlugins (IAM 토큰은 mysql_clear_password)
+ * @property {(number|null)} expiresAt - 만료 시각 (ms), 만료되지 않으면 null
+ */
+
+/**
+ * 자격 증명 공급자 기본 구현
+ * - getCredentials(): 현재 자격 증명 반환
+ * - watch(onChange): 자격 증명이 바뀌면 onChange 호출 (풀 교체는 매니저가 처리)
+ * - close(): 감시 중지
+ */
+class CredentialProvider {
+    constructor(name) {
+        this.name = name;
+        // 만료 전에 주기적으로 다시 발급해야 하는지 (IAM 토큰)
+        this.expires = false;
+        // TLS 연결이 필요한지 (IAM 인증은 TLS 필수)
+        this.requiresTls = false;
+    }
+
+    /**
+     * @returns {Promise<Credentials>}
+     */
+    async getCredentials() {
+        throw new Error(`${this.constructor.name} must implement getCredentials()`);
+    }
+
+    /**
+     * @param {Function} onChange
+     */
+    watch(onChange) {}
+
+    close() {}
+}
+
+/**
+ * 환경 변수 비밀번호 (DB_PWD, 변경 감지 없음)
+ */
+class EnvCredentialProvider extends CredentialProvider {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.password] - DB_PWD 값
+     */
+    constructor({ password } = {}) {
+        super('env');
+        this.password = password;
+    }
+
+    async getCredentials() {
+        return { password: this.password, expiresAt: null };
+    }
+}
+
+/**
+ * RDS IAM 인증 토큰 (호스트별로 발급, 15분 후 만료)
+ */
+class IamTokenCredentialProvider extends CredentialProvider {
+    /**
+     * @param {Object} options
+     * @param {string} options.region
+     * @param {string} options.host
+     * @param {(number|string)} options.port
+     * @param {string} options.user
+     * @param {Object} [options.signer] - getAuthToken() 을 가진 객체 (기본: AWS SDK Signer)
+     */
+    constructor({ region, host, port, user, signer } = {}) {
+        super('iam');
+        this.expires = true;
+        this.requiresTls = true;
+        // AWS RDS Signer 초기화 (AWS SDK v3)
+        this.signer = signer || new Signer({ region, hostname: host, port, username: user });
+    }
+
+    /**
+     * @returns {Promise<Credentials>}
+     * @throws {AuthTokenError} 토큰 생성 실패 시
+     */
+    async getCredentials() {
+        logger.info('Generating new RDS IAM authentication token');
+
+        // AWS SDK v3에서는 getAuthToken이 Promise를 반환
+        let token;
+        try {
+            token = await this.signer.getAuthToken();
+            tokenGenerations.inc();
+        } catch (error) {
+            tokenGenerationFailures.inc();
+            // AWS SDK 에러 메시지는 cause 로만 보관 (클라이언트 응답에는 노출하지 않음)
+            logger.error('Failed to generate RDS IAM auth token', { err: error });
+            throw new AuthTokenError(undefined, { cause: error });
+        }
+
+        const expiresAt = Date.now() + TOKEN_TTL_MS;
+        logger.info('New token generated', { expiresAt: new Date(expiresAt).toISOString() });
+
+        return {
+            password: token,
+            authPlugins: {
+                mysql_clear_password: () => () => token
+            },
+            expiresAt
+        };
+    }
+}
+
+/**
+ * 파일로 마운트된 비밀번호 (Kubernetes Secret 볼륨, ECS 시크릿 파일 등)
+ * - 파일 내용 전체가 비밀번호 (끝의 줄바꿈 하나는 제거)
+ * - 파일을 주기적으로 stat 해서 내용이 바뀌면 onChange 호출
+ *   (Kubernetes 는 심볼릭 링크를 교체하므로 fs.watch 대신 경로 기준의 fs.watchFile 사용)
+ */
+class FileCredentialProvider extends CredentialProvider {
+    /**
+     * @param {Object} options
+     * @param {string} options.path - 시크릿 파일 경로
+     * @param {number} [options.pollIntervalMs=10000] - 파일 변경 확인 간격
+     */
+    constructor({ path, pollIntervalMs = 10000 } = {}) {
+        super('file');
+        this.path = path;
+        this.pollIntervalMs = pollIntervalMs;
+        this.fingerprint = null;
+        this.listener = null;
+    }
+
+    /**
+     * 시크릿 원문 읽기
+     * @returns {Promise<string>}
+     */
+    async readSecret() {
+        return fs.promises.readFile(this.path, 'utf8');
+    }
+
+    /**
+     * 시크릿 원문을 자격 증명으로 변환
+     * @param {string} text
+     * @returns {{user: (string|undefined), password: string}}
+     */
+    parse(text) {
+        return { password: text.replace(/\r?\n$/, '') };
+    }
+
+    /**
+     * 시크릿을 읽어 파싱 (실패 원인은 cause 로만 보관)
+     * @returns {Promise<{user: (string|undefined), password: string}>}
+     * @throws {CredentialsError}
+     */
+    async load() {
+        try {
+            return this.parse(await this.readSecret());
+        } catch (error) {
+            logger.error('Failed to read database credentials', { provider: this.name, path: this.path, err: error });
+            throw new CredentialsError(undefined, { cause: error });
+        }
+    }
+
+    async getCredentials() {
+        const credentials = await this.load();
+        this.fingerprint = fingerprint(credentials);
+        return { ...credentials, expiresAt: null };
+    }
+
+    watch(onChange) {
+        if (this.listener) {
+            return;
+        }
+
+        this.listener = async (current, previous) => {
+            if (current.mtimeMs === previous.mtimeMs && current.ino === previous.ino) {
+                return;
+            }
+
+            // 교체 도중의 빈 파일/잘못된 문서는 다음 변경 때 다시 확인
+            let credentials;
+            try {
+                credentials = await this.load();
+            } catch (error) {
+                return;
+            }
+
+            if (fingerprint(credentials) !== this.fingerprint) {
+                logger.info('Database credentials changed', { provider: this.name, path: this.path });
+                onChange();
+            }
+        };
+        fs.watchFile(this.path, { interval: this.pollIntervalMs, persistent: false }, this.listener);
+    }
+
+    close() {
+        if (this.listener) {
+            fs.unwatchFile(this.path, this.listener);
+            this.listener = null;
+        }
+    }
+}
+
+/**
+ * AWS Secrets Manager 형식의 JSON 시크릿 문서 ({"username": ..., "password": ...})
+ * - Secrets Store CSI 드라이버 등으로 마운트된 파일 (변경 감지) 또는
+ * - ECS 태스크 정의 secrets 로 주입된 문자열 (기동 시 고정)
+ */
+class SecretsManagerCredentialProvider extends FileCredentialProvider {
+    /**
+     * @param {Object} options
+     * @param {string} [options.path] - 시크릿 문서 파일 경로
+     * @param {string} [options.secretString] - 시크릿 문서 원문 (path 대신 사용)
+     * @param {number} [options.pollIntervalMs=10000]
+     */
+    constructor({ path, secretString, pollIntervalMs } = {}) {
+        super({ path, pollIntervalMs });
+        this.name = 'secrets-manager';
+        this.secretString = secretString;
+    }
+
+    async readSecret() {
+        return this.secretString !== undefined ? this.secretString : super.readSecret();
+    }
+
+    parse(text) {
+        return parseSecretDocument(text);
+    }
+
+    watch(onChange) {
+        if (this.secretString === undefined) {
+            super.watch(onChange);
+        }
+    }
+}
+
+/**
+ * Secrets Manager 시크릿 문서 파싱
+ * - JSON 파싱 에러 메시지에는 문서 일부가 포함될 수 있으므로 원본 에러를 버림
+ * @param {string} text
+ * @returns {{user: (string|undefined), password: string}}
+ */
+function parseSecretDocument(text) {
+    let document;
+    try {
+        document = JSON.parse(text);
+    } catch (error) {
+        throw new Error('Secret document is not valid JSON');
+    }
+
+    if (!document || typeof document.password !== 'string') {
+        throw new Error('Secret document must contain a "password" string');
+    }
+    if (document.username !== undefined && typeof document.username !== 'string') {
+        throw new Error('Secret document "username" must be a string');
+    }
+
+    return { user: document.username, password: document.password };
+}
+
+// 변경 비교용 지문 (비밀번호 원문을 따로 보관하지 않음)
+function fingerprint({ user, password }) {
+    return crypto.createHash('sha256').update(`${user || ''}\u0000${password}`).digest('hex');
+}
+
+/**
+ * 설정으로 자격 증명 공급자 생성
+ * - provider (DB_CREDENTIALS_PROVIDER): env | iam | file | secrets-manager
+ *   (없으면 USE_IAM_AUTH=true 이면 iam, 아니면 env)
+ * - file: passwordFile (DB_PASSWORD_FILE)
+ * - secrets-manager: secretFile (DB_SECRET_FILE) 또는 secretJson (DB_SECRET_JSON)
+ * - pollIntervalMs (DB_CREDENTIALS_POLL_INTERVAL_MS): 파일 변경 확인 간격
+ * @param {Object} target - Signer 에 사용할 접속 정보
+ * @param {string} target.region
+ * @param {string} target.host
+ * @param {number} target.port
+ * @param {string} target.user
+ * @param {Object} [credentials] - Config 의 database.credentials (기본: 현재 설정)
+ * @returns {CredentialProvider}
+ */
+function createCredentialProvider({ region, host, port, user }, credentials = getConfig().database.credentials) {
+    const { provider, pollIntervalMs } = credentials;
+
+    switch (provider) {
+        case 'env':
+            return new EnvCredentialProvider({ password: credentials.password });
+        case 'iam':
+            return new IamTokenCredentialProvider({ region, host, port, user });
+        case 'file':
+            if (!credentials.passwordFile) {
+                throw new Error('DB_PASSWORD_FILE is required for the file credential provider');
+            }
+            return new FileCredentialProvider({ path: credentials.passwordFile, pollIntervalMs });
+        case 'secrets-manager':
+            if (!credentials.secretFile && !credentials.secretJson) {
+                throw new Error('DB_SECRET_FILE or DB_SECRET_JSON is required for the secrets-manager credential provider');
+            }
+            return new SecretsManagerCredentialProvider({
+                path: credentials.secretFile || undefined,
+                secretString: credentials.secretFile ? undefined : credentials.secretJson,
+                pollIntervalMs
+            });
+        default:
+            throw new Error(`Unknown credential provider: ${provider}`);
+    }
+}
+
+module.exports = {
+    CredentialProvider,
+    EnvCredentialProvider,
+    IamTokenCredentialProvider,
+    FileCredentialProvider,
+    SecretsManagerCredentialProvider,
+    parseSecretDocument,
+    createCredentialProvider,
+    TOKEN_TTL_MS
+};
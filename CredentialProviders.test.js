@@ -0,0 +1,300 @@
+jest.mock('@aws-sdk/rds-signer', () => ({
+    Signer: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Signer } = require('@aws-sdk/rds-signer');
+const {
+    EnvCredentialProvider,
+    IamTokenCredentialProvider,
+    FileCredentialProvider,
+    SecretsManagerCredentialProvider,
+    parseSecretDocument,
+    createCredentialProvider,
+    TOKEN_TTL_MS
+} = require('./CredentialProviders');
+const { AuthTokenError, CredentialsError } = require('./Errors');
+const { registry } = require('./Metrics');
+const { parseConfig } = require('./Config');
+
+describe('CredentialProviders', () => {
+    let dir;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'db-credentials-'));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const writeSecret = (name, content) => {
+        const file = path.join(dir, name);
+        fs.writeFileSync(file, content);
+        return file;
+    };
+
+    describe('EnvCredentialProvider', () => {
+        test('should return the configured password', async () => {
+            const provider = new EnvCredentialProvider({ password: 'db-password' });
+
+            await expect(provider.getCredentials()).resolves.toEqual({ password: 'db-password', expiresAt: null });
+            expect(provider.expires).toBe(false);
+            expect(provider.requiresTls).toBe(false);
+        });
+    });
+
+    describe('IamTokenCredentialProvider', () => {
+        let signer;
+
+        beforeEach(() => {
+            signer = { getAuthToken: jest.fn().mockResolvedValue('iam-token') };
+        });
+
+        test('should return the token with the clear password plugin and expiry', async () => {
+            const now = 1700000000000;
+            jest.spyOn(Date, 'now').mockReturnValue(now);
+            const provider = new IamTokenCredentialProvider({ signer });
+
+            const credentials = await provider.getCredentials();
+
+            expect(credentials).toEqual({
+                password: 'iam-token',
+                authPlugins: { mysql_clear_password: expect.any(Function) },
+                expiresAt: now + TOKEN_TTL_MS
+            });
+            expect(credentials.authPlugins.mysql_clear_password()()).toBe('iam-token');
+            expect(provider.expires).toBe(true);
+            expect(provider.requiresTls).toBe(true);
+        });
+
+        test('should create a signer for the host', () => {
+            new IamTokenCredentialProvider({ region: 'ap-northeast-2', host: 'db.example.com', port: 3306, user: 'app' });
+
+            expect(Signer).toHaveBeenCalledWith({
+                region: 'ap-northeast-2',
+                hostname: 'db.example.com',
+                port: 3306,
+                username: 'app'
+            });
+        });
+
+        test('should wrap signer errors and count generations and failures', async () => {
+            const generations = registry.getMetric('rds_iam_token_generations_total');
+            const failures = registry.getMetric('rds_iam_token_generation_failures_total');
+            const before = { generations: generations.get(), failures: failures.get() };
+            const provider = new IamTokenCredentialProvider({ signer });
+
+            await provider.getCredentials();
+            signer.getAuthToken.mockRejectedValue(new Error('AccessDenied: arn:aws:iam::123'));
+            const error = await provider.getCredentials().catch(err => err);
+
+            expect(error).toBeInstanceOf(AuthTokenError);
+            expect(error.message).toBe('Could not obtain database authentication token');
+            expect(error.cause.message).toContain('AccessDenied');
+            expect(generations.get()).toBe(before.generations + 1);
+            expect(failures.get()).toBe(before.failures + 1);
+        });
+    });
+
+    describe('FileCredentialProvider', () => {
+        test('should read the password and strip one trailing newline', async () => {
+            const provider = new FileCredentialProvider({ path: writeSecret('password', ' s3cret \n') });
+
+            await expect(provider.getCredentials()).resolves.toEqual({ password: ' s3cret ', expiresAt: null });
+            expect(provider.name).toBe('file');
+        });
+
+        test('should throw CredentialsError when the file cannot be read', async () => {
+            const provider = new FileCredentialProvider({ path: path.join(dir, 'missing') });
+
+            const error = await provider.getCredentials().catch(err => err);
+
+            expect(error).toBeInstanceOf(CredentialsError);
+            expect(error.status).toBe(503);
+            expect(error.cause.code).toBe('ENOENT');
+        });
+
+        describe('watch', () => {
+            let listener;
+            const stat = (mtimeMs, ino = 1) => ({ mtimeMs, ino });
+
+            beforeEach(() => {
+                jest.spyOn(fs, 'watchFile').mockImplementation((file, options, callback) => {
+                    listener = callback;
+                });
+                jest.spyOn(fs, 'unwatchFile').mockImplementation(() => {});
+            });
+
+            test('should call onChange when the file content changes', async () => {
+                const file = writeSecret('password', 'old');
+                const provider = new FileCredentialProvider({ path: file, pollIntervalMs: 500 });
+                await provider.getCredentials();
+                const onChange = jest.fn();
+
+                provider.watch(onChange);
+                fs.writeFileSync(file, 'new');
+                await listener(stat(2), stat(1));
+
+                expect(fs.watchFile).toHaveBeenCalledWith(file, { interval: 500, persistent: false }, listener);
+                expect(onChange).toHaveBeenCalledTimes(1);
+            });
+
+            test('should ignore touches that keep the same content', async () => {
+                const provider = new FileCredentialProvider({ path: writeSecret('password', 'same') });
+                await provider.getCredentials();
+                const onChange = jest.fn();
+
+                provider.watch(onChange);
+                await listener(stat(2), stat(1));
+                await listener(stat(2), stat(2));
+
+                expect(onChange).not.toHaveBeenCalled();
+            });
+
+            test('should ignore a file that is missing while it is being replaced', async () => {
+                const file = writeSecret('password', 'old');
+                const provider = new FileCredentialProvider({ path: file });
+                await provider.getCredentials();
+                const onChange = jest.fn();
+
+                provider.watch(onChange);
+                fs.rmSync(file);
+                await listener(stat(0, 0), stat(1));
+
+                expect(onChange).not.toHaveBeenCalled();
+            });
+
+            test('should stop watching on close', () => {
+                const file = writeSecret('password', 'old');
+                const provider = new FileCredentialProvider({ path: file });
+
+                provider.watch(jest.fn());
+                provider.watch(jest.fn());
+                provider.close();
+
+                expect(fs.watchFile).toHaveBeenCalledTimes(1);
+                expect(fs.unwatchFile).toHaveBeenCalledWith(file, listener);
+            });
+        });
+    });
+
+    describe('SecretsManagerCredentialProvider', () => {
+        const document = JSON.stringify({
+            engine: 'mysql',
+            host: 'db.example.com',
+            username: 'app',
+            password: 'from-secret',
+            dbname: 'app'
+        });
+
+        test('should read username and password from a secret string', async () => {
+            const provider = new SecretsManagerCredentialProvider({ secretString: document });
+
+            await expect(provider.getCredentials()).resolves.toEqual({
+                user: 'app',
+                password: 'from-secret',
+                expiresAt: null
+            });
+            expect(provider.name).toBe('secrets-manager');
+        });
+
+        test('should read a mounted secret file and watch it', async () => {
+            const watchSpy = jest.spyOn(fs, 'watchFile').mockImplementation(() => {});
+            const file = writeSecret('secret.json', document);
+            const provider = new SecretsManagerCredentialProvider({ path: file });
+
+            await expect(provider.getCredentials()).resolves.toMatchObject({ user: 'app', password: 'from-secret' });
+            provider.watch(jest.fn());
+
+            expect(watchSpy).toHaveBeenCalledWith(file, expect.any(Object), expect.any(Function));
+        });
+
+        test('should not watch a secret string', () => {
+            const watchSpy = jest.spyOn(fs, 'watchFile').mockImplementation(() => {});
+            const provider = new SecretsManagerCredentialProvider({ secretString: document });
+
+            provider.watch(jest.fn());
+
+            expect(watchSpy).not.toHaveBeenCalled();
+        });
+
+        test('should reject an invalid document without exposing its content', async () => {
+            const provider = new SecretsManagerCredentialProvider({ secretString: 'password=hunter2' });
+
+            const error = await provider.getCredentials().catch(err => err);
+
+            expect(error).toBeInstanceOf(CredentialsError);
+            expect(error.cause.message).toBe('Secret document is not valid JSON');
+            expect(error.message).not.toContain('hunter2');
+        });
+    });
+
+    describe('parseSecretDocument', () => {
+        test('should allow a document without username', () => {
+            expect(parseSecretDocument('{"password":"pw"}')).toEqual({ user: undefined, password: 'pw' });
+        });
+
+        test.each([
+            ['null', 'Secret document must contain a "password" string'],
+            ['{"username":"app"}', 'Secret document must contain a "password" string'],
+            ['{"password":1}', 'Secret document must contain a "password" string'],
+            ['{"password":"pw","username":1}', 'Secret document "username" must be a string']
+        ])('should reject %s', (text, message) => {
+            expect(() => parseSecretDocument(text)).toThrow(message);
+        });
+    });
+
+    describe('createCredentialProvider', () => {
+        const target = { region: 'ap-northeast-2', host: 'db.example.com', port: 3306, user: 'app' };
+        const credentialsFor = env => parseConfig(env).config.database.credentials;
+
+        test.each([
+            [{}, EnvCredentialProvider],
+            [{ USE_IAM_AUTH: 'true' }, IamTokenCredentialProvider],
+            [{ DB_CREDENTIALS_PROVIDER: 'env', USE_IAM_AUTH: 'true' }, EnvCredentialProvider],
+            [{ DB_CREDENTIALS_PROVIDER: 'iam' }, IamTokenCredentialProvider],
+            [{ DB_CREDENTIALS_PROVIDER: 'file', DB_PASSWORD_FILE: '/run/secrets/db' }, FileCredentialProvider],
+            [{ DB_CREDENTIALS_PROVIDER: 'secrets-manager', DB_SECRET_FILE: '/mnt/secrets/db.json' }, SecretsManagerCredentialProvider],
+            [{ DB_CREDENTIALS_PROVIDER: 'secrets-manager', DB_SECRET_JSON: '{}' }, SecretsManagerCredentialProvider]
+        ])('should create the provider for %p', (env, type) => {
+            expect(createCredentialProvider(target, credentialsFor(env))).toBeInstanceOf(type);
+        });
+
+        test('should configure the file poll interval', () => {
+            const provider = createCredentialProvider(target, credentialsFor({
+                DB_CREDENTIALS_PROVIDER: 'file',
+                DB_PASSWORD_FILE: '/run/secrets/db',
+                DB_CREDENTIALS_POLL_INTERVAL_MS: '2500'
+            }));
+
+            expect(provider.path).toBe('/run/secrets/db');
+            expect(provider.pollIntervalMs).toBe(2500);
+        });
+
+        test('should prefer the secret file over the injected string', () => {
+            const provider = createCredentialProvider(target, credentialsFor({
+                DB_CREDENTIALS_PROVIDER: 'secrets-manager',
+                DB_SECRET_FILE: '/mnt/secrets/db.json',
+                DB_SECRET_JSON: '{}'
+            }));
+
+            expect(provider.secretString).toBeUndefined();
+        });
+
+        test.each([
+            [{ DB_CREDENTIALS_PROVIDER: 'file' }, 'DB_PASSWORD_FILE is required for the file credential provider'],
+            [{ DB_CREDENTIALS_PROVIDER: 'secrets-manager' }, 'DB_SECRET_FILE or DB_SECRET_JSON is required for the secrets-manager credential provider']
+        ])('should reject invalid configuration %p', (env, message) => {
+            expect(() => createCredentialProvider(target, credentialsFor(env))).toThrow(message);
+        });
+
+        test('should reject an unknown provider', () => {
+            expect(() => createCredentialProvider(target, { provider: 'vault' })).toThrow('Unknown credential provider: vault');
+        });
+    });
+});
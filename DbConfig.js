@@ -1,9 +0,0 @@
-// const dotenv = require('dotenv');
-// dotenv.config();
-
-// module.exports = Object.freeze({
-//     DB_HOST : process.env.DB_HOST,
-//     DB_USER : process.env.DB_USER,
-//     DB_PWD : process.env.DB_PWD,
-//     DB_DATABASE : process.env.DB_DATABASE
-// });
\ No newline at end of file
@@ -0,0 +1,117 @@
+const { AppError, ValidationError, NotFoundError } = require('./Errors');
+const { logger } = require('./Logger');
+
+const PROBLEM_CONTENT_TYPE = 'application/problem+json';
+
+/**
+ * async 라우트 핸들러의 reject 를 에러 미들웨어로 전달 (Express 4는 자동 처리하지 않음)
+ * @param {Function} handler - async (req, res, next) => any
+ * @returns {Function}
+ */
+function asyncHandler(handler) {
+    return (req, res, next) => {
+        Promise.resolve(handler(req, res, next)).catch(next);
+    };
+}
+
+/**
+ * 임의의 에러를 AppError 로 정규화
+ * - body-parser 에러(잘못된 JSON, 너무 큰 본문)는 4xx 로 변환
+ * - 알 수 없는 에러는 내부 메시지를 숨긴 500 으로 변환
+ * @param {Error} err
+ * @returns {AppError}
+ */
+function normalizeError(err) {
+    if (err instanceof AppError) {
+        return err;
+    }
+
+    if (err && err.type === 'entity.parse.failed') {
+        return new ValidationError([{ location: 'body', field: null, code: 'type', message: 'must be valid JSON' }]);
+    }
+
+    // http-errors 형식 (body-parser 등): expose 가 true 인 4xx 만 메시지 노출
+    if (err && err.expose && err.status >= 400 && err.status < 500) {
+        return new AppError(err.message, {
+            status: err.status,
+            type: String(err.type || 'bad-request').replace(/\./g, '-'),
+            title: 'Bad Request'
+        });
+    }
+
+    return new AppError('An unexpected error occurred', { cause: err });
+}
+
+/**
+ * RFC 7807 problem 본문 생성
+ * @param {AppError} error
+ * @param {Object} req
+ * @returns {Object}
+ */
+function toProblem(error, req) {
+    const problem = {
+        type: error.status === 500 ? 'about:blank' : `/problems/${error.type}`,
+        title: error.title,
+        status: error.status,
+        detail: error.message,
+        instance: req.originalUrl,
+        correlationId: req.id
+    };
+
+    if (error instanceof ValidationError) {
+        problem.errors = error.errors;
+    }
+    if (error.currentVersion !== undefined) {
+        problem.currentVersion = error.currentVersion;
+    }
+
+    return problem;
+}
+
+/**
+ * 일치하는 라우트가 없을 때 404 problem 응답
+ */
+function notFoundHandler(req, res, next) {
+    next(new NotFoundError(`No route for ${req.method} ${req.path}`));
+}
+
+/**
+ * 중앙 에러 미들웨어 (모든 라우트 뒤에 등록)
+ * - Express 는 인자가 4개인 함수만 에러 미들웨어로 인식하므로 next 를 사용하지 않아도 유지
+ */
+function errorHandler(err, req, res, next) {
+    const error = normalizeError(err);
+
+    if (error.status >= 500) {
+        logger.error('Request failed', {
+            requestId: req.id,
+            method: req.method,
+            path: req.originalUrl,
+            status: error.status,
+            err: error.cause || error
+        });
+    }
+
+    if (res.headersSent) {
+        return res.end();
+    }
+
+    if (error.retryAfter !== undefined) {
+        res.set('Retry-After', String(error.retryAfter));
+    }
+    if (error.challenge) {
+        res.set('WWW-Authenticate', error.challenge);
+    }
+
+    res.status(error.status)
+        .type(PROBLEM_CONTENT_TYPE)
+        .json(toProblem(error, req));
+}
+
+module.exports = {
+    PROBLEM_CONTENT_TYPE,
+    asyncHandler,
+    normalizeError,
+    notFoundHandler,
+    errorHandler
+};
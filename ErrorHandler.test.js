@@ -0,0 +1,127 @@
+const { asyncHandler, normalizeError, notFoundHandler, errorHandler } = require('./ErrorHandler');
+const { AppError, ValidationError, NotFoundError, DatabaseUnavailableError } = require('./Errors');
+const { Logger } = require('./Logger');
+
+describe('ErrorHandler', () => {
+    const createReq = () => ({ id: 'req-1', method: 'GET', originalUrl: '/transactions/1', path: '/transactions/1' });
+
+    const createRes = () => {
+        const res = { headersSent: false };
+        res.status = jest.fn().mockReturnValue(res);
+        res.type = jest.fn().mockReturnValue(res);
+        res.json = jest.fn().mockReturnValue(res);
+        res.set = jest.fn().mockReturnValue(res);
+        res.end = jest.fn().mockReturnValue(res);
+        return res;
+    };
+
+    describe('asyncHandler', () => {
+        test('should forward rejected promises to next', async () => {
+            const error = new Error('boom');
+            const next = jest.fn();
+
+            await asyncHandler(async () => { throw error; })({}, {}, next);
+
+            expect(next).toHaveBeenCalledWith(error);
+        });
+    });
+
+    describe('normalizeError', () => {
+        test('should convert body-parser JSON errors to ValidationError', () => {
+            const error = normalizeError(Object.assign(new Error('Unexpected token'), {
+                type: 'entity.parse.failed', status: 400, expose: true
+            }));
+
+            expect(error).toBeInstanceOf(ValidationError);
+            expect(error.errors[0].message).toBe('must be valid JSON');
+        });
+
+        test('should keep exposed 4xx http errors', () => {
+            const error = normalizeError(Object.assign(new Error('request entity too large'), {
+                type: 'entity.too.large', status: 413, expose: true
+            }));
+
+            expect(error.status).toBe(413);
+            expect(error.type).toBe('entity-too-large');
+            expect(error.message).toBe('request entity too large');
+        });
+
+        test('should hide unknown errors behind a generic 500', () => {
+            const cause = new Error('ER_NO_SUCH_TABLE: secret');
+
+            const error = normalizeError(cause);
+
+            expect(error).toBeInstanceOf(AppError);
+            expect(error.status).toBe(500);
+            expect(error.message).toBe('An unexpected error occurred');
+            expect(error.cause).toBe(cause);
+        });
+    });
+
+    describe('notFoundHandler', () => {
+        test('should pass NotFoundError to next', () => {
+            const next = jest.fn();
+
+            notFoundHandler({ method: 'POST', path: '/x' }, {}, next);
+
+            expect(next.mock.calls[0][0]).toBeInstanceOf(NotFoundError);
+            expect(next.mock.calls[0][0].message).toBe('No route for POST /x');
+        });
+    });
+
+    describe('errorHandler', () => {
+        test('should respond with problem+json and correlation id', () => {
+            const res = createRes();
+
+            errorHandler(new NotFoundError('transaction with id 1 not found'), createReq(), res, jest.fn());
+
+            expect(res.status).toHaveBeenCalledWith(404);
+            expect(res.type).toHaveBeenCalledWith('application/problem+json');
+            expect(res.json).toHaveBeenCalledWith({
+                type: '/problems/not-found',
+                title: 'Not Found',
+                status: 404,
+                detail: 'transaction with id 1 not found',
+                instance: '/transactions/1',
+                correlationId: 'req-1'
+            });
+        });
+
+        test('should include validation errors', () => {
+            const res = createRes();
+            const errors = [{ location: 'body', field: 'amount', code: 'type', message: 'must be a number' }];
+
+            errorHandler(new ValidationError(errors), createReq(), res, jest.fn());
+
+            expect(res.json.mock.calls[0][0].errors).toEqual(errors);
+        });
+
+        test('should set Retry-After and log 5xx errors with correlation id', () => {
+            const errorSpy = jest.spyOn(Logger.prototype, 'error');
+            const cause = new Error('ECONNREFUSED');
+            const res = createRes();
+
+            errorHandler(new DatabaseUnavailableError(undefined, { cause, retryAfter: 5 }), createReq(), res, jest.fn());
+
+            expect(res.set).toHaveBeenCalledWith('Retry-After', '5');
+            expect(res.status).toHaveBeenCalledWith(503);
+            expect(errorSpy).toHaveBeenCalledWith('Request failed', {
+                requestId: 'req-1',
+                method: 'GET',
+                path: '/transactions/1',
+                status: 503,
+                err: cause
+            });
+        });
+
+        test('should end response when headers were already sent', () => {
+            const res = createRes();
+            res.headersSent = true;
+
+            errorHandler(new Error('stream failed'), createReq(), res, jest.fn());
+
+            expect(res.end).toHaveBeenCalled();
+            expect(res.json).not.toHaveBeenCalled();
+        });
+    });
+});
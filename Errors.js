@@ -0,0 +1,288 @@
+/**
+ * 애플리케이션 에러 계층
+ * - 서비스/DB 매니저는 이 에러들을 throw 하고, ErrorHandler.js 가 상태 코드와
+ *   RFC 7807 problem+json 응답으로 변환
+ * - message 는 클라이언트에 그대로 노출되므로 내부 정보(SQL, 호스트 등)를 담지 않음
+ */
+class AppError extends Error {
+    /**
+     * @param {string} message - 클라이언트에 노출되는 설명 (problem detail)
+     * @param {Object} [options]
+     * @param {number} [options.status=500] - HTTP 상태 코드
+     * @param {string} [options.type] - problem type 식별자
+     * @param {string} [options.title] - problem title
+     * @param {Error} [options.cause] - 원인 에러 (로그에만 기록)
+     */
+    constructor(message, { status = 500, type = 'internal-error', title = 'Internal Server Error', cause } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.type = type;
+        this.title = title;
+        if (cause) {
+            this.cause = cause;
+        }
+    }
+}
+
+/**
+ * 요청 값 검증 실패 (400: 형식 오류, 422: 의미 오류)
+ */
+class ValidationError extends AppError {
+    /**
+     * @param {Array<{location: string, field: (string|null), code: string, message: string}>} errors
+     * @param {Object} [options]
+     * @param {number} [options.status=400]
+     * @param {string} [options.message]
+     */
+    constructor(errors = [], { status = 400, message = 'Request validation failed', cause } = {}) {
+        super(message, {
+            status,
+            type: 'validation-error',
+            title: status === 422 ? 'Unprocessable Entity' : 'Bad Request',
+            cause
+        });
+        this.errors = errors;
+    }
+}
+
+/**
+ * 인증 필요 또는 인증 정보가 유효하지 않음 (401)
+ */
+class UnauthorizedError extends AppError {
+    /**
+     * @param {string} message
+     * @param {Object} [options]
+     * @param {string} [options.challenge] - WWW-Authenticate 헤더 값
+     * @param {Error} [options.cause]
+     */
+    constructor(message = 'Authentication required', { challenge = 'Bearer', cause } = {}) {
+        super(message, { status: 401, type: 'unauthorized', title: 'Unauthorized', cause });
+        this.challenge = challenge;
+    }
+}
+
+/**
+ * 인증은 되었지만 권한 없음 (403)
+ */
+class ForbiddenError extends AppError {
+    constructor(message = 'You do not have permission to perform this operation') {
+        super(message, { status: 403, type: 'forbidden', title: 'Forbidden' });
+    }
+}
+
+/**
+ * 리소스 없음 (404)
+ */
+class NotFoundError extends AppError {
+    constructor(message = 'Resource not found') {
+        super(message, { status: 404, type: 'not-found', title: 'Not Found' });
+    }
+}
+
+/**
+ * 현재 리소스 상태와 충돌 (409)
+ */
+class ConflictError extends AppError {
+    constructor(message = 'Request conflicts with the current state of the resource', options = {}) {
+        super(message, { status: 409, type: 'conflict', title: 'Conflict', ...options });
+    }
+}
+
+/**
+ * Idempotency-Key 충돌 (409)
+ * - 같은 키를 다른 요청에 재사용 (idempotency-key-reused)
+ * - 같은 키의 요청이 아직 처리 중 (idempotency-key-in-progress, Retry-After 헤더 포함)
+ */
+class IdempotencyConflictError extends ConflictError {
+    /**
+     * @param {string} message
+     * @param {Object} [options]
+     * @param {boolean} [options.inProgress=false] - 처리 중인 요청과 충돌
+     * @param {number} [options.retryAfter] - Retry-After 헤더 값 (초)
+     */
+    constructor(message = 'Idempotency key was already used for a different request', { inProgress = false, retryAfter } = {}) {
+        super(message, { type: inProgress ? 'idempotency-key-in-progress' : 'idempotency-key-reused' });
+        if (retryAfter !== undefined) {
+            this.retryAfter = retryAfter;
+        }
+    }
+}
+
+/**
+ * If-Match 조건 불일치 (412) - 낙관적 동시성 제어 충돌
+ */
+class PreconditionFailedError extends ConflictError {
+    /**
+     * @param {string} message
+     * @param {Object} [details]
+     * @param {number} [details.currentVersion] - 현재 저장된 버전
+     */
+    constructor(message = 'If-Match does not match the current version', { currentVersion } = {}) {
+        super(message, { status: 412, type: 'precondition-failed', title: 'Precondition Failed' });
+        if (currentVersion !== undefined) {
+            this.currentVersion = currentVersion;
+        }
+    }
+}
+
+/**
+ * 본문이 허용 크기 또는 행 수를 초과 (413)
+ */
+class PayloadTooLargeError extends AppError {
+    constructor(message = 'Request body is too large') {
+        super(message, { status: 413, type: 'payload-too-large', title: 'Payload Too Large' });
+    }
+}
+
+/**
+ * 지원하지 않는 본문 형식 (415)
+ */
+class UnsupportedMediaTypeError extends AppError {
+    constructor(message = 'Unsupported content type') {
+        super(message, { status: 415, type: 'unsupported-media-type', title: 'Unsupported Media Type' });
+    }
+}
+
+/**
+ * 데이터베이스에 연결할 수 없음 (503)
+ */
+class DatabaseUnavailableError extends AppError {
+    /**
+     * @param {string} message
+     * @param {Object} [options]
+     * @param {Error} [options.cause]
+     * @param {number} [options.retryAfter] - Retry-After 헤더 값 (초)
+     */
+    constructor(message = 'Database is temporarily unavailable', { cause, retryAfter } = {}) {
+        super(message, { status: 503, type: 'database-unavailable', title: 'Service Unavailable', cause });
+        if (retryAfter !== undefined) {
+            this.retryAfter = retryAfter;
+        }
+    }
+}
+
+/**
+ * RDS IAM 인증 토큰 생성 실패 (503)
+ */
+class AuthTokenError extends DatabaseUnavailableError {
+    constructor(message = 'Could not obtain database authentication token', options = {}) {
+        super(message, options);
+        this.type = 'database-auth-token';
+    }
+}
+
+/**
+ * 시크릿 파일/문서에서 데이터베이스 자격 증명을 읽지 못함 (503)
+ */
+class CredentialsError extends DatabaseUnavailableError {
+    constructor(message = 'Could not obtain database credentials', options = {}) {
+        super(message, options);
+        this.type = 'database-credentials';
+    }
+}
+
+/**
+ * 데이터베이스 장애로 서킷 브레이커가 열려 요청을 즉시 거부 (503)
+ */
+class CircuitOpenError extends DatabaseUnavailableError {
+    /**
+     * @param {string} message
+     * @param {Object} [options]
+     * @param {number} [options.retryAfter] - 다음 연결 시도까지 남은 시간 (초)
+     */
+    constructor(message = 'Database is unavailable; requests are being rejected until it recovers', options = {}) {
+        super(message, options);
+        this.type = 'database-circuit-open';
+    }
+}
+
+// 경합 에러 응답의 Retry-After (초)
+const CONTENTION_RETRY_AFTER_SECONDS = 1;
+
+/**
+ * 데드락/락 대기 시간 초과가 재시도 후에도 계속됨 (503, Retry-After 헤더 포함)
+ * - DB 장애가 아니라 일시적인 경합이므로 서킷 브레이커의 장애로 세지 않음
+ */
+class TransactionContentionError extends DatabaseUnavailableError {
+    constructor(message = 'The request conflicted with concurrent updates; retry later', options = {}) {
+        super(message, { retryAfter: CONTENTION_RETRY_AFTER_SECONDS, ...options });
+        this.type = 'database-contention';
+    }
+}
+
+// 재시도해도 계속되면 경합으로 응답할 MySQL 에러 코드
+const CONTENTION_ERROR_CODES = new Set(['ER_LOCK_DEADLOCK', 'ER_LOCK_WAIT_TIMEOUT']);
+
+// 연결 자체가 불가능한 경우의 MySQL/네트워크 에러 코드
+const CONNECTION_ERROR_CODES = new Set([
+    'ECONNREFUSED',
+    'ECONNRESET',
+    'ETIMEDOUT',
+    'ENOTFOUND',
+    'EHOSTUNREACH',
+    'EPIPE',
+    'PROTOCOL_CONNECTION_LOST',
+    'PROTOCOL_SEQUENCE_TIMEOUT',
+    'ER_CON_COUNT_ERROR',
+    'ER_ACCESS_DENIED_ERROR',
+    'ER_SERVER_SHUTDOWN'
+]);
+
+// 컬럼 범위/길이를 벗어난 값
+const DATA_ERROR_CODES = new Set([
+    'ER_DATA_TOO_LONG',
+    'ER_WARN_DATA_OUT_OF_RANGE',
+    'ER_TRUNCATED_WRONG_VALUE',
+    'ER_TRUNCATED_WRONG_VALUE_FOR_FIELD'
+]);
+
+/**
+ * mysql2 드라이버 에러를 애플리케이션 에러로 변환
+ * - 변환할 수 없는 에러는 그대로 반환 (에러 핸들러에서 500 처리)
+ * @param {Error} err
+ * @returns {Error}
+ */
+function translateDatabaseError(err) {
+    if (!err || err instanceof AppError) {
+        return err;
+    }
+
+    if (CONNECTION_ERROR_CODES.has(err.code) || /Pool is closed/i.test(err.message || '')) {
+        return new DatabaseUnavailableError(undefined, { cause: err });
+    }
+    if (CONTENTION_ERROR_CODES.has(err.code)) {
+        return new TransactionContentionError(undefined, { cause: err });
+    }
+    if (err.code === 'ER_DUP_ENTRY') {
+        return new ConflictError('Resource already exists', { cause: err });
+    }
+    if (DATA_ERROR_CODES.has(err.code)) {
+        return new ValidationError([], {
+            status: 422,
+            message: 'A value is out of range for its column',
+            cause: err
+        });
+    }
+
+    return err;
+}
+
+module.exports = {
+    AppError,
+    ValidationError,
+    UnauthorizedError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+    IdempotencyConflictError,
+    PreconditionFailedError,
+    PayloadTooLargeError,
+    UnsupportedMediaTypeError,
+    DatabaseUnavailableError,
+    AuthTokenError,
+    CredentialsError,
+    CircuitOpenError,
+    TransactionContentionError,
+    translateDatabaseError
+};
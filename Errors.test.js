@@ -0,0 +1,106 @@
+const {
+    AppError,
+    ValidationError,
+    UnauthorizedError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+    IdempotencyConflictError,
+    PreconditionFailedError,
+    PayloadTooLargeError,
+    UnsupportedMediaTypeError,
+    DatabaseUnavailableError,
+    AuthTokenError,
+    CredentialsError,
+    CircuitOpenError,
+    TransactionContentionError,
+    translateDatabaseError
+} = require('./Errors');
+
+describe('Errors', () => {
+    describe('error hierarchy', () => {
+        test.each([
+            [new ValidationError(), 400, 'validation-error'],
+            [new ValidationError([], { status: 422 }), 422, 'validation-error'],
+            [new UnauthorizedError(), 401, 'unauthorized'],
+            [new ForbiddenError(), 403, 'forbidden'],
+            [new NotFoundError(), 404, 'not-found'],
+            [new ConflictError(), 409, 'conflict'],
+            [new IdempotencyConflictError(), 409, 'idempotency-key-reused'],
+            [new IdempotencyConflictError('busy', { inProgress: true }), 409, 'idempotency-key-in-progress'],
+            [new PreconditionFailedError(), 412, 'precondition-failed'],
+            [new PayloadTooLargeError(), 413, 'payload-too-large'],
+            [new UnsupportedMediaTypeError(), 415, 'unsupported-media-type'],
+            [new DatabaseUnavailableError(), 503, 'database-unavailable'],
+            [new AuthTokenError(), 503, 'database-auth-token'],
+            [new CredentialsError(), 503, 'database-credentials'],
+            [new CircuitOpenError(), 503, 'database-circuit-open'],
+            [new TransactionContentionError(), 503, 'database-contention']
+        ])('%p should map to status %i', (error, status, type) => {
+            expect(error).toBeInstanceOf(AppError);
+            expect(error).toBeInstanceOf(Error);
+            expect(error.status).toBe(status);
+            expect(error.type).toBe(type);
+            expect(error.name).toBe(error.constructor.name);
+        });
+
+        test('should keep subclass relationships', () => {
+            expect(new PreconditionFailedError()).toBeInstanceOf(ConflictError);
+            expect(new IdempotencyConflictError()).toBeInstanceOf(ConflictError);
+            expect(new IdempotencyConflictError('busy', { inProgress: true, retryAfter: 1 }).retryAfter).toBe(1);
+            expect(new AuthTokenError()).toBeInstanceOf(DatabaseUnavailableError);
+            expect(new CredentialsError()).toBeInstanceOf(DatabaseUnavailableError);
+            expect(new CircuitOpenError()).toBeInstanceOf(DatabaseUnavailableError);
+            expect(new CircuitOpenError(undefined, { retryAfter: 5 }).retryAfter).toBe(5);
+            expect(new TransactionContentionError()).toBeInstanceOf(DatabaseUnavailableError);
+            expect(new TransactionContentionError().retryAfter).toBe(1);
+        });
+    });
+
+    describe('translateDatabaseError', () => {
+        test.each([
+            'ECONNREFUSED',
+            'PROTOCOL_CONNECTION_LOST',
+            'ER_ACCESS_DENIED_ERROR',
+            'ER_CON_COUNT_ERROR'
+        ])('should map %s to DatabaseUnavailableError', (code) => {
+            const cause = Object.assign(new Error('raw driver message'), { code });
+
+            const error = translateDatabaseError(cause);
+
+            expect(error).toBeInstanceOf(DatabaseUnavailableError);
+            expect(error.cause).toBe(cause);
+            expect(error.message).not.toContain('raw driver message');
+        });
+
+        test.each(['ER_LOCK_DEADLOCK', 'ER_LOCK_WAIT_TIMEOUT'])('should map %s to a 503 contention error with Retry-After', (code) => {
+            const cause = Object.assign(new Error('Deadlock found when trying to get lock'), { code });
+
+            const error = translateDatabaseError(cause);
+
+            expect(error).toBeInstanceOf(TransactionContentionError);
+            expect(error.status).toBe(503);
+            expect(error.retryAfter).toBe(1);
+            expect(error.cause).toBe(cause);
+        });
+
+        test('should map closed pool errors to DatabaseUnavailableError', () => {
+            expect(translateDatabaseError(new Error('Pool is closed.'))).toBeInstanceOf(DatabaseUnavailableError);
+        });
+
+        test('should map duplicate and data errors', () => {
+            expect(translateDatabaseError(Object.assign(new Error(), { code: 'ER_DUP_ENTRY' })))
+                .toBeInstanceOf(ConflictError);
+            expect(translateDatabaseError(Object.assign(new Error(), { code: 'ER_DATA_TOO_LONG' })).status)
+                .toBe(422);
+        });
+
+        test('should return application and unknown errors unchanged', () => {
+            const appError = new NotFoundError();
+            const unknown = Object.assign(new Error('syntax'), { code: 'ER_PARSE_ERROR' });
+
+            expect(translateDatabaseError(appError)).toBe(appError);
+            expect(translateDatabaseError(unknown)).toBe(unknown);
+        });
+    });
+});
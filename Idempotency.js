@@ -0,0 +1,238 @@
+const crypto = require('crypto');
+const { getInstance } = require('./RdsIamAuth');
+const { ValidationError, IdempotencyConflictError, translateDatabaseError } = require('./Errors');
+const { asyncHandler } = require('./ErrorHandler');
+const { logger: rootLogger } = require('./Logger');
+const { getConfig } = require('./Config');
+
+const logger = rootLogger.child({ component: 'Idempotency' });
+
+/**
+ * Idempotency-Key 헤더 처리 (idempotency_keys 테이블)
+ * - 키는 테넌트별로 저장하고, 처음 처리한 요청의 지문(메서드, 경로, 검증된 본문)과 응답(2xx)을 함께 보관
+ * - 같은 키 + 같은 요청: 저장된 응답을 그대로 재전송 (Idempotent-Replayed: true)
+ * - 같은 키 + 다른 요청: 409
+ * - 같은 키의 요청이 아직 처리 중: 409 + Retry-After (PRIMARY KEY 로 동시 요청 중 하나만 선점)
+ * - 핸들러가 completeInTransaction() 훅을 쓰면 완료 상태를 추가와 같은 DB 트랜잭션에서 저장
+ *   (저장에 실패하면 추가도 롤백되어 에러 응답이 나가고 키가 해제됨)
+ * - 응답이 2xx 가 아니면 키를 해제해 같은 키로 다시 시도할 수 있음
+ * - 키는 IDEMPOTENCY_KEY_TTL_SECONDS (기본 24시간) 후 만료되며, 새 키를 선점할 때 만료된 키를 함께 정리
+ *
+ * 처리 도중 프로세스가 종료되면 키는 만료될 때까지 처리 중으로 남음
+ * (이미 반영되었을 수 있는 요청을 다시 실행하지 않기 위해 자동으로 해제하지 않음)
+ */
+
+const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+const REPLAYED_HEADER = 'Idempotent-Replayed';
+
+// 키 형식 (공백/제어 문자를 제외한 ASCII, 클라이언트가 UUID 등을 사용)
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+// 처리 중인 키로 재시도할 때 안내할 대기 시간 (초)
+const IN_PROGRESS_RETRY_AFTER_SECONDS = 1;
+
+// 키를 선점할 때 함께 삭제할 만료된 키의 최대 수
+const EXPIRED_SWEEP_LIMIT = 100;
+
+// 재전송할 때 함께 돌려줄 응답 헤더
+const STORED_RESPONSE_HEADERS = ['Location', 'ETag'];
+
+/**
+ * 요청 지문 (같은 키를 다른 요청에 재사용했는지 판단)
+ * @param {string} method
+ * @param {string} path
+ * @param {Object} body - 검증/정규화된 본문 (req.validated.body)
+ * @returns {string} SHA-256 16진수
+ */
+function requestFingerprint(method, path, body) {
+    return crypto.createHash('sha256')
+        .update(JSON.stringify([method.toUpperCase(), path, body === undefined ? null : body]))
+        .digest('hex');
+}
+
+/**
+ * 키 선점
+ * - 만료된 같은 키는 먼저 삭제 (만료 후에는 새 요청으로 취급)
+ * - 이미 있으면 저장된 행을 반환
+ * @param {{tenantId: string, key: string, fingerprint: string, ttlSeconds: number}} claim
+ * @returns {Promise<(Object|null)>} 새로 선점했으면 null, 아니면 기존 행
+ */
+async function claimKey({ tenantId, key, fingerprint, ttlSeconds }) {
+    const manager = getInstance();
+
+    await manager.query(
+        'DELETE FROM `idempotency_keys` WHERE `tenant_id` = ? AND `idempotency_key` = ? AND `expires_at` <= CURRENT_TIMESTAMP(3)',
+        [tenantId, key]
+    );
+
+    try {
+        await manager.query(
+            'INSERT INTO `idempotency_keys` (`tenant_id`, `idempotency_key`, `fingerprint`, `expires_at`)'
+            + ' VALUES (?, ?, ?, CURRENT_TIMESTAMP(3) + INTERVAL ? SECOND)',
+            [tenantId, key, fingerprint, ttlSeconds]
+        );
+    } catch (err) {
+        // manager.query() 는 중복 키 에러를 ConflictError 로 변환 (원본은 cause)
+        if (!(err.cause && err.cause.code === 'ER_DUP_ENTRY')) {
+            throw err;
+        }
+
+        const [rows] = await manager.query(
+            'SELECT `fingerprint`, `status`, `response_status`, `response_headers`, `response_body` FROM `idempotency_keys`'
+            + ' WHERE `tenant_id` = ? AND `idempotency_key` = ?',
+            [tenantId, key]
+        );
+        // 조회 전에 만료되어 삭제되었으면 처리 중으로 취급 (클라이언트가 다시 시도)
+        return rows[0] || { fingerprint, status: 'processing' };
+    }
+
+    await manager.query(
+        'DELETE FROM `idempotency_keys` WHERE `expires_at` <= CURRENT_TIMESTAMP(3) ORDER BY `expires_at` LIMIT ?',
+        [EXPIRED_SWEEP_LIMIT]
+    );
+    return null;
+}
+
+/**
+ * 처리 결과 저장 (2xx 응답의 상태 코드, 일부 헤더, 본문)
+ * @param {Object} manager - 쿼리를 실행할 DB 매니저 또는 DB 트랜잭션(tx)
+ * @param {{tenantId: string, key: string}} claim
+ * @param {{status: number, headers: Object, body: *}} response
+ */
+async function completeKey(manager, { tenantId, key }, { status, headers = {}, body }) {
+    const stored = {};
+    for (const name of STORED_RESPONSE_HEADERS) {
+        if (headers[name] !== undefined) {
+            stored[name] = headers[name];
+        }
+    }
+
+    await manager.query(
+        "UPDATE `idempotency_keys` SET `status` = 'completed', `response_status` = ?, `response_headers` = ?, `response_body` = ?"
+        + ' WHERE `tenant_id` = ? AND `idempotency_key` = ?',
+        [status, JSON.stringify(stored), JSON.stringify(body === undefined ? null : body), tenantId, key]
+    );
+}
+
+/**
+ * 키 해제 (실패한 요청은 같은 키로 다시 시도할 수 있도록 삭제)
+ */
+async function releaseKey({ tenantId, key }) {
+    await getInstance().query(
+        "DELETE FROM `idempotency_keys` WHERE `tenant_id` = ? AND `idempotency_key` = ? AND `status` = 'processing'",
+        [tenantId, key]
+    );
+}
+
+/**
+ * 선점한 키를 DB 트랜잭션 안에서 완료 상태로 저장하는 훅 (ServiceContext.beforeCommit)
+ * - 핸들러가 보낼 응답을 서비스 결과로 미리 만들어 추가와 함께 커밋
+ * @param {Object} req - idempotent() 를 거친 요청
+ * @param {function(*): {status: number, headers: Object, body: *}} toResponse - 서비스 결과로 응답을 만드는 함수
+ * @returns {(function(Object, *): Promise<void>|undefined)} 키가 없는 요청이면 undefined
+ */
+function completeInTransaction(req, toResponse) {
+    const claim = req.idempotencyClaim;
+    if (!claim) {
+        return undefined;
+    }
+
+    return async (tx, result) => {
+        await completeKey(tx, claim, toResponse(result));
+        // 커밋이 실패하면 에러 응답으로 키가 해제됨 (롤백되어 다시 처리 중 상태)
+        claim.completed = true;
+    };
+}
+
+/**
+ * Idempotency-Key 미들웨어 (validate() 뒤에 등록, 헤더가 없으면 그대로 통과)
+ * - 핸들러의 res.json() 을 가로채 아직 저장하지 않은 2xx 응답을 저장한 뒤 전송
+ * - 저장에 실패하면 키가 처리 중으로 남지 않도록 해제 (응답은 그대로 전송)
+ * @returns {Function} Express 미들웨어
+ */
+function idempotent() {
+    return asyncHandler(async (req, res, next) => {
+        const key = req.get(IDEMPOTENCY_HEADER);
+        if (key === undefined) {
+            return next();
+        }
+        if (!KEY_PATTERN.test(key)) {
+            throw new ValidationError([{
+                location: 'headers',
+                field: IDEMPOTENCY_HEADER,
+                code: 'type',
+                message: 'must be 1-255 visible ASCII characters'
+            }]);
+        }
+
+        const claim = {
+            tenantId: req.user.tenantId,
+            key,
+            fingerprint: requestFingerprint(req.method, req.baseUrl + req.path, req.validated && req.validated.body),
+            ttlSeconds: getConfig().idempotency.ttlSeconds
+        };
+
+        let existing;
+        try {
+            existing = await claimKey(claim);
+        } catch (err) {
+            logger.error('Error claiming idempotency key', { err });
+            throw translateDatabaseError(err);
+        }
+
+        if (existing) {
+            if (existing.fingerprint !== claim.fingerprint) {
+                throw new IdempotencyConflictError('Idempotency key was already used for a different request');
+            }
+            if (existing.status !== 'completed') {
+                throw new IdempotencyConflictError('A request with this idempotency key is still being processed', {
+                    inProgress: true,
+                    retryAfter: IN_PROGRESS_RETRY_AFTER_SECONDS
+                });
+            }
+
+            logger.info('Replaying idempotent response', { status: existing.response_status });
+            res.set({ ...existing.response_headers, [REPLAYED_HEADER]: 'true' });
+            return res.status(existing.response_status).json(existing.response_body);
+        }
+
+        req.idempotencyClaim = claim;
+
+        // 응답 전에 결과를 저장하거나 키를 해제 (에러 응답도 ErrorHandler 가 res.json() 으로 전송)
+        // 클라이언트 연결이 먼저 끊겨도 핸들러는 계속 실행되므로 그때 키를 해제하지 않음
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            res.json = json;
+
+            const success = res.statusCode >= 200 && res.statusCode < 300;
+            if (success && claim.completed) {
+                return json(body);
+            }
+
+            const headers = {};
+            for (const name of STORED_RESPONSE_HEADERS) {
+                headers[name] = res.get(name);
+            }
+            const settle = success
+                ? completeKey(getInstance(), claim, { status: res.statusCode, headers, body }).catch((err) => {
+                    logger.error('Error saving idempotency key result; releasing the key', { err });
+                    return releaseKey(claim);
+                })
+                : releaseKey(claim);
+            settle
+                .catch(err => logger.error('Error releasing idempotency key', { success, err }))
+                .finally(() => json(body));
+            return res;
+        };
+
+        return next();
+    });
+}
+
+module.exports = {
+    IDEMPOTENCY_HEADER,
+    REPLAYED_HEADER,
+    requestFingerprint,
+    idempotent,
+    completeInTransaction
+};
@@ -0,0 +1,246 @@
+jest.mock('./RdsIamAuth');
+
+const { getInstance } = require('./RdsIamAuth');
+const { idempotent, completeInTransaction, requestFingerprint } = require('./Idempotency');
+const { ConflictError, ValidationError, IdempotencyConflictError } = require('./Errors');
+const { resetConfig } = require('./Config');
+
+describe('Idempotency', () => {
+    const originalEnv = process.env;
+    let mockDbManager;
+
+    const body = { amount: 100, description: 'Coffee' };
+    const fingerprint = requestFingerprint('POST', '/transaction', body);
+
+    const createReq = key => ({
+        method: 'POST',
+        baseUrl: '',
+        path: '/transaction',
+        user: { tenantId: 'tenant-a' },
+        validated: { body },
+        get: name => (name === 'Idempotency-Key' ? key : undefined)
+    });
+
+    const createRes = () => {
+        const res = { statusCode: 200, headers: {} };
+        res.get = name => res.headers[name];
+        res.set = jest.fn((headers) => Object.assign(res.headers, headers));
+        res.status = jest.fn((code) => {
+            res.statusCode = code;
+            return res;
+        });
+        res.json = jest.fn().mockReturnValue(res);
+        // 미들웨어가 res.json 을 바꿔도 실제 전송을 확인할 수 있도록 보관
+        res.send = res.json;
+        return res;
+    };
+
+    // 미들웨어가 next() 를 호출하거나 응답을 보낼 때까지 실행
+    const run = (req, res) => new Promise((resolve) => {
+        res.send.mockImplementation(() => {
+            resolve({ sent: true });
+            return res;
+        });
+        idempotent()(req, res, err => resolve({ err }));
+    });
+
+    // 가로챈 res.json() 이 원래 json 으로 전송할 때까지 대기
+    const respond = (res, status, payload) => new Promise((resolve) => {
+        res.send.mockImplementation(() => {
+            resolve();
+            return res;
+        });
+        res.status(status);
+        res.json(payload);
+    });
+
+    const duplicateKeyError = () => new ConflictError('Resource already exists', {
+        cause: Object.assign(new Error('Duplicate entry'), { code: 'ER_DUP_ENTRY' })
+    });
+
+    beforeEach(() => {
+        process.env = { ...originalEnv };
+        resetConfig();
+        mockDbManager = { query: jest.fn().mockResolvedValue([{ affectedRows: 1 }]) };
+        getInstance.mockReturnValue(mockDbManager);
+    });
+
+    afterEach(() => {
+        process.env = originalEnv;
+        resetConfig();
+    });
+
+    describe('requestFingerprint', () => {
+        test('should depend on the method, path and body', () => {
+            expect(requestFingerprint('post', '/transaction', { ...body })).toBe(fingerprint);
+            expect(requestFingerprint('POST', '/transaction', { ...body, amount: 101 })).not.toBe(fingerprint);
+            expect(requestFingerprint('POST', '/transactions', body)).not.toBe(fingerprint);
+            expect(fingerprint).toMatch(/^[0-9a-f]{64}$/);
+        });
+    });
+
+    test('should pass through requests without the header', async () => {
+        const result = await run(createReq(undefined), createRes());
+
+        expect(result).toEqual({ err: undefined });
+        expect(mockDbManager.query).not.toHaveBeenCalled();
+    });
+
+    test.each([[''], ['has space'], ['x'.repeat(256)]])('should reject an invalid key %#', async (key) => {
+        const { err } = await run(createReq(key), createRes());
+
+        expect(err).toBeInstanceOf(ValidationError);
+        expect(err.errors[0]).toMatchObject({ location: 'headers', field: 'Idempotency-Key' });
+        expect(mockDbManager.query).not.toHaveBeenCalled();
+    });
+
+    test('should claim a new key with the configured TTL and store the response', async () => {
+        process.env.IDEMPOTENCY_KEY_TTL_SECONDS = '60';
+        resetConfig();
+        const res = createRes();
+
+        expect(await run(createReq('key-1'), res)).toEqual({ err: undefined });
+        expect(mockDbManager.query).toHaveBeenCalledWith(
+            expect.stringContaining('INSERT INTO `idempotency_keys`'),
+            ['tenant-a', 'key-1', fingerprint, 60]
+        );
+
+        res.headers.Location = '/transactions/7';
+        await respond(res, 201, { id: 7 });
+
+        expect(mockDbManager.query).toHaveBeenLastCalledWith(
+            expect.stringContaining("SET `status` = 'completed'"),
+            [201, JSON.stringify({ Location: '/transactions/7' }), JSON.stringify({ id: 7 }), 'tenant-a', 'key-1']
+        );
+        expect(res.send).toHaveBeenCalledWith({ id: 7 });
+    });
+
+    test('should release the key when the request fails', async () => {
+        const res = createRes();
+        await run(createReq('key-1'), res);
+
+        await respond(res, 503, { title: 'Service Unavailable' });
+
+        expect(mockDbManager.query).toHaveBeenLastCalledWith(
+            expect.stringContaining("DELETE FROM `idempotency_keys` WHERE `tenant_id` = ? AND `idempotency_key` = ? AND `status` = 'processing'"),
+            ['tenant-a', 'key-1']
+        );
+    });
+
+    test('should release the key and still send the response when storing the result fails', async () => {
+        const res = createRes();
+        await run(createReq('key-1'), res);
+        mockDbManager.query.mockRejectedValueOnce(new Error('connection lost'));
+
+        await respond(res, 200, { message: 'ok' });
+
+        expect(mockDbManager.query).toHaveBeenLastCalledWith(
+            expect.stringContaining('DELETE FROM `idempotency_keys`'),
+            ['tenant-a', 'key-1']
+        );
+        expect(res.send).toHaveBeenCalledWith({ message: 'ok' });
+    });
+
+    describe('completeInTransaction', () => {
+        const toResponse = row => ({ status: 201, headers: { Location: `/transactions/${row.id}`, 'X-Other': 'x' }, body: row });
+
+        test('should return no hook for requests without a claimed key', () => {
+            expect(completeInTransaction(createReq(undefined), toResponse)).toBeUndefined();
+        });
+
+        test('should store the response in the given transaction and skip storing it again', async () => {
+            const req = createReq('key-1');
+            const res = createRes();
+            await run(req, res);
+            const claimQueries = mockDbManager.query.mock.calls.length;
+            const tx = { query: jest.fn().mockResolvedValue([{ affectedRows: 1 }]) };
+
+            await completeInTransaction(req, toResponse)(tx, { id: 7 });
+            await respond(res, 201, { id: 7 });
+
+            expect(tx.query).toHaveBeenCalledWith(
+                expect.stringContaining("SET `status` = 'completed'"),
+                [201, JSON.stringify({ Location: '/transactions/7' }), JSON.stringify({ id: 7 }), 'tenant-a', 'key-1']
+            );
+            expect(mockDbManager.query).toHaveBeenCalledTimes(claimQueries);
+            expect(res.send).toHaveBeenCalledWith({ id: 7 });
+        });
+
+        test('should release the key when the transaction fails after storing', async () => {
+            const req = createReq('key-1');
+            const res = createRes();
+            await run(req, res);
+            await completeInTransaction(req, toResponse)({ query: jest.fn().mockResolvedValue([{}]) }, { id: 7 });
+
+            // 커밋 실패로 롤백되면 에러 응답이 전송됨
+            await respond(res, 503, { title: 'Service Unavailable' });
+
+            expect(mockDbManager.query).toHaveBeenLastCalledWith(
+                expect.stringContaining('DELETE FROM `idempotency_keys`'),
+                ['tenant-a', 'key-1']
+            );
+        });
+    });
+
+    describe('existing key', () => {
+        const existing = (row) => {
+            mockDbManager.query.mockImplementation(async (sql) => {
+                if (sql.startsWith('INSERT')) {
+                    throw duplicateKeyError();
+                }
+                return sql.startsWith('SELECT') ? [[row]] : [{ affectedRows: 0 }];
+            });
+        };
+
+        test('should replay the stored response', async () => {
+            existing({
+                fingerprint,
+                status: 'completed',
+                response_status: 201,
+                response_headers: { Location: '/transactions/7' },
+                response_body: { id: 7 }
+            });
+            const res = createRes();
+
+            expect(await run(createReq('key-1'), res)).toEqual({ sent: true });
+            expect(res.statusCode).toBe(201);
+            expect(res.headers).toEqual({ Location: '/transactions/7', 'Idempotent-Replayed': 'true' });
+            expect(res.json).toHaveBeenCalledWith({ id: 7 });
+        });
+
+        test('should reject a key reused for a different request', async () => {
+            existing({ fingerprint: 'other', status: 'completed' });
+
+            const { err } = await run(createReq('key-1'), createRes());
+
+            expect(err).toBeInstanceOf(IdempotencyConflictError);
+            expect(err.type).toBe('idempotency-key-reused');
+            expect(err.status).toBe(409);
+        });
+
+        test('should ask to retry while the first request is in progress', async () => {
+            existing({ fingerprint, status: 'processing' });
+
+            const { err } = await run(createReq('key-1'), createRes());
+
+            expect(err.type).toBe('idempotency-key-in-progress');
+            expect(err.retryAfter).toBe(1);
+        });
+
+        test('should treat a key that expired before the lookup as in progress', async () => {
+            existing(undefined);
+
+            const { err } = await run(createReq('key-1'), createRes());
+
+            expect(err.type).toBe('idempotency-key-in-progress');
+        });
+    });
+
+    test('should surface database errors while claiming', async () => {
+        mockDbManager.query.mockRejectedValue(Object.assign(new Error('timeout'), { code: 'ETIMEDOUT' }));
+
+        const { err } = await run(createReq('key-1'), createRes());
+
+        expect(err.status).toBe(503);
+    });
+});
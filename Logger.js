@@ -0,0 +1,260 @@
+const { getRequestId } = require('./RequestContext');
+const { getConfig } = require('./Config');
+
+/**
+ * 구조화 로거
+ * - 레벨: debug < info < warn < error (silent 는 전부 끔)
+ * - 출력: JSON 한 줄 (LOG_FORMAT=pretty 이면 사람이 읽기 쉬운 형식)
+ * - 요청 처리 중 로그에는 현재 요청의 X-Request-Id 가 requestId 로 자동 포함
+ * - 비밀번호/토큰 등 민감한 키의 값은 [REDACTED] 로 치환
+ *
+ * 환경 변수: LOG_LEVEL (기본 info, 테스트에서는 silent), LOG_FORMAT (json | pretty)
+ */
+
+const LOG_LEVELS = {
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40,
+    silent: 100
+};
+
+const REDACTED = '[REDACTED]';
+
+// 키 이름에 아래 단어가 포함되면 값을 기록하지 않음
+const SENSITIVE_KEY_PATTERN = /pass(word)?|pwd|secret|token|authorization|cookie|api[-_]?key|credential/i;
+
+// 순환 참조나 지나치게 깊은 객체로 로그가 폭주하지 않도록 제한
+const MAX_DEPTH = 8;
+
+/**
+ * 기본 출력 대상 (PM2 가 stdout/stderr 를 out_file/error_file 로 분리)
+ * @param {string} line - 포맷된 로그 한 줄
+ * @param {Object} entry - 원본 로그 엔트리
+ */
+function defaultWrite(line, entry) {
+    const stream = LOG_LEVELS[entry.level] >= LOG_LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${line}\n`);
+}
+
+// 모든 Logger 인스턴스(child 포함)가 공유하는 설정
+const settings = {
+    level: getConfig().log.level,
+    format: getConfig().log.format,
+    write: defaultWrite
+};
+
+/**
+ * 로거 설정 변경 (레벨, 포맷, 출력 대상 교체)
+ * @param {Object} options
+ * @param {string} [options.level]
+ * @param {string} [options.format] - json | pretty
+ * @param {Function} [options.write] - (line, entry) => void
+ * @returns {Object} 변경 전 설정 (복원용)
+ */
+function configure(options = {}) {
+    const previous = { ...settings };
+
+    if (options.level !== undefined) {
+        if (!Object.prototype.hasOwnProperty.call(LOG_LEVELS, options.level)) {
+            throw new Error(`Unknown log level: ${options.level}`);
+        }
+        settings.level = options.level;
+    }
+    if (options.format !== undefined) {
+        if (options.format !== 'json' && options.format !== 'pretty') {
+            throw new Error(`Unknown log format: ${options.format}`);
+        }
+        settings.format = options.format;
+    }
+    if (options.write !== undefined) {
+        settings.write = options.write;
+    }
+
+    return previous;
+}
+
+/**
+ * Error 객체를 JSON 으로 기록 가능한 형태로 변환 (cause 포함)
+ * @param {Error} err
+ * @returns {Object}
+ */
+function serializeError(err, depth = 0) {
+    const serialized = {
+        name: err.name,
+        message: err.message
+    };
+    if (err.code !== undefined) {
+        serialized.code = err.code;
+    }
+    if (err.status !== undefined) {
+        serialized.status = err.status;
+    }
+    if (err.stack) {
+        serialized.stack = err.stack;
+    }
+    if (err.cause && depth < MAX_DEPTH) {
+        serialized.cause = err.cause instanceof Error
+            ? serializeError(err.cause, depth + 1)
+            : redact(err.cause, depth + 1);
+    }
+    return serialized;
+}
+
+/**
+ * 민감한 키의 값을 가린 복사본 반환
+ * @param {any} value
+ * @returns {any}
+ */
+function redact(value, depth = 0, seen = new WeakSet()) {
+    if (value instanceof Error) {
+        return serializeError(value, depth);
+    }
+    if (value === null || typeof value !== 'object') {
+        return typeof value === 'bigint' ? value.toString() : value;
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    if (Buffer.isBuffer(value)) {
+        return `[Buffer ${value.length} bytes]`;
+    }
+    if (seen.has(value)) {
+        return '[Circular]';
+    }
+    if (depth >= MAX_DEPTH) {
+        return '[Truncated]';
+    }
+
+    seen.add(value);
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, depth + 1, seen));
+    }
+
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+        result[key] = SENSITIVE_KEY_PATTERN.test(key) ? REDACTED : redact(item, depth + 1, seen);
+    }
+    return result;
+}
+
+/**
+ * 로그 엔트리를 한 줄 문자열로 변환
+ */
+function formatEntry(entry) {
+    if (settings.format === 'pretty') {
+        const { time, level, message, requestId, ...fields } = entry;
+        const prefix = requestId ? ` [${requestId}]` : '';
+        const suffix = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+        return `${time} ${level.toUpperCase().padEnd(5)}${prefix} ${message}${suffix}`;
+    }
+    return JSON.stringify(entry);
+}
+
+class Logger {
+    /**
+     * @param {Object} [bindings] - 모든 로그에 포함할 고정 필드 (예: { component: 'RdsIamAuth' })
+     */
+    constructor(bindings = {}) {
+        this.bindings = bindings;
+    }
+
+    /**
+     * 고정 필드를 추가한 하위 로거 생성 (설정은 공유)
+     * @param {Object} bindings
+     * @returns {Logger}
+     */
+    child(bindings) {
+        return new Logger({ ...this.bindings, ...bindings });
+    }
+
+    /**
+     * @param {string} level
+     * @returns {boolean}
+     */
+    isLevelEnabled(level) {
+        return LOG_LEVELS[level] >= LOG_LEVELS[settings.level];
+    }
+
+    /**
+     * @param {string} level
+     * @param {string} message
+     * @param {Object} [fields] - 추가 필드 (err 키의 Error 는 직렬화됨)
+     */
+    log(level, message, fields = {}) {
+        if (!this.isLevelEnabled(level)) {
+            return;
+        }
+
+        const requestId = fields.requestId || getRequestId();
+        const entry = {
+            time: new Date().toISOString(),
+            level,
+            message,
+            ...(requestId ? { requestId } : {}),
+            ...redact({ ...this.bindings, ...fields })
+        };
+
+        try {
+            settings.write(formatEntry(entry), entry);
+        } catch (err) {
+            // 로깅 실패로 요청 처리가 중단되지 않도록 무시
+        }
+    }
+
+    debug(message, fields) {
+        this.log('debug', message, fields);
+    }
+
+    info(message, fields) {
+        this.log('info', message, fields);
+    }
+
+    warn(message, fields) {
+        this.log('warn', message, fields);
+    }
+
+    error(message, fields) {
+        this.log('error', message, fields);
+    }
+}
+
+// 애플리케이션 공용 루트 로거
+const logger = new Logger();
+
+// 주기적으로 호출되는 헬스 체크와 메트릭 수집은 debug 로만 기록
+const QUIET_PATHS = /^\/(health|metrics)(\/|$)/;
+
+/**
+ * 요청 완료 로그 미들웨어 (요청 본문은 기록하지 않음)
+ */
+function requestLogger(req, res, next) {
+    const startedAt = process.hrtime.bigint();
+
+    res.on('finish', () => {
+        const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+        const level = QUIET_PATHS.test(req.path) ? 'debug' : 'info';
+
+        logger.log(level, 'request completed', {
+            requestId: req.id,
+            method: req.method,
+            path: req.originalUrl,
+            status: res.statusCode,
+            durationMs: Math.round(durationMs * 10) / 10,
+            // 인증된 요청이면 호출자 (Auth.js 에서 req.user 설정)
+            actor: req.user ? `${req.user.type}:${req.user.id}` : undefined
+        });
+    });
+
+    next();
+}
+
+module.exports = {
+    LOG_LEVELS,
+    Logger,
+    logger,
+    configure,
+    redact,
+    serializeError,
+    requestLogger
+};
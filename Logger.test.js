@@ -0,0 +1,166 @@
+const { Logger, logger, configure, redact, serializeError } = require('./Logger');
+const { requestContext } = require('./RequestContext');
+
+describe('Logger', () => {
+    let lines;
+    let entries;
+    let previousSettings;
+
+    beforeEach(() => {
+        lines = [];
+        entries = [];
+        previousSettings = configure({
+            level: 'info',
+            format: 'json',
+            write: (line, entry) => {
+                lines.push(line);
+                entries.push(entry);
+            }
+        });
+    });
+
+    afterEach(() => {
+        configure(previousSettings);
+    });
+
+    describe('levels', () => {
+        test('should skip entries below the configured level', () => {
+            logger.debug('hidden');
+            logger.info('shown');
+            logger.error('also shown');
+
+            expect(entries.map(entry => entry.message)).toEqual(['shown', 'also shown']);
+        });
+
+        test('should write debug entries when level is debug', () => {
+            configure({ level: 'debug' });
+
+            logger.debug('Connection acquired', { threadId: 7 });
+
+            expect(entries[0]).toMatchObject({ level: 'debug', message: 'Connection acquired', threadId: 7 });
+        });
+
+        test('should write nothing when silent', () => {
+            configure({ level: 'silent' });
+
+            logger.error('nothing');
+
+            expect(entries).toHaveLength(0);
+        });
+
+        test('should reject unknown levels and formats', () => {
+            expect(() => configure({ level: 'verbose' })).toThrow('Unknown log level: verbose');
+            expect(() => configure({ format: 'xml' })).toThrow('Unknown log format: xml');
+        });
+    });
+
+    describe('output', () => {
+        test('should write one JSON line per entry', () => {
+            logger.info('Transaction added', { id: 1 });
+
+            const parsed = JSON.parse(lines[0]);
+            expect(parsed).toMatchObject({ level: 'info', message: 'Transaction added', id: 1 });
+            expect(new Date(parsed.time).toISOString()).toBe(parsed.time);
+        });
+
+        test('should write pretty lines when format is pretty', () => {
+            configure({ format: 'pretty' });
+
+            logger.warn('Slow query', { durationMs: 1200 });
+
+            expect(lines[0]).toMatch(/^\S+ WARN  Slow query \{"durationMs":1200\}$/);
+        });
+
+        test('should include child bindings', () => {
+            const child = logger.child({ component: 'RdsIamAuth' }).child({ pool: 'primary' });
+
+            child.info('Creating new connection pool');
+
+            expect(child).toBeInstanceOf(Logger);
+            expect(entries[0]).toMatchObject({ component: 'RdsIamAuth', pool: 'primary' });
+        });
+
+        test('should not throw when the writer fails', () => {
+            configure({ write: () => { throw new Error('EPIPE'); } });
+
+            expect(() => logger.error('still fine')).not.toThrow();
+        });
+    });
+
+    describe('request correlation', () => {
+        test('should include the current request id', (done) => {
+            const req = { get: () => 'req-42' };
+            const res = { set: jest.fn() };
+
+            requestContext(req, res, async () => {
+                await Promise.resolve();
+                logger.info('inside request');
+
+                expect(entries[0].requestId).toBe('req-42');
+                done();
+            });
+        });
+
+        test('should omit request id outside of a request', () => {
+            logger.info('startup');
+
+            expect(entries[0]).not.toHaveProperty('requestId');
+        });
+    });
+
+    describe('redact', () => {
+        test('should hide sensitive keys at any depth', () => {
+            expect(redact({
+                user: 'admin',
+                password: 'p@ss',
+                DB_PWD: 'x',
+                headers: { Authorization: 'Bearer abc', cookie: 'sid=1' },
+                pool: { currentToken: 'iam-token', apiKey: 'k' },
+                items: [{ clientSecret: 's', id: 1 }]
+            })).toEqual({
+                user: 'admin',
+                password: '[REDACTED]',
+                DB_PWD: '[REDACTED]',
+                headers: { Authorization: '[REDACTED]', cookie: '[REDACTED]' },
+                pool: { currentToken: '[REDACTED]', apiKey: '[REDACTED]' },
+                items: [{ clientSecret: '[REDACTED]', id: 1 }]
+            });
+        });
+
+        test('should redact fields passed to the logger', () => {
+            logger.info('Creating pool', { host: 'db', password: 'hunter2' });
+
+            expect(lines[0]).not.toContain('hunter2');
+            expect(entries[0].password).toBe('[REDACTED]');
+        });
+
+        test('should handle circular references', () => {
+            const value = { name: 'a' };
+            value.self = value;
+
+            expect(redact(value)).toEqual({ name: 'a', self: '[Circular]' });
+        });
+    });
+
+    describe('serializeError', () => {
+        test('should keep name, message, code and cause', () => {
+            const cause = Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+            const error = new Error('Database is temporarily unavailable', { cause });
+
+            const serialized = serializeError(error);
+
+            expect(serialized).toMatchObject({
+                name: 'Error',
+                message: 'Database is temporarily unavailable',
+                cause: { message: 'connect ECONNREFUSED', code: 'ECONNREFUSED' }
+            });
+            expect(serialized.stack).toContain('Database is temporarily unavailable');
+        });
+
+        test('should serialize errors passed as err', () => {
+            logger.error('Error adding transaction', { err: new Error('boom') });
+
+            expect(entries[0].err).toMatchObject({ name: 'Error', message: 'boom' });
+        });
+    });
+});
@@ -0,0 +1,334 @@
+/**
+ * Prometheus 메트릭 (텍스트 노출 형식 0.0.4)
+ * - Counter / Gauge / Histogram 과 이를 모아 출력하는 Registry
+ * - 각 모듈은 자신이 기록하는 메트릭을 기본 registry 에 등록해 사용
+ * - Gauge 의 collect 콜백은 스크레이프 시점에 호출되어 현재 값을 채움
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// 초 단위 지연 시간용 기본 버킷
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const METRIC_NAME_PATTERN = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+const LABEL_NAME_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function escapeHelp(text) {
+    return text.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    if (Number.isNaN(value)) return 'NaN';
+    return String(value);
+}
+
+/**
+ * {a="1",b="2"} 형식의 레이블 문자열
+ * @param {Object} labels
+ * @returns {string}
+ */
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+class Metric {
+    /**
+     * @param {Object} options
+     * @param {string} options.name
+     * @param {string} options.help
+     * @param {Array<string>} [options.labelNames]
+     * @param {Function} [options.collect] - 스크레이프 직전에 호출 (this 는 메트릭)
+     * @param {Registry|null} [options.registry] - 기본값은 공용 registry, null 이면 등록하지 않음
+     */
+    constructor({ name, help, labelNames = [], collect, registry }) {
+        if (!METRIC_NAME_PATTERN.test(name)) {
+            throw new Error(`Invalid metric name: ${name}`);
+        }
+        for (const labelName of labelNames) {
+            if (!LABEL_NAME_PATTERN.test(labelName) || labelName === 'le') {
+                throw new Error(`Invalid label name for ${name}: ${labelName}`);
+            }
+        }
+
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.collectCallback = collect;
+        this.values = new Map();
+
+        const target = registry === undefined ? defaultRegistry : registry;
+        if (target) {
+            target.register(this);
+        }
+    }
+
+    /**
+     * 레이블 값 검증 후 내부 키 생성 (선언된 레이블만 허용)
+     * @returns {{key: string, labels: Object}}
+     */
+    resolveLabels(labels = {}) {
+        for (const name of Object.keys(labels)) {
+            if (!this.labelNames.includes(name)) {
+                throw new Error(`Unknown label "${name}" for metric ${this.name}`);
+            }
+        }
+        const resolved = {};
+        for (const name of this.labelNames) {
+            resolved[name] = labels[name] === undefined ? '' : String(labels[name]);
+        }
+        return { key: JSON.stringify(this.labelNames.map(name => resolved[name])), labels: resolved };
+    }
+
+    reset() {
+        this.values.clear();
+    }
+
+    async collect() {
+        if (this.collectCallback) {
+            await this.collectCallback.call(this);
+        }
+    }
+
+    header() {
+        return `# HELP ${this.name} ${escapeHelp(this.help)}\n# TYPE ${this.name} ${this.type}\n`;
+    }
+}
+
+class Counter extends Metric {
+    get type() {
+        return 'counter';
+    }
+
+    /**
+     * @param {Object} [labels]
+     * @param {number} [value=1]
+     */
+    inc(labels = {}, value = 1) {
+        if (value < 0) {
+            throw new Error(`Counter ${this.name} cannot be decreased`);
+        }
+        const { key, labels: resolved } = this.resolveLabels(labels);
+        const entry = this.values.get(key) || { labels: resolved, value: 0 };
+        entry.value += value;
+        this.values.set(key, entry);
+    }
+
+    /**
+     * 현재 값 (테스트/디버깅용)
+     */
+    get(labels = {}) {
+        const entry = this.values.get(this.resolveLabels(labels).key);
+        return entry ? entry.value : 0;
+    }
+
+    serialize() {
+        let text = this.header();
+        for (const { labels, value } of this.values.values()) {
+            text += `${this.name}${formatLabels(labels)} ${formatValue(value)}\n`;
+        }
+        return text;
+    }
+}
+
+class Gauge extends Counter {
+    get type() {
+        return 'gauge';
+    }
+
+    set(labels = {}, value) {
+        const { key, labels: resolved } = this.resolveLabels(labels);
+        this.values.set(key, { labels: resolved, value });
+    }
+
+    inc(labels = {}, value = 1) {
+        const { key, labels: resolved } = this.resolveLabels(labels);
+        const entry = this.values.get(key) || { labels: resolved, value: 0 };
+        entry.value += value;
+        this.values.set(key, entry);
+    }
+
+    dec(labels = {}, value = 1) {
+        this.inc(labels, -value);
+    }
+}
+
+class Histogram extends Metric {
+    /**
+     * @param {Object} options - Metric 옵션 + buckets (오름차순 상한값)
+     */
+    constructor(options) {
+        super(options);
+        this.buckets = [...(options.buckets || DEFAULT_BUCKETS)].sort((a, b) => a - b);
+    }
+
+    get type() {
+        return 'histogram';
+    }
+
+    /**
+     * @param {Object} labels
+     * @param {number} value - 관측값 (초 단위 권장)
+     */
+    observe(labels = {}, value) {
+        const { key, labels: resolved } = this.resolveLabels(labels);
+        let entry = this.values.get(key);
+        if (!entry) {
+            entry = { labels: resolved, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+            this.values.set(key, entry);
+        }
+
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) {
+                entry.counts[index] += 1;
+            }
+        });
+        entry.sum += value;
+        entry.count += 1;
+    }
+
+    /**
+     * 경과 시간 측정 시작
+     * @param {Object} [labels]
+     * @returns {Function} (추가 레이블) => 경과 초
+     */
+    startTimer(labels = {}) {
+        const startedAt = process.hrtime.bigint();
+        return (endLabels = {}) => {
+            const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+            this.observe({ ...labels, ...endLabels }, seconds);
+            return seconds;
+        };
+    }
+
+    /**
+     * 관측 횟수 (테스트/디버깅용)
+     */
+    getCount(labels = {}) {
+        const entry = this.values.get(this.resolveLabels(labels).key);
+        return entry ? entry.count : 0;
+    }
+
+    serialize() {
+        let text = this.header();
+        for (const { labels, counts, sum, count } of this.values.values()) {
+            this.buckets.forEach((bound, index) => {
+                text += `${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[index]}\n`;
+            });
+            text += `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}\n`;
+            text += `${this.name}_sum${formatLabels(labels)} ${formatValue(sum)}\n`;
+            text += `${this.name}_count${formatLabels(labels)} ${count}\n`;
+        }
+        return text;
+    }
+}
+
+class Registry {
+    constructor() {
+        this.metricsByName = new Map();
+    }
+
+    /**
+     * @param {Metric} metric
+     */
+    register(metric) {
+        if (this.metricsByName.has(metric.name)) {
+            throw new Error(`Metric ${metric.name} is already registered`);
+        }
+        this.metricsByName.set(metric.name, metric);
+    }
+
+    getMetric(name) {
+        return this.metricsByName.get(name);
+    }
+
+    /**
+     * 모든 메트릭 값 초기화 (테스트용)
+     */
+    resetValues() {
+        for (const metric of this.metricsByName.values()) {
+            metric.reset();
+        }
+    }
+
+    /**
+     * Prometheus 텍스트 형식으로 출력
+     * @returns {Promise<string>}
+     */
+    async metrics() {
+        const sections = [];
+        for (const metric of this.metricsByName.values()) {
+            await metric.collect();
+            sections.push(metric.serialize());
+        }
+        return sections.join('');
+    }
+}
+
+const defaultRegistry = new Registry();
+
+// HTTP 요청 메트릭 (route 레이블은 경로 패턴을 사용해 id 별로 시계열이 늘어나지 않도록 함)
+const httpRequestsTotal = new Counter({
+    name: 'http_requests_total',
+    help: 'Total number of HTTP requests',
+    labelNames: ['method', 'route', 'status']
+});
+
+const httpRequestDuration = new Histogram({
+    name: 'http_request_duration_seconds',
+    help: 'HTTP request latency in seconds',
+    labelNames: ['method', 'route', 'status']
+});
+
+/**
+ * 매칭된 라우트 패턴 (예: /transactions/:id), 매칭되지 않으면 unmatched
+ */
+function routeLabel(req) {
+    if (req.route && req.route.path) {
+        return `${req.baseUrl || ''}${req.route.path}`;
+    }
+    return 'unmatched';
+}
+
+/**
+ * HTTP 요청 수와 지연 시간을 기록하는 미들웨어
+ */
+function httpMetrics(req, res, next) {
+    const endTimer = httpRequestDuration.startTimer();
+
+    res.on('finish', () => {
+        const labels = { method: req.method, route: routeLabel(req), status: res.statusCode };
+        endTimer(labels);
+        httpRequestsTotal.inc(labels);
+    });
+
+    next();
+}
+
+/**
+ * GET /metrics 핸들러 (index.js 에서 asyncHandler 로 감싸서 등록)
+ */
+async function metricsHandler(req, res) {
+    const body = await defaultRegistry.metrics();
+    res.set('Content-Type', CONTENT_TYPE);
+    res.set('Cache-Control', 'no-store');
+    res.send(body);
+}
+
+module.exports = {
+    CONTENT_TYPE,
+    DEFAULT_BUCKETS,
+    Counter,
+    Gauge,
+    Histogram,
+    Registry,
+    registry: defaultRegistry,
+    httpMetrics,
+    metricsHandler
+};
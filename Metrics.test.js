@@ -0,0 +1,184 @@
+const { Counter, Gauge, Histogram, Registry, registry, httpMetrics, metricsHandler, CONTENT_TYPE } = require('./Metrics');
+
+describe('Metrics', () => {
+    let testRegistry;
+
+    beforeEach(() => {
+        testRegistry = new Registry();
+    });
+
+    describe('Counter', () => {
+        test('should count per label set', async () => {
+            const counter = new Counter({
+                name: 'test_requests_total',
+                help: 'Test requests',
+                labelNames: ['method'],
+                registry: testRegistry
+            });
+
+            counter.inc({ method: 'GET' });
+            counter.inc({ method: 'GET' }, 2);
+            counter.inc({ method: 'POST' });
+
+            expect(counter.get({ method: 'GET' })).toBe(3);
+            expect(await testRegistry.metrics()).toBe(
+                '# HELP test_requests_total Test requests\n' +
+                '# TYPE test_requests_total counter\n' +
+                'test_requests_total{method="GET"} 3\n' +
+                'test_requests_total{method="POST"} 1\n'
+            );
+        });
+
+        test('should reject negative increments and undeclared labels', () => {
+            const counter = new Counter({ name: 'test_total', help: 'Test', labelNames: ['a'], registry: null });
+
+            expect(() => counter.inc({}, -1)).toThrow('cannot be decreased');
+            expect(() => counter.inc({ b: 'x' })).toThrow('Unknown label "b"');
+        });
+
+        test('should escape label values', async () => {
+            const counter = new Counter({
+                name: 'test_escape_total',
+                help: 'Test',
+                labelNames: ['path'],
+                registry: testRegistry
+            });
+
+            counter.inc({ path: 'a"b\\c\nd' });
+
+            expect(await testRegistry.metrics()).toContain('test_escape_total{path="a\\"b\\\\c\\nd"} 1');
+        });
+    });
+
+    describe('Gauge', () => {
+        test('should set, increase and decrease values', () => {
+            const gauge = new Gauge({ name: 'test_gauge', help: 'Test', registry: null });
+
+            gauge.set({}, 5);
+            gauge.inc();
+            gauge.dec({}, 3);
+
+            expect(gauge.get()).toBe(3);
+        });
+
+        test('should call collect before serializing', async () => {
+            let current = 7;
+            new Gauge({
+                name: 'test_collected',
+                help: 'Collected on scrape',
+                registry: testRegistry,
+                collect() {
+                    this.set({}, current);
+                }
+            });
+
+            expect(await testRegistry.metrics()).toContain('test_collected 7\n');
+            current = 9;
+            expect(await testRegistry.metrics()).toContain('test_collected 9\n');
+        });
+    });
+
+    describe('Histogram', () => {
+        test('should write cumulative buckets, sum and count', async () => {
+            const histogram = new Histogram({
+                name: 'test_duration_seconds',
+                help: 'Test durations',
+                labelNames: ['route'],
+                buckets: [0.1, 1],
+                registry: testRegistry
+            });
+
+            histogram.observe({ route: '/a' }, 0.05);
+            histogram.observe({ route: '/a' }, 0.5);
+            histogram.observe({ route: '/a' }, 3);
+
+            expect(await testRegistry.metrics()).toBe(
+                '# HELP test_duration_seconds Test durations\n' +
+                '# TYPE test_duration_seconds histogram\n' +
+                'test_duration_seconds_bucket{route="/a",le="0.1"} 1\n' +
+                'test_duration_seconds_bucket{route="/a",le="1"} 2\n' +
+                'test_duration_seconds_bucket{route="/a",le="+Inf"} 3\n' +
+                'test_duration_seconds_sum{route="/a"} 3.55\n' +
+                'test_duration_seconds_count{route="/a"} 3\n'
+            );
+        });
+
+        test('should observe elapsed time with startTimer', () => {
+            const histogram = new Histogram({
+                name: 'test_timer_seconds',
+                help: 'Test',
+                labelNames: ['operation', 'outcome'],
+                registry: null
+            });
+
+            const end = histogram.startTimer({ operation: 'insert' });
+            const seconds = end({ outcome: 'success' });
+
+            expect(seconds).toBeGreaterThanOrEqual(0);
+            expect(histogram.getCount({ operation: 'insert', outcome: 'success' })).toBe(1);
+        });
+    });
+
+    describe('Registry', () => {
+        test('should reject duplicate metric names', () => {
+            new Counter({ name: 'test_dup_total', help: 'Test', registry: testRegistry });
+
+            expect(() => new Counter({ name: 'test_dup_total', help: 'Test', registry: testRegistry }))
+                .toThrow('Metric test_dup_total is already registered');
+        });
+
+        test('should reject invalid names', () => {
+            expect(() => new Counter({ name: 'bad-name', help: 'Test', registry: null })).toThrow('Invalid metric name');
+            expect(() => new Counter({ name: 'ok', help: 'Test', labelNames: ['le'], registry: null }))
+                .toThrow('Invalid label name');
+        });
+    });
+
+    describe('httpMetrics', () => {
+        const finishRequest = (req, statusCode) => {
+            const listeners = {};
+            const res = {
+                statusCode,
+                on: (event, listener) => { listeners[event] = listener; }
+            };
+            const next = jest.fn();
+
+            httpMetrics(req, res, next);
+            listeners.finish();
+
+            expect(next).toHaveBeenCalled();
+        };
+
+        test('should label requests by route pattern', () => {
+            const requests = registry.getMetric('http_requests_total');
+            const labels = { method: 'GET', route: '/transactions/:id', status: '200' };
+            const before = requests.get(labels);
+
+            finishRequest({ method: 'GET', baseUrl: '', route: { path: '/transactions/:id' } }, 200);
+
+            expect(requests.get(labels)).toBe(before + 1);
+            expect(registry.getMetric('http_request_duration_seconds').getCount(labels)).toBeGreaterThan(0);
+        });
+
+        test('should use unmatched for requests without a route', () => {
+            const requests = registry.getMetric('http_requests_total');
+            const labels = { method: 'GET', route: 'unmatched', status: '404' };
+            const before = requests.get(labels);
+
+            finishRequest({ method: 'GET' }, 404);
+
+            expect(requests.get(labels)).toBe(before + 1);
+        });
+    });
+
+    describe('metricsHandler', () => {
+        test('should respond with the Prometheus text format', async () => {
+            const res = { set: jest.fn(), send: jest.fn() };
+
+            await metricsHandler({}, res);
+
+            expect(res.set).toHaveBeenCalledWith('Content-Type', CONTENT_TYPE);
+            expect(res.send.mock.calls[0][0]).toContain('# TYPE http_requests_total counter');
+        });
+    });
+});
@@ -0,0 +1,323 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { logger: rootLogger } = require('./Logger');
+const { getConfig } = require('./Config');
+
+const logger = rootLogger.child({ component: 'Migrator' });
+
+/**
+ * 마이그레이션 파일 이름 규칙
+ * - NNN_name.js            : up/down 함수를 export 하는 JS 마이그레이션
+ * - NNN_name.up.sql        : SQL 마이그레이션 (적용)
+ * - NNN_name.down.sql      : SQL 마이그레이션 (되돌리기, 선택사항)
+ */
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+?)(?:\.(up|down))?\.(js|sql)$/;
+
+const MIGRATIONS_TABLE = 'schema_migrations';
+
+/**
+ * SQL 파일을 개별 문장으로 분리
+ * - 줄 끝의 세미콜론을 문장 구분자로 사용 (프로시저/트리거 정의는 지원하지 않음)
+ * - `--` 로 시작하는 주석 줄은 제거
+ * @param {string} sql
+ * @returns {Array<string>}
+ */
+function splitSqlStatements(sql) {
+    return sql
+        .split('\n')
+        .filter(line => !line.trim().startsWith('--'))
+        .join('\n')
+        .split(/;\s*(?:\n|$)/)
+        .map(statement => statement.trim())
+        .filter(statement => statement.length > 0);
+}
+
+/**
+ * 버전 관리형 스키마 마이그레이션 실행기
+ * - migrations 디렉토리의 번호 순서대로 적용/되돌리기
+ * - schema_migrations 테이블에 적용 이력 기록
+ * - MySQL GET_LOCK 으로 여러 워커/태스크의 동시 실행 방지
+ */
+class Migrator {
+    /**
+     * @param {Object} options
+     * @param {RdsIamAuthManager} options.dbManager - 초기화된 DB 매니저
+     * @param {string} [options.migrationsDir] - 마이그레이션 디렉토리
+     * @param {number} [options.lockTimeoutSeconds=60] - 잠금 대기 시간 (초)
+     */
+    constructor({ dbManager, migrationsDir, lockTimeoutSeconds } = {}) {
+        if (!dbManager) {
+            throw new Error('Migrator requires a dbManager');
+        }
+
+        this.dbManager = dbManager;
+        this.migrationsDir = migrationsDir || path.join(__dirname, 'migrations');
+        this.lockTimeoutSeconds = lockTimeoutSeconds
+            || getConfig().database.migrationLockTimeoutSeconds;
+
+        // GET_LOCK 은 서버 전역이므로 데이터베이스 이름을 포함
+        const database = (dbManager.config && dbManager.config.database) || 'default';
+        this.lockName = `${MIGRATIONS_TABLE}:${database}`;
+    }
+
+    /**
+     * 마이그레이션 파일 목록 로드 (버전 오름차순)
+     * @returns {Array<{version: number, name: string, checksum: string, up: Function, down: (Function|null)}>}
+     */
+    loadMigrations() {
+        if (!fs.existsSync(this.migrationsDir)) {
+            return [];
+        }
+
+        const byVersion = new Map();
+
+        for (const file of fs.readdirSync(this.migrationsDir).sort()) {
+            const match = MIGRATION_FILE_PATTERN.exec(file);
+            if (!match) {
+                continue;
+            }
+
+            const [, versionText, name, direction, extension] = match;
+            const version = parseInt(versionText, 10);
+            const filePath = path.join(this.migrationsDir, file);
+            const source = fs.readFileSync(filePath, 'utf8');
+
+            const migration = byVersion.get(version) || { version, name, sources: [], up: null, down: null };
+            if (migration.name !== name) {
+                throw new Error(`Conflicting migration names for version ${version}: ${migration.name}, ${name}`);
+            }
+            migration.sources.push(source);
+
+            if (extension === 'js') {
+                if (direction) {
+                    throw new Error(`JS migration must export up/down instead of using .${direction}.js: ${file}`);
+                }
+                const definition = require(filePath);
+                if (typeof definition.up !== 'function') {
+                    throw new Error(`Migration ${file} does not export an up() function`);
+                }
+                migration.up = definition.up;
+                migration.down = typeof definition.down === 'function' ? definition.down : null;
+            } else {
+                if (!direction) {
+                    throw new Error(`SQL migration must be named .up.sql or .down.sql: ${file}`);
+                }
+                const statements = splitSqlStatements(source);
+                migration[direction] = async (connection) => {
+                    for (const statement of statements) {
+                        await connection.query(statement);
+                    }
+                };
+            }
+
+            byVersion.set(version, migration);
+        }
+
+        return [...byVersion.values()]
+            .map(({ sources, ...migration }) => {
+                if (!migration.up) {
+                    throw new Error(`Migration ${migration.version}_${migration.name} has no up migration`);
+                }
+                const checksum = crypto.createHash('sha256').update(sources.join('\n')).digest('hex');
+                return { ...migration, checksum };
+            })
+            .sort((a, b) => a.version - b.version);
+    }
+
+    /**
+     * 전용 커넥션에서 작업 실행 (schema_migrations 테이블 보장)
+     * @param {Function} fn - async (connection) => any
+     * @returns {Promise<any>}
+     */
+    async withConnection(fn) {
+        const connection = await this.dbManager.getConnection();
+
+        try {
+            await this.ensureMigrationsTable(connection);
+            return await fn(connection);
+        } finally {
+            try {
+                connection.release();
+            } catch (err) {
+                // 반납 실패가 작업 결과나 원래 오류를 가리지 않도록 기록만 함
+                logger.error('Failed to release migration connection', { err });
+            }
+        }
+    }
+
+    /**
+     * 잠금을 잡은 전용 커넥션에서 작업 실행
+     * - GET_LOCK 은 세션 단위이므로 같은 커넥션에서 마이그레이션을 실행해야 잠금이 유지됨
+     * @param {Function} fn - async (connection) => any
+     * @returns {Promise<any>}
+     */
+    async withLock(fn) {
+        return this.withConnection(async (connection) => {
+            const [rows] = await connection.query(
+                'SELECT GET_LOCK(?, ?) AS acquired',
+                [this.lockName, this.lockTimeoutSeconds]
+            );
+
+            if (!rows[0] || rows[0].acquired !== 1) {
+                throw new Error(
+                    `Could not acquire migration lock "${this.lockName}" within ${this.lockTimeoutSeconds} seconds`
+                );
+            }
+
+            try {
+                return await fn(connection);
+            } finally {
+                try {
+                    await connection.query('SELECT RELEASE_LOCK(?)', [this.lockName]);
+                } catch (err) {
+                    // 원래 오류를 가리지 않도록 기록만 하고, 잠금이 세션에 남은 채 풀로 돌아가지 않도록 커넥션을 닫음
+                    logger.error('Failed to release migration lock', { lockName: this.lockName, err });
+                    connection.destroy();
+                }
+            }
+        });
+    }
+
+    /**
+     * schema_migrations 테이블 생성
+     * @param {PoolConnection} connection
+     */
+    async ensureMigrationsTable(connection) {
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE} (
+                version INT UNSIGNED NOT NULL PRIMARY KEY,
+                name VARCHAR(255) NOT NULL,
+                checksum CHAR(64) NOT NULL,
+                applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+    }
+
+    /**
+     * 적용된 마이그레이션 이력 조회
+     * @param {PoolConnection} connection
+     * @returns {Promise<Array>}
+     */
+    async getAppliedMigrations(connection) {
+        const [rows] = await connection.query(
+            `SELECT version, name, checksum, applied_at FROM ${MIGRATIONS_TABLE} ORDER BY version`
+        );
+        return rows;
+    }
+
+    /**
+     * 미적용 마이그레이션 적용
+     * @param {Object} [options]
+     * @param {number} [options.to] - 이 버전까지만 적용
+     * @returns {Promise<Array<{version: number, name: string}>>} 적용된 마이그레이션
+     */
+    async up({ to } = {}) {
+        const migrations = this.loadMigrations();
+
+        return this.withLock(async (connection) => {
+            const applied = new Set((await this.getAppliedMigrations(connection)).map(row => row.version));
+            const pending = migrations.filter(migration =>
+                !applied.has(migration.version) && (to === undefined || migration.version <= to)
+            );
+
+            const results = [];
+            for (const migration of pending) {
+                logger.info('Applying migration', { version: migration.version, name: migration.name });
+                await migration.up(connection);
+                await connection.query(
+                    `INSERT INTO ${MIGRATIONS_TABLE} (version, name, checksum) VALUES (?, ?, ?)`,
+                    [migration.version, migration.name, migration.checksum]
+                );
+                results.push({ version: migration.version, name: migration.name });
+            }
+
+            if (pending.length > 0) {
+                logger.info('Applied migrations', { count: pending.length });
+            } else {
+                logger.info('Database schema is up to date');
+            }
+            return results;
+        });
+    }
+
+    /**
+     * 최근 적용된 마이그레이션 되돌리기
+     * @param {Object} [options]
+     * @param {number} [options.steps=1] - 되돌릴 개수
+     * @returns {Promise<Array<{version: number, name: string}>>} 되돌린 마이그레이션
+     */
+    async down({ steps = 1 } = {}) {
+        // slice(-0) 은 배열 전체이므로 잘못된 값으로 전체가 되돌려지지 않도록 거부
+        if (!Number.isInteger(steps) || steps < 1) {
+            throw new Error(`steps must be a positive integer: ${steps}`);
+        }
+
+        const migrations = new Map(this.loadMigrations().map(migration => [migration.version, migration]));
+
+        return this.withLock(async (connection) => {
+            const applied = await this.getAppliedMigrations(connection);
+            const targets = applied.slice(-steps).reverse();
+
+            const results = [];
+            for (const row of targets) {
+                const migration = migrations.get(row.version);
+                if (!migration) {
+                    throw new Error(`Migration file for applied version ${row.version}_${row.name} not found`);
+                }
+                if (!migration.down) {
+                    throw new Error(`Migration ${row.version}_${row.name} cannot be reverted (no down migration)`);
+                }
+
+                logger.info('Reverting migration', { version: migration.version, name: migration.name });
+                await migration.down(connection);
+                await connection.query(`DELETE FROM ${MIGRATIONS_TABLE} WHERE version = ?`, [row.version]);
+                results.push({ version: migration.version, name: migration.name });
+            }
+
+            return results;
+        });
+    }
+
+    /**
+     * 마이그레이션 상태 조회
+     * @returns {Promise<Array<{version: number, name: string, status: string, appliedAt: (Date|null)}>>}
+     * - status: applied | pending | changed (적용 후 파일이 수정됨) | missing (파일 없음)
+     */
+    async status() {
+        const migrations = this.loadMigrations();
+
+        // 읽기 전용이므로 잠금 없이 조회
+        return this.withConnection(async (connection) => {
+            const applied = new Map((await this.getAppliedMigrations(connection)).map(row => [row.version, row]));
+
+            const result = migrations.map(migration => {
+                const row = applied.get(migration.version);
+                let status = 'pending';
+                if (row) {
+                    status = row.checksum === migration.checksum ? 'applied' : 'changed';
+                }
+                return {
+                    version: migration.version,
+                    name: migration.name,
+                    status,
+                    appliedAt: row ? row.applied_at : null
+                };
+            });
+
+            const known = new Set(migrations.map(migration => migration.version));
+            for (const row of applied.values()) {
+                if (!known.has(row.version)) {
+                    result.push({ version: row.version, name: row.name, status: 'missing', appliedAt: row.applied_at });
+                }
+            }
+
+            return result.sort((a, b) => a.version - b.version);
+        });
+    }
+}
+
+module.exports = {
+    Migrator,
+    splitSqlStatements
+};
@@ -0,0 +1,361 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Migrator, splitSqlStatements } = require('./Migrator');
+
+describe('Migrator', () => {
+    let tmpDir;
+    let mockConnection;
+    let mockDbManager;
+    let appliedRows;
+
+    // 테스트용 마이그레이션 디렉토리 생성
+    const writeMigrations = (files) => {
+        for (const [name, content] of Object.entries(files)) {
+            fs.writeFileSync(path.join(tmpDir, name), content);
+        }
+    };
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+        appliedRows = [];
+
+        mockConnection = {
+            query: jest.fn(async (sql) => {
+                if (sql.startsWith('SELECT GET_LOCK')) {
+                    return [[{ acquired: 1 }]];
+                }
+                if (sql.startsWith('SELECT version, name, checksum')) {
+                    return [appliedRows];
+                }
+                return [[]];
+            }),
+            release: jest.fn(),
+            destroy: jest.fn()
+        };
+
+        mockDbManager = {
+            config: { database: 'testdb' },
+            getConnection: jest.fn().mockResolvedValue(mockConnection)
+        };
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    const executedSql = () => mockConnection.query.mock.calls.map(call => call[0].trim());
+
+    describe('splitSqlStatements', () => {
+        test('should split statements and drop comment lines', () => {
+            const sql = '-- comment\nCREATE TABLE a (id INT);\n\nCREATE INDEX i ON a (id);\n';
+
+            expect(splitSqlStatements(sql)).toEqual([
+                'CREATE TABLE a (id INT)',
+                'CREATE INDEX i ON a (id)'
+            ]);
+        });
+    });
+
+    describe('loadMigrations', () => {
+        test('should load bundled migrations in version order', () => {
+            const migrator = new Migrator({ dbManager: mockDbManager });
+
+            const migrations = migrator.loadMigrations();
+
+            expect(migrations.map(m => `${m.version}_${m.name}`)).toEqual([
+                '1_create_transactions',
+                '2_add_transaction_version',
+                '3_create_api_keys',
+                '4_add_tenant_columns',
+                '5_add_transaction_deleted_at',
+                '6_create_transaction_audit',
+                '7_add_transaction_report_index',
+                '8_create_idempotency_keys'
+            ]);
+            migrations.forEach(m => {
+                expect(typeof m.up).toBe('function');
+                expect(typeof m.down).toBe('function');
+                expect(m.checksum).toMatch(/^[0-9a-f]{64}$/);
+            });
+        });
+
+        test('should pair up/down SQL files and ignore unrelated files', () => {
+            writeMigrations({
+                '010_b.up.sql': 'SELECT 10;',
+                '002_a.up.sql': 'SELECT 2;',
+                '002_a.down.sql': 'SELECT -2;',
+                'README.md': '# notes'
+            });
+            const migrator = new Migrator({ dbManager: mockDbManager, migrationsDir: tmpDir });
+
+            const migrations = migrator.loadMigrations();
+
+            expect(migrations.map(m => m.version)).toEqual([2, 10]);
+            expect(migrations[0].down).toEqual(expect.any(Function));
+            expect(migrations[1].down).toBeNull();
+        });
+
+        test('should reject down-only SQL migration', () => {
+            writeMigrations({ '003_c.down.sql': 'SELECT 1;' });
+            const migrator = new Migrator({ dbManager: mockDbManager, migrationsDir: tmpDir });
+
+            expect(() => migrator.loadMigrations()).toThrow('Migration 3_c has no up migration');
+        });
+
+        test('should reject conflicting names for the same version', () => {
+            writeMigrations({ '004_x.up.sql': 'SELECT 1;', '004_y.up.sql': 'SELECT 1;' });
+            const migrator = new Migrator({ dbManager: mockDbManager, migrationsDir: tmpDir });
+
+            expect(() => migrator.loadMigrations()).toThrow('Conflicting migration names for version 4');
+        });
+
+        test('should return empty list when directory does not exist', () => {
+            const migrator = new Migrator({
+                dbManager: mockDbManager,
+                migrationsDir: path.join(tmpDir, 'missing')
+            });
+
+            expect(migrator.loadMigrations()).toEqual([]);
+        });
+    });
+
+    describe('up', () => {
+        test('should apply pending migrations under advisory lock and record them', async () => {
+            writeMigrations({
+                '001_a.up.sql': 'CREATE TABLE a (id INT);',
+                '002_b.up.sql': 'CREATE TABLE b (id INT);\nCREATE TABLE c (id INT);'
+            });
+            appliedRows = [{ version: 1, name: 'a', checksum: 'x' }];
+            const migrator = new Migrator({ dbManager: mockDbManager, migrationsDir: tmpDir });
+
+            const applied = await migrator.up();
+
+            expect(applied).toEqual([{ version: 2, name: 'b' }]);
+            const sql = executedSql();
+            expect(sql[0]).toMatch(/^CREATE TABLE IF NOT EXISTS schema_migrations/);
+            expect(sql[1]).toBe('SELECT GET_LOCK(?, ?) AS acquired');
+            expect(mockConnection.query).toHaveBeenCalledWith(
+                'SELECT GET_LOCK(?, ?) AS acquired',
+                ['schema_migrations:testdb', 60]
+            );
+            expect(sql).toContain('CREATE TABLE b (id INT)');
+            expect(sql).toContain('CREATE TABLE c (id INT)');
+            expect(sql).not.toContain('CREATE TABLE a (id INT)');
+            expect(mockConnection.query).toHaveBeenCalledWith(
+                'INSERT INTO schema_migrations (version, name, checksum) VALUES (?, ?, ?)',
+                [2, 'b', expect.any(String)]
+            );
+            expect(sql[sql.length - 1]).toBe('SELECT RELEASE_LOCK(?)');
+            expect(mockConnection.release).toHaveBeenCalled();
+        });
+
+        test('should stop at target version', async () => {
+            writeMigrations({ '001_a.up.sql': 'SELECT 1;', '002_b.up.sql': 'SELECT 2;' });
+            const migrator = new Migrator({ dbManager: mockDbManager, migrationsDir: tmpDir });
+
+            const applied = await migrator.up({ to: 1 });
+
+            expect(applied).toEqual([{ version: 1, name: 'a' }]);
+        });
+
+        test('should fail when lock cannot be acquired', async () => {
+            writeMigrations({ '001_a.up.sql': 'SELECT 1;' });
+            mockConnection.query.mockImplementation(async (sql) =>
+                sql.startsWith('SELECT GET_LOCK') ? [[{ acquired: 0 }]] : [[]]
+            );
+            const migrator = new Migrator({
+                dbManager: mockDbManager,
+                migrationsDir: tmpDir,
+                lockTimeoutSeconds: 5
+            });
+
+            await expect(migrator.up()).rejects.toThrow(
+                'Could not acquire migration lock "schema_migrations:testdb" within 5 seconds'
+            );
+            expect(executedSql()).not.toContain('SELECT 1');
+            expect(mockConnection.release).toHaveBeenCalled();
+        });
+
+        test('should release lock and not record migration when it fails', async () => {
+            writeMigrations({ '001_a.up.sql': 'BROKEN;' });
+            mockConnection.query.mockImplementation(async (sql) => {
+                if (sql === 'BROKEN') throw new Error('syntax error');
+                return sql.startsWith('SELECT GET_LOCK') ? [[{ acquired: 1 }]] : [[]];
+            });
+            const migrator = new Migrator({ dbManager: mockDbManager, migrationsDir: tmpDir });
+
+            await expect(migrator.up()).rejects.toThrow('syntax error');
+            expect(executedSql().some(sql => sql.startsWith('INSERT INTO schema_migrations'))).toBe(false);
+            expect(mockConnection.query).toHaveBeenCalledWith('SELECT RELEASE_LOCK(?)', ['schema_migrations:testdb']);
+            expect(mockConnection.release).toHaveBeenCalled();
+        });
+
+        test('should rethrow the migration error when releasing the lock also fails', async () => {
+            writeMigrations({ '001_a.up.sql': 'BROKEN;' });
+            mockConnection.query.mockImplementation(async (sql) => {
+                if (sql === 'BROKEN') throw new Error('syntax error');
+                if (sql.startsWith('SELECT RELEASE_LOCK')) throw new Error('Connection lost');
+                return sql.startsWith('SELECT GET_LOCK') ? [[{ acquired: 1 }]] : [[]];
+            });
+            const migrator = new Migrator({ dbManager: mockDbManager, migrationsDir: tmpDir });
+
+            await expect(migrator.up()).rejects.toThrow('syntax error');
+            // 잠금이 남았을 수 있는 세션은 풀에 돌려주지 않고 닫음
+            expect(mockConnection.destroy).toHaveBeenCalled();
+        });
+
+        test('should rethrow the migration error when returning the connection fails', async () => {
+            writeMigrations({ '001_a.up.sql': 'BROKEN;' });
+            mockConnection.query.mockImplementation(async (sql) => {
+                if (sql === 'BROKEN') throw new Error('syntax error');
+                return sql.startsWith('SELECT GET_LOCK') ? [[{ acquired: 1 }]] : [[]];
+            });
+            mockConnection.release.mockImplementation(() => {
+                throw new Error('release failed');
+            });
+            const migrator = new Migrator({ dbManager: mockDbManager, migrationsDir: tmpDir });
+
+            await expect(migrator.up()).rejects.toThrow('syntax error');
+            expect(mockConnection.destroy).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('down', () => {
+        test('should revert latest applied migrations in reverse order', async () => {
+            writeMigrations({
+                '001_a.up.sql': 'SELECT 1;',
+                '001_a.down.sql': 'SELECT -1;',
+                '002_b.up.sql': 'SELECT 2;',
+                '002_b.down.sql': 'SELECT -2;'
+            });
+            appliedRows = [{ version: 1, name: 'a' }, { version: 2, name: 'b' }];
+            const migrator = new Migrator({ dbManager: mockDbManager, migrationsDir: tmpDir });
+
+            const reverted = await migrator.down({ steps: 2 });
+
+            expect(reverted).toEqual([{ version: 2, name: 'b' }, { version: 1, name: 'a' }]);
+            const sql = executedSql();
+            expect(sql.indexOf('SELECT -2')).toBeLessThan(sql.indexOf('SELECT -1'));
+            expect(mockConnection.query).toHaveBeenCalledWith(
+                'DELETE FROM schema_migrations WHERE version = ?', [2]
+            );
+            expect(mockConnection.query).toHaveBeenCalledWith(
+                'DELETE FROM schema_migrations WHERE version = ?', [1]
+            );
+        });
+
+        test.each([[0], [-1], [1.5]])('should refuse steps %p without reverting anything', async (steps) => {
+            writeMigrations({ '001_a.up.sql': 'SELECT 1;', '001_a.down.sql': 'SELECT -1;' });
+            appliedRows = [{ version: 1, name: 'a' }];
+            const migrator = new Migrator({ dbManager: mockDbManager, migrationsDir: tmpDir });
+
+            await expect(migrator.down({ steps })).rejects.toThrow('steps must be a positive integer');
+            expect(executedSql()).not.toContain('SELECT -1');
+        });
+
+        test('should fail when migration has no down', async () => {
+            writeMigrations({ '001_a.up.sql': 'SELECT 1;' });
+            appliedRows = [{ version: 1, name: 'a' }];
+            const migrator = new Migrator({ dbManager: mockDbManager, migrationsDir: tmpDir });
+
+            await expect(migrator.down()).rejects.toThrow('Migration 1_a cannot be reverted');
+        });
+    });
+
+    describe('status', () => {
+        test('should report applied, changed, pending and missing migrations without locking', async () => {
+            writeMigrations({
+                '001_a.up.sql': 'SELECT 1;',
+                '002_b.up.sql': 'SELECT 2;',
+                '003_c.up.sql': 'SELECT 3;'
+            });
+            const migrator = new Migrator({ dbManager: mockDbManager, migrationsDir: tmpDir });
+            const [first] = migrator.loadMigrations();
+            const appliedAt = new Date('2024-01-01T00:00:00Z');
+            appliedRows = [
+                { version: 1, name: 'a', checksum: first.checksum, applied_at: appliedAt },
+                { version: 2, name: 'b', checksum: 'edited', applied_at: appliedAt },
+                { version: 9, name: 'gone', checksum: 'x', applied_at: appliedAt }
+            ];
+
+            const status = await migrator.status();
+
+            expect(status).toEqual([
+                { version: 1, name: 'a', status: 'applied', appliedAt },
+                { version: 2, name: 'b', status: 'changed', appliedAt },
+                { version: 3, name: 'c', status: 'pending', appliedAt: null },
+                { version: 9, name: 'gone', status: 'missing', appliedAt }
+            ]);
+            expect(executedSql().some(sql => sql.startsWith('SELECT GET_LOCK'))).toBe(false);
+        });
+    });
+
+    describe('bundled migration 002_add_transaction_version', () => {
+        const migration = require('./migrations/002_add_transaction_version');
+
+        test('should add only missing columns', async () => {
+            mockConnection.query.mockResolvedValueOnce([[{ COLUMN_NAME: 'id' }, { COLUMN_NAME: 'version' }]]);
+
+            await migration.up(mockConnection);
+
+            const sql = executedSql();
+            expect(sql).toHaveLength(2);
+            expect(sql[1]).toMatch(/^ALTER TABLE transactions ADD COLUMN updated_at/);
+        });
+
+        test('should be a no-op when columns already exist', async () => {
+            mockConnection.query.mockResolvedValueOnce([[{ COLUMN_NAME: 'version' }, { COLUMN_NAME: 'updated_at' }]]);
+
+            await migration.up(mockConnection);
+
+            expect(mockConnection.query).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('bundled migration 004_add_tenant_columns', () => {
+        const migration = require('./migrations/004_add_tenant_columns');
+
+        test('should backfill tenant_id, drop its default and add the list index', async () => {
+            await migration.up(mockConnection);
+
+            const sql = executedSql();
+            expect(sql[1]).toBe("ALTER TABLE transactions ADD COLUMN tenant_id VARCHAR(64) NOT NULL DEFAULT 'default' AFTER id");
+            expect(sql[2]).toBe('ALTER TABLE transactions ALTER COLUMN tenant_id DROP DEFAULT');
+            expect(sql[4]).toMatch(/^ALTER TABLE api_keys ADD COLUMN tenant_id/);
+            expect(sql[7]).toBe('CREATE INDEX idx_transactions_tenant_created ON transactions (tenant_id, created_at, id)');
+        });
+
+        test('should be a no-op when columns and index already exist', async () => {
+            mockConnection.query
+                .mockResolvedValueOnce([[{ COLUMN_NAME: 'tenant_id' }]])
+                .mockResolvedValueOnce([[{ COLUMN_NAME: 'tenant_id' }]])
+                .mockResolvedValueOnce([[{ 1: 1 }]]);
+
+            await migration.up(mockConnection);
+
+            expect(executedSql().every(sql => sql.startsWith('SELECT'))).toBe(true);
+        });
+    });
+
+    describe('bundled migration 007_add_transaction_report_index', () => {
+        const migration = require('./migrations/007_add_transaction_report_index');
+
+        test('should add the covering index for reports', async () => {
+            await migration.up(mockConnection);
+
+            expect(executedSql()[1]).toBe(
+                'CREATE INDEX idx_transactions_tenant_deleted_created ON transactions (tenant_id, deleted_at, created_at, amount)'
+            );
+        });
+
+        test('should drop the index only when it exists', async () => {
+            await migration.down(mockConnection);
+            expect(mockConnection.query).toHaveBeenCalledTimes(1);
+
+            mockConnection.query.mockResolvedValueOnce([[{ 1: 1 }]]);
+            await migration.down(mockConnection);
+            expect(executedSql().pop()).toBe('DROP INDEX idx_transactions_tenant_deleted_created ON transactions');
+        });
+    });
+});
@@ -1,6 +1,244 @@
 const mysql = require('mysql2/promise');
-const { Signer } = require('@aws-sdk/rds-signer');
 const fs = require('fs');
+const { finished } = require('stream/promises');
+const {
+    AppError,
+    DatabaseUnavailableError,
+    CircuitOpenError,
+    TransactionContentionError,
+    translateDatabaseError
+} = require('./Errors');
+const { CircuitBreaker, STATES: CIRCUIT_STATES } = require('./CircuitBreaker');
+const { createCredentialProvider } = require('./CredentialProviders');
+const { getConfig } = require('./Config');
+const { logger: rootLogger } = require('./Logger');
+const { Counter, Gauge } = require('./Metrics');
+
+const logger = rootLogger.child({ component: 'RdsIamAuth' });
+
+// 싱글톤 인스턴스 (메트릭 수집 시 참조)
+let instance = null;
+
+new Gauge({
+    name: 'rds_iam_token_expiry_seconds',
+    help: 'Seconds until the current RDS IAM authentication token is treated as expired',
+    collect() {
+        this.reset();
+        if (instance && instance.tokenExpiryTime) {
+            this.set({}, Math.round((instance.tokenExpiryTime - Date.now()) / 1000));
+        }
+    }
+});
+
+const poolRefreshes = new Counter({
+    name: 'db_pool_refreshes_total',
+    help: 'Total number of connection pool refreshes',
+    labelNames: ['result']
+});
+
+const poolEvents = new Counter({
+    name: 'db_pool_events_total',
+    help: 'Total number of connection pool acquire, release and enqueue events',
+    labelNames: ['event']
+});
+
+// 풀 사용 현황은 스크레이프 시점의 mysql2 풀 상태로 채움
+[
+    ['db_pool_active_connections', 'Connections currently checked out from the pool', 'inUse'],
+    ['db_pool_idle_connections', 'Idle connections in the pool', 'idle'],
+    ['db_pool_queued_requests', 'Requests waiting for a free connection', 'queued'],
+    ['db_pool_max_connections', 'Configured connection limit of the pool', 'connectionLimit']
+].forEach(([name, help, stat]) => {
+    new Gauge({
+        name,
+        help,
+        collect() {
+            this.reset();
+            if (instance && instance.pool) {
+                this.set({}, instance.getPoolStats()[stat]);
+            }
+        }
+    });
+});
+
+// 0: closed, 1: half_open, 2: open
+const CIRCUIT_STATE_VALUES = {
+    [CIRCUIT_STATES.CLOSED]: 0,
+    [CIRCUIT_STATES.HALF_OPEN]: 1,
+    [CIRCUIT_STATES.OPEN]: 2
+};
+
+new Gauge({
+    name: 'db_circuit_breaker_state',
+    help: 'State of the database circuit breaker (0 closed, 1 half-open, 2 open)',
+    collect() {
+        this.reset();
+        if (instance) {
+            this.set({}, CIRCUIT_STATE_VALUES[instance.circuitBreaker.state]);
+        }
+    }
+});
+
+const readerFallbacks = new Counter({
+    name: 'db_reader_fallbacks_total',
+    help: 'Total number of reader queries sent to the writer because the reader was unavailable or failed',
+    labelNames: ['reason']
+});
+
+const poolDrains = new Counter({
+    name: 'db_pool_drains_total',
+    help: 'Total number of retired connection pools closed after a refresh',
+    labelNames: ['result']
+});
+
+const transactionResults = new Counter({
+    name: 'db_transactions_total',
+    help: 'Total number of database transactions by result (commit, rollback, retry)',
+    labelNames: ['result']
+});
+
+// 헬스 체크 SELECT 1 기본 제한 시간 (ECS 헬스 체크 timeout 5초보다 짧게)
+const DEFAULT_HEALTH_CHECK_TIMEOUT_MS = 2000;
+
+// 교체된 풀의 사용 중 커넥션 확인 간격
+const DRAIN_POLL_INTERVAL_MS = 100;
+
+// 쿼리 스트림이 미리 읽어 두는 최대 행 수
+const DEFAULT_STREAM_HIGH_WATER_MARK = 100;
+
+// 예약 갱신 시점 (토큰 만료 2분 전, 실패 시 재시도할 여유 확보)
+const TOKEN_REFRESH_LEAD_MS = 2 * 60 * 1000;
+
+/**
+ * 지수 백오프 + 지터 (절반은 고정, 절반은 무작위)
+ * @param {number} attempt - 0부터 시작하는 재시도 순번
+ * @param {number} baseMs
+ * @param {number} maxMs
+ * @returns {number}
+ */
+function backoffDelay(attempt, baseMs, maxMs) {
+    const ceiling = Math.min(maxMs, baseMs * (2 ** attempt));
+    return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+// 서킷 브레이커가 장애로 셀 에러 (연결 불가, 토큰 발급/자격 증명 읽기 실패, 경합은 제외)
+function isDatabaseFailure(error) {
+    return error instanceof DatabaseUnavailableError
+        && !(error instanceof CircuitOpenError)
+        && !(error instanceof TransactionContentionError);
+}
+
+/**
+ * mysql2 풀의 커넥션 수 (내부 큐 길이 기반)
+ * @param {Pool} pool
+ * @returns {{total: number, idle: number, queued: number}}
+ */
+function poolCounts(pool) {
+    // mysql2/promise 의 PromisePool 은 콜백 방식 Pool 을 .pool 로 감쌈
+    const core = pool ? (pool.pool || pool) : null;
+    const size = (list) => (list && typeof list.length === 'number' ? list.length : 0);
+
+    return {
+        total: core ? size(core._allConnections) : 0,
+        idle: core ? size(core._freeConnections) : 0,
+        queued: core ? size(core._connectionQueue) : 0
+    };
+}
+
+/**
+ * 제한 시간 안에 끝나지 않으면 reject
+ * @param {Promise} promise
+ * @param {number} ms
+ * @param {string} message
+ * @returns {Promise}
+ */
+function withTimeout(promise, ms, message) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new DatabaseUnavailableError(message)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// 트랜잭션 전체를 다시 실행하면 성공할 수 있는 에러 (데드락, 락 대기 시간 초과)
+const RETRYABLE_TRANSACTION_ERROR_CODES = new Set(['ER_LOCK_DEADLOCK', 'ER_LOCK_WAIT_TIMEOUT']);
+
+/**
+ * 재시도 가능한 트랜잭션 에러인지 확인 (변환된 에러는 cause 확인)
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isRetryableTransactionError(error) {
+    return Boolean(error) && (
+        RETRYABLE_TRANSACTION_ERROR_CODES.has(error.code)
+        || Boolean(error.cause && RETRYABLE_TRANSACTION_ERROR_CODES.has(error.cause.code))
+    );
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * withTransaction 콜백에 전달되는 트랜잭션 핸들
+ * - query() 는 트랜잭션이 열린 커넥션에서 실행
+ * - withTransaction() 으로 중첩하면 SAVEPOINT 를 사용 (내부 작업만 롤백 가능)
+ */
+class Transaction {
+    constructor(connection) {
+        this.connection = connection;
+        this.savepointSeq = 0;
+    }
+
+    /**
+     * 트랜잭션 커넥션에서 쿼리 실행
+     * @param {string} sql - SQL 쿼리
+     * @param {Array} params - 쿼리 파라미터
+     * @returns {Promise<any>}
+     */
+    async query(sql, params = []) {
+        try {
+            return await this.connection.query(sql, params);
+        } catch (error) {
+            throw translateDatabaseError(error);
+        }
+    }
+
+    /**
+     * SAVEPOINT 로 중첩 작업 실행
+     * - 성공하면 RELEASE SAVEPOINT, 실패하면 ROLLBACK TO SAVEPOINT 후 예외 전달
+     * - 데드락/락 대기 시간 초과는 바깥 트랜잭션 전체를 재시도해야 하므로 그대로 전달
+     * @param {Function} fn - async (tx) => any
+     * @returns {Promise<any>}
+     */
+    async withTransaction(fn) {
+        this.savepointSeq += 1;
+        const savepoint = `sp_${this.savepointSeq}`;
+        await this.query(`SAVEPOINT ${savepoint}`);
+
+        let result;
+        try {
+            result = await fn(this);
+        } catch (error) {
+            if (!isRetryableTransactionError(error)) {
+                await this.query(`ROLLBACK TO SAVEPOINT ${savepoint}`);
+            }
+            throw error;
+        }
+
+        await this.query(`RELEASE SAVEPOINT ${savepoint}`);
+        return result;
+    }
+}
+
+/**
+ * 헬스 체크 응답에 노출해도 되는 에러 메시지 (내부 메시지는 로그에만 기록)
+ * @param {Error} error
+ * @param {string} fallback
+ * @returns {string}
+ */
+function publicErrorMessage(error, fallback) {
+    const translated = translateDatabaseError(error);
+    return translated instanceof AppError ? translated.message : fallback;
+}
 
 
 /**
@@ -8,40 +246,68 @@ const fs = require('fs');
  * - IAM 토큰 자동 갱신 (15분마다)
  * - 커넥션 풀 자동 관리
  * - 토큰 만료 전 사전 갱신
+ * - DB_READER_HOST 가 설정되면 조회용 리더 풀을 별도 매니저로 관리 (토큰은 호스트별이므로 Signer 도 별도)
+ * - 자격 증명은 CredentialProviders 의 공급자에서 가져오며, 바뀌면 같은 풀 교체 경로로 반영
  */
 class RdsIamAuthManager {
-    constructor() {
+    /**
+     * @param {Object} [options] - 리더 매니저 생성 시 사용 (기본값은 writer 환경 변수)
+     * @param {string} [options.role='writer'] - writer | reader
+     * @param {string} [options.host] - 접속 호스트
+     * @param {number} [options.port] - 접속 포트
+     * @param {number} [options.connectionLimit] - 풀 크기
+     * @param {Object} [options.credentialProvider] - 자격 증명 공급자 (기본: DB_CREDENTIALS_PROVIDER)
+     */
+    constructor({ role = 'writer', host, port, connectionLimit, credentialProvider } = {}) {
+        this.role = role;
         this.pool = null;
-        this.tokenRefreshInterval = null;
-        this.currentToken = null;
+        this.tokenRefreshTimer = null;
+        this.autoRefresh = false;
+        this.refreshAttempt = 0;
+        this.nextRefreshAt = null;
+        // 현재 풀의 자격 증명 발급 시각과 만료 시각 (만료되지 않는 자격 증명이면 null)
         this.tokenExpiryTime = null;
+        this.tokenIssuedAt = null;
+
+        // 풀 갱신 상태 (헬스 체크에서 보고)
+        this.lastRefreshAt = null;
+        this.lastRefreshError = null;
+
+        // 풀별 진행 중인 트랜잭션 (풀 갱신 시 끝날 때까지 기존 풀을 닫지 않음)
+        this.openTransactions = new Map();
+
+        // 진행 중인 풀 갱신 (동시 요청은 같은 Promise 를 공유)
+        this.refreshing = null;
+        // 교체 후 종료를 기다리는 기존 풀 (pool -> drain Promise)
+        this.drainingPools = new Map();
+
+        const database = getConfig().database;
 
         // RDS 설정
         this.config = {
-            host: process.env.DB_HOST,
-            port: process.env.DB_PORT || 3306,
-            user: process.env.DB_USER,
-            database: process.env.DB_DATABASE,
-            region: process.env.AWS_REGION || 'ap-northeast-2',
-            // IAM 인증 사용 시
-            ssl: process.env.USE_IAM_AUTH === 'true' ? {
-                ca: fs.readFileSync(process.env.CA_PATH),
-                rejectUnauthorized: true
-            } : undefined
+            host: host || database.host,
+            port: port || database.port,
+            user: database.user,
+            database: database.name,
+            region: database.region
         };
 
-        // AWS RDS Signer 초기화 (AWS SDK v3)
-        this.signer = new Signer({
-            region: this.config.region,
-            hostname: this.config.host,
-            port: this.config.port,
-            username: this.config.user
-        });
+        // 자격 증명 공급자 (IAM 토큰은 호스트별로 발급되므로 매니저마다 생성)
+        this.credentialProvider = credentialProvider || createCredentialProvider(this.config, database.credentials);
+
+        // IAM 인증 사용 시
+        if (this.credentialProvider.requiresTls && !database.caPath) {
+            throw new Error('CA_PATH is required for IAM authentication');
+        }
+        this.config.ssl = this.credentialProvider.requiresTls ? {
+            ca: fs.readFileSync(database.caPath),
+            rejectUnauthorized: true
+        } : undefined;
 
         // 커넥션 풀 설정
         this.poolConfig = {
-            connectionLimit: parseInt(process.env.DB_POOL_SIZE || '10'),
-            queueLimit: parseInt(process.env.DB_QUEUE_LIMIT || '0'),
+            connectionLimit: connectionLimit || database.poolSize,
+            queueLimit: database.queueLimit,
             waitForConnections: true,
             enableKeepAlive: true,
             keepAliveInitialDelay: 10000,
@@ -50,25 +316,53 @@ class RdsIamAuthManager {
             // 유휴 연결 타임아웃 (8분 - 토큰 만료 15분보다 짧게)
             idleTimeout: 480000
         };
-    }
 
-    /**
-     * IAM 인증 토큰 생성
-     * @returns {Promise<string>} 인증 토큰
-     */
-    async generateAuthToken() {
-        console.log('Generating new RDS IAM authentication token...');
+        // 풀 교체 후 기존 풀의 커넥션 반납을 기다리는 최대 시간
+        this.drainTimeoutMs = database.poolDrainTimeoutMs;
 
-        // AWS SDK v3에서는 getAuthToken이 Promise를 반환
-        const token = await this.signer.getAuthToken();
+        // 예약 토큰 갱신 실패 시 재시도 간격 (지수 백오프)
+        this.refreshRetryConfig = {
+            baseMs: database.credentials.refreshRetryBaseMs,
+            maxMs: database.credentials.refreshRetryMaxMs
+        };
 
-        this.currentToken = token;
-        // 토큰 만료 시간 설정 (15분 - 1분 여유)
-        this.tokenExpiryTime = Date.now() + (14 * 60 * 1000);
+        // DB 장애 시 요청을 즉시 503 으로 거부
+        this.circuitBreaker = new CircuitBreaker({
+            name: role === 'writer' ? 'database' : `database-${role}`,
+            isFailure: isDatabaseFailure
+        });
 
-        console.log('New token generated, expires at:', new Date(this.tokenExpiryTime).toISOString());
+        // 리더 풀 (writer 매니저에서만, DB_READER_HOST 가 있을 때)
+        this.reader = null;
+        this.readerInitTimer = null;
+        this.readerInitAttempt = 0;
+        this.readerConfig = role === 'writer' && database.reader.host ? {
+            host: database.reader.host,
+            port: database.reader.port,
+            connectionLimit: database.reader.poolSize
+        } : null;
 
-        return token;
+        // 트랜잭션 재시도 설정 (데드락, 락 대기 시간 초과)
+        this.transactionConfig = { ...database.transaction };
+    }
+
+    /**
+     * 공급자에서 자격 증명을 가져옴 (발급/만료 시각은 그 자격 증명의 풀을 사용하기 시작할 때 useCredentials() 로 기록)
+     * @returns {Promise<{credentials: import('./CredentialProviders').Credentials, issuedAt: number, expiresAt: (number|null)}>}
+     * @throws {DatabaseUnavailableError} 토큰 생성, 시크릿 읽기 실패 시 (AuthTokenError, CredentialsError)
+     */
+    async loadCredentials() {
+        const credentials = await this.credentialProvider.getCredentials();
+        return { credentials, issuedAt: Date.now(), expiresAt: credentials.expiresAt || null };
+    }
+
+    /**
+     * 현재 풀이 사용하는 자격 증명의 발급/만료 시각 기록 (isTokenExpired, healthCheck, 예약 갱신 기준)
+     * @param {{issuedAt: number, expiresAt: (number|null)}} loaded - loadCredentials() 결과
+     */
+    useCredentials({ issuedAt, expiresAt }) {
+        this.tokenIssuedAt = issuedAt;
+        this.tokenExpiryTime = expiresAt;
     }
 
     /**
@@ -83,43 +377,45 @@ class RdsIamAuthManager {
 
     /**
      * 커넥션 풀 생성
-     * @param {string} token - IAM 인증 토큰 (선택사항)
+     * @param {Object} [credentials] - loadCredentials() 결과의 credentials (없으면 새로 가져옴)
      * @returns {Promise<Pool>}
      */
-    async createPool(token = null) {
-        let poolOptions = {
+    async createPool(credentials = null) {
+        if (!credentials) {
+            ({ credentials } = await this.loadCredentials());
+        }
+
+        const poolOptions = {
             ...this.config,
-            ...this.poolConfig
+            ...this.poolConfig,
+            user: credentials.user || this.config.user,
+            password: credentials.password
         };
-
-        // IAM 인증 사용 시
-        if (process.env.USE_IAM_AUTH === 'true') {
-            if (!token) {
-                token = await this.generateAuthToken();
-            }
-            poolOptions.password = token;
-            poolOptions.authPlugins = {
-                mysql_clear_password: () => () => token
-            };
-        } else {
-            // 일반 비밀번호 인증
-            poolOptions.password = process.env.DB_PWD;
+        if (credentials.authPlugins) {
+            poolOptions.authPlugins = credentials.authPlugins;
         }
 
-        console.log('Creating new connection pool...');
+        logger.info('Creating new connection pool', {
+            host: this.config.host,
+            database: this.config.database,
+            connectionLimit: this.poolConfig.connectionLimit
+        });
         const pool = mysql.createPool(poolOptions);
 
-        // 커넥션 풀 이벤트 리스너
+        // 커넥션 풀 이벤트 리스너 (요청마다 발생하므로 debug 레벨, LOG_LEVEL=debug 로 확인)
         pool.on('acquire', (connection) => {
-            console.log('Connection %d acquired', connection.threadId);
+            poolEvents.inc({ event: 'acquire' });
+            logger.debug('Connection acquired', { threadId: connection.threadId });
         });
 
         pool.on('release', (connection) => {
-            console.log('Connection %d released', connection.threadId);
+            poolEvents.inc({ event: 'release' });
+            logger.debug('Connection released', { threadId: connection.threadId });
         });
 
         pool.on('enqueue', () => {
-            console.log('Waiting for available connection slot');
+            poolEvents.inc({ event: 'enqueue' });
+            logger.debug('Waiting for available connection slot');
         });
 
         return pool;
@@ -127,132 +423,620 @@ class RdsIamAuthManager {
 
     /**
      * 커넥션 풀 갱신
+     * - 동시에 여러 번 호출되어도 갱신은 한 번만 실행되고, 호출자는 같은 결과를 기다림
+     * @returns {Promise<void>}
      */
-    async refreshPool() {
-        console.log('Refreshing connection pool...');
+    refreshPool() {
+        if (!this.refreshing) {
+            this.refreshing = this.rotatePool().finally(() => {
+                this.refreshing = null;
+            });
+        }
+        return this.refreshing;
+    }
+
+    /**
+     * 새 자격 증명으로 풀을 만들어 검증한 뒤 교체하고, 기존 풀은 백그라운드에서 정리
+     * - 새 풀 검증에 실패하면 기존 풀을 그대로 사용
+     */
+    async rotatePool() {
+        logger.info('Refreshing connection pool', { credentials: this.credentialProvider.name });
 
         try {
-            // 새 토큰 생성
-            const newToken = await this.generateAuthToken();
+            // 새 자격 증명 (IAM 토큰 발급, 시크릿 다시 읽기)
+            const loaded = await this.loadCredentials();
+
+            // 새 풀 생성 및 연결 확인 (실패하면 기존 풀과 그 토큰의 만료 시각을 그대로 유지)
+            const newPool = await this.createPool(loaded.credentials);
+            await this.verifyPool(newPool);
 
-            // 기존 풀 종료
-            if (this.pool) {
-                console.log('Closing old connection pool...');
-                await this.pool.end();
+            // 교체 (이후 요청은 새 풀 사용)
+            const oldPool = this.pool;
+            this.pool = newPool;
+            this.useCredentials(loaded);
+
+            // 기존 풀은 사용 중인 커넥션이 반납된 뒤 종료
+            if (oldPool) {
+                this.drainPool(oldPool);
             }
 
-            // 새 풀 생성
-            this.pool = await this.createPool(newToken);
-            console.log('Connection pool refreshed successfully');
+            this.lastRefreshAt = Date.now();
+            this.lastRefreshError = null;
+            poolRefreshes.inc({ result: 'success' });
+            logger.info('Connection pool refreshed successfully');
+
+            // 다음 예약 갱신은 새 토큰의 만료 시각 기준 (만료되지 않는 자격 증명은 변경 감지로만 갱신)
+            this.refreshAttempt = 0;
+            if (this.tokenExpiryTime) {
+                this.scheduleRefresh(this.tokenExpiryTime - TOKEN_REFRESH_LEAD_MS - Date.now());
+            } else {
+                this.nextRefreshAt = null;
+            }
 
         } catch (error) {
-            console.error('Error refreshing connection pool:', error);
+            poolRefreshes.inc({ result: 'failure' });
+            const previous = this.lastRefreshError;
+            this.lastRefreshError = {
+                message: publicErrorMessage(error, 'Connection pool refresh failed'),
+                at: Date.now(),
+                failingSince: previous ? previous.failingSince : Date.now(),
+                consecutiveFailures: previous ? previous.consecutiveFailures + 1 : 1
+            };
+            logger.error('Error refreshing connection pool', {
+                err: error,
+                consecutiveFailures: this.lastRefreshError.consecutiveFailures
+            });
             throw error;
         }
     }
 
+    /**
+     * 새 풀에서 커넥션을 하나 가져와 SELECT 1 실행 (실패하면 새 풀을 닫고 예외 전달)
+     * @param {Pool} pool
+     */
+    async verifyPool(pool) {
+        try {
+            const connection = await pool.getConnection();
+            try {
+                await connection.query('SELECT 1');
+            } finally {
+                connection.release();
+            }
+        } catch (error) {
+            await pool.end().catch(endError => {
+                logger.warn('Error closing unverified pool', { err: endError });
+            });
+            throw translateDatabaseError(error);
+        }
+    }
+
+    /**
+     * 교체된 풀 정리
+     * - 진행 중인 트랜잭션과 사용 중인 커넥션이 모두 반납되면 종료
+     * - drainTimeoutMs 가 지나면 남은 커넥션이 있어도 종료
+     *   (단, 진행 중인 트랜잭션은 COMMIT 전에 커넥션이 끊기지 않도록 끝날 때까지 대기)
+     * @param {Pool} pool
+     * @returns {Promise<void>}
+     */
+    drainPool(pool) {
+        if (this.drainingPools.has(pool)) {
+            return this.drainingPools.get(pool);
+        }
+
+        const drain = (async () => {
+            const deadline = Date.now() + this.drainTimeoutMs;
+            const busy = () => {
+                const { total, idle } = poolCounts(pool);
+                return this.openTransactions.has(pool) || total - idle > 0;
+            };
+
+            while (busy() && Date.now() < deadline) {
+                await sleep(DRAIN_POLL_INTERVAL_MS);
+            }
+
+            const timedOut = busy();
+            if (timedOut) {
+                const runs = this.openTransactions.get(pool);
+                const { total, idle } = poolCounts(pool);
+                logger.warn('Drain timeout reached for old connection pool', {
+                    inUse: total - idle,
+                    openTransactions: runs ? runs.size : 0,
+                    drainTimeoutMs: this.drainTimeoutMs
+                });
+                await this.waitForTransactions(pool);
+            } else {
+                logger.info('Closing old connection pool');
+            }
+            poolDrains.inc({ result: timedOut ? 'timeout' : 'drained' });
+
+            try {
+                await pool.end();
+            } catch (error) {
+                logger.warn('Error closing old connection pool', { err: error });
+            }
+        })().finally(() => {
+            this.drainingPools.delete(pool);
+        });
+
+        this.drainingPools.set(pool, drain);
+        return drain;
+    }
+
     /**
      * 초기화 및 자동 갱신 시작
      */
     async initialize() {
-        console.log('Initializing RDS IAM Auth Manager...');
-        console.log('USE_IAM_AUTH:', process.env.USE_IAM_AUTH);
+        logger.info('Initializing RDS IAM Auth Manager', { role: this.role, credentials: this.credentialProvider.name });
 
         try {
             // 초기 풀 생성
-            this.pool = await this.createPool();
+            const loaded = await this.loadCredentials();
+            this.pool = await this.createPool(loaded.credentials);
+            this.useCredentials(loaded);
 
             // 연결 테스트
             const connection = await this.pool.getConnection();
-            console.log('Database connection test successful');
+            logger.info('Database connection test successful');
             connection.release();
 
-            // IAM 인증 사용 시에만 자동 갱신 설정
-            if (process.env.USE_IAM_AUTH === 'true') {
-                // 13분마다 토큰 갱신 (15분 만료 전에 갱신)
-                const refreshInterval = 13 * 60 * 1000;
-                this.tokenRefreshInterval = setInterval(async () => {
-                    try {
-                        await this.refreshPool();
-                    } catch (error) {
-                        console.error('Failed to refresh pool:', error);
-                    }
-                }, refreshInterval);
+            // 자동 갱신 설정 (IAM 토큰은 만료 2분 전, 시크릿 파일은 변경될 때, 실패하면 백오프로 재시도)
+            this.autoRefresh = true;
+            if (this.tokenExpiryTime) {
+                this.scheduleRefresh(this.tokenExpiryTime - TOKEN_REFRESH_LEAD_MS - Date.now());
+            }
+            this.credentialProvider.watch(() => this.runScheduledRefresh());
 
-                console.log(`Token refresh scheduled every ${refreshInterval / 1000} seconds`);
+            // 리더 풀은 실패해도 기동을 막지 않음 (조회는 writer 로 대체)
+            if (this.readerConfig) {
+                await this.initializeReader();
             }
 
-            console.log('RDS IAM Auth Manager initialized successfully');
+            logger.info('RDS IAM Auth Manager initialized successfully', { role: this.role });
 
         } catch (error) {
-            console.error('Failed to initialize RDS IAM Auth Manager:', error);
+            logger.error('Failed to initialize RDS IAM Auth Manager', { err: error });
             throw error;
         }
     }
 
+    /**
+     * 리더 매니저 초기화
+     * - 실패하면 조회는 writer 로 보내고, 백오프 간격으로 다시 초기화 시도
+     */
+    async initializeReader() {
+        this.readerInitTimer = null;
+        const reader = new RdsIamAuthManager({ role: 'reader', ...this.readerConfig });
+
+        try {
+            await reader.initialize();
+            this.reader = reader;
+            this.readerInitAttempt = 0;
+        } catch (error) {
+            await reader.shutdown().catch(() => {});
+            const delay = backoffDelay(
+                this.readerInitAttempt,
+                this.refreshRetryConfig.baseMs,
+                this.refreshRetryConfig.maxMs
+            );
+            this.readerInitAttempt += 1;
+            logger.warn('Reader pool unavailable; reads use the writer until it recovers', {
+                err: error,
+                retryInMs: delay
+            });
+            this.readerInitTimer = setTimeout(() => this.initializeReader(), delay);
+            this.readerInitTimer.unref();
+        }
+    }
+
+    /**
+     * 이 매니저로 지금 요청을 보낼 수 있는지 (풀 초기화됨, 서킷이 요청을 허용)
+     * @returns {boolean}
+     */
+    isAvailable() {
+        return Boolean(this.pool) && this.circuitBreaker.allowsRequests();
+    }
+
+    /**
+     * 예약 토큰 갱신 설정 (기존 예약은 취소)
+     * @param {number} delayMs
+     */
+    scheduleRefresh(delayMs) {
+        if (!this.autoRefresh) {
+            return;
+        }
+
+        clearTimeout(this.tokenRefreshTimer);
+        const delay = Math.max(0, delayMs);
+        this.nextRefreshAt = Date.now() + delay;
+        this.tokenRefreshTimer = setTimeout(() => this.runScheduledRefresh(), delay);
+
+        logger.info('Token refresh scheduled', { at: new Date(this.nextRefreshAt).toISOString() });
+    }
+
+    /**
+     * 예약 갱신 실행 (성공하면 rotatePool 이 다음 갱신을 예약, 실패하면 백오프 후 재시도)
+     */
+    async runScheduledRefresh() {
+        try {
+            await this.refreshPool();
+        } catch (error) {
+            const delay = backoffDelay(
+                this.refreshAttempt,
+                this.refreshRetryConfig.baseMs,
+                this.refreshRetryConfig.maxMs
+            );
+            this.refreshAttempt += 1;
+            logger.error('Failed to refresh pool', { err: error, attempt: this.refreshAttempt, retryInMs: delay });
+            this.scheduleRefresh(delay);
+        }
+    }
+
     /**
      * 커넥션 가져오기
      * @returns {Promise<PoolConnection>}
+     * @throws {CircuitOpenError} DB 장애로 서킷이 열려 있을 때
      */
     async getConnection() {
+        return this.circuitBreaker.execute(async () => {
+            await this.ensurePool();
+
+            try {
+                return await this.pool.getConnection();
+            } catch (error) {
+                throw translateDatabaseError(error);
+            }
+        });
+    }
+
+    /**
+     * DB 트랜잭션 안에서 작업 실행
+     * - 커넥션을 가져와 BEGIN, 성공하면 COMMIT, 예외가 발생하면 ROLLBACK 후 예외 전달
+     * - 데드락/락 대기 시간 초과는 새 커넥션으로 전체를 다시 실행 (fn 은 재실행해도 안전해야 함)
+     * - 중첩이 필요하면 콜백의 tx.withTransaction() 사용 (SAVEPOINT)
+     * - 풀 갱신은 진행 중인 트랜잭션이 끝난 뒤에 기존 풀을 닫음
+     * @param {Function} fn - async (tx) => any
+     * @param {Object} [options]
+     * @param {number} [options.retries] - 최대 재시도 횟수 (기본 DB_TX_MAX_RETRIES)
+     * @returns {Promise<any>}
+     */
+    async withTransaction(fn, { retries = this.transactionConfig.maxRetries } = {}) {
+        for (let attempt = 0; ; attempt += 1) {
+            try {
+                return await this.circuitBreaker.execute(async () => {
+                    await this.ensurePool();
+
+                    // 풀 참조와 등록은 await 없이 처리 (그 사이 풀이 교체되어도 기존 풀의 대기 대상에 포함)
+                    const pool = this.pool;
+                    const run = this.runTransaction(pool, fn);
+                    this.trackTransaction(pool, run);
+                    return run;
+                });
+            } catch (error) {
+                if (!isRetryableTransactionError(error) || attempt >= retries) {
+                    throw error;
+                }
+
+                transactionResults.inc({ result: 'retry' });
+                const delay = this.transactionConfig.retryDelayMs * (2 ** attempt);
+                logger.warn('Retrying transaction', { code: error.code || error.cause.code, attempt: attempt + 1, delayMs: delay });
+                await sleep(delay + Math.floor(Math.random() * this.transactionConfig.retryDelayMs));
+            }
+        }
+    }
+
+    /**
+     * 트랜잭션 1회 실행 (withTransaction 에서 호출)
+     * @param {Pool} pool - 커넥션을 가져올 풀
+     * @param {Function} fn - async (tx) => any
+     * @returns {Promise<any>}
+     */
+    async runTransaction(pool, fn) {
+        let connection;
+        try {
+            connection = await pool.getConnection();
+        } catch (error) {
+            throw translateDatabaseError(error);
+        }
+
+        try {
+            const tx = new Transaction(connection);
+            await tx.query('BEGIN');
+            const result = await fn(tx);
+            await tx.query('COMMIT');
+            transactionResults.inc({ result: 'commit' });
+            return result;
+        } catch (error) {
+            transactionResults.inc({ result: 'rollback' });
+            try {
+                await connection.query('ROLLBACK');
+            } catch (rollbackError) {
+                logger.error('Error rolling back transaction', { err: rollbackError });
+            }
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * 진행 중인 트랜잭션 등록 (끝나면 자동 해제)
+     */
+    trackTransaction(pool, run) {
+        if (!this.openTransactions.has(pool)) {
+            this.openTransactions.set(pool, new Set());
+        }
+        const runs = this.openTransactions.get(pool);
+        runs.add(run);
+
+        const untrack = () => {
+            runs.delete(run);
+            if (runs.size === 0 && this.openTransactions.get(pool) === runs) {
+                this.openTransactions.delete(pool);
+            }
+        };
+        run.then(untrack, untrack);
+    }
+
+    /**
+     * 풀에서 진행 중인 트랜잭션이 모두 끝날 때까지 대기
+     * @param {Pool} pool
+     * @returns {Promise<void>}
+     */
+    async waitForTransactions(pool) {
+        const runs = this.openTransactions.get(pool);
+        if (!runs || runs.size === 0) {
+            return;
+        }
+
+        logger.info('Waiting for open transactions before closing pool', { openTransactions: runs.size });
+        await Promise.allSettled([...runs]);
+    }
+
+    /**
+     * 풀 초기화 여부 확인, 만료되는 자격 증명 (IAM 토큰) 이 만료되었으면 풀 갱신
+     */
+    async ensurePool() {
         if (!this.pool) {
-            throw new Error('Connection pool not initialized. Call initialize() first.');
+            throw new DatabaseUnavailableError('Connection pool not initialized. Call initialize() first.');
         }
 
         // IAM 인증 사용 시 토큰 만료 체크
-        if (process.env.USE_IAM_AUTH === 'true' && this.isTokenExpired()) {
-            console.log('Token expired, refreshing pool...');
+        if (this.credentialProvider.expires && this.isTokenExpired()) {
+            logger.info('Token expired, refreshing pool');
             await this.refreshPool();
         }
-
-        return await this.pool.getConnection();
     }
 
     /**
      * 쿼리 실행
+     * - target 이 'reader' 이고 리더 풀이 있으면 리더에서 실행
+     * - 리더를 사용할 수 없거나 연결 에러가 나면 writer 에서 다시 실행
      * @param {string} sql - SQL 쿼리
      * @param {Array} params - 쿼리 파라미터
+     * @param {Object} [options]
+     * @param {string} [options.target='writer'] - writer | reader
      * @returns {Promise<any>}
+     * @throws {CircuitOpenError} DB 장애로 서킷이 열려 있을 때
      */
-    async query(sql, params = []) {
-        if (!this.pool) {
-            throw new Error('Connection pool not initialized. Call initialize() first.');
+    async query(sql, params = [], { target = 'writer' } = {}) {
+        if (target === 'reader' && this.readerConfig) {
+            const reader = this.reader;
+            if (reader && reader.isAvailable()) {
+                try {
+                    return await reader.query(sql, params);
+                } catch (error) {
+                    if (!(error instanceof DatabaseUnavailableError)) {
+                        throw error;
+                    }
+                    readerFallbacks.inc({ reason: 'error' });
+                    logger.warn('Reader query failed; retrying on the writer', { err: error });
+                }
+            } else {
+                readerFallbacks.inc({ reason: 'unavailable' });
+            }
         }
 
-        // IAM 인증 사용 시 토큰 만료 체크
-        if (process.env.USE_IAM_AUTH === 'true' && this.isTokenExpired()) {
-            console.log('Token expired, refreshing pool...');
-            await this.refreshPool();
+        return this.circuitBreaker.execute(async () => {
+            await this.ensurePool();
+
+            try {
+                return await this.pool.query(sql, params);
+            } catch (error) {
+                throw translateDatabaseError(error);
+            }
+        });
+    }
+
+    /**
+     * 쿼리 결과를 행 단위 스트림으로 조회 (대용량 내보내기 용)
+     * - mysql2 쿼리 스트림 (objectMode Readable): 소비자가 읽지 않으면 소켓 수신을 멈춤 (backpressure)
+     * - 리더 라우팅과 writer 대체는 query() 와 같음 (커넥션을 가져오는 단계까지만)
+     * - 스트림이 끝나면 커넥션 반납, 도중에 에러가 나거나 파괴되면 결과를 다 받지 못한 커넥션이므로 폐기
+     * - 풀 갱신 시 기존 풀은 스트림의 커넥션이 반납될 때까지 (drainTimeoutMs 한도) 닫지 않음
+     * @param {string} sql - SQL 쿼리
+     * @param {Array} params - 쿼리 파라미터
+     * @param {Object} [options]
+     * @param {string} [options.target='writer'] - writer | reader
+     * @param {number} [options.highWaterMark=100] - 스트림 버퍼 행 수
+     * @returns {Promise<import('stream').Readable>}
+     * @throws {CircuitOpenError} DB 장애로 서킷이 열려 있을 때
+     */
+    async queryStream(sql, params = [], { target = 'writer', highWaterMark = DEFAULT_STREAM_HIGH_WATER_MARK } = {}) {
+        if (target === 'reader' && this.readerConfig) {
+            const reader = this.reader;
+            if (reader && reader.isAvailable()) {
+                try {
+                    return await reader.queryStream(sql, params, { highWaterMark });
+                } catch (error) {
+                    if (!(error instanceof DatabaseUnavailableError)) {
+                        throw error;
+                    }
+                    readerFallbacks.inc({ reason: 'error' });
+                    logger.warn('Reader query failed; retrying on the writer', { err: error });
+                }
+            } else {
+                readerFallbacks.inc({ reason: 'unavailable' });
+            }
         }
 
-        return await this.pool.query(sql, params);
+        const connection = await this.getConnection();
+        // promise 래퍼에는 스트림 API 가 없으므로 내부 콜백 커넥션에서 실행
+        const stream = connection.connection.query(sql, params).stream({ highWaterMark });
+
+        finished(stream).then(
+            () => connection.release(),
+            (error) => {
+                if (error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+                    logger.warn('Query stream failed; discarding connection', { err: error });
+                }
+                connection.destroy();
+            }
+        );
+
+        return stream;
+    }
+
+    /**
+     * 커넥션 풀 사용 현황 (mysql2 내부 큐 길이 기반)
+     * @returns {{connectionLimit: number, total: number, inUse: number, idle: number, queued: number}}
+     */
+    getPoolStats() {
+        const { total, idle, queued } = poolCounts(this.pool);
+
+        return {
+            connectionLimit: this.poolConfig.connectionLimit,
+            total,
+            inUse: total - idle,
+            idle,
+            queued
+        };
+    }
+
+    /**
+     * 데이터베이스 상태 점검 (readiness probe 용)
+     * - 매니저를 통해 제한 시간이 있는 SELECT 1 실행 (만료된 토큰은 이 과정에서 갱신됨)
+     * - 풀 포화도, 토큰 경과 시간, 마지막 풀 갱신 실패, 서킷 브레이커, 리더 풀 상태를 함께 보고
+     * - 각 항목의 status 는 ok / warn / fail, 하나라도 fail 이면 전체 status 는 degraded
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs=2000] - SELECT 1 제한 시간
+     * @returns {Promise<{status: string, checks: Object}>}
+     */
+    async healthCheck({ timeoutMs = DEFAULT_HEALTH_CHECK_TIMEOUT_MS } = {}) {
+        const checks = {};
+
+        // 1. SELECT 1
+        const startedAt = Date.now();
+        try {
+            await withTimeout(
+                this.query({ sql: 'SELECT 1', timeout: timeoutMs }),
+                timeoutMs,
+                `Database did not respond within ${timeoutMs}ms`
+            );
+            checks.database = { status: 'ok', latencyMs: Date.now() - startedAt };
+        } catch (error) {
+            logger.warn('Database health check failed', { err: error });
+            checks.database = {
+                status: 'fail',
+                latencyMs: Date.now() - startedAt,
+                error: publicErrorMessage(error, 'Database health check failed')
+            };
+        }
+
+        // 2. 커넥션 풀 포화도 (모든 커넥션 사용 중이면 warn, 대기열이 풀 크기 이상이면 fail)
+        const pool = this.getPoolStats();
+        const saturation = pool.connectionLimit > 0 ? pool.inUse / pool.connectionLimit : 0;
+        let poolStatus = 'ok';
+        if (!this.pool || (pool.connectionLimit > 0 && pool.queued >= pool.connectionLimit)) {
+            poolStatus = 'fail';
+        } else if (saturation >= 1) {
+            poolStatus = 'warn';
+        }
+        checks.pool = { status: poolStatus, ...pool, saturation: Math.round(saturation * 100) / 100 };
+
+        // 3. 자격 증명 (IAM 토큰은 갱신이 실패하고 있어도 토큰이 유효하면 warn, 시크릿은 교체 실패 시 warn)
+        const provider = this.credentialProvider.name;
+        if (this.credentialProvider.expires) {
+            const expired = this.isTokenExpired();
+            checks.token = {
+                status: expired ? 'fail' : (this.lastRefreshError ? 'warn' : 'ok'),
+                provider,
+                iamAuth: provider === 'iam',
+                ageSeconds: this.tokenIssuedAt ? Math.floor((Date.now() - this.tokenIssuedAt) / 1000) : null,
+                expiresAt: this.tokenExpiryTime ? new Date(this.tokenExpiryTime).toISOString() : null,
+                nextRefreshAt: this.nextRefreshAt ? new Date(this.nextRefreshAt).toISOString() : null
+            };
+        } else {
+            checks.token = { status: this.lastRefreshError ? 'warn' : 'ok', provider, iamAuth: false };
+        }
+        checks.token.lastRefreshAt = this.lastRefreshAt ? new Date(this.lastRefreshAt).toISOString() : null;
+        checks.token.lastRefreshError = this.lastRefreshError ? {
+            message: this.lastRefreshError.message,
+            at: new Date(this.lastRefreshError.at).toISOString(),
+            failingSince: new Date(this.lastRefreshError.failingSince).toISOString(),
+            consecutiveFailures: this.lastRefreshError.consecutiveFailures
+        } : null;
+
+        // 4. 서킷 브레이커 (open 이면 요청을 즉시 503 으로 거부 중)
+        const circuit = this.circuitBreaker.getState();
+        const circuitStatus = { [CIRCUIT_STATES.OPEN]: 'fail', [CIRCUIT_STATES.HALF_OPEN]: 'warn' };
+        checks.circuit = { status: circuitStatus[circuit.state] || 'ok', ...circuit };
+
+        // 5. 리더 풀 (장애여도 조회는 writer 로 대체되므로 최대 warn)
+        if (this.readerConfig) {
+            if (this.reader) {
+                const report = await this.reader.healthCheck({ timeoutMs });
+                checks.reader = { status: report.status === 'ok' ? 'ok' : 'warn', checks: report.checks };
+            } else {
+                checks.reader = { status: 'warn', error: 'Reader pool is not initialized; reads use the writer' };
+            }
+        }
+
+        const degraded = Object.values(checks).some(check => check.status === 'fail');
+        return { status: degraded ? 'degraded' : 'ok', checks };
     }
 
     /**
      * 정리 및 종료
      */
     async shutdown() {
-        console.log('Shutting down RDS IAM Auth Manager...');
+        logger.info('Shutting down RDS IAM Auth Manager', { role: this.role });
+
+        // 자동 갱신과 자격 증명 변경 감지 중지
+        this.autoRefresh = false;
+        this.credentialProvider.close();
+        if (this.tokenRefreshTimer) {
+            clearTimeout(this.tokenRefreshTimer);
+            this.tokenRefreshTimer = null;
+            this.nextRefreshAt = null;
+        }
+
+        // 리더 풀 종료
+        if (this.readerInitTimer) {
+            clearTimeout(this.readerInitTimer);
+            this.readerInitTimer = null;
+        }
+        if (this.reader) {
+            await this.reader.shutdown();
+            this.reader = null;
+        }
 
-        // 자동 갱신 중지
-        if (this.tokenRefreshInterval) {
-            clearInterval(this.tokenRefreshInterval);
-            this.tokenRefreshInterval = null;
+        // 진행 중인 갱신과 기존 풀 정리가 끝날 때까지 대기
+        if (this.refreshing) {
+            await this.refreshing.catch(() => {});
         }
+        await Promise.allSettled([...this.drainingPools.values()]);
 
-        // 커넥션 풀 종료
+        // 커넥션 풀 종료 (진행 중인 트랜잭션은 끝날 때까지 대기)
         if (this.pool) {
+            await this.waitForTransactions(this.pool);
             await this.pool.end();
             this.pool = null;
         }
 
-        console.log('RDS IAM Auth Manager shut down successfully');
+        logger.info('RDS IAM Auth Manager shut down successfully');
     }
 }
 
-// 싱글톤 인스턴스
-let instance = null;
-
 /**
  * 싱글톤 인스턴스 가져오기
  * @returns {RdsIamAuthManager}
@@ -10,7 +10,19 @@ jest.mock('fs', () => ({
 const mysql = require('mysql2/promise');
 const { Signer } = require('@aws-sdk/rds-signer');
 const fs = require('fs');
+const { Readable } = require('stream');
 const { RdsIamAuthManager, getInstance } = require('./RdsIamAuth');
+const { IamTokenCredentialProvider } = require('./CredentialProviders');
+const {
+    AuthTokenError,
+    CredentialsError,
+    DatabaseUnavailableError,
+    CircuitOpenError,
+    TransactionContentionError
+} = require('./Errors');
+const { Logger } = require('./Logger');
+const { registry } = require('./Metrics');
+const { resetConfig } = require('./Config');
 
 describe('RdsIamAuthManager', () => {
     let mockPool;
@@ -30,10 +42,13 @@ describe('RdsIamAuthManager', () => {
         process.env.DB_POOL_SIZE = '10';
         process.env.DB_QUEUE_LIMIT = '0';
         process.env.DB_PWD = 'testpassword';
+        process.env.CA_PATH = '/path/to/ca.pem';
+        resetConfig();
 
         // Mock connection
         mockConnection = {
             threadId: 1,
+            query: jest.fn().mockResolvedValue([[], []]),
             release: jest.fn()
         };
 
@@ -77,7 +92,7 @@ describe('RdsIamAuthManager', () => {
             const manager = new RdsIamAuthManager();
 
             expect(manager.config.host).toBe('test-db.amazonaws.com');
-            expect(manager.config.port).toBe('3306');
+            expect(manager.config.port).toBe(3306);
             expect(manager.config.user).toBe('testuser');
             expect(manager.config.database).toBe('testdb');
             expect(manager.config.region).toBe('ap-northeast-2');
@@ -86,6 +101,7 @@ describe('RdsIamAuthManager', () => {
         test('should set SSL config when USE_IAM_AUTH is true', () => {
             process.env.USE_IAM_AUTH = 'true';
             process.env.CA_PATH = '/path/to/ca.pem';
+            resetConfig();
 
             const manager = new RdsIamAuthManager();
 
@@ -93,8 +109,18 @@ describe('RdsIamAuthManager', () => {
             expect(fs.readFileSync).toHaveBeenCalledWith('/path/to/ca.pem');
         });
 
+        test('should require CA_PATH when USE_IAM_AUTH is true', () => {
+            process.env.USE_IAM_AUTH = 'true';
+            delete process.env.CA_PATH;
+            resetConfig();
+
+            expect(() => new RdsIamAuthManager()).toThrow('CA_PATH is required for IAM authentication');
+            expect(fs.readFileSync).not.toHaveBeenCalled();
+        });
+
         test('should not set SSL config when USE_IAM_AUTH is false', () => {
             process.env.USE_IAM_AUTH = 'false';
+            resetConfig();
 
             const manager = new RdsIamAuthManager();
 
@@ -103,14 +129,26 @@ describe('RdsIamAuthManager', () => {
     });
 
     describe('Token Management (IAM Auth)', () => {
-        test('generateAuthToken should create new token', async () => {
-            const manager = new RdsIamAuthManager();
+        beforeEach(() => {
+            process.env.USE_IAM_AUTH = 'true';
+            resetConfig();
+        });
 
-            const token = await manager.generateAuthToken();
+        test('loadCredentials should create new token', async () => {
+            const manager = new RdsIamAuthManager();
 
-            expect(token).toBe('mock-iam-token-12345');
-            expect(manager.currentToken).toBe('mock-iam-token-12345');
-            expect(manager.tokenExpiryTime).toBeGreaterThan(Date.now());
+            const { credentials, issuedAt, expiresAt } = await manager.loadCredentials();
+
+            expect(credentials.password).toBe('mock-iam-token-12345');
+            expect(manager.credentialProvider.name).toBe('iam');
+            expect(issuedAt).toBeLessThanOrEqual(Date.now());
+            expect(expiresAt).toBeGreaterThan(Date.now());
+            // 풀을 교체하기 전에는 기록하지 않음
+            expect(manager.tokenExpiryTime).toBeNull();
+            expect(Signer).toHaveBeenCalledWith(expect.objectContaining({
+                hostname: 'test-db.amazonaws.com',
+                username: 'testuser'
+            }));
         });
 
         test('isTokenExpired should return true when no token exists', () => {
@@ -121,14 +159,14 @@ describe('RdsIamAuthManager', () => {
 
         test('isTokenExpired should return false for valid token', async () => {
             const manager = new RdsIamAuthManager();
-            await manager.generateAuthToken();
+            manager.useCredentials(await manager.loadCredentials());
 
             expect(manager.isTokenExpired()).toBe(false);
         });
 
         test('isTokenExpired should return true for expired token', async () => {
             const manager = new RdsIamAuthManager();
-            await manager.generateAuthToken();
+            manager.useCredentials(await manager.loadCredentials());
 
             // Manually set expiry time to past
             manager.tokenExpiryTime = Date.now() - 1000;
@@ -140,6 +178,7 @@ describe('RdsIamAuthManager', () => {
     describe('Connection Pool Management', () => {
         test('createPool should create pool with IAM auth when enabled', async () => {
             process.env.USE_IAM_AUTH = 'true';
+            resetConfig();
             const manager = new RdsIamAuthManager();
 
             await manager.createPool();
@@ -155,6 +194,7 @@ describe('RdsIamAuthManager', () => {
 
         test('createPool should create pool with password auth when IAM disabled', async () => {
             process.env.USE_IAM_AUTH = 'false';
+            resetConfig();
             const manager = new RdsIamAuthManager();
 
             await manager.createPool();
@@ -181,6 +221,7 @@ describe('RdsIamAuthManager', () => {
     describe('initialize', () => {
         test('should initialize successfully with password auth', async () => {
             process.env.USE_IAM_AUTH = 'false';
+            resetConfig();
             const manager = new RdsIamAuthManager();
 
             await manager.initialize();
@@ -224,6 +265,27 @@ describe('RdsIamAuthManager', () => {
             await expect(
                 manager.query('SELECT * FROM test', [])
             ).rejects.toThrow('Connection pool not initialized');
+            await expect(
+                manager.query('SELECT * FROM test', [])
+            ).rejects.toBeInstanceOf(DatabaseUnavailableError);
+        });
+
+        test('should translate connection errors to DatabaseUnavailableError', async () => {
+            const manager = new RdsIamAuthManager();
+            await manager.initialize();
+
+            const lost = Object.assign(new Error('Connection lost: The server closed the connection.'), {
+                code: 'PROTOCOL_CONNECTION_LOST'
+            });
+            mockPool.query.mockRejectedValue(lost);
+
+            const error = await manager.query('SELECT 1').catch(err => err);
+
+            expect(error).toBeInstanceOf(DatabaseUnavailableError);
+            expect(error.message).toBe('Database is temporarily unavailable');
+            expect(error.cause).toBe(lost);
+
+            await manager.shutdown();
         });
     });
 
@@ -250,6 +312,266 @@ describe('RdsIamAuthManager', () => {
         });
     });
 
+    describe('queryStream', () => {
+        const streamRows = (rows) => {
+            const stream = Readable.from(rows);
+            mockConnection.connection = { query: jest.fn(() => ({ stream: jest.fn(() => stream) })) };
+            mockConnection.destroy = jest.fn();
+            return stream;
+        };
+
+        test('should stream rows and release the connection at the end', async () => {
+            streamRows([{ id: 1 }, { id: 2 }]);
+            const manager = new RdsIamAuthManager();
+            await manager.initialize();
+
+            const stream = await manager.queryStream('SELECT * FROM test WHERE a = ?', [1]);
+            const rows = await stream.toArray();
+
+            expect(rows).toEqual([{ id: 1 }, { id: 2 }]);
+            expect(mockConnection.connection.query).toHaveBeenCalledWith('SELECT * FROM test WHERE a = ?', [1]);
+            await new Promise(resolve => setImmediate(resolve));
+            expect(mockConnection.release).toHaveBeenCalled();
+            expect(mockConnection.destroy).not.toHaveBeenCalled();
+
+            await manager.shutdown();
+        });
+
+        test('should destroy the connection when the stream is abandoned', async () => {
+            streamRows([{ id: 1 }, { id: 2 }]);
+            const manager = new RdsIamAuthManager();
+            await manager.initialize();
+            mockConnection.release.mockClear();
+
+            const stream = await manager.queryStream('SELECT * FROM test');
+            stream.destroy();
+            await new Promise(resolve => setImmediate(resolve));
+
+            expect(mockConnection.destroy).toHaveBeenCalled();
+            expect(mockConnection.release).not.toHaveBeenCalled();
+
+            await manager.shutdown();
+        });
+
+        test('should throw error when pool not initialized', async () => {
+            const manager = new RdsIamAuthManager();
+
+            await expect(manager.queryStream('SELECT 1')).rejects.toBeInstanceOf(DatabaseUnavailableError);
+        });
+    });
+
+    describe('withTransaction', () => {
+        let manager;
+
+        const lockError = (code) => Object.assign(new Error(code), { code });
+        const statements = () => mockConnection.query.mock.calls.map(call => call[0]);
+
+        beforeEach(async () => {
+            mockConnection.query = jest.fn().mockResolvedValue([[], []]);
+            manager = new RdsIamAuthManager();
+            manager.transactionConfig.retryDelayMs = 0;
+            await manager.initialize();
+            // initialize() 의 연결 테스트 호출은 제외
+            mockPool.getConnection.mockClear();
+            mockConnection.release.mockClear();
+        });
+
+        afterEach(async () => {
+            await manager.shutdown();
+        });
+
+        test('should run the callback between BEGIN and COMMIT on one connection', async () => {
+            const result = await manager.withTransaction(async (tx) => {
+                await tx.query('UPDATE t SET a = ?', [1]);
+                return 'done';
+            });
+
+            expect(result).toBe('done');
+            expect(statements()).toEqual(['BEGIN', 'UPDATE t SET a = ?', 'COMMIT']);
+            expect(mockConnection.query).toHaveBeenCalledWith('UPDATE t SET a = ?', [1]);
+            expect(mockConnection.release).toHaveBeenCalledTimes(1);
+        });
+
+        test('should roll back, release and rethrow when the callback fails', async () => {
+            const error = new Error('boom');
+
+            await expect(manager.withTransaction(async () => {
+                throw error;
+            })).rejects.toBe(error);
+
+            expect(statements()).toEqual(['BEGIN', 'ROLLBACK']);
+            expect(mockConnection.release).toHaveBeenCalledTimes(1);
+        });
+
+        test('should translate driver errors raised by tx.query', async () => {
+            mockConnection.query.mockImplementation(async (sql) => {
+                if (sql === 'SELECT 1') {
+                    throw lockError('ECONNRESET');
+                }
+                return [[], []];
+            });
+
+            await expect(manager.withTransaction(tx => tx.query('SELECT 1')))
+                .rejects.toBeInstanceOf(DatabaseUnavailableError);
+        });
+
+        test('should retry the whole transaction on deadlock', async () => {
+            const fn = jest.fn()
+                .mockRejectedValueOnce(lockError('ER_LOCK_DEADLOCK'))
+                .mockResolvedValueOnce('ok');
+
+            const result = await manager.withTransaction(fn);
+
+            expect(result).toBe('ok');
+            expect(fn).toHaveBeenCalledTimes(2);
+            expect(mockPool.getConnection).toHaveBeenCalledTimes(2);
+            expect(statements()).toEqual(['BEGIN', 'ROLLBACK', 'BEGIN', 'COMMIT']);
+        });
+
+        test('should give up after the configured number of retries', async () => {
+            const fn = jest.fn().mockRejectedValue(lockError('ER_LOCK_WAIT_TIMEOUT'));
+
+            const error = await manager.withTransaction(fn, { retries: 2 }).catch(err => err);
+
+            expect(error.code).toBe('ER_LOCK_WAIT_TIMEOUT');
+            expect(fn).toHaveBeenCalledTimes(3);
+        });
+
+        test('should surface a 503 contention error without opening the circuit when retries run out', async () => {
+            mockConnection.query.mockImplementation(async (sql) => {
+                if (sql === 'UPDATE t SET a = 1') {
+                    throw lockError('ER_LOCK_DEADLOCK');
+                }
+                return [[], []];
+            });
+            const fn = jest.fn(tx => tx.query('UPDATE t SET a = 1'));
+
+            const error = await manager.withTransaction(fn, { retries: 5 }).catch(err => err);
+
+            expect(error).toBeInstanceOf(TransactionContentionError);
+            expect(error.status).toBe(503);
+            expect(error.retryAfter).toBe(1);
+            expect(fn).toHaveBeenCalledTimes(6);
+            // 재시도 횟수가 장애 임계값 (5) 을 넘어도 경합은 장애로 세지 않음
+            expect(manager.circuitBreaker.state).toBe('closed');
+        });
+
+        test('should not retry other errors', async () => {
+            const fn = jest.fn().mockRejectedValue(lockError('ER_DUP_ENTRY'));
+
+            await expect(manager.withTransaction(fn)).rejects.toMatchObject({ code: 'ER_DUP_ENTRY' });
+            expect(fn).toHaveBeenCalledTimes(1);
+        });
+
+        test('should use savepoints for nested transactions', async () => {
+            await manager.withTransaction(async (tx) => {
+                await tx.withTransaction(inner => inner.query('INSERT a'));
+                await tx.withTransaction(async (inner) => {
+                    await inner.query('INSERT b');
+                    throw new Error('inner failed');
+                }).catch(() => {});
+            });
+
+            expect(statements()).toEqual([
+                'BEGIN',
+                'SAVEPOINT sp_1', 'INSERT a', 'RELEASE SAVEPOINT sp_1',
+                'SAVEPOINT sp_2', 'INSERT b', 'ROLLBACK TO SAVEPOINT sp_2',
+                'COMMIT'
+            ]);
+        });
+
+        test('should let a deadlock in a savepoint retry the outer transaction', async () => {
+            let attempts = 0;
+
+            await manager.withTransaction(async (tx) => {
+                attempts += 1;
+                await tx.withTransaction(async () => {
+                    if (attempts === 1) {
+                        throw lockError('ER_LOCK_DEADLOCK');
+                    }
+                });
+            });
+
+            expect(attempts).toBe(2);
+            expect(statements()).not.toContain('ROLLBACK TO SAVEPOINT sp_1');
+        });
+
+        test('should count commits, rollbacks and retries', async () => {
+            const results = registry.getMetric('db_transactions_total');
+            const before = {
+                commit: results.get({ result: 'commit' }),
+                rollback: results.get({ result: 'rollback' }),
+                retry: results.get({ result: 'retry' })
+            };
+
+            await manager.withTransaction(jest.fn()
+                .mockRejectedValueOnce(lockError('ER_LOCK_DEADLOCK'))
+                .mockResolvedValueOnce());
+
+            expect(results.get({ result: 'commit' })).toBe(before.commit + 1);
+            expect(results.get({ result: 'rollback' })).toBe(before.rollback + 1);
+            expect(results.get({ result: 'retry' })).toBe(before.retry + 1);
+        });
+
+        test('should not close the old pool under an open transaction during refresh', async () => {
+            const newPool = { ...mockPool, end: jest.fn().mockResolvedValue(undefined) };
+            mysql.createPool.mockReturnValueOnce(newPool);
+
+            let finish;
+            const running = manager.withTransaction(() => new Promise(resolve => {
+                finish = resolve;
+            }));
+            await new Promise(resolve => setImmediate(resolve));
+
+            await manager.refreshPool();
+
+            expect(manager.pool).toBe(newPool);
+            expect(mockPool.end).not.toHaveBeenCalled();
+
+            finish('committed');
+            await expect(running).resolves.toBe('committed');
+            await manager.drainingPools.get(mockPool);
+
+            expect(statements()).toEqual(['BEGIN', 'SELECT 1', 'COMMIT']);
+            expect(mockPool.end).toHaveBeenCalledTimes(1);
+        });
+
+        test('should wait for an open transaction past the drain timeout before closing the old pool', async () => {
+            manager.drainTimeoutMs = 0;
+            const newPool = { ...mockPool, end: jest.fn().mockResolvedValue(undefined) };
+            mysql.createPool.mockReturnValueOnce(newPool);
+
+            let finish;
+            const running = manager.withTransaction(async (tx) => {
+                await tx.query('UPDATE t SET a = 1');
+                return new Promise(resolve => {
+                    finish = resolve;
+                });
+            });
+            await new Promise(resolve => setImmediate(resolve));
+
+            await manager.refreshPool();
+            await new Promise(resolve => setTimeout(resolve, 20));
+
+            expect(manager.drainingPools.has(mockPool)).toBe(true);
+            expect(mockPool.end).not.toHaveBeenCalled();
+
+            finish('committed');
+            await expect(running).resolves.toBe('committed');
+            await manager.drainingPools.get(mockPool);
+
+            expect(statements()).toEqual(['BEGIN', 'UPDATE t SET a = 1', 'SELECT 1', 'COMMIT']);
+            expect(mockPool.end).toHaveBeenCalledTimes(1);
+        });
+
+        test('should require an initialized pool', async () => {
+            const uninitialized = new RdsIamAuthManager();
+
+            await expect(uninitialized.withTransaction(jest.fn()))
+                .rejects.toThrow('Connection pool not initialized');
+        });
+    });
+
     describe('shutdown', () => {
         test('should cleanup resources successfully', async () => {
             const manager = new RdsIamAuthManager();
@@ -271,18 +593,18 @@ describe('RdsIamAuthManager', () => {
     describe('refreshPool', () => {
         test('should refresh pool with new token', async () => {
             process.env.USE_IAM_AUTH = 'true';
+            resetConfig();
             const manager = new RdsIamAuthManager();
             await manager.initialize();
 
-            const oldToken = manager.currentToken;
-
             // Mock new token
             mockSigner.getAuthToken.mockResolvedValue('new-mock-token-67890');
 
             await manager.refreshPool();
 
-            expect(manager.currentToken).toBe('new-mock-token-67890');
-            expect(manager.currentToken).not.toBe(oldToken);
+            expect(mysql.createPool).toHaveBeenLastCalledWith(
+                expect.objectContaining({ password: 'new-mock-token-67890' })
+            );
             expect(mockPool.end).toHaveBeenCalled();
 
             // Cleanup - shutdown to clear the setInterval
@@ -290,13 +612,413 @@ describe('RdsIamAuthManager', () => {
         });
 
         test('should handle error when refreshPool fails', async () => {
+            process.env.USE_IAM_AUTH = 'true';
+            resetConfig();
             const manager = new RdsIamAuthManager();
             await manager.initialize();
 
             // Mock token generation failure
             mockSigner.getAuthToken.mockRejectedValue(new Error('Token generation failed'));
 
-            await expect(manager.refreshPool()).rejects.toThrow('Token generation failed');
+            const error = await manager.refreshPool().catch(err => err);
+
+            expect(error).toBeInstanceOf(AuthTokenError);
+            expect(error.message).toBe('Could not obtain database authentication token');
+            expect(error.cause.message).toBe('Token generation failed');
+
+            await manager.shutdown();
+        });
+
+        test('should record consecutive refresh failures and clear them on success', async () => {
+            process.env.USE_IAM_AUTH = 'true';
+            resetConfig();
+            const manager = new RdsIamAuthManager();
+            await manager.initialize();
+
+            mockSigner.getAuthToken.mockRejectedValue(new Error('ExpiredToken: secret detail'));
+            await manager.refreshPool().catch(() => {});
+            await manager.refreshPool().catch(() => {});
+
+            expect(manager.lastRefreshError).toMatchObject({
+                message: 'Could not obtain database authentication token',
+                consecutiveFailures: 2
+            });
+
+            mockSigner.getAuthToken.mockResolvedValue('recovered-token');
+            await manager.refreshPool();
+
+            expect(manager.lastRefreshError).toBeNull();
+            expect(manager.lastRefreshAt).toEqual(expect.any(Number));
+
+            await manager.shutdown();
+        });
+
+        test('should share one in-flight refresh between concurrent callers', async () => {
+            process.env.USE_IAM_AUTH = 'true';
+            resetConfig();
+            const manager = new RdsIamAuthManager();
+            await manager.initialize();
+            mockSigner.getAuthToken.mockClear();
+            mysql.createPool.mockClear();
+
+            const first = manager.refreshPool();
+            const second = manager.refreshPool();
+
+            expect(second).toBe(first);
+            await Promise.all([first, second]);
+            expect(mockSigner.getAuthToken).toHaveBeenCalledTimes(1);
+            expect(mysql.createPool).toHaveBeenCalledTimes(1);
+
+            // 완료 후에는 새 갱신을 시작
+            await manager.refreshPool();
+            expect(mockSigner.getAuthToken).toHaveBeenCalledTimes(2);
+
+            await manager.shutdown();
+        });
+
+        test('should verify the new pool before swapping it in', async () => {
+            const manager = new RdsIamAuthManager();
+            await manager.initialize();
+            const oldPool = manager.pool;
+
+            const badConnection = {
+                query: jest.fn().mockRejectedValue(Object.assign(new Error('Access denied'), { code: 'ER_ACCESS_DENIED_ERROR' })),
+                release: jest.fn()
+            };
+            const newPool = { ...mockPool, getConnection: jest.fn().mockResolvedValue(badConnection), end: jest.fn().mockResolvedValue() };
+            mysql.createPool.mockReturnValueOnce(newPool);
+
+            const error = await manager.refreshPool().catch(err => err);
+
+            expect(error).toBeInstanceOf(DatabaseUnavailableError);
+            expect(badConnection.query).toHaveBeenCalledWith('SELECT 1');
+            expect(badConnection.release).toHaveBeenCalled();
+            expect(newPool.end).toHaveBeenCalled();
+            expect(manager.pool).toBe(oldPool);
+            expect(oldPool.end).not.toHaveBeenCalled();
+            expect(manager.lastRefreshError.consecutiveFailures).toBe(1);
+
+            await manager.shutdown();
+        });
+
+        test('should keep the old token times when the new pool fails verification', async () => {
+            process.env.USE_IAM_AUTH = 'true';
+            resetConfig();
+            const manager = new RdsIamAuthManager();
+            await manager.initialize();
+            const { tokenIssuedAt, tokenExpiryTime } = manager;
+            const before = (await manager.healthCheck()).checks.token;
+
+            // 새 토큰은 1분 뒤에 발급된 것으로 (만료 시각이 달라짐)
+            const now = Date.now() + 60000;
+            jest.spyOn(Date, 'now').mockReturnValue(now);
+            const badConnection = {
+                query: jest.fn().mockRejectedValue(Object.assign(new Error('Access denied'), { code: 'ER_ACCESS_DENIED_ERROR' })),
+                release: jest.fn()
+            };
+            mysql.createPool.mockReturnValueOnce({
+                ...mockPool,
+                getConnection: jest.fn().mockResolvedValue(badConnection),
+                end: jest.fn().mockResolvedValue()
+            });
+
+            await expect(manager.refreshPool()).rejects.toBeInstanceOf(DatabaseUnavailableError);
+
+            expect(manager.tokenIssuedAt).toBe(tokenIssuedAt);
+            expect(manager.tokenExpiryTime).toBe(tokenExpiryTime);
+            const after = (await manager.healthCheck()).checks.token;
+            expect(after.expiresAt).toBe(before.expiresAt);
+            expect(after.ageSeconds).toBe(before.ageSeconds + 60);
+
+            await manager.shutdown();
+        });
+
+        test('should close the old pool only after checked-out connections are returned', async () => {
+            const manager = new RdsIamAuthManager();
+            await manager.initialize();
+            const oldPool = { ...mockPool, end: jest.fn().mockResolvedValue() };
+            oldPool.pool = { _allConnections: { length: 2 }, _freeConnections: { length: 1 } };
+            manager.pool = oldPool;
+            const drains = registry.getMetric('db_pool_drains_total');
+            const before = drains.get({ result: 'drained' });
+
+            await manager.refreshPool();
+
+            expect(manager.pool).toBe(mockPool);
+            expect(oldPool.end).not.toHaveBeenCalled();
+
+            // 사용 중이던 커넥션 반납
+            oldPool.pool._freeConnections.length = 2;
+            await manager.drainingPools.get(oldPool);
+
+            expect(oldPool.end).toHaveBeenCalledTimes(1);
+            expect(drains.get({ result: 'drained' })).toBe(before + 1);
+
+            await manager.shutdown();
+        });
+
+        test('should force-close the old pool after the drain timeout', async () => {
+            const manager = new RdsIamAuthManager();
+            await manager.initialize();
+            manager.drainTimeoutMs = 0;
+            const oldPool = { ...mockPool, end: jest.fn().mockResolvedValue() };
+            oldPool.pool = { _allConnections: { length: 1 }, _freeConnections: { length: 0 } };
+            manager.pool = oldPool;
+            const drains = registry.getMetric('db_pool_drains_total');
+            const before = drains.get({ result: 'timeout' });
+
+            await manager.refreshPool();
+            await manager.drainingPools.get(oldPool);
+
+            expect(oldPool.end).toHaveBeenCalledTimes(1);
+            expect(drains.get({ result: 'timeout' })).toBe(before + 1);
+
+            await manager.shutdown();
+        });
+
+        test('should wait for draining pools on shutdown', async () => {
+            const manager = new RdsIamAuthManager();
+            await manager.initialize();
+            const oldPool = { ...mockPool, end: jest.fn().mockResolvedValue() };
+            oldPool.pool = { _allConnections: { length: 1 }, _freeConnections: { length: 0 } };
+            manager.pool = oldPool;
+
+            await manager.refreshPool();
+            setTimeout(() => {
+                oldPool.pool._freeConnections.length = 1;
+            }, 50);
+            await manager.shutdown();
+
+            expect(oldPool.end).toHaveBeenCalledTimes(1);
+            expect(mockPool.end).toHaveBeenCalledTimes(1);
+            expect(manager.drainingPools.size).toBe(0);
+        });
+    });
+
+    describe('getPoolStats', () => {
+        test('should read usage from the underlying mysql2 pool', async () => {
+            const manager = new RdsIamAuthManager();
+            await manager.initialize();
+            mockPool.pool = {
+                _allConnections: { length: 10 },
+                _freeConnections: { length: 0 },
+                _connectionQueue: { length: 3 }
+            };
+
+            expect(manager.getPoolStats()).toEqual({
+                connectionLimit: 10,
+                total: 10,
+                inUse: 10,
+                idle: 0,
+                queued: 3
+            });
+
+            await manager.shutdown();
+        });
+
+        test('should report zeros before initialization', () => {
+            const manager = new RdsIamAuthManager();
+
+            expect(manager.getPoolStats()).toEqual({
+                connectionLimit: 10,
+                total: 0,
+                inUse: 0,
+                idle: 0,
+                queued: 0
+            });
+        });
+    });
+
+    describe('metrics', () => {
+        afterEach(async () => {
+            await getInstance().shutdown();
+        });
+
+        test('should expose pool gauges and token expiry for the singleton', async () => {
+            const manager = getInstance();
+            // 싱글톤은 앞선 테스트에서 env 공급자로 생성됨
+            manager.credentialProvider = new IamTokenCredentialProvider({ signer: mockSigner });
+            await manager.initialize();
+            mockPool.pool = {
+                _allConnections: { length: 6 },
+                _freeConnections: { length: 2 },
+                _connectionQueue: { length: 1 }
+            };
+
+            const text = await registry.metrics();
+
+            expect(text).toContain('db_pool_active_connections 4\n');
+            expect(text).toContain('db_pool_idle_connections 2\n');
+            expect(text).toContain('db_pool_queued_requests 1\n');
+            expect(text).toContain('db_pool_max_connections 10\n');
+            expect(text).toMatch(/rds_iam_token_expiry_seconds (83\d|840)\n/);
+        });
+
+        test('should expose the circuit breaker state', async () => {
+            const manager = getInstance();
+
+            expect(await registry.metrics()).toContain('db_circuit_breaker_state 0\n');
+
+            manager.circuitBreaker.state = 'open';
+            expect(await registry.metrics()).toContain('db_circuit_breaker_state 2\n');
+            manager.circuitBreaker.state = 'closed';
+        });
+
+        test('should count pool events', async () => {
+            const events = registry.getMetric('db_pool_events_total');
+            const before = events.get({ event: 'acquire' });
+            const manager = new RdsIamAuthManager();
+            const pool = await manager.createPool();
+
+            pool.on.mock.calls.find(call => call[0] === 'acquire')[1]({ threadId: 1 });
+
+            expect(events.get({ event: 'acquire' })).toBe(before + 1);
+        });
+
+        test('should count pool refresh results', async () => {
+            const refreshes = registry.getMetric('db_pool_refreshes_total');
+            const before = refreshes.get({ result: 'failure' });
+            process.env.USE_IAM_AUTH = 'true';
+            resetConfig();
+            const manager = new RdsIamAuthManager();
+            mockSigner.getAuthToken.mockRejectedValue(new Error('AccessDenied'));
+
+            await manager.refreshPool().catch(() => {});
+
+            expect(refreshes.get({ result: 'failure' })).toBe(before + 1);
+        });
+    });
+
+    describe('healthCheck', () => {
+        test('should report ok when SELECT 1 succeeds', async () => {
+            const manager = new RdsIamAuthManager();
+            await manager.initialize();
+
+            const report = await manager.healthCheck({ timeoutMs: 500 });
+
+            expect(mockPool.query).toHaveBeenCalledWith({ sql: 'SELECT 1', timeout: 500 }, []);
+            expect(report.status).toBe('ok');
+            expect(report.checks.database).toEqual({ status: 'ok', latencyMs: expect.any(Number) });
+            expect(report.checks.pool.status).toBe('ok');
+            expect(report.checks.token).toEqual({
+                status: 'ok',
+                provider: 'env',
+                iamAuth: false,
+                lastRefreshAt: null,
+                lastRefreshError: null
+            });
+
+            await manager.shutdown();
+        });
+
+        test('should be degraded without leaking driver messages when the query fails', async () => {
+            const manager = new RdsIamAuthManager();
+            await manager.initialize();
+            mockPool.query.mockRejectedValue(Object.assign(
+                new Error('connect ECONNREFUSED 10.0.0.12:3306'),
+                { code: 'ECONNREFUSED' }
+            ));
+
+            const report = await manager.healthCheck();
+
+            expect(report.status).toBe('degraded');
+            expect(report.checks.database).toMatchObject({
+                status: 'fail',
+                error: 'Database is temporarily unavailable'
+            });
+            expect(JSON.stringify(report)).not.toContain('10.0.0.12');
+
+            await manager.shutdown();
+        });
+
+        test('should be degraded when SELECT 1 times out', async () => {
+            const manager = new RdsIamAuthManager();
+            await manager.initialize();
+            mockPool.query.mockReturnValue(new Promise(() => {}));
+
+            const report = await manager.healthCheck({ timeoutMs: 20 });
+
+            expect(report.status).toBe('degraded');
+            expect(report.checks.database.error).toBe('Database did not respond within 20ms');
+
+            await manager.shutdown();
+        });
+
+        test('should be degraded when the pool is not initialized', async () => {
+            const manager = new RdsIamAuthManager();
+
+            const report = await manager.healthCheck();
+
+            expect(report.status).toBe('degraded');
+            expect(report.checks.database.status).toBe('fail');
+            expect(report.checks.pool.status).toBe('fail');
+        });
+
+        test('should warn on full pool and fail when the queue is as large as the pool', async () => {
+            const manager = new RdsIamAuthManager();
+            await manager.initialize();
+            mockPool.pool = {
+                _allConnections: { length: 10 },
+                _freeConnections: { length: 0 },
+                _connectionQueue: { length: 0 }
+            };
+
+            let report = await manager.healthCheck();
+            expect(report.checks.pool).toMatchObject({ status: 'warn', saturation: 1 });
+            expect(report.status).toBe('ok');
+
+            mockPool.pool._connectionQueue.length = 10;
+            report = await manager.healthCheck();
+            expect(report.checks.pool.status).toBe('fail');
+            expect(report.status).toBe('degraded');
+
+            await manager.shutdown();
+        });
+
+        test('should report token age and warn while refresh keeps failing', async () => {
+            process.env.USE_IAM_AUTH = 'true';
+            resetConfig();
+            const manager = new RdsIamAuthManager();
+            await manager.initialize();
+
+            mockSigner.getAuthToken.mockRejectedValue(new Error('AccessDenied'));
+            await manager.refreshPool().catch(() => {});
+
+            const report = await manager.healthCheck();
+
+            expect(report.status).toBe('ok');
+            expect(report.checks.token).toMatchObject({
+                status: 'warn',
+                provider: 'iam',
+                iamAuth: true,
+                ageSeconds: expect.any(Number),
+                expiresAt: expect.any(String),
+                lastRefreshError: {
+                    message: 'Could not obtain database authentication token',
+                    consecutiveFailures: 1
+                }
+            });
+
+            await manager.shutdown();
+        });
+
+        test('should fail when the IAM token expired and cannot be refreshed', async () => {
+            process.env.USE_IAM_AUTH = 'true';
+            resetConfig();
+            const manager = new RdsIamAuthManager();
+            await manager.initialize();
+
+            manager.tokenExpiryTime = Date.now() - 1000;
+            mockSigner.getAuthToken.mockRejectedValue(new Error('AccessDenied'));
+
+            const report = await manager.healthCheck();
+
+            expect(report.status).toBe('degraded');
+            expect(report.checks.database).toMatchObject({
+                status: 'fail',
+                error: 'Could not obtain database authentication token'
+            });
+            expect(report.checks.token.status).toBe('fail');
 
             await manager.shutdown();
         });
@@ -305,6 +1027,7 @@ describe('RdsIamAuthManager', () => {
     describe('Token expiration and auto-refresh', () => {
         test('should refresh pool in getConnection when token expired', async () => {
             process.env.USE_IAM_AUTH = 'true';
+            resetConfig();
             const manager = new RdsIamAuthManager();
             await manager.initialize();
 
@@ -318,13 +1041,16 @@ describe('RdsIamAuthManager', () => {
 
             // Should have called refresh
             expect(mockSigner.getAuthToken).toHaveBeenCalled();
-            expect(manager.currentToken).toBe('refreshed-token');
+            expect(mysql.createPool).toHaveBeenLastCalledWith(
+                expect.objectContaining({ password: 'refreshed-token' })
+            );
 
             await manager.shutdown();
         });
 
         test('should refresh pool in query when token expired', async () => {
             process.env.USE_IAM_AUTH = 'true';
+            resetConfig();
             const manager = new RdsIamAuthManager();
             await manager.initialize();
 
@@ -339,15 +1065,17 @@ describe('RdsIamAuthManager', () => {
 
             // Should have called refresh
             expect(mockSigner.getAuthToken).toHaveBeenCalled();
-            expect(manager.currentToken).toBe('refreshed-token');
+            expect(mysql.createPool).toHaveBeenLastCalledWith(
+                expect.objectContaining({ password: 'refreshed-token' })
+            );
 
             await manager.shutdown();
         });
     });
 
     describe('Connection pool event listeners', () => {
-        test('should trigger acquire event listener', async () => {
-            const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+        test('should log acquire event at debug level', async () => {
+            const debugSpy = jest.spyOn(Logger.prototype, 'debug');
             const manager = new RdsIamAuthManager();
             const pool = await manager.createPool();
 
@@ -355,12 +1083,11 @@ describe('RdsIamAuthManager', () => {
             const acquireCallback = pool.on.mock.calls.find(call => call[0] === 'acquire')[1];
             acquireCallback({ threadId: 123 });
 
-            expect(consoleSpy).toHaveBeenCalledWith('Connection %d acquired', 123);
-            consoleSpy.mockRestore();
+            expect(debugSpy).toHaveBeenCalledWith('Connection acquired', { threadId: 123 });
         });
 
-        test('should trigger release event listener', async () => {
-            const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+        test('should log release event at debug level', async () => {
+            const debugSpy = jest.spyOn(Logger.prototype, 'debug');
             const manager = new RdsIamAuthManager();
             const pool = await manager.createPool();
 
@@ -368,12 +1095,11 @@ describe('RdsIamAuthManager', () => {
             const releaseCallback = pool.on.mock.calls.find(call => call[0] === 'release')[1];
             releaseCallback({ threadId: 456 });
 
-            expect(consoleSpy).toHaveBeenCalledWith('Connection %d released', 456);
-            consoleSpy.mockRestore();
+            expect(debugSpy).toHaveBeenCalledWith('Connection released', { threadId: 456 });
         });
 
-        test('should trigger enqueue event listener', async () => {
-            const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+        test('should log enqueue event at debug level', async () => {
+            const debugSpy = jest.spyOn(Logger.prototype, 'debug');
             const manager = new RdsIamAuthManager();
             const pool = await manager.createPool();
 
@@ -381,14 +1107,14 @@ describe('RdsIamAuthManager', () => {
             const enqueueCallback = pool.on.mock.calls.find(call => call[0] === 'enqueue')[1];
             enqueueCallback();
 
-            expect(consoleSpy).toHaveBeenCalledWith('Waiting for available connection slot');
-            consoleSpy.mockRestore();
+            expect(debugSpy).toHaveBeenCalledWith('Waiting for available connection slot');
         });
     });
 
     describe('IAM Auth Plugin', () => {
         test('should create authPlugin callback for IAM authentication', async () => {
             process.env.USE_IAM_AUTH = 'true';
+            resetConfig();
             const manager = new RdsIamAuthManager();
             const pool = await manager.createPool();
 
@@ -412,59 +1138,468 @@ describe('RdsIamAuthManager', () => {
         });
     });
 
-    describe('Scheduled token refresh (setInterval)', () => {
+    describe('Scheduled token refresh', () => {
+        // 타이머 콜백 안의 Promise 체인 처리
+        const flush = async () => {
+            for (let i = 0; i < 20; i++) {
+                await Promise.resolve();
+            }
+        };
+
         beforeEach(() => {
             jest.useFakeTimers();
+            process.env.USE_IAM_AUTH = 'true';
+            resetConfig();
         });
 
         afterEach(() => {
             jest.useRealTimers();
         });
 
-        test('should schedule periodic token refresh when IAM auth enabled', async () => {
-            process.env.USE_IAM_AUTH = 'true';
+        test('should schedule the refresh two minutes before the token expires', async () => {
             const manager = new RdsIamAuthManager();
+            const refreshSpy = jest.spyOn(manager, 'refreshPool').mockResolvedValue();
 
+            await manager.initialize();
+
+            expect(manager.nextRefreshAt).toBe(manager.tokenExpiryTime - 2 * 60 * 1000);
+
+            jest.advanceTimersByTime(12 * 60 * 1000 - 1);
+            expect(refreshSpy).not.toHaveBeenCalled();
+
+            jest.advanceTimersByTime(1);
+            expect(refreshSpy).toHaveBeenCalledTimes(1);
+
+            await manager.shutdown();
+        });
+
+        test('should schedule the next refresh from the new token expiry', async () => {
+            const manager = new RdsIamAuthManager();
+            await manager.initialize();
+            mockSigner.getAuthToken.mockClear();
+
+            jest.advanceTimersByTime(12 * 60 * 1000);
+            await flush();
+
+            expect(mockSigner.getAuthToken).toHaveBeenCalledTimes(1);
+            expect(manager.nextRefreshAt).toBe(manager.tokenExpiryTime - 2 * 60 * 1000);
+            expect(manager.nextRefreshAt).toBe(Date.now() + 12 * 60 * 1000);
+
+            await manager.shutdown();
+        });
+
+        test('should retry failed refreshes with exponential backoff', async () => {
+            jest.spyOn(Math, 'random').mockReturnValue(0);
+            const manager = new RdsIamAuthManager();
+            const errorSpy = jest.spyOn(Logger.prototype, 'error');
+            const refreshSpy = jest.spyOn(manager, 'refreshPool')
+                .mockRejectedValueOnce(new Error('Scheduled refresh failed'))
+                .mockRejectedValueOnce(new Error('Scheduled refresh failed'))
+                .mockResolvedValue();
+
+            await manager.initialize();
+
+            jest.advanceTimersByTime(12 * 60 * 1000);
+            await flush();
+            expect(refreshSpy).toHaveBeenCalledTimes(1);
+            expect(errorSpy).toHaveBeenCalledWith('Failed to refresh pool', {
+                err: expect.any(Error),
+                attempt: 1,
+                retryInMs: 500
+            });
+
+            // 1차 재시도: 기준 1초의 절반 + 지터(0)
+            jest.advanceTimersByTime(499);
+            expect(refreshSpy).toHaveBeenCalledTimes(1);
+            jest.advanceTimersByTime(1);
+            await flush();
+            expect(refreshSpy).toHaveBeenCalledTimes(2);
+
+            // 2차 재시도: 2초의 절반
+            jest.advanceTimersByTime(1000);
+            await flush();
+            expect(refreshSpy).toHaveBeenCalledTimes(3);
+            expect(manager.refreshAttempt).toBe(2);
+
+            await manager.shutdown();
+        });
+
+        test('should cap the backoff delay', async () => {
+            jest.spyOn(Math, 'random').mockReturnValue(1);
+            const manager = new RdsIamAuthManager();
+            manager.refreshAttempt = 20;
+            jest.spyOn(manager, 'refreshPool').mockRejectedValue(new Error('still failing'));
+            manager.autoRefresh = true;
+
+            await manager.runScheduledRefresh();
+
+            expect(manager.nextRefreshAt).toBe(Date.now() + 60000);
+
+            await manager.shutdown();
+        });
+
+        test('should stop scheduling after shutdown', async () => {
+            const manager = new RdsIamAuthManager();
             const refreshSpy = jest.spyOn(manager, 'refreshPool').mockResolvedValue();
+            await manager.initialize();
+
+            await manager.shutdown();
+            jest.advanceTimersByTime(60 * 60 * 1000);
+
+            expect(manager.tokenRefreshTimer).toBeNull();
+            expect(refreshSpy).not.toHaveBeenCalled();
+        });
+
+        test('should not schedule refreshes without IAM auth', async () => {
+            process.env.USE_IAM_AUTH = 'false';
+            resetConfig();
+            const manager = new RdsIamAuthManager();
+
+            await manager.initialize();
+
+            expect(manager.tokenRefreshTimer).toBeNull();
+            await manager.shutdown();
+        });
+    });
+
+    describe('circuit breaker', () => {
+        const refused = () => Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+
+        test('should fail fast with CircuitOpenError after repeated connection failures', async () => {
+            const manager = new RdsIamAuthManager();
+            await manager.initialize();
+            mockPool.query.mockRejectedValue(refused());
+
+            for (let i = 0; i < 5; i++) {
+                await expect(manager.query('SELECT 1')).rejects.toBeInstanceOf(DatabaseUnavailableError);
+            }
+            mockPool.query.mockClear();
+
+            const error = await manager.query('SELECT 1').catch(err => err);
+
+            expect(error).toBeInstanceOf(CircuitOpenError);
+            expect(error.status).toBe(503);
+            expect(error.retryAfter).toBe(10);
+            expect(mockPool.query).not.toHaveBeenCalled();
+            await expect(manager.getConnection()).rejects.toBeInstanceOf(CircuitOpenError);
+            await expect(manager.withTransaction(jest.fn())).rejects.toBeInstanceOf(CircuitOpenError);
+
+            await manager.shutdown();
+        });
+
+        test('should not count application errors as failures', async () => {
+            const manager = new RdsIamAuthManager();
+            await manager.initialize();
+            mockPool.query.mockRejectedValue(Object.assign(new Error('Duplicate'), { code: 'ER_DUP_ENTRY' }));
+
+            for (let i = 0; i < 10; i++) {
+                await manager.query('INSERT').catch(() => {});
+            }
+
+            expect(manager.circuitBreaker.state).toBe('closed');
+            await manager.shutdown();
+        });
+
+        test('should report the circuit state in the health check', async () => {
+            const manager = new RdsIamAuthManager();
+            await manager.initialize();
+            mockPool.query.mockRejectedValue(refused());
+            for (let i = 0; i < 5; i++) {
+                await manager.query('SELECT 1').catch(() => {});
+            }
+
+            const report = await manager.healthCheck();
+
+            expect(report.status).toBe('degraded');
+            expect(report.checks.circuit).toMatchObject({
+                status: 'fail',
+                state: 'open',
+                consecutiveFailures: 5,
+                nextAttemptAt: expect.any(String)
+            });
+            expect(report.checks.database.error).toBe(new CircuitOpenError().message);
+
+            await manager.shutdown();
+        });
+    });
+
+    describe('credential providers', () => {
+        const stubProvider = (password = 'secret-1') => {
+            const provider = {
+                name: 'stub',
+                expires: false,
+                requiresTls: false,
+                password,
+                getCredentials: jest.fn(async () => ({ user: 'app', password: provider.password, expiresAt: null })),
+                watch: jest.fn(onChange => {
+                    provider.onChange = onChange;
+                }),
+                close: jest.fn()
+            };
+            return provider;
+        };
 
+        test('should create the pool with the provider credentials', async () => {
+            const provider = stubProvider();
+            const manager = new RdsIamAuthManager({ credentialProvider: provider });
+
+            await manager.initialize();
+
+            expect(manager.config.ssl).toBeUndefined();
+            expect(mysql.createPool).toHaveBeenCalledWith(expect.objectContaining({
+                user: 'app',
+                password: 'secret-1'
+            }));
+            expect(mysql.createPool.mock.calls[0][0].authPlugins).toBeUndefined();
+            expect(manager.tokenRefreshTimer).toBeNull();
+            expect(provider.watch).toHaveBeenCalledWith(expect.any(Function));
+
+            await manager.shutdown();
+            expect(provider.close).toHaveBeenCalled();
+        });
+
+        test('should rotate the pool when the provider reports changed credentials', async () => {
+            const provider = stubProvider();
+            const manager = new RdsIamAuthManager({ credentialProvider: provider });
             await manager.initialize();
+            const newPool = { ...mockPool, end: jest.fn().mockResolvedValue(undefined) };
+            mysql.createPool.mockReturnValueOnce(newPool);
 
-            expect(manager.tokenRefreshInterval).toBeDefined();
+            provider.password = 'secret-2';
+            provider.onChange();
+            await manager.refreshing;
 
-            // Fast-forward time by 13 minutes
-            jest.advanceTimersByTime(13 * 60 * 1000);
+            expect(mysql.createPool).toHaveBeenLastCalledWith(expect.objectContaining({ password: 'secret-2' }));
+            expect(manager.pool).toBe(newPool);
+            expect(manager.nextRefreshAt).toBeNull();
+            await manager.shutdown();
+            expect(mockPool.end).toHaveBeenCalled();
+        });
+
+        test('should keep the old pool and retry when rotation fails', async () => {
+            jest.useFakeTimers();
+            try {
+                const provider = stubProvider();
+                const manager = new RdsIamAuthManager({ credentialProvider: provider });
+                await manager.initialize();
+                provider.getCredentials.mockRejectedValueOnce(new CredentialsError());
+
+                provider.onChange();
+                await jest.advanceTimersByTimeAsync(0);
+
+                expect(manager.pool).toBe(mockPool);
+                expect(manager.refreshAttempt).toBe(1);
+                expect(manager.nextRefreshAt).not.toBeNull();
+                const report = await manager.healthCheck();
+                expect(report.checks.token).toMatchObject({
+                    status: 'warn',
+                    provider: 'stub',
+                    lastRefreshError: { message: 'Could not obtain database credentials' }
+                });
+
+                await jest.advanceTimersByTimeAsync(1000);
+                expect(provider.getCredentials).toHaveBeenCalledTimes(3);
+                expect(manager.lastRefreshError).toBeNull();
+
+                await manager.shutdown();
+            } finally {
+                jest.useRealTimers();
+            }
+        });
 
-            // Wait for async operations
-            await Promise.resolve();
+        test('should select the provider from DB_CREDENTIALS_PROVIDER', () => {
+            process.env.DB_CREDENTIALS_PROVIDER = 'secrets-manager';
+            process.env.DB_SECRET_JSON = '{"username":"app","password":"pw"}';
+            resetConfig();
+            try {
+                const manager = new RdsIamAuthManager();
+
+                expect(manager.credentialProvider.name).toBe('secrets-manager');
+            } finally {
+                delete process.env.DB_CREDENTIALS_PROVIDER;
+                delete process.env.DB_SECRET_JSON;
+                resetConfig();
+            }
+        });
+    });
+
+    describe('reader pool', () => {
+        let readerPool;
+        let readerConnection;
+
+        const refused = () => Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+        const fallbackCount = reason => registry.getMetric('db_reader_fallbacks_total').get({ reason });
+
+        beforeEach(() => {
+            process.env.DB_READER_HOST = 'test-db-ro.amazonaws.com';
+            process.env.DB_READER_POOL_SIZE = '4';
+            resetConfig();
+
+            readerConnection = { threadId: 2, query: jest.fn().mockResolvedValue([[], []]), release: jest.fn() };
+            readerPool = {
+                getConnection: jest.fn().mockResolvedValue(readerConnection),
+                query: jest.fn().mockResolvedValue([[{ source: 'reader' }], []]),
+                end: jest.fn().mockResolvedValue(undefined),
+                on: jest.fn()
+            };
+            mockPool.query.mockResolvedValue([[{ source: 'writer' }], []]);
+            mysql.createPool.mockReturnValueOnce(mockPool).mockReturnValueOnce(readerPool);
+        });
+
+        afterEach(() => {
+            delete process.env.DB_READER_HOST;
+            delete process.env.DB_READER_POOL_SIZE;
+            resetConfig();
+        });
+
+        test('should not create a reader without DB_READER_HOST', async () => {
+            delete process.env.DB_READER_HOST;
+            resetConfig();
+            const manager = new RdsIamAuthManager();
+            await manager.initialize();
 
-            expect(refreshSpy).toHaveBeenCalled();
+            expect(manager.reader).toBeNull();
+            expect(mysql.createPool).toHaveBeenCalledTimes(1);
+            await expect(manager.query('SELECT 1', [], { target: 'reader' })).resolves.toEqual([[{ source: 'writer' }], []]);
 
             await manager.shutdown();
-            refreshSpy.mockRestore();
         });
 
-        test('should handle error in scheduled refresh', async () => {
+        test('should create a separate pool and signer for the reader host', async () => {
             process.env.USE_IAM_AUTH = 'true';
+            resetConfig();
             const manager = new RdsIamAuthManager();
+            await manager.initialize();
 
-            const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
-            const refreshSpy = jest.spyOn(manager, 'refreshPool')
-                .mockRejectedValue(new Error('Scheduled refresh failed'));
+            expect(manager.reader.role).toBe('reader');
+            expect(mysql.createPool).toHaveBeenLastCalledWith(expect.objectContaining({
+                host: 'test-db-ro.amazonaws.com',
+                port: 3306,
+                connectionLimit: 4
+            }));
+            expect(Signer).toHaveBeenCalledWith(expect.objectContaining({ hostname: 'test-db-ro.amazonaws.com' }));
 
+            await manager.shutdown();
+        });
+
+        test('should send reader queries to the reader and everything else to the writer', async () => {
+            const manager = new RdsIamAuthManager();
             await manager.initialize();
 
-            // Fast-forward time by 13 minutes
-            jest.advanceTimersByTime(13 * 60 * 1000);
+            await expect(manager.query('SELECT 1', [], { target: 'reader' })).resolves.toEqual([[{ source: 'reader' }], []]);
+            await expect(manager.query('UPDATE t SET a = 1')).resolves.toEqual([[{ source: 'writer' }], []]);
+
+            expect(readerPool.query).toHaveBeenCalledWith('SELECT 1', []);
+            expect(mockPool.query).toHaveBeenCalledWith('UPDATE t SET a = 1', []);
+            expect(mockPool.query).toHaveBeenCalledTimes(1);
 
-            // Wait for async operations
-            await Promise.resolve();
-            await Promise.resolve();
+            await manager.shutdown();
+        });
 
-            expect(consoleSpy).toHaveBeenCalledWith('Failed to refresh pool:', expect.any(Error));
+        test('should fall back to the writer when a reader query cannot connect', async () => {
+            const manager = new RdsIamAuthManager();
+            await manager.initialize();
+            readerPool.query.mockRejectedValue(refused());
+            const before = fallbackCount('error');
 
+            await expect(manager.query('SELECT 1', [], { target: 'reader' })).resolves.toEqual([[{ source: 'writer' }], []]);
+
+            expect(fallbackCount('error')).toBe(before + 1);
             await manager.shutdown();
-            refreshSpy.mockRestore();
-            consoleSpy.mockRestore();
+        });
+
+        test('should not retry application errors on the writer', async () => {
+            const manager = new RdsIamAuthManager();
+            await manager.initialize();
+            readerPool.query.mockRejectedValue(Object.assign(new Error('syntax'), { code: 'ER_PARSE_ERROR' }));
+
+            await expect(manager.query('SELEC 1', [], { target: 'reader' })).rejects.toThrow();
+
+            expect(mockPool.query).not.toHaveBeenCalled();
+            await manager.shutdown();
+        });
+
+        test('should stream reader queries from a reader connection', async () => {
+            const manager = new RdsIamAuthManager();
+            await manager.initialize();
+            readerConnection.connection = { query: jest.fn(() => ({ stream: () => Readable.from([{ source: 'reader' }]) })) };
+
+            const stream = await manager.queryStream('SELECT 1', [], { target: 'reader' });
+
+            await expect(stream.toArray()).resolves.toEqual([{ source: 'reader' }]);
+            expect(readerConnection.connection.query).toHaveBeenCalledWith('SELECT 1', []);
+            await manager.shutdown();
+        });
+
+        test('should skip the reader while its circuit is open', async () => {
+            const manager = new RdsIamAuthManager();
+            await manager.initialize();
+            readerPool.query.mockRejectedValue(refused());
+            for (let i = 0; i < 5; i++) {
+                await manager.query('SELECT 1', [], { target: 'reader' });
+            }
+            readerPool.query.mockClear();
+            const before = fallbackCount('unavailable');
+
+            await manager.query('SELECT 1', [], { target: 'reader' });
+
+            expect(manager.reader.circuitBreaker.state).toBe('open');
+            expect(manager.circuitBreaker.state).toBe('closed');
+            expect(readerPool.query).not.toHaveBeenCalled();
+            expect(fallbackCount('unavailable')).toBe(before + 1);
+
+            await manager.shutdown();
+        });
+
+        test('should start without a reader and retry its initialization', async () => {
+            jest.useFakeTimers();
+            try {
+                readerPool.getConnection.mockRejectedValueOnce(refused());
+                const manager = new RdsIamAuthManager();
+                await manager.initialize();
+
+                expect(manager.reader).toBeNull();
+                expect(readerPool.end).toHaveBeenCalled();
+                await expect(manager.query('SELECT 1', [], { target: 'reader' })).resolves.toEqual([[{ source: 'writer' }], []]);
+                expect(manager.readerInitTimer).not.toBeNull();
+
+                mysql.createPool.mockReturnValueOnce(readerPool);
+                await jest.advanceTimersByTimeAsync(1000);
+
+                expect(manager.reader).not.toBeNull();
+                expect(manager.readerInitAttempt).toBe(0);
+
+                await manager.shutdown();
+            } finally {
+                jest.useRealTimers();
+            }
+        });
+
+        test('should report the reader in the health check without degrading', async () => {
+            const manager = new RdsIamAuthManager();
+            await manager.initialize();
+            readerPool.query.mockRejectedValue(refused());
+
+            const report = await manager.healthCheck();
+
+            expect(report.status).toBe('ok');
+            expect(report.checks.reader).toMatchObject({
+                status: 'warn',
+                checks: { database: { status: 'fail' } }
+            });
+
+            await manager.shutdown();
+        });
+
+        test('should shut the reader down with the writer', async () => {
+            const manager = new RdsIamAuthManager();
+            await manager.initialize();
+
+            await manager.shutdown();
+
+            expect(readerPool.end).toHaveBeenCalled();
+            expect(mockPool.end).toHaveBeenCalled();
+            expect(manager.reader).toBeNull();
         });
     });
 });
@@ -0,0 +1,52 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// 클라이언트/ALB가 보낸 요청 ID는 안전한 문자만 허용 (로그/헤더 인젝션 방지)
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// 요청 단위 컨텍스트 (서비스/DB 매니저 로그에서 requestId 를 인자 없이 조회)
+const storage = new AsyncLocalStorage();
+
+/**
+ * 요청 ID 미들웨어
+ * - X-Request-Id 헤더가 있으면 재사용하고, 없으면 새로 생성
+ * - req.id 에 저장하고 응답 헤더로도 돌려줌 (에러 응답의 correlationId 와 동일)
+ */
+function requestContext(req, res, next) {
+    const incoming = req.get(REQUEST_ID_HEADER);
+    req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    res.set(REQUEST_ID_HEADER, req.id);
+    storage.run({ requestId: req.id }, next);
+}
+
+/**
+ * 본문 파싱 이후 컨텍스트 복원 미들웨어
+ * - body-parser 는 스트림 이벤트 콜백에서 next() 를 호출하므로, 본문이 여러 청크로 나뉘어
+ *   도착하면 AsyncLocalStorage 컨텍스트가 끊길 수 있음
+ * - 파서 뒤에 등록해 이후 라우트/서비스 코드가 요청 컨텍스트 안에서 실행되도록 함
+ */
+function restoreRequestContext(req, res, next) {
+    const store = storage.getStore();
+    if (store && store.requestId === req.id) {
+        return next();
+    }
+    storage.run({ requestId: req.id }, next);
+}
+
+/**
+ * 현재 처리 중인 요청의 ID (요청 밖에서는 undefined)
+ * @returns {string|undefined}
+ */
+function getRequestId() {
+    const store = storage.getStore();
+    return store ? store.requestId : undefined;
+}
+
+module.exports = {
+    REQUEST_ID_HEADER,
+    requestContext,
+    restoreRequestContext,
+    getRequestId
+};
@@ -0,0 +1,145 @@
+const { Transform, pipeline } = require('stream');
+const transactionService = require('./TransactionService');
+const { actorLabel } = require('./AuditLog');
+const { logger: rootLogger } = require('./Logger');
+
+const logger = rootLogger.child({ component: 'TransactionExport' });
+
+/**
+ * 트랜잭션 내보내기 (GET /transactions/export)
+ * - TransactionService.streamTransactions() 의 DB 쿼리 스트림을 행 단위로 직렬화해 응답에 바로 기록
+ * - stream.pipeline 으로 연결하므로 클라이언트가 느리면 DB 수신도 멈춤 (전체 결과를 메모리에 모으지 않음)
+ * - 응답 헤더를 보낸 뒤의 DB 에러나 클라이언트 연결 종료는 응답을 중단하고 로그만 남김
+ *   (상태 코드를 바꿀 수 없으므로 잘린 파일은 연결 종료로 드러남)
+ */
+
+// 응답에 포함하는 열 (GET /transaction 응답 필드와 동일)
+const EXPORT_COLUMNS = ['id', 'amount', 'description', 'created_at', 'updated_at', 'version'];
+
+/**
+ * CSV 값 (RFC 4180, 구분자/따옴표/줄바꿈이 있으면 따옴표로 감쌈)
+ * @param {any} value
+ * @returns {string}
+ */
+function csvValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// 형식별 응답 헤더와 직렬화 방법 (prefix → 행 사이 separator → suffix)
+const FORMATS = {
+    csv: {
+        contentType: 'text/csv; charset=utf-8',
+        extension: 'csv',
+        prefix: `${EXPORT_COLUMNS.join(',')}\r\n`,
+        separator: '',
+        suffix: '',
+        serialize: row => `${EXPORT_COLUMNS.map(column => csvValue(row[column])).join(',')}\r\n`
+    },
+    ndjson: {
+        contentType: 'application/x-ndjson; charset=utf-8',
+        extension: 'ndjson',
+        prefix: '',
+        separator: '',
+        suffix: '',
+        serialize: row => `${JSON.stringify(row)}\n`
+    },
+    json: {
+        contentType: 'application/json; charset=utf-8',
+        extension: 'json',
+        prefix: '[',
+        separator: ',',
+        suffix: ']',
+        serialize: row => JSON.stringify(row)
+    }
+};
+
+/**
+ * 행 객체 스트림 → 형식별 텍스트 스트림
+ * @param {string} format - csv | ndjson | json
+ * @returns {Transform} count 속성에 직렬화한 행 수 기록
+ */
+function createSerializer(format) {
+    const { prefix, separator, suffix, serialize } = FORMATS[format];
+
+    const serializer = new Transform({
+        writableObjectMode: true,
+        transform(row, encoding, callback) {
+            const fields = {};
+            for (const column of EXPORT_COLUMNS) {
+                fields[column] = row[column];
+            }
+
+            const text = serialize(fields);
+            callback(null, serializer.count === 0 ? text : separator + text);
+            serializer.count++;
+        },
+        flush(callback) {
+            callback(null, suffix || null);
+        }
+    });
+    serializer.count = 0;
+
+    // 행이 없어도 CSV 열 이름 / JSON 배열 시작은 기록
+    if (prefix) {
+        serializer.push(prefix);
+    }
+
+    return serializer;
+}
+
+/**
+ * 내보내기 파일 이름 (transactions-YYYY-MM-DD.<확장자>, UTC 기준)
+ * @param {string} format
+ * @param {Date} [now]
+ * @returns {string}
+ */
+function exportFilename(format, now = new Date()) {
+    return `transactions-${now.toISOString().slice(0, 10)}.${FORMATS[format].extension}`;
+}
+
+/**
+ * 트랜잭션을 응답으로 내보내기
+ * - DB 커넥션을 먼저 확보한 뒤 헤더를 보냄 (DB 장애는 일반 에러 응답으로 처리)
+ * @param {import('express').Response} res - 응답 (index.js 의 res)
+ * @param {Object} [options]
+ * @param {string} [options.format='json'] - csv | ndjson | json
+ * @param {ServiceContext} [context] - 호출자 정보
+ * @returns {Promise<{format: string, count: number, completed: boolean}>} 응답 전송이 끝나거나 중단되면 resolve
+ */
+async function exportTransactions(res, options = {}, context = {}) {
+    const { format = 'json', ...filters } = options;
+    const rows = await transactionService.streamTransactions(filters, context);
+    const serializer = createSerializer(format);
+
+    res.status(200);
+    res.set({
+        'Content-Type': FORMATS[format].contentType,
+        'Content-Disposition': `attachment; filename="${exportFilename(format)}"`,
+        'Cache-Control': 'no-store'
+    });
+
+    return new Promise((resolve) => {
+        pipeline(rows, serializer, res, (err) => {
+            const count = serializer.count;
+            if (!err) {
+                logger.info('Exported transactions', { format, count, actor: actorLabel(context) });
+            } else if (err.code === 'ERR_STREAM_PREMATURE_CLOSE') {
+                logger.warn('Transaction export aborted by client', { format, count, actor: actorLabel(context) });
+            } else {
+                logger.error('Transaction export failed', { format, count, actor: actorLabel(context), err });
+            }
+            resolve({ format, count, completed: !err });
+        });
+    });
+}
+
+module.exports = {
+    exportTransactions,
+    exportFilename,
+    EXPORT_COLUMNS
+};
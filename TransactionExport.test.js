@@ -0,0 +1,109 @@
+jest.mock('./TransactionService');
+
+const { Readable, Writable } = require('stream');
+const transactionService = require('./TransactionService');
+const { exportTransactions, exportFilename } = require('./TransactionExport');
+const { ValidationError } = require('./Errors');
+
+describe('TransactionExport', () => {
+    const context = { actor: { type: 'user', id: 'alice', role: 'reader' }, tenantId: 'tenant-a' };
+
+    // Express 응답 대신 본문을 모으는 Writable (status/set 만 흉내)
+    const createResponse = () => {
+        const res = new Writable({
+            write(chunk, encoding, callback) {
+                res.chunks.push(chunk.toString());
+                callback();
+            }
+        });
+        res.chunks = [];
+        res.headers = {};
+        res.status = jest.fn(() => res);
+        res.set = jest.fn((headers) => Object.assign(res.headers, headers));
+        res.text = () => res.chunks.join('');
+        return res;
+    };
+
+    test('should write an empty CSV with only the header row', async () => {
+        transactionService.streamTransactions.mockResolvedValue(Readable.from([]));
+        const res = createResponse();
+
+        const result = await exportTransactions(res, { format: 'csv' }, context);
+
+        expect(result).toEqual({ format: 'csv', count: 0, completed: true });
+        expect(res.text()).toBe('id,amount,description,created_at,updated_at,version\r\n');
+    });
+
+    test('should write an empty JSON array', async () => {
+        transactionService.streamTransactions.mockResolvedValue(Readable.from([]));
+        const res = createResponse();
+
+        await exportTransactions(res, {}, context);
+
+        expect(res.text()).toBe('[]');
+        expect(res.headers['Content-Type']).toBe('application/json; charset=utf-8');
+    });
+
+    test('should quote CSV values with line breaks and omit internal columns', async () => {
+        transactionService.streamTransactions.mockResolvedValue(Readable.from([
+            { id: 7, amount: '1.00', description: 'two\nlines', created_at: null, updated_at: null, version: 1, tenant_id: 'tenant-a', deleted_at: null }
+        ]));
+        const res = createResponse();
+
+        await exportTransactions(res, { format: 'csv' }, context);
+
+        expect(res.text().split('\r\n')[1]).toBe('7,1.00,"two\nlines",,,1');
+    });
+
+    test('should pass the filters without the format to the service', async () => {
+        transactionService.streamTransactions.mockResolvedValue(Readable.from([]));
+
+        await exportTransactions(createResponse(), { format: 'ndjson', sort: 'id', from: new Date(0) }, context);
+
+        expect(transactionService.streamTransactions).toHaveBeenCalledWith({ sort: 'id', from: new Date(0) }, context);
+    });
+
+    test('should not touch the response when the query cannot start', async () => {
+        transactionService.streamTransactions.mockRejectedValue(new ValidationError([], { message: 'Invalid sort field: amount' }));
+        const res = createResponse();
+
+        await expect(exportTransactions(res, { sort: 'amount' }, context)).rejects.toThrow(ValidationError);
+        expect(res.status).not.toHaveBeenCalled();
+    });
+
+    test('should stop reading rows when the client disconnects', async () => {
+        let produced = 0;
+        const rows = new Readable({
+            objectMode: true,
+            highWaterMark: 1,
+            read() {
+                produced++;
+                this.push({ id: produced, amount: '1.00', description: 'x', version: 1 });
+            }
+        });
+        transactionService.streamTransactions.mockResolvedValue(rows);
+        // 읽지 않는 클라이언트 (첫 청크 이후 쓰기가 끝나지 않음)
+        const res = new Writable({ highWaterMark: 1, write() {} });
+        res.status = jest.fn();
+        res.set = jest.fn();
+
+        const tick = () => new Promise(resolve => setImmediate(resolve));
+
+        const exported = exportTransactions(res, { format: 'ndjson' }, context);
+        await tick();
+        const buffered = produced;
+        await tick();
+
+        // 버퍼가 차면 더 읽지 않음 (backpressure)
+        expect(produced).toBe(buffered);
+
+        res.destroy();
+
+        await expect(exported).resolves.toMatchObject({ completed: false });
+        expect(rows.destroyed).toBe(true);
+    });
+
+    test('should name the file after the date and format', () => {
+        expect(exportFilename('ndjson', new Date('2024-03-05T23:59:00Z'))).toBe('transactions-2024-03-05.ndjson');
+    });
+});
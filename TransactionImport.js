@@ -0,0 +1,449 @@
+const { StringDecoder } = require('string_decoder');
+const transactionService = require('./TransactionService');
+const { importTransactionRow } = require('./TransactionSchemas');
+const { validateObject } = require('./Validation');
+const { ValidationError, PayloadTooLargeError, UnsupportedMediaTypeError } = require('./Errors');
+const { actorLabel } = require('./AuditLog');
+const { logger: rootLogger } = require('./Logger');
+const { getConfig } = require('./Config');
+
+const logger = rootLogger.child({ component: 'TransactionImport' });
+
+/**
+ * 트랜잭션 대량 가져오기 (POST /transactions/import)
+ * - CSV (첫 행은 열 이름), NDJSON, JSON 배열 본문을 스트림으로 읽으며 행 단위로 검증
+ * - 검증을 통과한 행은 TransactionService.insertTransactions() 로 한 DB 트랜잭션 안에서 INSERT
+ * - all-or-nothing: 잘못된 행이 하나라도 있으면 아무것도 추가하지 않고 422 (행별 오류 목록)
+ * - best-effort: 잘못된 행은 건너뛰고 나머지를 추가한 뒤 행별 오류 보고
+ * - dryRun: 검증만 하고 추가하지 않음
+ *
+ * 업로드 속도에 따라 DB 트랜잭션이 길어지지 않도록 본문을 끝까지 검증한 뒤 추가
+ * (메모리는 TRANSACTION_IMPORT_MAX_ROWS / TRANSACTION_IMPORT_MAX_BYTES 로 제한)
+ */
+
+// Content-Type → 가져오기 형식
+const CONTENT_TYPES = {
+    'text/csv': 'csv',
+    'application/csv': 'csv',
+    'application/x-ndjson': 'ndjson',
+    'application/ndjson': 'ndjson',
+    'application/jsonl': 'ndjson',
+    'application/json': 'json'
+};
+
+// JSON 공백 문자
+const JSON_WHITESPACE = new Set([' ', '\t', '\n', '\r']);
+
+/**
+ * 본문 구조 오류 (행 단위로 보고할 수 없어 요청 전체를 400 으로 거부)
+ */
+function malformedBody(message, errors = [{ location: 'body', field: null, code: 'type', message }]) {
+    return new ValidationError(errors, { message: `Invalid import body: ${message}` });
+}
+
+/**
+ * 가져오기 형식 결정 (format 쿼리 파라미터가 Content-Type 보다 우선)
+ * @param {string} [contentType] - Content-Type 헤더
+ * @param {string} [format] - csv | ndjson | json
+ * @returns {string}
+ * @throws {UnsupportedMediaTypeError}
+ */
+function resolveFormat(contentType, format) {
+    if (format) {
+        return format;
+    }
+
+    const mediaType = String(contentType || '').split(';')[0].trim().toLowerCase();
+    const resolved = CONTENT_TYPES[mediaType];
+    if (!resolved) {
+        throw new UnsupportedMediaTypeError(
+            `Unsupported content type for import: ${mediaType || '(none)'} (use text/csv, application/x-ndjson or application/json)`
+        );
+    }
+    return resolved;
+}
+
+/**
+ * 요청 본문을 UTF-8 문자열 조각으로 읽기 (앞의 BOM 제거)
+ * - 중간에 실패해도 요청 스트림을 파괴하지 않음 (남은 본문을 버리고 에러 응답을 보낼 수 있도록)
+ * @param {import('stream').Readable} stream
+ * @param {number} maxBytes
+ */
+async function* readText(stream, maxBytes) {
+    const decoder = new StringDecoder('utf8');
+    let bytes = 0;
+    let first = true;
+
+    for await (const chunk of stream.iterator({ destroyOnReturn: false })) {
+        const buffer = typeof chunk === 'string' ? Buffer.from(chunk) : chunk;
+        bytes += buffer.length;
+        if (bytes > maxBytes) {
+            throw new PayloadTooLargeError(`Import body must not be larger than ${maxBytes} bytes`);
+        }
+
+        let text = decoder.write(buffer);
+        if (first && text.length > 0) {
+            text = text.replace(/^\uFEFF/, '');
+            first = false;
+        }
+        if (text) {
+            yield text;
+        }
+    }
+
+    const rest = decoder.end();
+    if (rest) {
+        yield rest;
+    }
+}
+
+/**
+ * JSON 값 하나를 행으로 변환 (파싱 실패는 행 오류)
+ */
+function parseJsonRow(text) {
+    try {
+        return { value: JSON.parse(text) };
+    } catch (err) {
+        return { error: { field: null, code: 'type', message: 'must be valid JSON' } };
+    }
+}
+
+/**
+ * CSV 레코드 파싱 (RFC 4180: 따옴표 필드, "" 이스케이프, 따옴표 안의 줄바꿈, CRLF/LF)
+ * - 빈 줄은 건너뜀
+ * @param {AsyncIterable<string>} chunks
+ * @returns {AsyncGenerator<Array<string>>}
+ */
+async function* parseCsvRecords(chunks) {
+    let record = [];
+    let field = '';
+    let quoted = false; // 현재 필드가 따옴표로 시작했는지
+    let inQuotes = false;
+    let quotePending = false; // 따옴표 안에서 " 를 읽음 (닫는 따옴표 또는 "" 의 첫 글자)
+
+    for await (const text of chunks) {
+        for (const c of text) {
+            if (inQuotes) {
+                if (!quotePending) {
+                    if (c === '"') {
+                        quotePending = true;
+                    } else {
+                        field += c;
+                    }
+                    continue;
+                }
+                quotePending = false;
+                if (c === '"') {
+                    field += '"';
+                    continue;
+                }
+                inQuotes = false;
+            }
+
+            if (c === '"' && field === '' && !quoted) {
+                inQuotes = true;
+                quoted = true;
+            } else if (c === ',') {
+                record.push(field);
+                field = '';
+                quoted = false;
+            } else if (c === '\n') {
+                record.push(field);
+                if (record.length > 1 || record[0] !== '' || quoted) {
+                    yield record;
+                }
+                record = [];
+                field = '';
+                quoted = false;
+            } else if (c !== '\r') {
+                field += c;
+            }
+        }
+    }
+
+    if (inQuotes && !quotePending) {
+        throw malformedBody('CSV has an unterminated quoted field');
+    }
+    if (record.length > 0 || field !== '' || quoted) {
+        record.push(field);
+        yield record;
+    }
+}
+
+/**
+ * CSV 헤더 검증 (열 이름은 대소문자, 앞뒤 공백 무시)
+ * @param {Array<string>} record
+ * @returns {Array<string>} 열 이름
+ * @throws {ValidationError} 알 수 없는/중복/누락된 열
+ */
+function parseCsvHeader(record) {
+    const fields = importTransactionRow.fields;
+    const columns = record.map(name => name.trim().toLowerCase());
+    const errors = [];
+
+    columns.forEach((column, index) => {
+        if (!Object.prototype.hasOwnProperty.call(fields, column)) {
+            errors.push({ location: 'body', field: column, code: 'unknown', message: 'is not a known column' });
+        } else if (columns.indexOf(column) !== index) {
+            errors.push({ location: 'body', field: column, code: 'duplicate', message: 'is a duplicate column' });
+        }
+    });
+    for (const [name, rule] of Object.entries(fields)) {
+        if (rule.required && !columns.includes(name)) {
+            errors.push({ location: 'body', field: name, code: 'required', message: 'column is required' });
+        }
+    }
+
+    if (errors.length > 0) {
+        throw malformedBody('CSV header is invalid', errors);
+    }
+    return columns;
+}
+
+/**
+ * CSV 행 (첫 레코드는 헤더, 빈 칸은 값이 없는 것으로 처리)
+ */
+async function* csvRows(chunks) {
+    let columns = null;
+
+    for await (const record of parseCsvRecords(chunks)) {
+        if (!columns) {
+            columns = parseCsvHeader(record);
+            continue;
+        }
+        if (record.length !== columns.length) {
+            yield { error: { field: null, code: 'columns', message: `must have ${columns.length} columns` } };
+            continue;
+        }
+
+        const value = {};
+        columns.forEach((column, index) => {
+            if (record[index] !== '') {
+                value[column] = record[index];
+            }
+        });
+        yield { value };
+    }
+
+    if (!columns) {
+        throw malformedBody('CSV must start with a header row');
+    }
+}
+
+/**
+ * NDJSON 행 (한 줄에 JSON 객체 하나, 빈 줄은 건너뜀)
+ */
+async function* ndjsonRows(chunks) {
+    let buffer = '';
+
+    for await (const text of chunks) {
+        buffer += text;
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const line of lines) {
+            if (line.trim() !== '') {
+                yield parseJsonRow(line);
+            }
+        }
+    }
+
+    if (buffer.trim() !== '') {
+        yield parseJsonRow(buffer);
+    }
+}
+
+/**
+ * JSON 배열 행 (배열 전체를 메모리에 올리지 않고 요소 단위로 파싱)
+ * - 배열 구조 오류는 요청 전체를 거부, 요소 하나의 JSON 오류는 행 오류
+ */
+async function* jsonArrayRows(chunks) {
+    const malformed = () => malformedBody('must be a valid JSON array');
+    let started = false;
+    let finished = false;
+    let expectValue = true; // '[' 직후 또는 ',' 뒤
+    let count = 0;
+    let element = null; // 읽는 중인 요소 원문
+    let depth = 0; // 요소 안의 중첩 깊이
+    let inString = false;
+    let escaped = false;
+
+    for await (const text of chunks) {
+        for (const c of text) {
+            if (element !== null) {
+                if (inString) {
+                    element += c;
+                    if (escaped) {
+                        escaped = false;
+                    } else if (c === '\\') {
+                        escaped = true;
+                    } else if (c === '"') {
+                        inString = false;
+                        if (depth === 0) {
+                            yield parseJsonRow(element);
+                            element = null;
+                        }
+                    }
+                    continue;
+                }
+                if (depth > 0) {
+                    element += c;
+                    if (c === '"') {
+                        inString = true;
+                    } else if (c === '{' || c === '[') {
+                        depth++;
+                    } else if (c === '}' || c === ']') {
+                        depth--;
+                        if (depth === 0) {
+                            yield parseJsonRow(element);
+                            element = null;
+                        }
+                    }
+                    continue;
+                }
+                // 숫자, true, false, null 은 공백/쉼표/] 에서 끝남
+                if (!JSON_WHITESPACE.has(c) && c !== ',' && c !== ']') {
+                    element += c;
+                    continue;
+                }
+                yield parseJsonRow(element);
+                element = null;
+            }
+
+            if (JSON_WHITESPACE.has(c)) {
+                continue;
+            }
+            if (!started) {
+                if (c !== '[') {
+                    throw malformed();
+                }
+                started = true;
+            } else if (finished) {
+                throw malformed();
+            } else if (c === ']') {
+                if (expectValue && count > 0) {
+                    throw malformed();
+                }
+                finished = true;
+            } else if (c === ',') {
+                if (expectValue) {
+                    throw malformed();
+                }
+                expectValue = true;
+            } else {
+                if (!expectValue) {
+                    throw malformed();
+                }
+                // 새 요소 시작
+                count++;
+                expectValue = false;
+                element = c;
+                if (c === '"') {
+                    inString = true;
+                } else if (c === '{' || c === '[') {
+                    depth = 1;
+                }
+            }
+        }
+    }
+
+    if (!finished) {
+        throw malformed();
+    }
+}
+
+const ROW_READERS = {
+    csv: csvRows,
+    ndjson: ndjsonRows,
+    json: jsonArrayRows
+};
+
+/**
+ * 트랜잭션 가져오기
+ * @param {import('stream').Readable} stream - 요청 본문 스트림 (index.js 의 req)
+ * @param {Object} [options]
+ * @param {string} [options.contentType] - Content-Type 헤더
+ * @param {string} [options.format] - csv | ndjson | json (없으면 Content-Type 으로 판단)
+ * @param {string} [options.mode='all-or-nothing'] - all-or-nothing | best-effort
+ * @param {boolean} [options.dryRun=false] - 검증만 수행
+ * @param {ServiceContext} [context] - 호출자 정보
+ * @returns {Promise<Object>} 가져오기 결과 (행 수, 추가된 행 수, 행별 오류)
+ * @throws {ValidationError} 본문 구조 오류 (400), all-or-nothing 에서 잘못된 행이 있는 경우 (422)
+ * @throws {PayloadTooLargeError} 최대 행 수 또는 본문 크기 초과
+ * @throws {UnsupportedMediaTypeError} 지원하지 않는 Content-Type
+ */
+async function importTransactions(stream, options = {}, context = {}) {
+    const { mode = 'all-or-nothing', dryRun = false } = options;
+    const format = resolveFormat(options.contentType, options.format);
+    const { batchSize, maxRows, maxBytes } = getConfig().import;
+
+    const rows = [];
+    const errors = [];
+    let total = 0;
+
+    try {
+        for await (const row of ROW_READERS[format](readText(stream, maxBytes))) {
+            total++;
+            if (total > maxRows) {
+                throw new PayloadTooLargeError(`Import must not contain more than ${maxRows} rows`);
+            }
+
+            const result = row.error
+                ? { errors: [{ location: 'body', ...row.error }] }
+                : validateObject(importTransactionRow, row.value, 'body');
+            if (result.errors.length > 0) {
+                errors.push(...result.errors.map(error => ({ ...error, row: total })));
+            } else {
+                rows.push(result.value);
+            }
+        }
+    } finally {
+        // 중간에 거부한 경우 남은 본문을 버림
+        stream.resume();
+    }
+
+    if (total === 0) {
+        throw malformedBody('must contain at least one row', [
+            { location: 'body', field: null, code: 'required', message: 'must contain at least one row' }
+        ]);
+    }
+
+    const report = {
+        format,
+        mode,
+        dryRun,
+        total,
+        valid: rows.length,
+        failed: total - rows.length,
+        inserted: 0,
+        errors
+    };
+
+    if (!dryRun && mode === 'all-or-nothing' && errors.length > 0) {
+        logger.info('Rejected transaction import', { format, total, failed: report.failed, actor: actorLabel(context) });
+        throw new ValidationError(errors, {
+            status: 422,
+            message: `${report.failed} of ${total} rows are invalid; nothing was imported`
+        });
+    }
+
+    if (!dryRun) {
+        const ids = await transactionService.insertTransactions(rows, { batchSize }, context);
+        report.inserted = ids.length;
+    }
+
+    logger.info('Imported transactions', {
+        format,
+        mode,
+        dryRun,
+        total,
+        inserted: report.inserted,
+        failed: report.failed,
+        actor: actorLabel(context)
+    });
+    return report;
+}
+
+module.exports = {
+    importTransactions,
+    resolveFormat
+};
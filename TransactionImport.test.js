@@ -0,0 +1,230 @@
+jest.mock('./TransactionService');
+
+const { Readable } = require('stream');
+const { finished } = require('stream/promises');
+const transactionService = require('./TransactionService');
+const { importTransactions, resolveFormat } = require('./TransactionImport');
+const { ValidationError, PayloadTooLargeError, UnsupportedMediaTypeError } = require('./Errors');
+const { resetConfig } = require('./Config');
+
+describe('TransactionImport', () => {
+    const context = { actor: { type: 'user', id: 'alice', role: 'writer' }, tenantId: 'tenant-a' };
+    const originalEnv = process.env;
+
+    // 본문을 여러 조각으로 나눠 스트림으로 전달 (조각 경계에 걸친 값도 확인)
+    const body = (...chunks) => Readable.from(chunks.map(chunk => Buffer.from(chunk)));
+
+    const run = (options, ...chunks) => importTransactions(body(...chunks), options, context);
+
+    beforeEach(() => {
+        process.env = { ...originalEnv };
+        resetConfig();
+        transactionService.insertTransactions.mockImplementation(async rows => rows.map((row, index) => index + 1));
+    });
+
+    afterEach(() => {
+        process.env = originalEnv;
+        resetConfig();
+    });
+
+    describe('resolveFormat', () => {
+        test.each([
+            ['text/csv; charset=utf-8', 'csv'],
+            ['application/x-ndjson', 'ndjson'],
+            ['application/jsonl', 'ndjson'],
+            ['Application/JSON', 'json']
+        ])('should map %s to %s', (contentType, format) => {
+            expect(resolveFormat(contentType)).toBe(format);
+        });
+
+        test('should prefer the format parameter', () => {
+            expect(resolveFormat('text/plain', 'csv')).toBe('csv');
+        });
+
+        test('should reject an unsupported content type', () => {
+            expect(() => resolveFormat('text/plain')).toThrow(UnsupportedMediaTypeError);
+            expect(() => resolveFormat(undefined)).toThrow('Unsupported content type for import: (none)');
+        });
+    });
+
+    describe('CSV', () => {
+        test('should import valid rows', async () => {
+            const report = await run(
+                { format: 'csv' },
+                '\uFEFFAmount, Description ,created_at\r\n10.5,Coffee,2023-01-31T09:00:00Z\r\n',
+                '-3,"Refund, ""partial""",\r\n'
+            );
+
+            expect(report).toEqual({
+                format: 'csv',
+                mode: 'all-or-nothing',
+                dryRun: false,
+                total: 2,
+                valid: 2,
+                failed: 0,
+                inserted: 2,
+                errors: []
+            });
+            expect(transactionService.insertTransactions).toHaveBeenCalledWith([
+                { amount: 10.5, description: 'Coffee', created_at: new Date('2023-01-31T09:00:00Z') },
+                { amount: -3, description: 'Refund, "partial"' }
+            ], { batchSize: 500 }, context);
+        });
+
+        test('should keep quoted values split across chunks and line breaks', async () => {
+            await run({ format: 'csv' }, 'amount,description\n1,"multi\nli', 'ne"', '"', '"\n\n2,plain');
+
+            expect(transactionService.insertTransactions.mock.calls[0][0]).toEqual([
+                { amount: 1, description: 'multi\nline"' },
+                { amount: 2, description: 'plain' }
+            ]);
+        });
+
+        test('should report invalid rows by row number', async () => {
+            const error = await run(
+                { format: 'csv' },
+                'amount,description\n1,ok\nabc,\n2,ok,extra\n'
+            ).catch(err => err);
+
+            expect(error).toBeInstanceOf(ValidationError);
+            expect(error.status).toBe(422);
+            expect(error.message).toBe('2 of 3 rows are invalid; nothing was imported');
+            expect(error.errors).toEqual([
+                { location: 'body', row: 2, field: 'amount', code: 'type', message: 'must be a number' },
+                { location: 'body', row: 2, field: 'description', code: 'required', message: 'is required' },
+                { location: 'body', row: 3, field: null, code: 'columns', message: 'must have 2 columns' }
+            ]);
+            expect(transactionService.insertTransactions).not.toHaveBeenCalled();
+        });
+
+        test('should reject an invalid header', async () => {
+            const error = await run({ format: 'csv' }, 'amount,memo,amount\n1,x,1\n').catch(err => err);
+
+            expect(error).toBeInstanceOf(ValidationError);
+            expect(error.status).toBe(400);
+            expect(error.errors.map(e => [e.field, e.code])).toEqual([
+                ['memo', 'unknown'],
+                ['amount', 'duplicate'],
+                ['description', 'required']
+            ]);
+        });
+
+        test('should reject an unterminated quoted field', async () => {
+            await expect(run({ format: 'csv' }, 'amount,description\n1,"open')).rejects.toThrow('CSV has an unterminated quoted field');
+        });
+
+        test('should reject a body without rows', async () => {
+            await expect(run({ format: 'csv' }, '')).rejects.toThrow('CSV must start with a header row');
+            await expect(run({ format: 'csv' }, 'amount,description\n')).rejects.toThrow('must contain at least one row');
+        });
+    });
+
+    describe('NDJSON', () => {
+        test('should import lines and report invalid JSON per row', async () => {
+            const report = await run(
+                { format: 'ndjson', mode: 'best-effort' },
+                '{"amount": 1, "description": "a"}\n\n{"amount": 2, "desc',
+                'ription": "b"}\n{oops\n{"amount": 3, "description": "c", "extra": true}'
+            );
+
+            expect(report).toMatchObject({ total: 4, valid: 2, failed: 2, inserted: 2 });
+            expect(report.errors).toEqual([
+                { location: 'body', row: 3, field: null, code: 'type', message: 'must be valid JSON' },
+                { location: 'body', row: 4, field: 'extra', code: 'unknown', message: 'is not allowed' }
+            ]);
+            expect(transactionService.insertTransactions.mock.calls[0][0]).toEqual([
+                { amount: 1, description: 'a' },
+                { amount: 2, description: 'b' }
+            ]);
+        });
+    });
+
+    describe('JSON array', () => {
+        test('should parse elements across chunks', async () => {
+            const report = await run(
+                { format: 'json', mode: 'best-effort' },
+                '[{"amount": 1, "description": "a [b] {c}"}, {"amount": 2, "desc',
+                'ription": "quote \\" and \\\\"}, 5, "text", [1], {"amount": 3, "description": tru}]'
+            );
+
+            expect(report).toMatchObject({ total: 6, valid: 2, failed: 4 });
+            expect(report.errors.map(e => [e.row, e.code])).toEqual([
+                [3, 'type'],
+                [4, 'type'],
+                [5, 'type'],
+                [6, 'type']
+            ]);
+            expect(transactionService.insertTransactions.mock.calls[0][0]).toEqual([
+                { amount: 1, description: 'a [b] {c}' },
+                { amount: 2, description: 'quote " and \\' }
+            ]);
+        });
+
+        test.each([
+            ['{"amount": 1}'],
+            ['[{"amount": 1, "description": "a"} {"amount": 2, "description": "b"}]'],
+            ['[{"amount": 1, "description": "a"},]'],
+            ['[{"amount": 1, "description": "a"}'],
+            ['[] []']
+        ])('should reject malformed array %s', async (text) => {
+            const error = await run({ format: 'json' }, text).catch(err => err);
+
+            expect(error).toBeInstanceOf(ValidationError);
+            expect(error.status).toBe(400);
+            expect(error.message).toBe('Invalid import body: must be a valid JSON array');
+        });
+
+        test('should reject an empty array', async () => {
+            await expect(run({ format: 'json' }, '[ ]')).rejects.toThrow('must contain at least one row');
+        });
+    });
+
+    describe('modes', () => {
+        const text = '{"amount": 1, "description": "a"}\n{"amount": 1.001, "description": "b"}\n';
+
+        test('should validate without writing in dry-run mode', async () => {
+            const report = await run({ format: 'ndjson', dryRun: true }, text);
+
+            expect(report).toMatchObject({ dryRun: true, total: 2, valid: 1, failed: 1, inserted: 0 });
+            expect(report.errors[0]).toMatchObject({ row: 2, field: 'amount', code: 'precision' });
+            expect(transactionService.insertTransactions).not.toHaveBeenCalled();
+        });
+
+        test('should insert the valid rows in best-effort mode', async () => {
+            const report = await run({ format: 'ndjson', mode: 'best-effort' }, text);
+
+            expect(report).toMatchObject({ mode: 'best-effort', valid: 1, failed: 1, inserted: 1 });
+        });
+
+        test('should use the configured batch size', async () => {
+            process.env.TRANSACTION_IMPORT_BATCH_SIZE = '50';
+            resetConfig();
+
+            await run({ format: 'ndjson' }, '{"amount": 1, "description": "a"}');
+
+            expect(transactionService.insertTransactions).toHaveBeenCalledWith(expect.any(Array), { batchSize: 50 }, context);
+        });
+    });
+
+    describe('limits', () => {
+        test('should reject more rows than allowed and drain the body', async () => {
+            process.env.TRANSACTION_IMPORT_MAX_ROWS = '2';
+            resetConfig();
+            const stream = body('amount,description\n1,a\n2,b\n', '3,c\n', '4,d\n');
+
+            const error = await importTransactions(stream, { format: 'csv' }, context).catch(err => err);
+
+            expect(error).toBeInstanceOf(PayloadTooLargeError);
+            expect(error.message).toBe('Import must not contain more than 2 rows');
+            await expect(finished(stream)).resolves.toBeUndefined();
+            expect(transactionService.insertTransactions).not.toHaveBeenCalled();
+        });
+
+        test('should reject a body larger than allowed', async () => {
+            process.env.TRANSACTION_IMPORT_MAX_BYTES = '20';
+            resetConfig();
+
+            await expect(run({ format: 'csv' }, 'amount,description\n', '1,a\n')).rejects.toThrow(PayloadTooLargeError);
+        });
+    });
+});
@@ -0,0 +1,292 @@
+const transactionService = require('./TransactionService');
+const { AUDIT_OPERATIONS } = require('./AuditLog');
+
+/**
+ * 트랜잭션 API 요청 스키마 (Validation.js 형식)
+ * - amount: DECIMAL(10, 2) 컬럼 범위와 소수 자릿수
+ * - description: VARCHAR(255) 컬럼 길이
+ */
+
+const amountRule = { type: 'decimal', precision: 10, scale: 2 };
+const descriptionRule = { type: 'string', trim: true, minLength: 1, maxLength: 255 };
+const idRule = { type: 'integer', required: true, min: 1 };
+
+// POST /transaction
+const createTransaction = {
+    body: {
+        fields: {
+            amount: { ...amountRule, required: true },
+            desc: { ...descriptionRule, required: true }
+        }
+    }
+};
+
+// POST /transactions/import (본문 형식은 Content-Type 으로 판단, format 으로 지정 가능)
+const importTransactions = {
+    query: {
+        fields: {
+            format: { type: 'enum', values: ['csv', 'ndjson', 'json'] },
+            mode: { type: 'enum', values: ['all-or-nothing', 'best-effort'], default: 'all-or-nothing' },
+            dryRun: { type: 'boolean', default: false }
+        }
+    }
+};
+
+// POST /transactions/import 의 각 행 (CSV 열 이름 또는 JSON 필드)
+const importTransactionRow = {
+    fields: {
+        amount: { ...amountRule, required: true },
+        description: { ...descriptionRule, required: true },
+        created_at: { type: 'date' }
+    }
+};
+
+// 목록 조회, 내보내기, 일괄 삭제에 공통인 필터
+const filterFields = {
+    minAmount: { type: 'number' },
+    maxAmount: { type: 'number' },
+    from: { type: 'date' },
+    to: { type: 'date' },
+    q: { type: 'string', maxLength: 255 }
+};
+
+// 목록 조회와 내보내기에 공통인 정렬/필터 파라미터
+const listFilterFields = {
+    sort: { type: 'enum', values: ['created_at', 'id'] },
+    order: { type: 'enum', values: ['asc', 'desc'], caseInsensitive: true },
+    ...filterFields
+};
+
+function listFilterIssues(query) {
+    const issues = [];
+
+    if (query.minAmount !== undefined && query.maxAmount !== undefined
+        && query.minAmount > query.maxAmount) {
+        issues.push({ field: 'minAmount', code: 'range', message: 'must not be greater than maxAmount' });
+    }
+    if (query.from !== undefined && query.to !== undefined && query.from > query.to) {
+        issues.push({ field: 'from', code: 'range', message: 'must not be later than to' });
+    }
+
+    return issues;
+}
+
+// GET /transaction
+const listTransactions = {
+    query: {
+        fields: {
+            limit: { type: 'integer', min: 1, max: 500 },
+            cursor: { type: 'string', minLength: 1 },
+            ...listFilterFields
+        },
+        refine: (query) => {
+            const issues = listFilterIssues(query);
+
+            if (query.cursor !== undefined) {
+                let cursor;
+                try {
+                    cursor = transactionService.decodeCursor(query.cursor);
+                } catch (err) {
+                    issues.push({ field: 'cursor', code: 'invalid', message: 'is invalid' });
+                    return issues;
+                }
+                if (cursor.sort !== (query.sort || 'created_at') || cursor.order !== (query.order || 'desc')) {
+                    issues.push({
+                        field: 'cursor',
+                        code: 'invalid',
+                        message: 'does not match the requested sort and order'
+                    });
+                }
+            }
+
+            return issues;
+        }
+    }
+};
+
+const listDeletedTransactions = listTransactions;
+
+// GET /transactions/export (필터와 정렬은 목록 조회와 동일, 페이지 없이 전체)
+const exportTransactions = {
+    query: {
+        fields: {
+            format: { type: 'enum', values: ['csv', 'ndjson', 'json'], default: 'json' },
+            ...listFilterFields
+        },
+        refine: listFilterIssues
+    }
+};
+
+// 집계 기간 ([from, to), from 포함 / to 제외)
+// 오프셋 없는 값 (2024-01-01) 은 timeZone 의 현지 시각으로 해석하도록 문자열로 전달
+const reportRangeFields = {
+    timeZone: { type: 'string', trim: true, minLength: 1, maxLength: 64 },
+    from: { type: 'date', local: true },
+    to: { type: 'date', local: true }
+};
+
+function reportRangeIssues(query) {
+    const issues = [];
+    // 같은 형식끼리만 비교 (현지 시각과 오프셋 있는 시각은 서비스에서 시간대를 적용한 뒤 비교)
+    if (query.from !== undefined && query.to !== undefined && typeof query.from === typeof query.to && query.from >= query.to) {
+        issues.push({ field: 'from', code: 'range', message: 'must be earlier than to' });
+    }
+    if (query.timeZone !== undefined && transactionService.normalizeTimeZone(query.timeZone) === null) {
+        issues.push({
+            field: 'timeZone',
+            code: 'invalid',
+            message: 'must be UTC, an offset such as +09:00 or an IANA time zone name'
+        });
+    }
+    return issues;
+}
+
+// GET /transactions/summary
+const transactionSummary = {
+    query: {
+        fields: reportRangeFields,
+        refine: reportRangeIssues
+    }
+};
+
+// GET /transactions/timeseries
+const transactionTimeseries = {
+    query: {
+        fields: {
+            interval: { type: 'enum', values: ['day', 'week', 'month'], default: 'day' },
+            ...reportRangeFields
+        },
+        refine: reportRangeIssues
+    }
+};
+
+// POST /transactions/batch (최대 건수는 TRANSACTION_BATCH_MAX_ITEMS, 초과하면 413)
+const createTransactionsBatch = {
+    body: {
+        fields: {
+            transactions: {
+                type: 'array',
+                required: true,
+                minItems: 1,
+                items: {
+                    type: 'object',
+                    fields: {
+                        amount: { ...amountRule, required: true },
+                        description: { ...descriptionRule, required: true }
+                    }
+                }
+            }
+        }
+    }
+};
+
+// POST /transactions/batch-delete (ids 또는 filter 중 하나, 최대 건수는 TRANSACTION_BATCH_MAX_ITEMS)
+const deleteTransactionsBatch = {
+    body: {
+        fields: {
+            ids: { type: 'array', minItems: 1, unique: true, items: { type: 'integer', min: 1 } },
+            filter: {
+                type: 'object',
+                // 빈 q 는 조건이 되지 않으므로 거부
+                fields: { ...filterFields, q: { ...filterFields.q, minLength: 1 } },
+                refine: (filter) => {
+                    const issues = listFilterIssues(filter);
+                    // 조건 없는 필터로 전체가 삭제되지 않도록 (전체 삭제는 admin 의 DELETE /transaction)
+                    if (Object.keys(filter).length === 0) {
+                        issues.push({ code: 'required', message: 'must contain at least one condition' });
+                    }
+                    return issues;
+                }
+            }
+        },
+        refine: (body) => (body.ids === undefined) === (body.filter === undefined)
+            ? [{ code: 'required', message: 'exactly one of ids or filter is required' }]
+            : []
+    }
+};
+
+// GET/PUT/PATCH/DELETE /transactions/:id, POST /transactions/:id/restore
+const transactionIdParams = {
+    fields: { id: idRule }
+};
+
+const getTransaction = {
+    params: transactionIdParams
+};
+
+const deleteTransaction = {
+    params: transactionIdParams
+};
+
+const restoreTransaction = {
+    params: transactionIdParams
+};
+
+// PUT /transactions/:id (전체 수정)
+const replaceTransaction = {
+    params: transactionIdParams,
+    body: {
+        fields: {
+            amount: { ...amountRule, required: true },
+            description: { ...descriptionRule, required: true }
+        }
+    }
+};
+
+// PATCH /transactions/:id (부분 수정)
+const patchTransaction = {
+    params: transactionIdParams,
+    body: {
+        fields: {
+            amount: amountRule,
+            description: descriptionRule
+        },
+        refine: (body) => Object.keys(body).length === 0
+            ? [{ code: 'required', message: 'at least one of amount or description is required' }]
+            : []
+    }
+};
+
+// GET /audit
+const listAuditEntries = {
+    query: {
+        fields: {
+            limit: { type: 'integer', min: 1, max: 500 },
+            cursor: { type: 'string', minLength: 1 },
+            transactionId: { type: 'integer', min: 1 },
+            operation: { type: 'enum', values: AUDIT_OPERATIONS },
+            actor: { type: 'string', minLength: 1, maxLength: 128 },
+            requestId: { type: 'string', minLength: 1, maxLength: 128 },
+            from: { type: 'date' },
+            to: { type: 'date' }
+        },
+        refine: (query) => query.from !== undefined && query.to !== undefined && query.from > query.to
+            ? [{ field: 'from', code: 'range', message: 'must not be later than to' }]
+            : []
+    }
+};
+
+// GET/DELETE /transaction/id (deprecated, 본문으로 id 전달)
+const legacyTransactionIdBody = {
+    body: transactionIdParams
+};
+
+module.exports = {
+    createTransaction,
+    importTransactions,
+    importTransactionRow,
+    listTransactions,
+    listDeletedTransactions,
+    exportTransactions,
+    transactionSummary,
+    transactionTimeseries,
+    createTransactionsBatch,
+    deleteTransactionsBatch,
+    getTransaction,
+    deleteTransaction,
+    restoreTransaction,
+    replaceTransaction,
+    patchTransaction,
+    listAuditEntries,
+    legacyTransactionIdBody
+};
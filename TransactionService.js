@@ -1,4 +1,24 @@
 const { getInstance } = require('./RdsIamAuth');
+const {
+    ValidationError,
+    ForbiddenError,
+    NotFoundError,
+    PreconditionFailedError,
+    PayloadTooLargeError,
+    translateDatabaseError
+} = require('./Errors');
+const { logger: rootLogger } = require('./Logger');
+const { actorLabel, recordAudit } = require('./AuditLog');
+
+const { Histogram } = require('./Metrics');
+
+const logger = rootLogger.child({ component: 'TransactionService' });
+
+const queryDuration = new Histogram({
+    name: 'db_query_duration_seconds',
+    help: 'Duration of TransactionService database queries in seconds',
+    labelNames: ['operation', 'outcome']
+});
 
 // 데이터베이스 매니저 인스턴스 (초기화는 index.js에서 수행)
 let dbManager = null;
@@ -20,120 +40,1201 @@ function getDbManager() {
     return dbManager;
 }
 
+/**
+ * 서비스 호출 컨텍스트
+ * @typedef {Object} ServiceContext
+ * @property {{type: string, id: (string|null), role: (string|null)}} [actor] - 인증된 호출자 (index.js 의 req.user)
+ * @property {string} tenantId - 호출자의 테넌트 (모든 쿼리는 이 테넌트의 행으로 제한됨)
+ * @property {string} [consistency='eventual'] - 조회 일관성 (eventual: 리더 풀, strong: writer 에서 조회)
+ * @property {function(Object, *): Promise<void>} [beforeCommit] - 추가 함수가 커밋 직전에 같은 DB 트랜잭션(tx)과 결과로 호출
+ *   (Idempotency-Key 의 완료 상태를 추가와 함께 커밋)
+ */
+
+/**
+ * 컨텍스트의 테넌트 ID (없으면 어떤 행에도 접근할 수 없으므로 거부)
+ * @param {ServiceContext} context
+ * @returns {string}
+ * @throws {ForbiddenError}
+ */
+function tenantOf(context = {}) {
+    if (!context.tenantId) {
+        throw new ForbiddenError('Caller is not assigned to a tenant');
+    }
+    return context.tenantId;
+}
+
+/**
+ * 조회 쿼리를 보낼 대상 (기본은 리더, 쓰기 직후 조회처럼 최신 값이 필요하면 writer)
+ * @param {ServiceContext} context
+ * @returns {{target: string}}
+ */
+function readTarget(context = {}) {
+    return { target: context.consistency === 'strong' ? 'writer' : 'reader' };
+}
+
+/**
+ * 쿼리 실행 후 소요 시간을 db_query_duration_seconds 에 기록
+ * @param {Object} manager - DB 매니저
+ * @param {string} operation - 메트릭 레이블 (insert, list, select_by_id ...)
+ * @param {...any} args - manager.query 인자
+ * @returns {Promise<any>}
+ */
+async function timedQuery(manager, operation, ...args) {
+    const endTimer = queryDuration.startTimer({ operation });
+    try {
+        const result = await manager.query(...args);
+        endTimer({ outcome: 'success' });
+        return result;
+    } catch (err) {
+        endTimer({ outcome: 'error' });
+        throw err;
+    }
+}
+
+/**
+ * 변경 대상 행을 잠그고 조회 (SELECT ... FOR UPDATE)
+ * @param {Object} tx - withTransaction 의 트랜잭션 핸들
+ * @param {number} id - 트랜잭션 ID
+ * @param {string} tenantId
+ * @param {boolean} deleted - true 이면 휴지통의 행, false 이면 정상 행
+ * @returns {Promise<Object|undefined>}
+ */
+async function lockTransactionRow(tx, id, tenantId, deleted) {
+    const [rows] = await timedQuery(
+        tx,
+        'select_for_update',
+        `SELECT * FROM transactions WHERE id = ? AND \`tenant_id\` = ? AND \`deleted_at\` IS ${deleted ? 'NOT NULL' : 'NULL'} FOR UPDATE`,
+        [id, tenantId]
+    );
+    return rows[0];
+}
+
+/**
+ * 변경 후 행 조회 (같은 트랜잭션 안에서)
+ */
+async function selectTransactionRow(tx, id, tenantId) {
+    const [rows] = await timedQuery(
+        tx,
+        'select_by_id',
+        'SELECT * FROM transactions WHERE id = ? AND `tenant_id` = ?',
+        [id, tenantId]
+    );
+    return rows[0];
+}
+
 /**
  * 트랜잭션 추가
  * @param {number} amount - 금액
  * @param {string} desc - 설명
- * @returns {Promise<number>}
+ * @param {ServiceContext} [context] - 호출자 정보
+ * @returns {Promise<Object>} 추가된 트랜잭션
  */
-async function addTransaction(amount, desc) {
+async function addTransaction(amount, desc, context = {}) {
     const manager = getDbManager();
+    const tenantId = tenantOf(context);
 
     // SQL Injection 방지를 위해 파라미터화된 쿼리 사용
-    const sql = 'INSERT INTO `transactions` (`amount`, `description`) VALUES (?, ?)';
+    const sql = 'INSERT INTO `transactions` (`tenant_id`, `amount`, `description`) VALUES (?, ?, ?)';
 
     try {
-        const [result] = await manager.query(sql, [amount, desc]);
-        console.log("Transaction added successfully, insertId:", result.insertId);
-        return 200;
+        const created = await manager.withTransaction(async (tx) => {
+            const [result] = await timedQuery(tx, 'insert', sql, [tenantId, amount, desc]);
+            const row = await selectTransactionRow(tx, result.insertId, tenantId);
+            await recordAudit(tx, context, [
+                { operation: 'create', transactionId: result.insertId, before: null, after: row }
+            ]);
+            if (context.beforeCommit) {
+                await context.beforeCommit(tx, row);
+            }
+            return row;
+        });
+        logger.info('Transaction added', { id: created.id, actor: actorLabel(context) });
+        return created;
     } catch (err) {
-        console.error("Error adding transaction:", err);
-        throw err;
+        logger.error('Error adding transaction', { actor: actorLabel(context), err });
+        throw translateDatabaseError(err);
     }
 }
 
+// 추가한 행을 한 번에 다시 읽고 감사 기록할 기본 행 수
+const INSERT_BATCH_SIZE = 500;
+
 /**
- * 모든 트랜잭션 조회
+ * 여러 행 추가 (같은 트랜잭션 안에서)
+ * - 행마다 INSERT 해 각 insertId 를 그대로 사용 (다중 행 INSERT 의 ID 는 innodb_autoinc_lock_mode = 2 에서 연속되지 않음)
+ * - batchSize 건씩 추가한 행을 ID 로 다시 읽고, 행마다 operation 감사 기록
+ * @returns {Promise<Array<Object>>} 추가된 행 (rows 순서, 같은 세션의 ID 는 증가하므로 ID 순서와 같음)
+ */
+async function insertRows(tx, tenantId, rows, { batchSize, operation }, context) {
+    // created_at 이 없는 행은 현재 시각
+    const sql = 'INSERT INTO `transactions` (`tenant_id`, `amount`, `description`, `created_at`)'
+        + ' VALUES (?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))';
+
+    const inserted = [];
+    for (let offset = 0; offset < rows.length; offset += batchSize) {
+        const ids = [];
+        for (const row of rows.slice(offset, offset + batchSize)) {
+            const [result] = await timedQuery(tx, 'insert', sql, [tenantId, row.amount, row.description, row.created_at || null]);
+            ids.push(result.insertId);
+        }
+
+        const [created] = await timedQuery(
+            tx,
+            'select_by_id',
+            'SELECT * FROM transactions WHERE `tenant_id` = ? AND id IN (?) ORDER BY id',
+            [tenantId, ids]
+        );
+        await recordAudit(tx, context, created.map(row => ({
+            operation,
+            transactionId: row.id,
+            before: null,
+            after: row
+        })));
+        inserted.push(...created);
+    }
+    return inserted;
+}
+
+/**
+ * 여러 트랜잭션을 하나의 DB 트랜잭션으로 추가 (대량 가져오기)
+ * - 행마다 INSERT 하고, batchSize 건씩 다시 읽어 추가된 행마다 import 감사 기록
+ * - 하나라도 실패하면 전체 롤백
+ * @param {Array<{amount: number, description: string, created_at: (Date|undefined)}>} rows - 검증된 행
+ * @param {Object} [options]
+ * @param {number} [options.batchSize=500] - 한 번에 다시 읽고 감사 기록할 최대 행 수
+ * @param {ServiceContext} [context] - 호출자 정보
+ * @returns {Promise<Array<number>>} 추가된 트랜잭션 ID (rows 순서)
+ */
+async function insertTransactions(rows, { batchSize = INSERT_BATCH_SIZE } = {}, context = {}) {
+    const manager = getDbManager();
+    const tenantId = tenantOf(context);
+
+    if (rows.length === 0) {
+        return [];
+    }
+
+    try {
+        const ids = await manager.withTransaction(async (tx) => {
+            const inserted = await insertRows(tx, tenantId, rows, { batchSize, operation: 'import' }, context);
+            return inserted.map(row => row.id);
+        });
+
+        logger.info('Inserted transactions', { count: ids.length, actor: actorLabel(context) });
+        return ids;
+    } catch (err) {
+        logger.error('Error inserting transactions', { count: rows.length, actor: actorLabel(context), err });
+        throw translateDatabaseError(err);
+    }
+}
+
+/**
+ * 여러 트랜잭션을 하나의 DB 트랜잭션으로 추가 (일괄 추가, 하나라도 실패하면 전체 롤백)
+ * @param {Array<{amount: number, description: string}>} rows - 검증된 행
+ * @param {Object} options
+ * @param {number} options.maxItems - 한 번에 추가할 수 있는 최대 건수
+ * @param {ServiceContext} [context] - 호출자 정보
+ * @returns {Promise<Array<Object>>} 추가된 트랜잭션 (rows 순서)
+ * @throws {PayloadTooLargeError} maxItems 를 넘는 경우
+ */
+async function createTransactions(rows, { maxItems }, context = {}) {
+    const manager = getDbManager();
+    const tenantId = tenantOf(context);
+
+    if (rows.length > maxItems) {
+        throw new PayloadTooLargeError(`Batch must not contain more than ${maxItems} transactions`);
+    }
+
+    try {
+        const created = await manager.withTransaction(async (tx) => {
+            const inserted = await insertRows(tx, tenantId, rows, { batchSize: INSERT_BATCH_SIZE, operation: 'create' }, context);
+            if (context.beforeCommit) {
+                await context.beforeCommit(tx, inserted);
+            }
+            return inserted;
+        });
+
+        logger.info('Created transactions', { count: created.length, actor: actorLabel(context) });
+        return created;
+    } catch (err) {
+        logger.error('Error creating transactions', { count: rows.length, actor: actorLabel(context), err });
+        throw translateDatabaseError(err);
+    }
+}
+
+/**
+ * 호출자 테넌트의 모든 트랜잭션 조회
+ * @param {ServiceContext} [context] - 호출자 정보
  * @returns {Promise<Array>}
  */
-async function getAllTransactions() {
+async function getAllTransactions(context = {}) {
     const manager = getDbManager();
+    const tenantId = tenantOf(context);
 
-    const sql = "SELECT * FROM transactions";
+    const sql = 'SELECT * FROM transactions WHERE `tenant_id` = ? AND `deleted_at` IS NULL';
 
     try {
-        const [results] = await manager.query(sql);
-        console.log("Retrieved all transactions, count:", results.length);
+        const [results] = await timedQuery(manager, 'select_all', sql, [tenantId], readTarget(context));
+        logger.info('Retrieved all transactions', { count: results.length, actor: actorLabel(context) });
         return results;
     } catch (err) {
-        console.error("Error getting all transactions:", err);
-        throw err;
+        logger.error('Error getting all transactions', { actor: actorLabel(context), err });
+        throw translateDatabaseError(err);
+    }
+}
+
+/**
+ * 목록 조회 기본값
+ * - 커서(keyset) 페이지네이션은 정렬 컬럼 + id 조합으로 다음 페이지 위치를 기억
+ */
+const LIST_SORT_FIELDS = ['created_at', 'id'];
+const LIST_ORDERS = ['asc', 'desc'];
+const DEFAULT_LIST_LIMIT = 50;
+const MAX_LIST_LIMIT = 500;
+
+/**
+ * 페이지 커서 인코딩 (마지막 행의 정렬 키를 base64url JSON으로 직렬화)
+ * @param {Object} row - 페이지의 마지막 행
+ * @param {string} sort - 정렬 컬럼
+ * @param {string} order - 정렬 방향
+ * @returns {string}
+ */
+function encodeCursor(row, sort, order) {
+    const payload = { s: sort, o: order, id: row.id };
+    if (sort === 'created_at') {
+        payload.v = new Date(row.created_at).toISOString();
+    }
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * 잘못된 커서 에러
+ */
+function invalidCursorError() {
+    return new ValidationError(
+        [{ location: 'query', field: 'cursor', code: 'invalid', message: 'is invalid' }],
+        { message: 'Invalid cursor' }
+    );
+}
+
+/**
+ * 페이지 커서 디코딩
+ * @param {string} cursor - encodeCursor()로 만든 커서
+ * @returns {{sort: string, order: string, id: number, value: (Date|undefined)}}
+ * @throws {ValidationError} 커서 형식이 잘못된 경우
+ */
+function decodeCursor(cursor) {
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (err) {
+        throw invalidCursorError();
+    }
+
+    if (!payload || !LIST_SORT_FIELDS.includes(payload.s) || !LIST_ORDERS.includes(payload.o)
+        || !Number.isInteger(payload.id)) {
+        throw invalidCursorError();
+    }
+
+    const decoded = { sort: payload.s, order: payload.o, id: payload.id, value: undefined };
+    if (payload.s === 'created_at') {
+        decoded.value = new Date(payload.v);
+        if (Number.isNaN(decoded.value.getTime())) {
+            throw invalidCursorError();
+        }
+    }
+    return decoded;
+}
+
+/**
+ * LIKE 패턴의 와일드카드 문자 이스케이프
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeLike(value) {
+    return value.replace(/[\\%_]/g, '\\$&');
+}
+
+/**
+ * 목록 조회용 파라미터화된 SQL 생성
+ * - 필터가 주어진 조합에 맞춰 WHERE 절을 구성 (값은 모두 ? 파라미터로 전달)
+ * @param {Object} options - listTransactions()와 동일 + tenantId, deleted (휴지통 조회 여부)
+ * @returns {{sql: string, params: Array}}
+ */
+function buildListQuery(options) {
+    const { tenantId, deleted, sort, order, limit, cursor, minAmount, maxAmount, from, to, q } = options;
+    const conditions = ['`tenant_id` = ?', deleted ? '`deleted_at` IS NOT NULL' : '`deleted_at` IS NULL'];
+    const params = [tenantId];
+
+    if (minAmount !== undefined) {
+        conditions.push('`amount` >= ?');
+        params.push(minAmount);
+    }
+    if (maxAmount !== undefined) {
+        conditions.push('`amount` <= ?');
+        params.push(maxAmount);
+    }
+    if (from !== undefined) {
+        conditions.push('`created_at` >= ?');
+        params.push(from);
+    }
+    if (to !== undefined) {
+        conditions.push('`created_at` <= ?');
+        params.push(to);
+    }
+    if (q !== undefined && q !== '') {
+        conditions.push('`description` LIKE ?');
+        params.push(`%${escapeLike(q)}%`);
+    }
+
+    // keyset 조건: 커서 위치 "이후"의 행만 조회
+    const op = order === 'asc' ? '>' : '<';
+    if (cursor) {
+        if (sort === 'created_at') {
+            conditions.push(`(\`created_at\` ${op} ? OR (\`created_at\` = ? AND \`id\` ${op} ?))`);
+            params.push(cursor.value, cursor.value, cursor.id);
+        } else {
+            conditions.push(`\`id\` ${op} ?`);
+            params.push(cursor.id);
+        }
+    }
+
+    const direction = order.toUpperCase();
+    const orderBy = sort === 'created_at'
+        ? `\`created_at\` ${direction}, \`id\` ${direction}`
+        : `\`id\` ${direction}`;
+    const where = ` WHERE ${conditions.join(' AND ')}`;
+
+    // limit 이 없으면 전체 조회 (내보내기)
+    if (limit === undefined) {
+        return { sql: `SELECT * FROM transactions${where} ORDER BY ${orderBy}`, params };
+    }
+
+    // 다음 페이지 존재 여부 확인을 위해 1건 더 조회
+    params.push(limit + 1);
+
+    return {
+        sql: `SELECT * FROM transactions${where} ORDER BY ${orderBy} LIMIT ?`,
+        params
+    };
+}
+
+/**
+ * 정렬 옵션 기본값 적용 및 검증
+ * @param {Object} options - listTransactions()와 동일
+ * @returns {{sort: string, order: string}}
+ * @throws {ValidationError} 지원하지 않는 정렬 컬럼/방향
+ */
+function resolveListOrder(options) {
+    const sort = options.sort || 'created_at';
+    const order = options.order || 'desc';
+
+    if (!LIST_SORT_FIELDS.includes(sort)) {
+        throw new ValidationError(
+            [{ location: 'query', field: 'sort', code: 'enum', message: `must be one of: ${LIST_SORT_FIELDS.join(', ')}` }],
+            { message: `Invalid sort field: ${sort}` }
+        );
+    }
+    if (!LIST_ORDERS.includes(order)) {
+        throw new ValidationError(
+            [{ location: 'query', field: 'order', code: 'enum', message: `must be one of: ${LIST_ORDERS.join(', ')}` }],
+            { message: `Invalid sort order: ${order}` }
+        );
+    }
+
+    return { sort, order };
+}
+
+/**
+ * 목록/휴지통 페이지 조회 (listTransactions, listDeletedTransactions 공용)
+ * @param {Object} options - listTransactions()와 동일
+ * @param {ServiceContext} context - 호출자 정보
+ * @param {boolean} deleted - true 이면 삭제된 행만 조회
+ * @returns {Promise<{items: Array, nextCursor: (string|null)}>}
+ */
+async function listPage(options, context, deleted) {
+    const manager = getDbManager();
+    const tenantId = tenantOf(context);
+
+    const { sort, order } = resolveListOrder(options);
+    const limit = Math.min(options.limit || DEFAULT_LIST_LIMIT, MAX_LIST_LIMIT);
+
+    let cursor = null;
+    if (options.cursor) {
+        cursor = decodeCursor(options.cursor);
+        if (cursor.sort !== sort || cursor.order !== order) {
+            throw new ValidationError(
+                [{ location: 'query', field: 'cursor', code: 'invalid', message: 'does not match the requested sort and order' }],
+                { message: 'Cursor does not match the requested sort order' }
+            );
+        }
+    }
+
+    const { sql, params } = buildListQuery({ ...options, tenantId, deleted, sort, order, limit, cursor });
+    const operation = deleted ? 'list_deleted' : 'list';
+
+    try {
+        const [results] = await timedQuery(manager, operation, sql, params, readTarget(context));
+        const items = results.slice(0, limit);
+        const nextCursor = results.length > limit
+            ? encodeCursor(items[items.length - 1], sort, order)
+            : null;
+        logger.info(deleted ? 'Listed deleted transactions' : 'Listed transactions', {
+            count: items.length,
+            actor: actorLabel(context)
+        });
+        return { items, nextCursor };
+    } catch (err) {
+        logger.error(deleted ? 'Error listing deleted transactions' : 'Error listing transactions', {
+            actor: actorLabel(context),
+            err
+        });
+        throw translateDatabaseError(err);
+    }
+}
+
+/**
+ * 트랜잭션 목록 조회 (커서 기반 페이지네이션, 정렬, 필터)
+ * @param {Object} [options]
+ * @param {number} [options.limit=50] - 페이지 크기 (최대 500)
+ * @param {string} [options.cursor] - 이전 응답의 nextCursor
+ * @param {string} [options.sort='created_at'] - 정렬 컬럼 (created_at | id)
+ * @param {string} [options.order='desc'] - 정렬 방향 (asc | desc)
+ * @param {number} [options.minAmount] - 최소 금액
+ * @param {number} [options.maxAmount] - 최대 금액
+ * @param {Date} [options.from] - 생성일 시작 (포함)
+ * @param {Date} [options.to] - 생성일 끝 (포함)
+ * @param {string} [options.q] - 설명 부분 일치 검색어
+ * @param {ServiceContext} [context] - 호출자 정보
+ * @returns {Promise<{items: Array, nextCursor: (string|null)}>}
+ */
+async function listTransactions(options = {}, context = {}) {
+    return listPage(options, context, false);
+}
+
+/**
+ * 삭제된 트랜잭션 목록 조회 (휴지통, 옵션은 listTransactions()와 동일)
+ * @param {Object} [options]
+ * @param {ServiceContext} [context] - 호출자 정보
+ * @returns {Promise<{items: Array, nextCursor: (string|null)}>}
+ */
+async function listDeletedTransactions(options = {}, context = {}) {
+    return listPage(options, context, true);
+}
+
+/**
+ * 필터에 맞는 트랜잭션 전체를 행 단위 스트림으로 조회 (내보내기 용)
+ * - 필터와 정렬은 listTransactions()와 같고 페이지 없이 모든 행을 조회
+ * - 행을 메모리에 모으지 않도록 DB 쿼리 스트림을 그대로 반환 (소비자가 읽는 속도에 맞춰 수신)
+ * @param {Object} [options] - listTransactions()와 동일 (limit, cursor 제외)
+ * @param {ServiceContext} [context] - 호출자 정보
+ * @returns {Promise<import('stream').Readable>} 행 객체 스트림 (objectMode)
+ */
+async function streamTransactions(options = {}, context = {}) {
+    const manager = getDbManager();
+    const tenantId = tenantOf(context);
+    const { sort, order } = resolveListOrder(options);
+
+    const { sql, params } = buildListQuery({
+        ...options,
+        tenantId,
+        deleted: false,
+        sort,
+        order,
+        limit: undefined,
+        cursor: null
+    });
+
+    try {
+        const stream = await manager.queryStream(sql, params, readTarget(context));
+        logger.info('Streaming transactions', { sort, order, actor: actorLabel(context) });
+        return stream;
+    } catch (err) {
+        logger.error('Error streaming transactions', { actor: actorLabel(context), err });
+        throw translateDatabaseError(err);
+    }
+}
+
+/**
+ * 집계 조회 기본값
+ * - 기간은 [from, to) (from 포함, to 제외) 로 인접한 기간을 겹치지 않게 조회
+ * - 금액 집계는 DECIMAL 그대로 계산해 문자열로 반환 (목록 조회의 amount 와 동일)
+ */
+const REPORT_INTERVALS = ['day', 'week', 'month'];
+
+// 구간 시작일 (호출자 시간대 기준 YYYY-MM-DD, 주는 월요일 시작)
+const PERIOD_EXPRESSIONS = {
+    day: "DATE_FORMAT(`local_created_at`, '%Y-%m-%d')",
+    week: "DATE_FORMAT(DATE_SUB(DATE(`local_created_at`), INTERVAL WEEKDAY(`local_created_at`) DAY), '%Y-%m-%d')",
+    month: "DATE_FORMAT(`local_created_at`, '%Y-%m-01')"
+};
+
+// MySQL CONVERT_TZ 가 허용하는 UTC 오프셋 범위 (-13:59 ~ +14:00)
+const MAX_UTC_OFFSET_MINUTES = 14 * 60;
+
+/**
+ * 시간대 정규화 (UTC, UTC 오프셋, IANA 이름)
+ * - 없거나 UTC/Z 이면 '+00:00'
+ * - '+09:00', '-0530' 같은 오프셋은 '+HH:MM' 형식으로 변환
+ * - 'Asia/Seoul' 같은 이름은 표준 표기로 변환 (DB 에 MySQL 시간대 테이블이 있어야 함)
+ * @param {string} [timeZone]
+ * @returns {(string|null)} 지원하지 않는 값이면 null
+ */
+function normalizeTimeZone(timeZone) {
+    if (timeZone === undefined || /^(utc|z)$/i.test(timeZone)) {
+        return '+00:00';
+    }
+
+    const offset = /^([+-])(\d{2}):?(\d{2})$/.exec(timeZone);
+    if (offset) {
+        const minutes = Number(offset[2]) * 60 + Number(offset[3]);
+        const valid = Number(offset[3]) < 60
+            && (offset[1] === '+' ? minutes <= MAX_UTC_OFFSET_MINUTES : minutes < MAX_UTC_OFFSET_MINUTES);
+        return valid ? `${offset[1]}${offset[2]}:${offset[3]}` : null;
+    }
+
+    try {
+        return new Intl.DateTimeFormat('en-US', { timeZone }).resolvedOptions().timeZone;
+    } catch (err) {
+        return null;
     }
 }
 
 /**
- * ID로 트랜잭션 조회
+ * 시각 instant 에서 timeZone 의 UTC 오프셋 (분)
+ * @param {string} timeZone - normalizeTimeZone() 의 결과
+ * @param {number} instant - epoch 밀리초
+ * @returns {number}
+ */
+function utcOffsetMinutes(timeZone, instant) {
+    const offset = /^([+-])(\d{2}):(\d{2})$/.exec(timeZone);
+    if (offset) {
+        return (offset[1] === '-' ? -1 : 1) * (Number(offset[2]) * 60 + Number(offset[3]));
+    }
+
+    const parts = {};
+    const format = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    });
+    for (const { type, value } of format.formatToParts(instant)) {
+        parts[type] = Number(value);
+    }
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return Math.round((wallClock - Math.floor(instant / 1000) * 1000) / 60000);
+}
+
+/**
+ * 현지 시각 ('YYYY-MM-DDTHH:MM:SS') 을 timeZone 기준 시각으로 변환
+ * - 서머타임 전환으로 없는/두 번 있는 현지 시각은 전환 전 오프셋을 기준으로 계산
+ * @param {string} text - Validation 의 date 규칙 (local) 이 돌려준 값
+ * @param {string} timeZone - normalizeTimeZone() 의 결과
+ * @returns {Date}
+ */
+function localTimeToDate(text, timeZone) {
+    const wallClock = new Date(`${text}Z`).getTime();
+    const offset = utcOffsetMinutes(timeZone, wallClock);
+    const guess = wallClock - offset * 60000;
+
+    // 현지 시각 부근에서 오프셋이 바뀌면 바뀐 오프셋으로 다시 계산 (그 오프셋으로도 맞지 않으면 없는 시각)
+    const actual = utcOffsetMinutes(timeZone, guess);
+    if (actual !== offset) {
+        const corrected = wallClock - actual * 60000;
+        if (utcOffsetMinutes(timeZone, corrected) === actual) {
+            return new Date(corrected);
+        }
+    }
+    return new Date(guess);
+}
+
+/**
+ * 집계 옵션의 시간대와 기간 확인
+ * - from/to 가 오프셋 없는 현지 시각이면 timeZone 으로 해석 (구간을 나누는 시간대와 같은 기준)
+ * @param {{timeZone: (string|undefined), from: (Date|string|undefined), to: (Date|string|undefined)}} options
+ * @returns {{timeZone: string, from: (Date|undefined), to: (Date|undefined)}}
+ * @throws {ValidationError} 지원하지 않는 시간대이거나 from 이 to 보다 늦은 경우
+ */
+function resolveReportRange(options) {
+    const timeZone = normalizeTimeZone(options.timeZone);
+    if (timeZone === null) {
+        throw invalidTimeZoneError(options.timeZone);
+    }
+
+    const toDate = value => (typeof value === 'string' ? localTimeToDate(value, timeZone) : value);
+    const range = { timeZone, from: toDate(options.from), to: toDate(options.to) };
+    checkReportRange(range);
+    return range;
+}
+
+function invalidTimeZoneError(timeZone) {
+    return new ValidationError(
+        [{ location: 'query', field: 'timeZone', code: 'invalid', message: 'must be UTC, an offset such as +09:00 or an IANA time zone name' }],
+        { message: `Unsupported time zone: ${timeZone}` }
+    );
+}
+
+/**
+ * 집계 대상 조건 (호출자 테넌트, 삭제되지 않은 행, [from, to) 기간)
+ * @param {{tenantId: string, from: (Date|undefined), to: (Date|undefined)}} options
+ * @returns {{where: string, params: Array}}
+ */
+function buildReportConditions({ tenantId, from, to }) {
+    const conditions = ['`tenant_id` = ?', '`deleted_at` IS NULL'];
+    const params = [tenantId];
+
+    if (from !== undefined) {
+        conditions.push('`created_at` >= ?');
+        params.push(from);
+    }
+    if (to !== undefined) {
+        conditions.push('`created_at` < ?');
+        params.push(to);
+    }
+
+    return { where: conditions.join(' AND '), params };
+}
+
+function checkReportRange({ from, to }) {
+    if (from !== undefined && to !== undefined && from >= to) {
+        throw new ValidationError(
+            [{ location: 'query', field: 'from', code: 'range', message: 'must be earlier than to' }],
+            { message: 'Invalid report range' }
+        );
+    }
+}
+
+/**
+ * 금액 집계 (건수, 합계, 평균, 최소, 최대)
+ * @param {Object} [options]
+ * @param {string} [options.timeZone='UTC'] - 오프셋 없는 from/to 를 해석할 시간대
+ * @param {(Date|string)} [options.from] - 기간 시작 (포함, 문자열이면 timeZone 의 현지 시각)
+ * @param {(Date|string)} [options.to] - 기간 끝 (제외, 문자열이면 timeZone 의 현지 시각)
+ * @param {ServiceContext} [context] - 호출자 정보
+ * @returns {Promise<{timeZone: string, from: (Date|null), to: (Date|null), count: number, sum: string, avg: (string|null), min: (string|null), max: (string|null)}>}
+ */
+async function getTransactionSummary(options = {}, context = {}) {
+    const manager = getDbManager();
+    const tenantId = tenantOf(context);
+    const { timeZone, from, to } = resolveReportRange(options);
+
+    const { where, params } = buildReportConditions({ tenantId, from, to });
+    const sql = 'SELECT COUNT(*) AS `count`, COALESCE(SUM(`amount`), 0) AS `sum`, ROUND(AVG(`amount`), 2) AS `avg`,'
+        + ' MIN(`amount`) AS `min`, MAX(`amount`) AS `max`'
+        + ` FROM transactions WHERE ${where}`;
+
+    try {
+        const [[row]] = await timedQuery(manager, 'summary', sql, params, readTarget(context));
+        logger.info('Summarized transactions', { count: Number(row.count), actor: actorLabel(context) });
+        return {
+            timeZone,
+            from: from || null,
+            to: to || null,
+            count: Number(row.count),
+            sum: row.sum,
+            avg: row.avg,
+            min: row.min,
+            max: row.max
+        };
+    } catch (err) {
+        logger.error('Error summarizing transactions', { actor: actorLabel(context), err });
+        throw translateDatabaseError(err);
+    }
+}
+
+/**
+ * 기간별 금액 집계와 누적 잔액
+ * - created_at 을 호출자 시간대로 변환한 뒤 일/주/월 단위로 묶어 SQL 에서 집계
+ * - 오프셋 없는 from/to 도 같은 시간대의 현지 시각으로 해석 (구간 경계와 기간 경계가 일치)
+ * - balance 는 해당 구간까지의 누적 합계 (from 이전 행의 합계를 시작 잔액으로 포함)
+ * - 행이 없는 구간은 포함하지 않음
+ * @param {Object} [options]
+ * @param {string} [options.interval='day'] - day | week | month
+ * @param {string} [options.timeZone='UTC'] - 구간을 나눌 시간대 (UTC, +09:00, Asia/Seoul ...)
+ * @param {(Date|string)} [options.from] - 기간 시작 (포함, 문자열이면 timeZone 의 현지 시각)
+ * @param {(Date|string)} [options.to] - 기간 끝 (제외, 문자열이면 timeZone 의 현지 시각)
+ * @param {ServiceContext} [context] - 호출자 정보
+ * @returns {Promise<{interval: string, timeZone: string, from: (Date|null), to: (Date|null), series: Array}>}
+ */
+async function getTransactionTimeseries(options = {}, context = {}) {
+    const manager = getDbManager();
+    const tenantId = tenantOf(context);
+    const interval = options.interval || 'day';
+
+    if (!REPORT_INTERVALS.includes(interval)) {
+        throw new ValidationError(
+            [{ location: 'query', field: 'interval', code: 'enum', message: `must be one of: ${REPORT_INTERVALS.join(', ')}` }],
+            { message: `Invalid interval: ${interval}` }
+        );
+    }
+    const { timeZone, from, to } = resolveReportRange(options);
+
+    const params = [];
+
+    // 시작 잔액 (from 이전 행의 합계)
+    let openingBalance = '0';
+    if (from !== undefined) {
+        openingBalance = '(SELECT COALESCE(SUM(`amount`), 0) FROM transactions'
+            + ' WHERE `tenant_id` = ? AND `deleted_at` IS NULL AND `created_at` < ?)';
+        params.push(tenantId, from);
+    }
+
+    const conditions = buildReportConditions({ tenantId, from, to });
+    params.push(timeZone, ...conditions.params);
+
+    // 안쪽부터: 시간대 변환 → 구간 계산 → 구간별 집계 (누적 잔액은 윈도 함수)
+    const sql = 'SELECT `period`, COUNT(*) AS `count`, SUM(`amount`) AS `sum`, ROUND(AVG(`amount`), 2) AS `avg`,'
+        + ' MIN(`amount`) AS `min`, MAX(`amount`) AS `max`,'
+        + ` SUM(SUM(\`amount\`)) OVER (ORDER BY \`period\`) + ${openingBalance} AS \`balance\``
+        + ` FROM (SELECT ${PERIOD_EXPRESSIONS[interval]} AS \`period\`, \`amount\``
+        + ' FROM (SELECT CONVERT_TZ(`created_at`, @@session.time_zone, ?) AS `local_created_at`, `amount`'
+        + ` FROM transactions WHERE ${conditions.where}) AS \`localized\`) AS \`periods\``
+        + ' GROUP BY `period` ORDER BY `period`';
+
+    let rows;
+    try {
+        [rows] = await timedQuery(manager, 'timeseries', sql, params, readTarget(context));
+    } catch (err) {
+        logger.error('Error building transaction timeseries', { actor: actorLabel(context), err });
+        throw translateDatabaseError(err);
+    }
+
+    // MySQL 시간대 테이블에 없는 이름이면 CONVERT_TZ 가 NULL 을 반환
+    if (rows.some(row => row.period === null)) {
+        logger.warn('Time zone is not loaded in the database', { timeZone });
+        throw invalidTimeZoneError(options.timeZone);
+    }
+
+    logger.info('Built transaction timeseries', { interval, timeZone, periods: rows.length, actor: actorLabel(context) });
+    return {
+        interval,
+        timeZone,
+        from: from || null,
+        to: to || null,
+        series: rows.map(row => ({
+            period: row.period,
+            count: Number(row.count),
+            sum: row.sum,
+            avg: row.avg,
+            min: row.min,
+            max: row.max,
+            balance: row.balance
+        }))
+    };
+}
+
+/**
+ * ID로 트랜잭션 조회 (다른 테넌트의 행은 없는 것으로 취급)
  * @param {number} id - 트랜잭션 ID
+ * @param {ServiceContext} [context] - 호출자 정보
  * @returns {Promise<Array>}
  */
-async function findTransactionById(id) {
+async function findTransactionById(id, context = {}) {
     const manager = getDbManager();
+    const tenantId = tenantOf(context);
 
     // SQL Injection 방지를 위해 파라미터화된 쿼리 사용
-    const sql = 'SELECT * FROM transactions WHERE id = ?';
+    const sql = 'SELECT * FROM transactions WHERE id = ? AND `tenant_id` = ? AND `deleted_at` IS NULL';
 
     try {
-        const [results] = await manager.query(sql, [id]);
-        console.log(`Retrieved transaction with id ${id}`);
+        const [results] = await timedQuery(manager, 'select_by_id', sql, [id, tenantId], readTarget(context));
+        logger.info('Retrieved transaction', { id, actor: actorLabel(context) });
         return results;
     } catch (err) {
-        console.error(`Error retrieving transaction with id ${id}:`, err);
-        throw err;
+        logger.error('Error retrieving transaction', { id, actor: actorLabel(context), err });
+        throw translateDatabaseError(err);
     }
 }
 
 /**
- * 모든 트랜잭션 삭제
+ * ID로 트랜잭션 단건 조회
+ * @param {number} id - 트랜잭션 ID
+ * @param {ServiceContext} [context] - 호출자 정보
  * @returns {Promise<Object>}
+ * @throws {NotFoundError} 트랜잭션이 없는 경우
+ */
+async function getTransactionById(id, context = {}) {
+    const [transaction] = await findTransactionById(id, context);
+
+    if (!transaction) {
+        throw new NotFoundError(`transaction with id ${id} not found`);
+    }
+    return transaction;
+}
+
+/**
+ * 수정 가능한 컬럼 (PUT 전체 수정 시 모두 필수)
+ */
+const UPDATABLE_FIELDS = ['amount', 'description'];
+
+// If-Match 로 전달된 버전 (없음, '*', 숫자 또는 숫자 배열) 이 현재 version 과 일치하는지
+function versionMatches(expectedVersion, version) {
+    if (expectedVersion === undefined || expectedVersion === '*') {
+        return true;
+    }
+    return Array.isArray(expectedVersion) ? expectedVersion.includes(version) : expectedVersion === version;
+}
+
+/**
+ * 트랜잭션 수정 (낙관적 동시성 제어)
+ * - 수정할 때마다 version을 1 증가시키고, expectedVersion이 주어지면 일치할 때만 수정
+ * @param {number} id - 트랜잭션 ID
+ * @param {Object} fields - 변경할 필드
+ * @param {number} [fields.amount] - 금액
+ * @param {string} [fields.description] - 설명
+ * @param {Object} [options]
+ * @param {boolean} [options.replace=false] - 전체 수정 (모든 필드 필수)
+ * @param {(number|Array<number>|string)} [options.expectedVersion] - If-Match로 전달된 버전 (배열이면 그중 하나와 일치, '*'이면 행이 있으면 일치)
+ * @param {ServiceContext} [context] - 호출자 정보
+ * @returns {Promise<Object>} 수정된 트랜잭션
+ * @throws {NotFoundError} 트랜잭션이 없는 경우 (expectedVersion 이 없을 때)
+ * @throws {PreconditionFailedError} 버전이 일치하지 않거나, expectedVersion 이 있는데 트랜잭션이 없는 경우
  */
-async function deleteAllTransactions() {
+async function updateTransaction(id, fields, options = {}, context = {}) {
     const manager = getDbManager();
+    const tenantId = tenantOf(context);
+    const { replace = false, expectedVersion } = options;
 
-    const sql = "DELETE FROM transactions";
+    const assignments = [];
+    const params = [];
+    for (const column of UPDATABLE_FIELDS) {
+        if (fields[column] !== undefined) {
+            assignments.push(`\`${column}\` = ?`);
+            params.push(fields[column]);
+        } else if (replace) {
+            throw new ValidationError(
+                [{ location: 'body', field: column, code: 'required', message: 'is required' }],
+                { message: `Missing required field for full update: ${column}` }
+            );
+        }
+    }
+
+    if (assignments.length === 0) {
+        throw new ValidationError([], { message: 'No fields to update' });
+    }
 
+    // SQL Injection 방지를 위해 파라미터화된 쿼리 사용 (컬럼명은 화이트리스트)
+    const sql = `UPDATE transactions SET ${assignments.join(', ')}, \`version\` = \`version\` + 1`
+        + ' WHERE id = ? AND `tenant_id` = ?';
+    params.push(id, tenantId);
+
+    let outcome;
     try {
-        const [result] = await manager.query(sql);
-        console.log("Deleted all transactions, affected rows:", result.affectedRows);
-        return result;
+        outcome = await manager.withTransaction(async (tx) => {
+            const before = await lockTransactionRow(tx, id, tenantId, false);
+            // 잠근 행의 version 으로 If-Match 확인 (다르면 다른 요청이 먼저 수정한 것)
+            if (!before || !versionMatches(expectedVersion, before.version)) {
+                return { before };
+            }
+
+            await timedQuery(tx, 'update', sql, params);
+            const after = await selectTransactionRow(tx, id, tenantId);
+            await recordAudit(tx, context, [{ operation: 'update', transactionId: id, before, after }]);
+            return { before, after };
+        });
     } catch (err) {
-        console.error("Error deleting all transactions:", err);
-        throw err;
+        logger.error('Error updating transaction', { id, actor: actorLabel(context), err });
+        throw translateDatabaseError(err);
+    }
+
+    if (!outcome.before) {
+        // If-Match 가 있으면 현재 표현이 없을 때 조건이 거짓 (RFC 9110 13.1.1)
+        if (expectedVersion !== undefined) {
+            throw new PreconditionFailedError(`transaction with id ${id} does not exist`);
+        }
+        throw new NotFoundError(`transaction with id ${id} not found`);
     }
+    if (!outcome.after) {
+        throw new PreconditionFailedError(
+            `transaction with id ${id} was modified (expected version ${[].concat(expectedVersion).join(', ')}, current ${outcome.before.version})`,
+            { currentVersion: outcome.before.version }
+        );
+    }
+
+    logger.info('Updated transaction', { id, actor: actorLabel(context) });
+    return outcome.after;
 }
 
+// 전체 삭제에서 한 번에 잠그고 삭제할 최대 행 수
+const DELETE_ALL_BATCH_SIZE = 1000;
+
 /**
- * ID로 트랜잭션 삭제
- * @param {number} id - 트랜잭션 ID
+ * 호출자 테넌트의 모든 트랜잭션 삭제 (soft delete, deleted_at 기록)
+ * - 메모리/쿼리 크기를 제한하기 위해 id 순으로 DELETE_ALL_BATCH_SIZE 건씩 나눠 삭제
+ * - 모든 배치와 bulk_delete 감사 기록을 한 DB 트랜잭션으로 커밋하므로, 도중에 실패하면 아무 행도 삭제되지 않음
+ * @param {ServiceContext} [context] - 호출자 정보
  * @returns {Promise<Object>}
  */
-async function deleteTransactionById(id) {
+async function deleteAllTransactions(context = {}) {
     const manager = getDbManager();
+    const tenantId = tenantOf(context);
+
+    try {
+        const affectedRows = await manager.withTransaction(async (tx) => {
+            let deletedRows = 0;
+            let lastId = 0;
+            for (;;) {
+                const [before] = await timedQuery(
+                    tx,
+                    'select_for_update',
+                    'SELECT * FROM transactions WHERE `tenant_id` = ? AND `deleted_at` IS NULL AND id > ?'
+                    + ' ORDER BY id LIMIT ? FOR UPDATE',
+                    [tenantId, lastId, DELETE_ALL_BATCH_SIZE]
+                );
+                if (before.length === 0) {
+                    return deletedRows;
+                }
+
+                const ids = before.map(row => row.id);
+                await timedQuery(
+                    tx,
+                    'delete_all',
+                    'UPDATE transactions SET `deleted_at` = CURRENT_TIMESTAMP, `version` = `version` + 1'
+                    + ' WHERE `tenant_id` = ? AND id IN (?)',
+                    [tenantId, ids]
+                );
+                const [after] = await timedQuery(
+                    tx,
+                    'select_by_id',
+                    'SELECT * FROM transactions WHERE `tenant_id` = ? AND id IN (?)',
+                    [tenantId, ids]
+                );
+                const afterById = new Map(after.map(row => [row.id, row]));
+
+                await recordAudit(tx, context, before.map(row => ({
+                    operation: 'bulk_delete',
+                    transactionId: row.id,
+                    before: row,
+                    after: afterById.get(row.id) || null
+                })));
+
+                deletedRows += before.length;
+                if (before.length < DELETE_ALL_BATCH_SIZE) {
+                    return deletedRows;
+                }
+                lastId = ids[ids.length - 1];
+            }
+        });
+
+        logger.info('Deleted all transactions', { tenantId, affectedRows, actor: actorLabel(context) });
+        return { affectedRows };
+    } catch (err) {
+        logger.error('Error deleting all transactions', { actor: actorLabel(context), err });
+        throw translateDatabaseError(err);
+    }
+}
+
+/**
+ * ID로 트랜잭션 삭제 (soft delete, 이미 삭제된 행이면 affectedRows 0)
+ * @param {number} id - 트랜잭션 ID
+ * @param {ServiceContext} [context] - 호출자 정보
+ * @returns {Promise<{affectedRows: number}>}
+ */
+async function deleteTransactionById(id, context = {}) {
+    const manager = getDbManager();
+    const tenantId = tenantOf(context);
 
     // SQL Injection 방지를 위해 파라미터화된 쿼리 사용
-    const sql = 'DELETE FROM transactions WHERE id = ?';
+    const sql = 'UPDATE transactions SET `deleted_at` = CURRENT_TIMESTAMP, `version` = `version` + 1'
+        + ' WHERE id = ? AND `tenant_id` = ?';
 
     try {
-        const [result] = await manager.query(sql, [id]);
-        console.log(`Deleted transaction with id ${id}, affected rows:`, result.affectedRows);
-        return result;
+        const affectedRows = await manager.withTransaction(async (tx) => {
+            const before = await lockTransactionRow(tx, id, tenantId, false);
+            if (!before) {
+                return 0;
+            }
+
+            await timedQuery(tx, 'delete_by_id', sql, [id, tenantId]);
+            const after = await selectTransactionRow(tx, id, tenantId);
+            await recordAudit(tx, context, [{ operation: 'delete', transactionId: id, before, after }]);
+            return 1;
+        });
+
+        logger.info('Deleted transaction', { id, affectedRows, actor: actorLabel(context) });
+        return { affectedRows };
     } catch (err) {
-        console.error(`Error deleting transaction with id ${id}:`, err);
-        throw err;
+        logger.error('Error deleting transaction', { id, actor: actorLabel(context), err });
+        throw translateDatabaseError(err);
     }
 }
 
-module.exports = {
-    setDbManager,
-    addTransaction,
-    getAllTransactions,
-    deleteAllTransactions,
-    findTransactionById,
-    deleteTransactionById
-};
+/**
+ * 여러 트랜잭션을 하나의 DB 트랜잭션으로 삭제 (soft delete, 일괄 삭제)
+ * - ids: 주어진 ID 마다 결과 (deleted, 없거나 이미 삭제된 행은 not_found)
+ * - filter: 목록 조회와 같은 필터 (minAmount, maxAmount, from, to, q) 에 맞는 행 모두 (ID 순)
+ * - 대상이 maxItems 를 넘으면 아무것도 삭제하지 않음
+ * @param {Object} target - ids 또는 filter 중 하나
+ * @param {Array<number>} [target.ids] - 중복 없는 트랜잭션 ID
+ * @param {Object} [target.filter] - 삭제할 행의 조건
+ * @param {Object} options
+ * @param {number} options.maxItems - 한 번에 삭제할 수 있는 최대 건수
+ * @param {ServiceContext} [context] - 호출자 정보
+ * @returns {Promise<{deleted: number, notFound: number, results: Array<{id: number, status: string}>}>}
+ * @throws {PayloadTooLargeError} 대상이 maxItems 를 넘는 경우
+ */
+async function deleteTransactions({ ids, filter }, { maxItems }, context = {}) {
+    const manager = getDbManager();
+    const tenantId = tenantOf(context);
 
+    if (ids && ids.length > maxItems) {
+        throw new PayloadTooLargeError(`Batch must not contain more than ${maxItems} transactions`);
+    }
+
+    // maxItems + 1 건까지 잠가서 초과 여부 확인
+    const { sql: selectSql, params: selectParams } = ids
+        ? {
+            sql: 'SELECT * FROM transactions WHERE `tenant_id` = ? AND id IN (?) AND `deleted_at` IS NULL',
+            params: [tenantId, ids]
+        }
+        : buildListQuery({ ...filter, tenantId, deleted: false, sort: 'id', order: 'asc', limit: maxItems });
+
+    let outcome;
+    try {
+        outcome = await manager.withTransaction(async (tx) => {
+            const [before] = await timedQuery(tx, 'select_for_update', `${selectSql} FOR UPDATE`, selectParams);
+            if (before.length > maxItems) {
+                return { tooLarge: true };
+            }
+
+            const deletedIds = before.map(row => row.id);
+            if (deletedIds.length > 0) {
+                await timedQuery(
+                    tx,
+                    'delete_batch',
+                    'UPDATE transactions SET `deleted_at` = CURRENT_TIMESTAMP, `version` = `version` + 1'
+                    + ' WHERE `tenant_id` = ? AND id IN (?)',
+                    [tenantId, deletedIds]
+                );
+                const [after] = await timedQuery(
+                    tx,
+                    'select_by_id',
+                    'SELECT * FROM transactions WHERE `tenant_id` = ? AND id IN (?)',
+                    [tenantId, deletedIds]
+                );
+                const afterById = new Map(after.map(row => [row.id, row]));
+
+                await recordAudit(tx, context, before.map(row => ({
+                    operation: 'delete',
+                    transactionId: row.id,
+                    before: row,
+                    after: afterById.get(row.id) || null
+                })));
+            }
+            return { deletedIds };
+        });
+    } catch (err) {
+        logger.error('Error deleting transactions', { actor: actorLabel(context), err });
+        throw translateDatabaseError(err);
+    }
+
+    if (outcome.tooLarge) {
+        throw new PayloadTooLargeError(`Filter matches more than ${maxItems} transactions`);
+    }
+
+    const deleted = new Set(outcome.deletedIds);
+    const results = (ids || outcome.deletedIds).map(id => ({ id, status: deleted.has(id) ? 'deleted' : 'not_found' }));
+
+    logger.info('Deleted transactions', { deleted: deleted.size, actor: actorLabel(context) });
+    return { deleted: deleted.size, notFound: results.length - deleted.size, results };
+}
+
+/**
+ * 삭제된 트랜잭션 복원
+ * @param {number} id - 트랜잭션 ID
+ * @param {ServiceContext} [context] - 호출자 정보
+ * @returns {Promise<Object>} 복원된 트랜잭션
+ * @throws {NotFoundError} 휴지통에 해당 트랜잭션이 없는 경우
+ */
+async function restoreTransaction(id, context = {}) {
+    const manager = getDbManager();
+    const tenantId = tenantOf(context);
+
+    const sql = 'UPDATE transactions SET `deleted_at` = NULL, `version` = `version` + 1'
+        + ' WHERE id = ? AND `tenant_id` = ?';
+
+    let restored;
+    try {
+        restored = await manager.withTransaction(async (tx) => {
+            const before = await lockTransactionRow(tx, id, tenantId, true);
+            if (!before) {
+                return null;
+            }
+
+            await timedQuery(tx, 'restore', sql, [id, tenantId]);
+            const after = await selectTransactionRow(tx, id, tenantId);
+            await recordAudit(tx, context, [{ operation: 'restore', transactionId: id, before, after }]);
+            return after;
+        });
+    } catch (err) {
+        logger.error('Error restoring transaction', { id, actor: actorLabel(context), err });
+        throw translateDatabaseError(err);
+    }
+
+    if (!restored) {
+        throw new NotFoundError(`deleted transaction with id ${id} not found`);
+    }
 
+    logger.info('Restored transaction', { id, actor: actorLabel(context) });
+    return restored;
+}
 
+/**
+ * 보관 기간이 지난 삭제 행 영구 삭제 (모든 테넌트, TrashPurger 에서 호출)
+ * - 긴 잠금을 피하기 위해 batchSize 건씩 나눠 삭제
+ * @param {Object} options
+ * @param {number} options.olderThanDays - deleted_at 이 이 일수보다 오래된 행만 삭제
+ * @param {number} [options.batchSize=1000] - 한 번에 삭제할 최대 행 수
+ * @param {Object} [options.connection] - 이미 확보한 커넥션 (없으면 풀에서 빌려 사용)
+ * @returns {Promise<number>} 삭제된 행 수
+ */
+async function purgeDeletedTransactions({ olderThanDays, batchSize = 1000, connection }) {
+    const manager = connection || getDbManager();
 
+    const sql = 'DELETE FROM transactions'
+        + ' WHERE `deleted_at` IS NOT NULL AND `deleted_at` < NOW() - INTERVAL ? DAY LIMIT ?';
 
+    let purged = 0;
+    try {
+        let affectedRows;
+        do {
+            const [result] = await timedQuery(manager, 'purge', sql, [olderThanDays, batchSize]);
+            affectedRows = result.affectedRows;
+            purged += affectedRows;
+        } while (affectedRows === batchSize);
+    } catch (err) {
+        logger.error('Error purging deleted transactions', { purged, err });
+        throw translateDatabaseError(err);
+    }
 
+    logger.info('Purged deleted transactions', { purged, olderThanDays });
+    return purged;
+}
 
+module.exports = {
+    setDbManager,
+    addTransaction,
+    createTransactions,
+    insertTransactions,
+    getAllTransactions,
+    listTransactions,
+    listDeletedTransactions,
+    streamTransactions,
+    getTransactionSummary,
+    getTransactionTimeseries,
+    normalizeTimeZone,
+    encodeCursor,
+    decodeCursor,
+    deleteAllTransactions,
+    findTransactionById,
+    getTransactionById,
+    updateTransaction,
+    deleteTransactionById,
+    deleteTransactions,
+    restoreTransaction,
+    purgeDeletedTransactions
+};
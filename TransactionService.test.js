@@ -3,9 +3,22 @@ jest.mock('./RdsIamAuth');
 
 const transactionService = require('./TransactionService');
 const { getInstance } = require('./RdsIamAuth');
+const {
+    ValidationError,
+    ForbiddenError,
+    NotFoundError,
+    PreconditionFailedError,
+    DatabaseUnavailableError,
+    ConflictError
+} = require('./Errors');
+const { registry } = require('./Metrics');
 
 describe('TransactionService', () => {
     let mockDbManager;
+    let mockTx;
+
+    // 모든 호출은 테넌트 컨텍스트와 함께 수행
+    const context = { actor: { type: 'user', id: 'alice', role: 'writer' }, tenantId: 'tenant-a' };
 
     beforeEach(() => {
         jest.clearAllMocks();
@@ -17,12 +30,32 @@ describe('TransactionService', () => {
             shutdown: jest.fn()
         };
 
+        // 변경 작업은 withTransaction 안에서 실행 (쿼리는 매니저와 같은 mock 으로 순서대로 기록)
+        mockTx = { query: mockDbManager.query };
+        mockDbManager.withTransaction = jest.fn(async (fn) => fn(mockTx));
+
         getInstance.mockReturnValue(mockDbManager);
 
         // Set the mock manager in the service
         transactionService.setDbManager(mockDbManager);
     });
 
+    describe('query metrics', () => {
+        test('should record query duration per operation and outcome', async () => {
+            const queryDuration = registry.getMetric('db_query_duration_seconds');
+            const success = { operation: 'insert', outcome: 'success' };
+            const failure = { operation: 'insert', outcome: 'error' };
+            const before = { success: queryDuration.getCount(success), failure: queryDuration.getCount(failure) };
+
+            await transactionService.addTransaction(100, 'Test', context);
+            mockDbManager.query.mockRejectedValue(new Error('boom'));
+            await transactionService.addTransaction(100, 'Test', context).catch(() => {});
+
+            expect(queryDuration.getCount(success)).toBe(before.success + 1);
+            expect(queryDuration.getCount(failure)).toBe(before.failure + 1);
+        });
+    });
+
     describe('setDbManager and getDbManager', () => {
         test('should set database manager', () => {
             const customManager = { query: jest.fn() };
@@ -40,7 +73,7 @@ describe('TransactionService', () => {
             mockDbManager.query.mockResolvedValue([[{ insertId: 1, affectedRows: 1 }]]);
 
             // This should trigger getDbManager() which calls getInstance()
-            await transactionService.addTransaction(100, 'Test');
+            await transactionService.addTransaction(100, 'Test', context);
 
             // Verify getInstance was called
             expect(getInstance).toHaveBeenCalled();
@@ -48,17 +81,37 @@ describe('TransactionService', () => {
     });
 
     describe('addTransaction', () => {
-        test('should add transaction successfully', async () => {
-            const mockResult = [{ insertId: 1, affectedRows: 1 }];
-            mockDbManager.query.mockResolvedValue(mockResult);
+        test('should add transaction and return the created row', async () => {
+            const row = { id: 7, tenant_id: 'tenant-a', amount: '100.00', description: 'Test transaction', version: 1 };
+            mockDbManager.query
+                .mockResolvedValueOnce([{ insertId: 7, affectedRows: 1 }])
+                .mockResolvedValueOnce([[row]])
+                .mockResolvedValueOnce([{ affectedRows: 1 }]);
+
+            const result = await transactionService.addTransaction(100, 'Test transaction', context);
+
+            expect(result).toEqual(row);
+            expect(mockDbManager.query).toHaveBeenNthCalledWith(1,
+                'INSERT INTO `transactions` (`tenant_id`, `amount`, `description`) VALUES (?, ?, ?)',
+                ['tenant-a', 100, 'Test transaction']
+            );
+            expect(mockDbManager.query).toHaveBeenNthCalledWith(2,
+                'SELECT * FROM transactions WHERE id = ? AND `tenant_id` = ?',
+                [7, 'tenant-a']
+            );
+        });
 
-            const result = await transactionService.addTransaction(100, 'Test transaction');
+        test('should call beforeCommit with the transaction and the created row', async () => {
+            const row = { id: 7, tenant_id: 'tenant-a', amount: '100.00', description: 'Test transaction', version: 1 };
+            mockDbManager.query
+                .mockResolvedValueOnce([{ insertId: 7, affectedRows: 1 }])
+                .mockResolvedValueOnce([[row]])
+                .mockResolvedValueOnce([{ affectedRows: 1 }]);
+            const beforeCommit = jest.fn().mockResolvedValue();
 
-            expect(result).toBe(200);
-            expect(mockDbManager.query).toHaveBeenCalledWith(
-                'INSERT INTO `transactions` (`amount`, `description`) VALUES (?, ?)',
-                [100, 'Test transaction']
-            );
+            await transactionService.addTransaction(100, 'Test transaction', { ...context, beforeCommit });
+
+            expect(beforeCommit).toHaveBeenCalledWith(mockTx, row);
         });
 
         test('should throw error when database query fails', async () => {
@@ -66,19 +119,147 @@ describe('TransactionService', () => {
             mockDbManager.query.mockRejectedValue(dbError);
 
             await expect(
-                transactionService.addTransaction(100, 'Test transaction')
+                transactionService.addTransaction(100, 'Test transaction', context)
             ).rejects.toThrow('Database connection failed');
         });
 
         test('should handle various amount types', async () => {
             const mockResult = [{ insertId: 1, affectedRows: 1 }];
-            mockDbManager.query.mockResolvedValue(mockResult);
+            mockDbManager.query.mockResolvedValueOnce(mockResult);
 
-            await transactionService.addTransaction(100.50, 'Decimal amount');
+            await transactionService.addTransaction(100.50, 'Decimal amount', context);
             expect(mockDbManager.query).toHaveBeenCalledWith(
                 expect.any(String),
-                [100.50, 'Decimal amount']
+                ['tenant-a', 100.50, 'Decimal amount']
+            );
+        });
+    });
+
+    describe('insertTransactions', () => {
+        const rows = [
+            { amount: 10, description: 'first' },
+            { amount: 20, description: 'second', created_at: new Date('2023-01-31T00:00:00Z') },
+            { amount: 30, description: 'third' }
+        ];
+        const created = (ids) => ids.map(id => ({ id, tenant_id: 'tenant-a', amount: id, description: `row ${id}`, version: 1 }));
+
+        test('should insert each row inside one transaction and audit them in batches', async () => {
+            mockDbManager.query
+                .mockResolvedValueOnce([{ insertId: 7, affectedRows: 1 }])
+                .mockResolvedValueOnce([{ insertId: 8, affectedRows: 1 }])
+                .mockResolvedValueOnce([created([7, 8])])
+                .mockResolvedValueOnce([{}])
+                .mockResolvedValueOnce([{ insertId: 9, affectedRows: 1 }])
+                .mockResolvedValueOnce([created([9])])
+                .mockResolvedValueOnce([{}]);
+
+            const ids = await transactionService.insertTransactions(rows, { batchSize: 2 }, context);
+
+            expect(ids).toEqual([7, 8, 9]);
+            expect(mockDbManager.withTransaction).toHaveBeenCalledTimes(1);
+            expect(mockDbManager.query).toHaveBeenNthCalledWith(
+                1,
+                'INSERT INTO `transactions` (`tenant_id`, `amount`, `description`, `created_at`)'
+                + ' VALUES (?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))',
+                ['tenant-a', 10, 'first', null]
+            );
+            expect(mockDbManager.query).toHaveBeenNthCalledWith(2, expect.any(String), ['tenant-a', 20, 'second', rows[1].created_at]);
+            expect(mockDbManager.query).toHaveBeenNthCalledWith(
+                3,
+                'SELECT * FROM transactions WHERE `tenant_id` = ? AND id IN (?) ORDER BY id',
+                ['tenant-a', [7, 8]]
             );
+            const [auditSql, auditParams] = mockDbManager.query.mock.calls[3];
+            expect(auditSql).toContain('INSERT INTO `transaction_audit`');
+            expect(auditParams.filter(value => value === 'import')).toHaveLength(2);
+            expect(mockDbManager.query).toHaveBeenNthCalledWith(5, expect.any(String), ['tenant-a', 30, 'third', null]);
+        });
+
+        test('should read back exactly the ids returned for each insert', async () => {
+            // innodb_autoinc_lock_mode = 2 에서는 다른 세션의 INSERT 와 ID 가 섞일 수 있음
+            mockDbManager.query
+                .mockResolvedValueOnce([{ insertId: 11, affectedRows: 1 }])
+                .mockResolvedValueOnce([{ insertId: 14, affectedRows: 1 }])
+                .mockResolvedValueOnce([{ insertId: 20, affectedRows: 1 }])
+                .mockResolvedValueOnce([created([11, 14, 20])])
+                .mockResolvedValueOnce([{}]);
+
+            await expect(transactionService.insertTransactions(rows, {}, context)).resolves.toEqual([11, 14, 20]);
+            expect(mockDbManager.query).toHaveBeenNthCalledWith(4, expect.stringContaining('id IN (?)'), ['tenant-a', [11, 14, 20]]);
+        });
+
+        test('should not open a transaction without rows', async () => {
+            await expect(transactionService.insertTransactions([], {}, context)).resolves.toEqual([]);
+
+            expect(mockDbManager.withTransaction).not.toHaveBeenCalled();
+        });
+
+        test('should translate database errors', async () => {
+            mockDbManager.query.mockRejectedValue(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }));
+
+            await expect(transactionService.insertTransactions(rows, {}, context)).rejects.toThrow(DatabaseUnavailableError);
+        });
+
+        test('should require a tenant', async () => {
+            await expect(transactionService.insertTransactions(rows, {}, {})).rejects.toThrow(ForbiddenError);
+        });
+    });
+
+    describe('createTransactions', () => {
+        const rows = [{ amount: 10, description: 'first' }, { amount: 20, description: 'second' }];
+        const created = [
+            { id: 7, tenant_id: 'tenant-a', amount: '10.00', description: 'first', version: 1 },
+            { id: 8, tenant_id: 'tenant-a', amount: '20.00', description: 'second', version: 1 }
+        ];
+
+        test('should insert all rows in one transaction with create audit rows and return them', async () => {
+            mockDbManager.query
+                .mockResolvedValueOnce([{ insertId: 7, affectedRows: 1 }])
+                .mockResolvedValueOnce([{ insertId: 8, affectedRows: 1 }])
+                .mockResolvedValueOnce([created])
+                .mockResolvedValueOnce([{}]);
+
+            const result = await transactionService.createTransactions(rows, { maxItems: 2 }, context);
+
+            expect(result).toEqual(created);
+            expect(mockDbManager.withTransaction).toHaveBeenCalledTimes(1);
+            expect(mockDbManager.query).toHaveBeenNthCalledWith(1,
+                expect.stringContaining('INSERT INTO `transactions`'),
+                ['tenant-a', 10, 'first', null]
+            );
+            expect(mockDbManager.query).toHaveBeenNthCalledWith(2,
+                expect.stringContaining('INSERT INTO `transactions`'),
+                ['tenant-a', 20, 'second', null]
+            );
+            expect(mockDbManager.query.mock.calls[3][1].filter(value => value === 'create')).toHaveLength(2);
+        });
+
+        test('should call beforeCommit with the transaction and the created rows', async () => {
+            mockDbManager.query
+                .mockResolvedValueOnce([{ insertId: 7, affectedRows: 1 }])
+                .mockResolvedValueOnce([{ insertId: 8, affectedRows: 1 }])
+                .mockResolvedValueOnce([created])
+                .mockResolvedValueOnce([{}]);
+            const beforeCommit = jest.fn().mockRejectedValue(new Error('lock wait timeout'));
+
+            await expect(
+                transactionService.createTransactions(rows, { maxItems: 2 }, { ...context, beforeCommit })
+            ).rejects.toThrow('lock wait timeout');
+            expect(beforeCommit).toHaveBeenCalledWith(mockTx, created);
+        });
+
+        test('should reject more rows than allowed without querying', async () => {
+            const error = await transactionService.createTransactions(rows, { maxItems: 1 }, context).catch(err => err);
+
+            expect(error.status).toBe(413);
+            expect(error.message).toBe('Batch must not contain more than 1 transactions');
+            expect(mockDbManager.withTransaction).not.toHaveBeenCalled();
+        });
+
+        test('should translate database errors', async () => {
+            mockDbManager.query.mockRejectedValue(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }));
+
+            await expect(transactionService.createTransactions(rows, { maxItems: 10 }, context)).rejects.toThrow(DatabaseUnavailableError);
         });
     });
 
@@ -90,16 +271,19 @@ describe('TransactionService', () => {
             ];
             mockDbManager.query.mockResolvedValue([mockTransactions]);
 
-            const result = await transactionService.getAllTransactions();
+            const result = await transactionService.getAllTransactions(context);
 
             expect(result).toEqual(mockTransactions);
-            expect(mockDbManager.query).toHaveBeenCalledWith('SELECT * FROM transactions');
+            expect(mockDbManager.query).toHaveBeenCalledWith(
+                'SELECT * FROM transactions WHERE `tenant_id` = ? AND `deleted_at` IS NULL',
+                ['tenant-a'], { target: 'reader' }
+            );
         });
 
         test('should return empty array when no transactions exist', async () => {
             mockDbManager.query.mockResolvedValue([[]]);
 
-            const result = await transactionService.getAllTransactions();
+            const result = await transactionService.getAllTransactions(context);
 
             expect(result).toEqual([]);
         });
@@ -109,11 +293,319 @@ describe('TransactionService', () => {
             mockDbManager.query.mockRejectedValue(dbError);
 
             await expect(
-                transactionService.getAllTransactions()
+                transactionService.getAllTransactions(context)
             ).rejects.toThrow('Database query failed');
         });
     });
 
+    describe('listTransactions', () => {
+        const rows = [
+            { id: 3, amount: 300, description: 'Transaction 3', created_at: new Date('2024-01-03T00:00:00Z') },
+            { id: 2, amount: 200, description: 'Transaction 2', created_at: new Date('2024-01-02T00:00:00Z') },
+            { id: 1, amount: 100, description: 'Transaction 1', created_at: new Date('2024-01-01T00:00:00Z') }
+        ];
+
+        test('should use default sort, order and limit', async () => {
+            mockDbManager.query.mockResolvedValue([rows]);
+
+            const result = await transactionService.listTransactions({}, context);
+
+            expect(result).toEqual({ items: rows, nextCursor: null });
+            expect(mockDbManager.query).toHaveBeenCalledWith(
+                'SELECT * FROM transactions WHERE `tenant_id` = ? AND `deleted_at` IS NULL'
+                + ' ORDER BY `created_at` DESC, `id` DESC LIMIT ?',
+                ['tenant-a', 51], { target: 'reader' }
+            );
+        });
+
+        test('should return nextCursor when more rows exist', async () => {
+            mockDbManager.query.mockResolvedValue([rows]);
+
+            const result = await transactionService.listTransactions({ limit: 2 }, context);
+
+            expect(result.items).toEqual(rows.slice(0, 2));
+            expect(transactionService.decodeCursor(result.nextCursor)).toEqual({
+                sort: 'created_at',
+                order: 'desc',
+                id: 2,
+                value: new Date('2024-01-02T00:00:00Z')
+            });
+        });
+
+        test('should cap limit at the maximum page size', async () => {
+            mockDbManager.query.mockResolvedValue([[]]);
+
+            await transactionService.listTransactions({ limit: 10000 }, context);
+
+            expect(mockDbManager.query).toHaveBeenCalledWith(expect.any(String), ['tenant-a', 501], { target: 'reader' });
+        });
+
+        test('should build parameterized filters', async () => {
+            mockDbManager.query.mockResolvedValue([[]]);
+            const from = new Date('2024-01-01T00:00:00Z');
+            const to = new Date('2024-02-01T00:00:00Z');
+
+            await transactionService.listTransactions({
+                minAmount: 10,
+                maxAmount: 99.99,
+                from,
+                to,
+                q: '50%_off\\'
+            }, context);
+
+            expect(mockDbManager.query).toHaveBeenCalledWith(
+                'SELECT * FROM transactions WHERE `tenant_id` = ? AND `deleted_at` IS NULL AND `amount` >= ? AND `amount` <= ?'
+                + ' AND `created_at` >= ? AND `created_at` <= ? AND `description` LIKE ?'
+                + ' ORDER BY `created_at` DESC, `id` DESC LIMIT ?',
+                ['tenant-a', 10, 99.99, from, to, '%50\\%\\_off\\\\%', 51], { target: 'reader' }
+            );
+        });
+
+        test('should apply keyset condition for created_at cursor', async () => {
+            mockDbManager.query.mockResolvedValue([[]]);
+            const cursor = transactionService.encodeCursor(rows[1], 'created_at', 'asc');
+
+            await transactionService.listTransactions({ order: 'asc', cursor, minAmount: 1 }, context);
+
+            const createdAt = new Date('2024-01-02T00:00:00Z');
+            expect(mockDbManager.query).toHaveBeenCalledWith(
+                'SELECT * FROM transactions WHERE `tenant_id` = ? AND `deleted_at` IS NULL AND `amount` >= ?'
+                + ' AND (`created_at` > ? OR (`created_at` = ? AND `id` > ?))'
+                + ' ORDER BY `created_at` ASC, `id` ASC LIMIT ?',
+                ['tenant-a', 1, createdAt, createdAt, 2, 51], { target: 'reader' }
+            );
+        });
+
+        test('should apply keyset condition for id cursor', async () => {
+            mockDbManager.query.mockResolvedValue([[]]);
+            const cursor = transactionService.encodeCursor({ id: 42 }, 'id', 'desc');
+
+            await transactionService.listTransactions({ sort: 'id', cursor }, context);
+
+            expect(mockDbManager.query).toHaveBeenCalledWith(
+                'SELECT * FROM transactions WHERE `tenant_id` = ? AND `deleted_at` IS NULL AND `id` < ?'
+                + ' ORDER BY `id` DESC LIMIT ?',
+                ['tenant-a', 42, 51], { target: 'reader' }
+            );
+        });
+
+        test('should reject cursor issued for a different sort order', async () => {
+            const cursor = transactionService.encodeCursor({ id: 42 }, 'id', 'desc');
+
+            await expect(
+                transactionService.listTransactions({ sort: 'id', order: 'asc', cursor }, context)
+            ).rejects.toThrow('Cursor does not match the requested sort order');
+            expect(mockDbManager.query).not.toHaveBeenCalled();
+        });
+
+        test('should reject unknown sort field', async () => {
+            await expect(
+                transactionService.listTransactions({ sort: 'amount' }, context)
+            ).rejects.toThrow('Invalid sort field: amount');
+        });
+
+        test('should throw error when database query fails', async () => {
+            mockDbManager.query.mockRejectedValue(new Error('Database query failed'));
+
+            await expect(
+                transactionService.listTransactions({}, context)
+            ).rejects.toThrow('Database query failed');
+        });
+    });
+
+    describe('streamTransactions', () => {
+        test('should stream every matching row without a limit', async () => {
+            const stream = { pipe: jest.fn() };
+            mockDbManager.queryStream = jest.fn().mockResolvedValue(stream);
+
+            const result = await transactionService.streamTransactions(
+                { sort: 'id', order: 'asc', minAmount: 10, q: 'coffee', limit: 5, cursor: 'ignored' },
+                context
+            );
+
+            expect(result).toBe(stream);
+            expect(mockDbManager.queryStream).toHaveBeenCalledWith(
+                'SELECT * FROM transactions WHERE `tenant_id` = ? AND `deleted_at` IS NULL'
+                + ' AND `amount` >= ? AND `description` LIKE ? ORDER BY `id` ASC',
+                ['tenant-a', 10, '%coffee%'], { target: 'reader' }
+            );
+        });
+
+        test('should reject an invalid sort field', async () => {
+            mockDbManager.queryStream = jest.fn();
+
+            await expect(transactionService.streamTransactions({ sort: 'amount' }, context)).rejects.toThrow(ValidationError);
+            expect(mockDbManager.queryStream).not.toHaveBeenCalled();
+        });
+
+        test('should translate connection errors', async () => {
+            const refused = Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+            mockDbManager.queryStream = jest.fn().mockRejectedValue(refused);
+
+            await expect(transactionService.streamTransactions({}, context)).rejects.toBeInstanceOf(DatabaseUnavailableError);
+        });
+    });
+
+    describe('getTransactionSummary', () => {
+        test('should aggregate amounts over a half-open range', async () => {
+            mockDbManager.query.mockResolvedValue([[{ count: 3, sum: '42.50', avg: '14.17', min: '-5.00', max: '30.00' }]]);
+            const from = new Date('2024-01-01T00:00:00Z');
+            const to = new Date('2024-02-01T00:00:00Z');
+
+            const result = await transactionService.getTransactionSummary({ from, to }, context);
+
+            expect(result).toEqual({ timeZone: '+00:00', from, to, count: 3, sum: '42.50', avg: '14.17', min: '-5.00', max: '30.00' });
+            expect(mockDbManager.query).toHaveBeenCalledWith(
+                'SELECT COUNT(*) AS `count`, COALESCE(SUM(`amount`), 0) AS `sum`, ROUND(AVG(`amount`), 2) AS `avg`,'
+                + ' MIN(`amount`) AS `min`, MAX(`amount`) AS `max` FROM transactions'
+                + ' WHERE `tenant_id` = ? AND `deleted_at` IS NULL AND `created_at` >= ? AND `created_at` < ?',
+                ['tenant-a', from, to], { target: 'reader' }
+            );
+        });
+
+        test('should summarize every row without a range', async () => {
+            mockDbManager.query.mockResolvedValue([[{ count: 0, sum: '0.00', avg: null, min: null, max: null }]]);
+
+            const result = await transactionService.getTransactionSummary({}, context);
+
+            expect(result).toEqual({ timeZone: '+00:00', from: null, to: null, count: 0, sum: '0.00', avg: null, min: null, max: null });
+            expect(mockDbManager.query.mock.calls[0][1]).toEqual(['tenant-a']);
+        });
+
+        test.each([
+            ['Asia/Seoul', '2024-01-01T00:00:00', '2023-12-31T15:00:00.000Z'],
+            ['-05:30', '2024-01-01T00:00:00', '2024-01-01T05:30:00.000Z'],
+            ['America/New_York', '2024-07-01T00:00:00', '2024-07-01T04:00:00.000Z'],
+            ['America/New_York', '2024-03-10T03:30:00', '2024-03-10T07:30:00.000Z'],
+            ['America/New_York', '2024-03-10T02:30:00', '2024-03-10T07:30:00.000Z'],
+            ['America/New_York', '2024-11-03T01:30:00', '2024-11-03T05:30:00.000Z'],
+            ['Pacific/Auckland', '2024-04-07T12:00:00', '2024-04-07T00:00:00.000Z'],
+            [undefined, '2024-01-01T00:00:00', '2024-01-01T00:00:00.000Z']
+        ])('should read a local bound in %p', async (timeZone, local, expected) => {
+            mockDbManager.query.mockResolvedValue([[{ count: 0, sum: '0.00', avg: null, min: null, max: null }]]);
+            const to = new Date('2025-01-01T00:00:00Z');
+
+            const result = await transactionService.getTransactionSummary({ timeZone, from: local, to }, context);
+
+            expect(result.from).toEqual(new Date(expected));
+            expect(mockDbManager.query.mock.calls[0][1]).toEqual(['tenant-a', new Date(expected), to]);
+        });
+
+        test('should compare a local bound with an instant after applying the time zone', async () => {
+            const options = { timeZone: '+09:00', from: '2024-01-01T08:00:00', to: new Date('2023-12-31T23:00:00Z') };
+
+            await expect(transactionService.getTransactionSummary(options, context)).rejects.toThrow(ValidationError);
+            expect(mockDbManager.query).not.toHaveBeenCalled();
+        });
+
+        test('should reject an empty range', async () => {
+            const date = new Date('2024-01-01T00:00:00Z');
+
+            await expect(transactionService.getTransactionSummary({ from: date, to: date }, context)).rejects.toThrow(ValidationError);
+            expect(mockDbManager.query).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('getTransactionTimeseries', () => {
+        const bucket = { period: '2024-01-01', count: 2, sum: '15.00', avg: '7.50', min: '5.00', max: '10.00', balance: '115.00' };
+
+        test('should group by the local period with a running balance', async () => {
+            mockDbManager.query.mockResolvedValue([[bucket]]);
+            const from = new Date('2024-01-01T00:00:00+09:00');
+
+            const result = await transactionService.getTransactionTimeseries(
+                { interval: 'week', timeZone: 'asia/seoul', from },
+                context
+            );
+
+            expect(result).toEqual({ interval: 'week', timeZone: 'Asia/Seoul', from, to: null, series: [bucket] });
+            const [sql, params, options] = mockDbManager.query.mock.calls[0];
+            expect(sql).toBe(
+                'SELECT `period`, COUNT(*) AS `count`, SUM(`amount`) AS `sum`, ROUND(AVG(`amount`), 2) AS `avg`,'
+                + ' MIN(`amount`) AS `min`, MAX(`amount`) AS `max`,'
+                + ' SUM(SUM(`amount`)) OVER (ORDER BY `period`) + (SELECT COALESCE(SUM(`amount`), 0) FROM transactions'
+                + ' WHERE `tenant_id` = ? AND `deleted_at` IS NULL AND `created_at` < ?) AS `balance`'
+                + " FROM (SELECT DATE_FORMAT(DATE_SUB(DATE(`local_created_at`), INTERVAL WEEKDAY(`local_created_at`) DAY), '%Y-%m-%d')"
+                + ' AS `period`, `amount` FROM (SELECT CONVERT_TZ(`created_at`, @@session.time_zone, ?) AS `local_created_at`, `amount`'
+                + ' FROM transactions WHERE `tenant_id` = ? AND `deleted_at` IS NULL AND `created_at` >= ?) AS `localized`) AS `periods`'
+                + ' GROUP BY `period` ORDER BY `period`'
+            );
+            expect(params).toEqual(['tenant-a', from, 'Asia/Seoul', 'tenant-a', from]);
+            expect(options).toEqual({ target: 'reader' });
+        });
+
+        test('should read local bounds in the requested time zone', async () => {
+            mockDbManager.query.mockResolvedValue([[]]);
+
+            const result = await transactionService.getTransactionTimeseries(
+                { interval: 'month', timeZone: 'Asia/Seoul', from: '2024-01-01T00:00:00', to: '2024-02-01T00:00:00' },
+                context
+            );
+
+            const from = new Date('2023-12-31T15:00:00Z');
+            const to = new Date('2024-01-31T15:00:00Z');
+            expect(result).toMatchObject({ from, to });
+            expect(mockDbManager.query.mock.calls[0][1]).toEqual(['tenant-a', from, 'Asia/Seoul', 'tenant-a', from, to]);
+        });
+
+        test('should default to daily UTC periods starting from a zero balance', async () => {
+            mockDbManager.query.mockResolvedValue([[]]);
+
+            const result = await transactionService.getTransactionTimeseries({}, context);
+
+            expect(result).toMatchObject({ interval: 'day', timeZone: '+00:00', series: [] });
+            const [sql, params] = mockDbManager.query.mock.calls[0];
+            expect(sql).toContain("OVER (ORDER BY `period`) + 0 AS `balance` FROM (SELECT DATE_FORMAT(`local_created_at`, '%Y-%m-%d')");
+            expect(params).toEqual(['+00:00', 'tenant-a']);
+        });
+
+        test.each([
+            [{ interval: 'year' }],
+            [{ timeZone: 'Mars/Olympus' }],
+            [{ timeZone: '+15:00' }]
+        ])('should reject invalid options %p', async (options) => {
+            await expect(transactionService.getTransactionTimeseries(options, context)).rejects.toThrow(ValidationError);
+            expect(mockDbManager.query).not.toHaveBeenCalled();
+        });
+
+        test('should reject a time zone the database does not know', async () => {
+            mockDbManager.query.mockResolvedValue([[{ ...bucket, period: null }]]);
+
+            const error = await transactionService.getTransactionTimeseries({ timeZone: 'Europe/Paris' }, context).catch(err => err);
+
+            expect(error).toBeInstanceOf(ValidationError);
+            expect(error.message).toBe('Unsupported time zone: Europe/Paris');
+        });
+    });
+
+    describe('normalizeTimeZone', () => {
+        test.each([
+            [undefined, '+00:00'],
+            ['UTC', '+00:00'],
+            ['z', '+00:00'],
+            ['+0900', '+09:00'],
+            ['-13:59', '-13:59'],
+            ['+14:00', '+14:00'],
+            ['America/New_York', 'America/New_York'],
+            ['-14:00', null],
+            ['+09:60', null],
+            ['Nowhere/Special', null]
+        ])('should normalize %p to %p', (timeZone, expected) => {
+            expect(transactionService.normalizeTimeZone(timeZone)).toBe(expected);
+        });
+    });
+
+    describe('decodeCursor', () => {
+        test.each([
+            ['not base64 json', 'garbage!'],
+            ['unknown sort', Buffer.from(JSON.stringify({ s: 'amount', o: 'asc', id: 1 })).toString('base64url')],
+            ['missing id', Buffer.from(JSON.stringify({ s: 'id', o: 'asc' })).toString('base64url')],
+            ['invalid date', Buffer.from(JSON.stringify({ s: 'created_at', o: 'asc', id: 1, v: 'x' })).toString('base64url')]
+        ])('should reject %s', (name, cursor) => {
+            expect(() => transactionService.decodeCursor(cursor)).toThrow('Invalid cursor');
+        });
+    });
+
     describe('findTransactionById', () => {
         test('should find transaction by id', async () => {
             const mockTransaction = [
@@ -121,19 +613,29 @@ describe('TransactionService', () => {
             ];
             mockDbManager.query.mockResolvedValue([mockTransaction]);
 
-            const result = await transactionService.findTransactionById(1);
+            const result = await transactionService.findTransactionById(1, context);
 
             expect(result).toEqual(mockTransaction);
             expect(mockDbManager.query).toHaveBeenCalledWith(
-                'SELECT * FROM transactions WHERE id = ?',
-                [1]
+                'SELECT * FROM transactions WHERE id = ? AND `tenant_id` = ? AND `deleted_at` IS NULL',
+                [1, 'tenant-a'], { target: 'reader' }
+            );
+        });
+
+        test('should read from the writer when strong consistency is requested', async () => {
+            mockDbManager.query.mockResolvedValue([[]]);
+
+            await transactionService.findTransactionById(1, { ...context, consistency: 'strong' });
+
+            expect(mockDbManager.query).toHaveBeenCalledWith(
+                expect.any(String), [1, 'tenant-a'], { target: 'writer' }
             );
         });
 
         test('should return empty array when transaction not found', async () => {
             mockDbManager.query.mockResolvedValue([[]]);
 
-            const result = await transactionService.findTransactionById(999);
+            const result = await transactionService.findTransactionById(999, context);
 
             expect(result).toEqual([]);
         });
@@ -143,40 +645,310 @@ describe('TransactionService', () => {
             mockDbManager.query.mockRejectedValue(dbError);
 
             await expect(
-                transactionService.findTransactionById(1)
+                transactionService.findTransactionById(1, context)
             ).rejects.toThrow('Database query failed');
         });
 
         test('should handle string id parameter', async () => {
             mockDbManager.query.mockResolvedValue([[]]);
 
-            await transactionService.findTransactionById('5');
+            await transactionService.findTransactionById('5', context);
 
             expect(mockDbManager.query).toHaveBeenCalledWith(
                 expect.any(String),
-                ['5']
+                ['5', 'tenant-a'], { target: 'reader' }
             );
         });
     });
 
+    describe('getTransactionById', () => {
+        test('should return the single transaction', async () => {
+            const row = { id: 1, amount: 100 };
+            mockDbManager.query.mockResolvedValue([[row]]);
+
+            await expect(transactionService.getTransactionById(1, context)).resolves.toEqual(row);
+        });
+
+        test('should throw NotFoundError when transaction not found', async () => {
+            mockDbManager.query.mockResolvedValue([[]]);
+
+            const error = await transactionService.getTransactionById(999, context).catch(err => err);
+
+            expect(error).toBeInstanceOf(NotFoundError);
+            expect(error.message).toBe('transaction with id 999 not found');
+        });
+    });
+
+    describe('database error translation', () => {
+        test('should translate connection errors to DatabaseUnavailableError', async () => {
+            mockDbManager.query.mockRejectedValue(Object.assign(new Error('connect ECONNREFUSED 10.0.0.1:3306'), {
+                code: 'ECONNREFUSED'
+            }));
+
+            const error = await transactionService.getAllTransactions(context).catch(err => err);
+
+            expect(error).toBeInstanceOf(DatabaseUnavailableError);
+            expect(error.message).not.toContain('10.0.0.1');
+        });
+
+        test('should translate duplicate key errors to ConflictError', async () => {
+            mockDbManager.query.mockRejectedValue(Object.assign(new Error('Duplicate entry'), { code: 'ER_DUP_ENTRY' }));
+
+            await expect(
+                transactionService.addTransaction(1, 'x', context)
+            ).rejects.toBeInstanceOf(ConflictError);
+        });
+
+        test('should translate out-of-range data errors to 422 ValidationError', async () => {
+            mockDbManager.query.mockRejectedValue(Object.assign(new Error('Out of range value'), {
+                code: 'ER_WARN_DATA_OUT_OF_RANGE'
+            }));
+
+            const error = await transactionService.addTransaction(1e12, 'x', context).catch(err => err);
+
+            expect(error).toBeInstanceOf(ValidationError);
+            expect(error.status).toBe(422);
+        });
+
+        test('should throw ValidationError for malformed cursor', () => {
+            expect(() => transactionService.decodeCursor('garbage!')).toThrow(ValidationError);
+        });
+    });
+
+    describe('updateTransaction', () => {
+        const before = { id: 1, amount: 100, description: 'Typo', version: 3 };
+
+        test('should lock the row, update it, bump version and audit before/after', async () => {
+            const after = { ...before, description: 'Fixed', version: 4 };
+            mockDbManager.query
+                .mockResolvedValueOnce([[before]])
+                .mockResolvedValueOnce([{ affectedRows: 1 }])
+                .mockResolvedValueOnce([[after]])
+                .mockResolvedValueOnce([{ affectedRows: 1 }]);
+
+            const result = await transactionService.updateTransaction(1, { description: 'Fixed' }, {}, context);
+
+            expect(result).toEqual(after);
+            expect(mockDbManager.query).toHaveBeenNthCalledWith(1,
+                'SELECT * FROM transactions WHERE id = ? AND `tenant_id` = ? AND `deleted_at` IS NULL FOR UPDATE',
+                [1, 'tenant-a']
+            );
+            expect(mockDbManager.query).toHaveBeenNthCalledWith(2,
+                'UPDATE transactions SET `description` = ?, `version` = `version` + 1 WHERE id = ? AND `tenant_id` = ?',
+                ['Fixed', 1, 'tenant-a']
+            );
+            expect(mockDbManager.query).toHaveBeenNthCalledWith(4,
+                expect.stringMatching(/^INSERT INTO `transaction_audit`/),
+                ['tenant-a', 1, 'update', 'user:alice', null, JSON.stringify(before), JSON.stringify(after)]
+            );
+            expect(mockDbManager.withTransaction).toHaveBeenCalledTimes(1);
+        });
+
+        test('should update amount and description together', async () => {
+            mockDbManager.query
+                .mockResolvedValueOnce([[before]])
+                .mockResolvedValueOnce([{ affectedRows: 1 }])
+                .mockResolvedValueOnce([[{ id: 1 }]]);
+
+            await transactionService.updateTransaction(1, { amount: 5, description: 'x' }, { replace: true }, context);
+
+            expect(mockDbManager.query).toHaveBeenNthCalledWith(2,
+                'UPDATE transactions SET `amount` = ?, `description` = ?, `version` = `version` + 1'
+                + ' WHERE id = ? AND `tenant_id` = ?',
+                [5, 'x', 1, 'tenant-a']
+            );
+        });
+
+        test('should require all fields for full update', async () => {
+            await expect(
+                transactionService.updateTransaction(1, { amount: 5 }, { replace: true }, context)
+            ).rejects.toThrow('Missing required field for full update: description');
+            expect(mockDbManager.query).not.toHaveBeenCalled();
+        });
+
+        test('should update when expectedVersion matches the locked row', async () => {
+            mockDbManager.query
+                .mockResolvedValueOnce([[before]])
+                .mockResolvedValueOnce([{ affectedRows: 1 }])
+                .mockResolvedValueOnce([[{ ...before, amount: 5, version: 4 }]]);
+
+            const result = await transactionService.updateTransaction(1, { amount: 5 }, { expectedVersion: 3 }, context);
+
+            expect(result.version).toBe(4);
+        });
+
+        test('should throw PreconditionFailedError without writing when the version differs', async () => {
+            mockDbManager.query.mockResolvedValueOnce([[{ ...before, version: 5 }]]);
+
+            const error = await transactionService
+                .updateTransaction(1, { amount: 5 }, { expectedVersion: 3 }, context)
+                .catch(err => err);
+
+            expect(error).toBeInstanceOf(PreconditionFailedError);
+            expect(error.status).toBe(412);
+            expect(error.currentVersion).toBe(5);
+            expect(mockDbManager.query).toHaveBeenCalledTimes(1);
+        });
+
+        test('should update when any version of an If-Match list matches', async () => {
+            mockDbManager.query
+                .mockResolvedValueOnce([[before]])
+                .mockResolvedValueOnce([{ affectedRows: 1 }])
+                .mockResolvedValueOnce([[{ ...before, amount: 5, version: 4 }]]);
+
+            const result = await transactionService.updateTransaction(1, { amount: 5 }, { expectedVersion: [2, 3] }, context);
+
+            expect(result.version).toBe(4);
+        });
+
+        test('should throw PreconditionFailedError when no version of an If-Match list matches', async () => {
+            mockDbManager.query.mockResolvedValueOnce([[{ ...before, version: 5 }]]);
+
+            const error = await transactionService
+                .updateTransaction(1, { amount: 5 }, { expectedVersion: [3, 4] }, context)
+                .catch(err => err);
+
+            expect(error).toBeInstanceOf(PreconditionFailedError);
+            expect(error.message).toContain('expected version 3, 4');
+            expect(mockDbManager.query).toHaveBeenCalledTimes(1);
+        });
+
+        test('should throw NotFoundError when transaction not found', async () => {
+            mockDbManager.query.mockResolvedValueOnce([[]]);
+
+            await expect(
+                transactionService.updateTransaction(999, { amount: 5 }, {}, context)
+            ).rejects.toBeInstanceOf(NotFoundError);
+        });
+
+        test('should update any version for the wildcard', async () => {
+            mockDbManager.query
+                .mockResolvedValueOnce([[before]])
+                .mockResolvedValueOnce([{ affectedRows: 1 }])
+                .mockResolvedValueOnce([[{ ...before, amount: 5, version: 4 }]]);
+
+            const result = await transactionService.updateTransaction(1, { amount: 5 }, { expectedVersion: '*' }, context);
+
+            expect(result.version).toBe(4);
+        });
+
+        test.each([['*'], [3]])('should throw PreconditionFailedError for If-Match %p when transaction not found', async (expectedVersion) => {
+            mockDbManager.query.mockResolvedValueOnce([[]]);
+
+            const error = await transactionService
+                .updateTransaction(999, { amount: 5 }, { expectedVersion }, context)
+                .catch(err => err);
+
+            expect(error).toBeInstanceOf(PreconditionFailedError);
+            expect(error.message).toBe('transaction with id 999 does not exist');
+        });
+
+        test('should fail the whole DB transaction when writing the audit row fails', async () => {
+            mockDbManager.query
+                .mockResolvedValueOnce([[before]])
+                .mockResolvedValueOnce([{ affectedRows: 1 }])
+                .mockResolvedValueOnce([[before]])
+                .mockRejectedValueOnce(new Error('audit insert failed'));
+
+            await expect(
+                transactionService.updateTransaction(1, { amount: 5 }, {}, context)
+            ).rejects.toThrow('audit insert failed');
+            await expect(mockDbManager.withTransaction.mock.results[0].value).rejects.toThrow('audit insert failed');
+        });
+
+        test('should ignore unknown fields and reject empty update', async () => {
+            await expect(
+                transactionService.updateTransaction(1, { id: 2 }, {}, context)
+            ).rejects.toThrow('No fields to update');
+            expect(mockDbManager.query).not.toHaveBeenCalled();
+        });
+    });
+
     describe('deleteAllTransactions', () => {
-        test('should delete all transactions', async () => {
-            const mockResult = [{ affectedRows: 5 }];
-            mockDbManager.query.mockResolvedValue(mockResult);
+        test('should soft delete all transactions of the tenant and audit each row', async () => {
+            const rows = [{ id: 1, version: 1 }, { id: 2, version: 4 }];
+            const deletedAt = '2024-03-01T00:00:00.000Z';
+            mockDbManager.query
+                .mockResolvedValueOnce([rows])
+                .mockResolvedValueOnce([{ affectedRows: 2 }])
+                .mockResolvedValueOnce([rows.map(row => ({ ...row, version: row.version + 1, deleted_at: deletedAt }))])
+                .mockResolvedValueOnce([{ affectedRows: 2 }]);
+
+            const result = await transactionService.deleteAllTransactions(context);
+
+            expect(result).toEqual({ affectedRows: 2 });
+            expect(mockDbManager.query).toHaveBeenNthCalledWith(1,
+                'SELECT * FROM transactions WHERE `tenant_id` = ? AND `deleted_at` IS NULL AND id > ? ORDER BY id LIMIT ? FOR UPDATE',
+                ['tenant-a', 0, 1000]
+            );
+            expect(mockDbManager.query).toHaveBeenNthCalledWith(2,
+                'UPDATE transactions SET `deleted_at` = CURRENT_TIMESTAMP, `version` = `version` + 1'
+                + ' WHERE `tenant_id` = ? AND id IN (?)',
+                ['tenant-a', [1, 2]]
+            );
+            expect(mockDbManager.query).toHaveBeenNthCalledWith(3,
+                'SELECT * FROM transactions WHERE `tenant_id` = ? AND id IN (?)',
+                ['tenant-a', [1, 2]]
+            );
 
-            const result = await transactionService.deleteAllTransactions();
+            const [auditSql, auditParams] = mockDbManager.query.mock.calls[3];
+            expect(auditSql).toMatch(/VALUES \(\?, \?, \?, \?, \?, \?, \?\), \(\?, \?, \?, \?, \?, \?, \?\)$/);
+            expect(auditParams.slice(0, 3)).toEqual(['tenant-a', 1, 'bulk_delete']);
+            expect(JSON.parse(auditParams[13])).toEqual({ id: 2, version: 5, deleted_at: deletedAt });
+        });
 
-            expect(result).toEqual({ affectedRows: 5 });
-            expect(mockDbManager.query).toHaveBeenCalledWith('DELETE FROM transactions');
+        test('should delete in keyset batches inside one DB transaction', async () => {
+            const firstBatch = Array.from({ length: 1000 }, (_, index) => ({ id: index + 1, version: 1 }));
+            mockDbManager.query
+                .mockResolvedValueOnce([firstBatch])
+                .mockResolvedValueOnce([{ affectedRows: 1000 }])
+                .mockResolvedValueOnce([firstBatch])
+                .mockResolvedValueOnce([{}])
+                .mockResolvedValueOnce([{}])
+                .mockResolvedValueOnce([[{ id: 1500, version: 1 }]])
+                .mockResolvedValueOnce([{ affectedRows: 1 }])
+                .mockResolvedValueOnce([[{ id: 1500, version: 2 }]])
+                .mockResolvedValueOnce([{}]);
+
+            const result = await transactionService.deleteAllTransactions(context);
+
+            expect(result).toEqual({ affectedRows: 1001 });
+            expect(mockDbManager.withTransaction).toHaveBeenCalledTimes(1);
+            // 감사 행은 500 건씩 INSERT (4, 5번째 호출)
+            expect(mockDbManager.query.mock.calls[5][1]).toEqual(['tenant-a', 1000, 1000]);
+            expect(mockDbManager.query).toHaveBeenCalledTimes(9);
+        });
+
+        test('should fail the whole deletion when a later batch fails', async () => {
+            const firstBatch = Array.from({ length: 1000 }, (_, index) => ({ id: index + 1, version: 1 }));
+            const dbError = new Error('Lock wait timeout exceeded');
+            mockDbManager.query
+                .mockResolvedValueOnce([firstBatch])
+                .mockResolvedValueOnce([{ affectedRows: 1000 }])
+                .mockResolvedValueOnce([firstBatch])
+                .mockResolvedValueOnce([{}])
+                .mockResolvedValueOnce([{}])
+                .mockRejectedValueOnce(dbError);
+            let committed = false;
+            mockDbManager.withTransaction.mockImplementationOnce(async (fn) => {
+                const result = await fn(mockTx);
+                committed = true;
+                return result;
+            });
+
+            await expect(transactionService.deleteAllTransactions(context)).rejects.toThrow(dbError);
+            // 첫 배치도 같은 DB 트랜잭션이라 커밋되지 않고 함께 롤백됨
+            expect(mockDbManager.withTransaction).toHaveBeenCalledTimes(1);
+            expect(committed).toBe(false);
         });
 
         test('should return 0 affected rows when no transactions exist', async () => {
-            const mockResult = [{ affectedRows: 0 }];
-            mockDbManager.query.mockResolvedValue(mockResult);
+            mockDbManager.query.mockResolvedValueOnce([[]]);
 
-            const result = await transactionService.deleteAllTransactions();
+            const result = await transactionService.deleteAllTransactions(context);
 
             expect(result).toEqual({ affectedRows: 0 });
+            expect(mockDbManager.query).toHaveBeenCalledTimes(1);
         });
 
         test('should throw error when database query fails', async () => {
@@ -184,32 +956,43 @@ describe('TransactionService', () => {
             mockDbManager.query.mockRejectedValue(dbError);
 
             await expect(
-                transactionService.deleteAllTransactions()
+                transactionService.deleteAllTransactions(context)
             ).rejects.toThrow('Database query failed');
+            expect(mockDbManager.withTransaction).toHaveBeenCalledTimes(1);
         });
     });
 
     describe('deleteTransactionById', () => {
-        test('should delete transaction by id', async () => {
-            const mockResult = [{ affectedRows: 1 }];
-            mockDbManager.query.mockResolvedValue(mockResult);
+        test('should soft delete transaction by id and audit it', async () => {
+            const before = { id: 1, version: 2, deleted_at: null };
+            const after = { id: 1, version: 3, deleted_at: '2024-03-01T00:00:00.000Z' };
+            mockDbManager.query
+                .mockResolvedValueOnce([[before]])
+                .mockResolvedValueOnce([{ affectedRows: 1 }])
+                .mockResolvedValueOnce([[after]])
+                .mockResolvedValueOnce([{ affectedRows: 1 }]);
 
-            const result = await transactionService.deleteTransactionById(1);
+            const result = await transactionService.deleteTransactionById(1, context);
 
             expect(result).toEqual({ affectedRows: 1 });
-            expect(mockDbManager.query).toHaveBeenCalledWith(
-                'DELETE FROM transactions WHERE id = ?',
-                [1]
+            expect(mockDbManager.query).toHaveBeenNthCalledWith(2,
+                'UPDATE transactions SET `deleted_at` = CURRENT_TIMESTAMP, `version` = `version` + 1'
+                + ' WHERE id = ? AND `tenant_id` = ?',
+                [1, 'tenant-a']
+            );
+            expect(mockDbManager.query).toHaveBeenNthCalledWith(4,
+                expect.stringMatching(/^INSERT INTO `transaction_audit`/),
+                ['tenant-a', 1, 'delete', 'user:alice', null, JSON.stringify(before), JSON.stringify(after)]
             );
         });
 
         test('should return 0 affected rows when transaction not found', async () => {
-            const mockResult = [{ affectedRows: 0 }];
-            mockDbManager.query.mockResolvedValue(mockResult);
+            mockDbManager.query.mockResolvedValueOnce([[]]);
 
-            const result = await transactionService.deleteTransactionById(999);
+            const result = await transactionService.deleteTransactionById(999, context);
 
             expect(result).toEqual({ affectedRows: 0 });
+            expect(mockDbManager.query).toHaveBeenCalledTimes(1);
         });
 
         test('should throw error when database query fails', async () => {
@@ -217,30 +1000,238 @@ describe('TransactionService', () => {
             mockDbManager.query.mockRejectedValue(dbError);
 
             await expect(
-                transactionService.deleteTransactionById(1)
+                transactionService.deleteTransactionById(1, context)
             ).rejects.toThrow('Database query failed');
         });
 
         test('should handle string id parameter', async () => {
-            const mockResult = [{ affectedRows: 1 }];
-            mockDbManager.query.mockResolvedValue(mockResult);
+            mockDbManager.query.mockResolvedValueOnce([[]]);
 
-            await transactionService.deleteTransactionById('5');
+            await transactionService.deleteTransactionById('5', context);
 
             expect(mockDbManager.query).toHaveBeenCalledWith(
                 expect.any(String),
-                ['5']
+                ['5', 'tenant-a']
             );
         });
     });
 
+    describe('listDeletedTransactions', () => {
+        test('should list only deleted rows of the tenant', async () => {
+            const rows = [{ id: 4, amount: 10, deleted_at: new Date('2024-03-01T00:00:00Z') }];
+            mockDbManager.query.mockResolvedValue([rows]);
+
+            const result = await transactionService.listDeletedTransactions({ sort: 'id' }, context);
+
+            expect(result).toEqual({ items: rows, nextCursor: null });
+            expect(mockDbManager.query).toHaveBeenCalledWith(
+                'SELECT * FROM transactions WHERE `tenant_id` = ? AND `deleted_at` IS NOT NULL'
+                + ' ORDER BY `id` DESC LIMIT ?',
+                ['tenant-a', 51], { target: 'reader' }
+            );
+        });
+    });
+
+    describe('deleteTransactions', () => {
+        const row = (id, deletedAt = null) => ({ id, tenant_id: 'tenant-a', amount: '1.00', version: deletedAt ? 2 : 1, deleted_at: deletedAt });
+
+        test('should delete the given ids and report missing ones in request order', async () => {
+            mockDbManager.query
+                .mockResolvedValueOnce([[row(3), row(1)]])
+                .mockResolvedValueOnce([{ affectedRows: 2 }])
+                .mockResolvedValueOnce([[row(1, 'now'), row(3, 'now')]])
+                .mockResolvedValueOnce([{}]);
+
+            const result = await transactionService.deleteTransactions({ ids: [1, 2, 3] }, { maxItems: 10 }, context);
+
+            expect(result).toEqual({
+                deleted: 2,
+                notFound: 1,
+                results: [{ id: 1, status: 'deleted' }, { id: 2, status: 'not_found' }, { id: 3, status: 'deleted' }]
+            });
+            expect(mockDbManager.withTransaction).toHaveBeenCalledTimes(1);
+            expect(mockDbManager.query).toHaveBeenNthCalledWith(1,
+                'SELECT * FROM transactions WHERE `tenant_id` = ? AND id IN (?) AND `deleted_at` IS NULL FOR UPDATE',
+                ['tenant-a', [1, 2, 3]]
+            );
+            expect(mockDbManager.query).toHaveBeenNthCalledWith(2,
+                'UPDATE transactions SET `deleted_at` = CURRENT_TIMESTAMP, `version` = `version` + 1 WHERE `tenant_id` = ? AND id IN (?)',
+                ['tenant-a', [3, 1]]
+            );
+            expect(mockDbManager.query.mock.calls[3][1].filter(value => value === 'delete')).toHaveLength(2);
+        });
+
+        test('should not update anything when no id matches', async () => {
+            mockDbManager.query.mockResolvedValueOnce([[]]);
+
+            const result = await transactionService.deleteTransactions({ ids: [5] }, { maxItems: 10 }, context);
+
+            expect(result).toEqual({ deleted: 0, notFound: 1, results: [{ id: 5, status: 'not_found' }] });
+            expect(mockDbManager.query).toHaveBeenCalledTimes(1);
+        });
+
+        test('should lock rows matching the filter up to one more than the limit', async () => {
+            mockDbManager.query
+                .mockResolvedValueOnce([[row(4)]])
+                .mockResolvedValueOnce([{ affectedRows: 1 }])
+                .mockResolvedValueOnce([[row(4, 'now')]])
+                .mockResolvedValueOnce([{}]);
+
+            const result = await transactionService.deleteTransactions(
+                { filter: { maxAmount: 5, q: '50%' } },
+                { maxItems: 2 },
+                context
+            );
+
+            expect(result).toEqual({ deleted: 1, notFound: 0, results: [{ id: 4, status: 'deleted' }] });
+            expect(mockDbManager.query).toHaveBeenNthCalledWith(1,
+                'SELECT * FROM transactions WHERE `tenant_id` = ? AND `deleted_at` IS NULL AND `amount` <= ? AND `description` LIKE ?'
+                + ' ORDER BY `id` ASC LIMIT ? FOR UPDATE',
+                ['tenant-a', 5, '%50\\%%', 3]
+            );
+        });
+
+        test('should delete nothing when the filter matches more than allowed', async () => {
+            mockDbManager.query.mockResolvedValueOnce([[row(1), row(2), row(3)]]);
+
+            const error = await transactionService.deleteTransactions({ filter: { minAmount: 0 } }, { maxItems: 2 }, context)
+                .catch(err => err);
+
+            expect(error.status).toBe(413);
+            expect(error.message).toBe('Filter matches more than 2 transactions');
+            expect(mockDbManager.query).toHaveBeenCalledTimes(1);
+        });
+
+        test('should reject more ids than allowed without querying', async () => {
+            await expect(transactionService.deleteTransactions({ ids: [1, 2, 3] }, { maxItems: 2 }, context))
+                .rejects.toThrow('Batch must not contain more than 2 transactions');
+            expect(mockDbManager.withTransaction).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('restoreTransaction', () => {
+        test('should clear deleted_at, bump version, audit and return the row', async () => {
+            const before = { id: 4, amount: 10, version: 2, deleted_at: '2024-03-01T00:00:00.000Z' };
+            const row = { id: 4, amount: 10, version: 3, deleted_at: null };
+            mockDbManager.query
+                .mockResolvedValueOnce([[before]])
+                .mockResolvedValueOnce([{ affectedRows: 1 }])
+                .mockResolvedValueOnce([[row]])
+                .mockResolvedValueOnce([{ affectedRows: 1 }]);
+
+            const result = await transactionService.restoreTransaction(4, context);
+
+            expect(result).toEqual(row);
+            expect(mockDbManager.query).toHaveBeenNthCalledWith(1,
+                'SELECT * FROM transactions WHERE id = ? AND `tenant_id` = ? AND `deleted_at` IS NOT NULL FOR UPDATE',
+                [4, 'tenant-a']
+            );
+            expect(mockDbManager.query).toHaveBeenNthCalledWith(2,
+                'UPDATE transactions SET `deleted_at` = NULL, `version` = `version` + 1 WHERE id = ? AND `tenant_id` = ?',
+                [4, 'tenant-a']
+            );
+            expect(mockDbManager.query.mock.calls[3][1][2]).toBe('restore');
+        });
+
+        test('should throw NotFoundError when the row is not in the trash', async () => {
+            mockDbManager.query.mockResolvedValueOnce([[]]);
+
+            const error = await transactionService.restoreTransaction(4, context).catch(err => err);
+
+            expect(error).toBeInstanceOf(NotFoundError);
+            expect(error.message).toBe('deleted transaction with id 4 not found');
+            expect(mockDbManager.query).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('purgeDeletedTransactions', () => {
+        test('should hard delete expired rows in batches until a short batch', async () => {
+            mockDbManager.query
+                .mockResolvedValueOnce([{ affectedRows: 2 }])
+                .mockResolvedValueOnce([{ affectedRows: 2 }])
+                .mockResolvedValueOnce([{ affectedRows: 1 }]);
+
+            const purged = await transactionService.purgeDeletedTransactions({ olderThanDays: 30, batchSize: 2 });
+
+            expect(purged).toBe(5);
+            expect(mockDbManager.query).toHaveBeenCalledTimes(3);
+            expect(mockDbManager.query).toHaveBeenCalledWith(
+                'DELETE FROM transactions WHERE `deleted_at` IS NOT NULL AND `deleted_at` < NOW() - INTERVAL ? DAY LIMIT ?',
+                [30, 2]
+            );
+        });
+
+        test('should run on the given connection instead of the pool', async () => {
+            const connection = { query: jest.fn().mockResolvedValue([{ affectedRows: 0 }]) };
+
+            await transactionService.purgeDeletedTransactions({ olderThanDays: 30, connection });
+
+            expect(connection.query).toHaveBeenCalledTimes(1);
+            expect(mockDbManager.query).not.toHaveBeenCalled();
+        });
+
+        test('should translate database errors', async () => {
+            mockDbManager.query.mockRejectedValue(Object.assign(new Error('gone'), { code: 'PROTOCOL_CONNECTION_LOST' }));
+
+            await expect(
+                transactionService.purgeDeletedTransactions({ olderThanDays: 30 })
+            ).rejects.toBeInstanceOf(DatabaseUnavailableError);
+        });
+    });
+
+    describe('tenant isolation', () => {
+        // 각 서비스 함수를 주어진 컨텍스트로 호출
+        const operations = [
+            ['addTransaction', (ctx) => transactionService.addTransaction(1, 'x', ctx)],
+            ['getAllTransactions', (ctx) => transactionService.getAllTransactions(ctx)],
+            ['listTransactions', (ctx) => transactionService.listTransactions({}, ctx)],
+            ['findTransactionById', (ctx) => transactionService.findTransactionById(1, ctx)],
+            ['updateTransaction', (ctx) => transactionService.updateTransaction(1, { amount: 5 }, {}, ctx)],
+            ['deleteAllTransactions', (ctx) => transactionService.deleteAllTransactions(ctx)],
+            ['deleteTransactionById', (ctx) => transactionService.deleteTransactionById(1, ctx)],
+            ['listDeletedTransactions', (ctx) => transactionService.listDeletedTransactions({}, ctx)],
+            ['restoreTransaction', (ctx) => transactionService.restoreTransaction(1, ctx)]
+        ];
+
+        test.each(operations)('%s should reject callers without a tenant', async (name, call) => {
+            const error = await call({ actor: context.actor }).catch(err => err);
+
+            expect(error).toBeInstanceOf(ForbiddenError);
+            expect(mockDbManager.query).not.toHaveBeenCalled();
+        });
+
+        test.each(operations)('%s should scope every query to the caller tenant', async (name, call) => {
+            mockDbManager.query.mockResolvedValue([[{ id: 1, version: 2 }]]);
+
+            await call({ ...context, tenantId: 'tenant-b' });
+
+            expect(mockDbManager.query).toHaveBeenCalled();
+            for (const [sql, params] of mockDbManager.query.mock.calls) {
+                expect(sql).toMatch(/`tenant_id`/);
+                expect(params).toContain('tenant-b');
+                expect(params).not.toContain('tenant-a');
+            }
+        });
+
+        test('should treat rows of another tenant as not found', async () => {
+            // 다른 테넌트의 행은 tenant_id 조건에 걸러져 조회되지 않음
+            mockDbManager.query.mockResolvedValue([[]]);
+
+            const error = await transactionService
+                .getTransactionById(1, { ...context, tenantId: 'tenant-b' })
+                .catch(err => err);
+
+            expect(error).toBeInstanceOf(NotFoundError);
+        });
+    });
+
     describe('SQL Injection Prevention', () => {
         test('should use parameterized queries for addTransaction', async () => {
             const mockResult = [{ insertId: 1, affectedRows: 1 }];
-            mockDbManager.query.mockResolvedValue(mockResult);
+            mockDbManager.query.mockResolvedValueOnce(mockResult);
 
             const maliciousInput = "'; DROP TABLE transactions; --";
-            await transactionService.addTransaction(100, maliciousInput);
+            await transactionService.addTransaction(100, maliciousInput, context);
 
             // Verify that the input is passed as parameter, not concatenated
             expect(mockDbManager.query).toHaveBeenCalledWith(
@@ -253,11 +1244,11 @@ describe('TransactionService', () => {
             mockDbManager.query.mockResolvedValue([[]]);
 
             const maliciousId = "1 OR 1=1";
-            await transactionService.findTransactionById(maliciousId);
+            await transactionService.findTransactionById(maliciousId, context);
 
             expect(mockDbManager.query).toHaveBeenCalledWith(
                 expect.stringContaining('?'),
-                expect.arrayContaining([maliciousId])
+                expect.arrayContaining([maliciousId]), { target: 'reader' }
             );
         });
 
@@ -266,7 +1257,7 @@ describe('TransactionService', () => {
             mockDbManager.query.mockResolvedValue(mockResult);
 
             const maliciousId = "1 OR 1=1";
-            await transactionService.deleteTransactionById(maliciousId);
+            await transactionService.deleteTransactionById(maliciousId, context);
 
             expect(mockDbManager.query).toHaveBeenCalledWith(
                 expect.stringContaining('?'),
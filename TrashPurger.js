@@ -0,0 +1,133 @@
+const transactionService = require('./TransactionService');
+const { Counter } = require('./Metrics');
+const { logger: rootLogger } = require('./Logger');
+const { getConfig } = require('./Config');
+
+const logger = rootLogger.child({ component: 'TrashPurger' });
+
+const LOCK_PREFIX = 'transactions_purge';
+
+const purgedTotal = new Counter({
+    name: 'transactions_purged_total',
+    help: 'Total number of soft-deleted transactions permanently removed by the retention purge'
+});
+
+/**
+ * 휴지통 보관 기간 설정 (환경 변수)
+ * - TRASH_RETENTION_DAYS: 삭제 후 보관 일수 (기본 30, 0 이면 영구 삭제 안 함)
+ * - TRASH_PURGE_INTERVAL_MINUTES: 실행 주기 (기본 60분)
+ * - TRASH_PURGE_BATCH_SIZE: 한 번에 삭제할 최대 행 수 (기본 1000)
+ */
+function loadPurgeConfig() {
+    const { trash } = getConfig();
+    return {
+        retentionDays: trash.retentionDays,
+        intervalMs: trash.purgeIntervalMinutes * 60 * 1000,
+        batchSize: trash.purgeBatchSize
+    };
+}
+
+/**
+ * 보관 기간이 지난 soft delete 행을 주기적으로 영구 삭제
+ * - 여러 워커/태스크가 동시에 실행하지 않도록 GET_LOCK 을 대기 없이 시도하고, 실패하면 이번 주기는 건너뜀
+ */
+class TrashPurger {
+    /**
+     * @param {Object} options
+     * @param {RdsIamAuthManager} options.dbManager - 초기화된 DB 매니저
+     * @param {number} [options.retentionDays] - 보관 일수
+     * @param {number} [options.intervalMs] - 실행 주기
+     * @param {number} [options.batchSize] - 한 번에 삭제할 최대 행 수
+     */
+    constructor({ dbManager, ...overrides } = {}) {
+        if (!dbManager) {
+            throw new Error('TrashPurger requires a dbManager');
+        }
+
+        const config = { ...loadPurgeConfig(), ...overrides };
+        this.dbManager = dbManager;
+        this.retentionDays = config.retentionDays;
+        this.intervalMs = config.intervalMs;
+        this.batchSize = config.batchSize;
+        this.timer = null;
+
+        // GET_LOCK 은 서버 전역이므로 데이터베이스 이름을 포함
+        const database = (dbManager.config && dbManager.config.database) || 'default';
+        this.lockName = `${LOCK_PREFIX}:${database}`;
+    }
+
+    get enabled() {
+        return this.retentionDays > 0;
+    }
+
+    /**
+     * 한 번 실행
+     * @returns {Promise<{purged: number, skipped: boolean}>}
+     */
+    async runOnce() {
+        const connection = await this.dbManager.getConnection();
+
+        try {
+            const [rows] = await connection.query('SELECT GET_LOCK(?, 0) AS acquired', [this.lockName]);
+            if (!rows[0] || rows[0].acquired !== 1) {
+                logger.debug('Purge skipped; another instance holds the lock', { lock: this.lockName });
+                return { purged: 0, skipped: true };
+            }
+
+            try {
+                // 풀 크기가 1 이어도 교착되지 않도록 잠금을 잡은 커넥션으로 삭제
+                const purged = await transactionService.purgeDeletedTransactions({
+                    olderThanDays: this.retentionDays,
+                    batchSize: this.batchSize,
+                    connection
+                });
+                purgedTotal.inc({}, purged);
+                return { purged, skipped: false };
+            } finally {
+                await connection.query('SELECT RELEASE_LOCK(?)', [this.lockName]);
+            }
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * 주기 실행 시작 (보관 일수가 0 이면 시작하지 않음)
+     */
+    start() {
+        if (!this.enabled) {
+            logger.info('Trash purge disabled', { retentionDays: this.retentionDays });
+            return;
+        }
+        if (this.timer) {
+            return;
+        }
+
+        this.timer = setInterval(async () => {
+            try {
+                await this.runOnce();
+            } catch (err) {
+                logger.error('Trash purge failed', { err });
+            }
+        }, this.intervalMs);
+        // 타이머 때문에 프로세스 종료가 지연되지 않도록 함
+        this.timer.unref();
+
+        logger.info('Trash purge scheduled', {
+            retentionDays: this.retentionDays,
+            intervalMinutes: this.intervalMs / 60000
+        });
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+}
+
+module.exports = {
+    TrashPurger,
+    loadPurgeConfig
+};
@@ -0,0 +1,134 @@
+jest.mock('./TransactionService');
+
+const transactionService = require('./TransactionService');
+const { TrashPurger, loadPurgeConfig } = require('./TrashPurger');
+const { registry } = require('./Metrics');
+const { resetConfig } = require('./Config');
+
+describe('TrashPurger', () => {
+    let mockConnection;
+    let mockDbManager;
+    let lockAcquired;
+
+    beforeEach(() => {
+        lockAcquired = 1;
+        mockConnection = {
+            query: jest.fn(async (sql) => {
+                if (sql.startsWith('SELECT GET_LOCK')) {
+                    return [[{ acquired: lockAcquired }]];
+                }
+                return [[]];
+            }),
+            release: jest.fn()
+        };
+        mockDbManager = {
+            config: { database: 'testdb' },
+            getConnection: jest.fn().mockResolvedValue(mockConnection)
+        };
+    });
+
+    describe('loadPurgeConfig', () => {
+        const env = { ...process.env };
+
+        afterEach(() => {
+            process.env = { ...env };
+            resetConfig();
+        });
+
+        test('should use defaults', () => {
+            delete process.env.TRASH_RETENTION_DAYS;
+            delete process.env.TRASH_PURGE_INTERVAL_MINUTES;
+            delete process.env.TRASH_PURGE_BATCH_SIZE;
+            resetConfig();
+
+            expect(loadPurgeConfig()).toEqual({ retentionDays: 30, intervalMs: 3600000, batchSize: 1000 });
+        });
+
+        test('should read environment variables', () => {
+            process.env.TRASH_RETENTION_DAYS = '7';
+            process.env.TRASH_PURGE_INTERVAL_MINUTES = '5';
+            process.env.TRASH_PURGE_BATCH_SIZE = '200';
+            resetConfig();
+
+            expect(loadPurgeConfig()).toEqual({ retentionDays: 7, intervalMs: 300000, batchSize: 200 });
+        });
+    });
+
+    describe('runOnce', () => {
+        test('should purge under the lock and release it', async () => {
+            transactionService.purgeDeletedTransactions.mockResolvedValue(3);
+            const purgedTotal = registry.getMetric('transactions_purged_total');
+            const before = purgedTotal.get();
+            const purger = new TrashPurger({ dbManager: mockDbManager, retentionDays: 14, batchSize: 100 });
+
+            const result = await purger.runOnce();
+
+            expect(result).toEqual({ purged: 3, skipped: false });
+            expect(transactionService.purgeDeletedTransactions).toHaveBeenCalledWith({
+                olderThanDays: 14,
+                batchSize: 100,
+                connection: mockConnection
+            });
+            expect(mockConnection.query).toHaveBeenCalledWith('SELECT GET_LOCK(?, 0) AS acquired', ['transactions_purge:testdb']);
+            expect(mockConnection.query).toHaveBeenLastCalledWith('SELECT RELEASE_LOCK(?)', ['transactions_purge:testdb']);
+            expect(mockConnection.release).toHaveBeenCalled();
+            expect(purgedTotal.get()).toBe(before + 3);
+        });
+
+        test('should skip when another instance holds the lock', async () => {
+            lockAcquired = 0;
+            const purger = new TrashPurger({ dbManager: mockDbManager, retentionDays: 14 });
+
+            const result = await purger.runOnce();
+
+            expect(result).toEqual({ purged: 0, skipped: true });
+            expect(transactionService.purgeDeletedTransactions).not.toHaveBeenCalled();
+            expect(mockConnection.release).toHaveBeenCalled();
+        });
+
+        test('should release the lock and connection when purging fails', async () => {
+            transactionService.purgeDeletedTransactions.mockRejectedValue(new Error('boom'));
+            const purger = new TrashPurger({ dbManager: mockDbManager, retentionDays: 14 });
+
+            await expect(purger.runOnce()).rejects.toThrow('boom');
+            expect(mockConnection.query).toHaveBeenLastCalledWith('SELECT RELEASE_LOCK(?)', ['transactions_purge:testdb']);
+            expect(mockConnection.release).toHaveBeenCalled();
+        });
+    });
+
+    describe('start and stop', () => {
+        beforeEach(() => {
+            jest.useFakeTimers();
+        });
+
+        afterEach(() => {
+            jest.useRealTimers();
+        });
+
+        test('should run on every interval until stopped', async () => {
+            transactionService.purgeDeletedTransactions.mockResolvedValue(0);
+            const purger = new TrashPurger({ dbManager: mockDbManager, retentionDays: 30, intervalMs: 1000 });
+
+            purger.start();
+            await jest.advanceTimersByTimeAsync(2000);
+            purger.stop();
+            await jest.advanceTimersByTimeAsync(2000);
+
+            expect(transactionService.purgeDeletedTransactions).toHaveBeenCalledTimes(2);
+        });
+
+        test('should not schedule when retention is 0', async () => {
+            const purger = new TrashPurger({ dbManager: mockDbManager, retentionDays: 0, intervalMs: 1000 });
+
+            purger.start();
+            await jest.advanceTimersByTimeAsync(5000);
+
+            expect(purger.timer).toBeNull();
+            expect(mockDbManager.getConnection).not.toHaveBeenCalled();
+        });
+    });
+
+    test('should require a dbManager', () => {
+        expect(() => new TrashPurger()).toThrow('TrashPurger requires a dbManager');
+    });
+});
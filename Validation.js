@@ -0,0 +1,345 @@
+/**
+ * 스키마 기반 요청 검증
+ *
+ * 스키마 형식:
+ * {
+ *     fields: {
+ *         amount: { type: 'decimal', required: true, precision: 10, scale: 2 },
+ *         desc: { type: 'string', required: true, trim: true, minLength: 1, maxLength: 255 }
+ *     },
+ *     allowUnknown: false,          // 정의되지 않은 필드 거부 (기본값)
+ *     refine: (values) => []        // 필드 간 검증, [{ field, message }] 반환
+ * }
+ *
+ * 지원 타입: string, integer, number, decimal, date, enum, boolean, array, object
+ * - 문자열로 전달된 숫자/날짜/불리언은 해당 타입으로 변환 (쿼리스트링, 폼 데이터 대응)
+ * - array: items 규칙으로 항목마다 검증 (minItems, maxItems, unique)
+ * - object: fields / allowUnknown / refine 을 스키마처럼 사용해 중첩 검증
+ * - date: local 이 true 이면 오프셋 없는 값 (2024-01-01, 2024-01-01T09:00) 은 'YYYY-MM-DDTHH:MM:SS' 문자열로 두고
+ *   (호출자가 지정한 시간대로 해석), 오프셋이 있는 값만 Date 로 변환
+ * - 중첩 필드의 오류는 field 를 경로로 표시 (예: transactions[0].amount, filter.minAmount)
+ * - 실패 시 ValidationError 를 next() 로 전달 (ErrorHandler.js 에서 응답)
+ */
+const { ValidationError } = require('./Errors');
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+// 형식 오류 (요청 자체가 잘못됨) → 400
+// 의미 오류 (형식은 맞지만 허용 범위를 벗어남) → 본문은 422, 경로/쿼리는 400
+const MALFORMED_CODES = new Set(['required', 'type', 'unknown']);
+
+// 오프셋 없는 날짜/시각 (date 규칙의 local 옵션)
+const LOCAL_DATE_TIME = /^(\d{4}-\d{2}-\d{2})(?:T(\d{2}:\d{2})(:\d{2}(?:\.\d{1,3})?)?)?$/;
+
+/**
+ * 필드 검증 오류 생성
+ */
+function fieldError(location, field, code, message) {
+    return { location, field, code, message };
+}
+
+/**
+ * 숫자 문자열 정규화 (지수 표기 등은 거부)
+ * @returns {string|null}
+ */
+function toDecimalString(value) {
+    if (typeof value === 'number') {
+        if (!Number.isFinite(value)) return null;
+        value = String(value);
+    }
+    if (typeof value !== 'string') return null;
+    const text = value.trim();
+    return /^[-+]?\d+(\.\d+)?$/.test(text) ? text : null;
+}
+
+/**
+ * 단일 값 검증 및 변환
+ * @returns {{value: any, error: (Object|undefined)}}
+ */
+function checkValue(rule, raw) {
+    switch (rule.type) {
+        case 'string': {
+            if (typeof raw !== 'string') {
+                return { error: { code: 'type', message: 'must be a string' } };
+            }
+            const value = rule.trim ? raw.trim() : raw;
+            // VARCHAR 길이는 문자 단위이므로 코드 포인트 기준으로 계산
+            const length = [...value].length;
+            if (rule.minLength !== undefined && length < rule.minLength) {
+                return {
+                    error: rule.minLength === 1
+                        ? { code: 'length', message: 'must not be empty' }
+                        : { code: 'length', message: `must be at least ${rule.minLength} characters` }
+                };
+            }
+            if (rule.maxLength !== undefined && length > rule.maxLength) {
+                return { error: { code: 'length', message: `must be at most ${rule.maxLength} characters` } };
+            }
+            return { value };
+        }
+
+        case 'integer':
+        case 'number': {
+            const text = typeof raw === 'string' ? raw.trim() : raw;
+            const value = typeof text === 'number' ? text : (text === '' ? NaN : Number(text));
+            if ((typeof text !== 'number' && typeof text !== 'string') || !Number.isFinite(value)) {
+                return { error: { code: 'type', message: 'must be a number' } };
+            }
+            // 정수 문자열은 10진수 숫자만 허용 (Number() 가 받아들이는 0x10, 1e3, 1.0, +5 거부)
+            if (rule.type === 'integer' && (!Number.isSafeInteger(value) || (typeof text === 'string' && !/^-?\d+$/.test(text)))) {
+                return { error: { code: 'type', message: 'must be an integer' } };
+            }
+            if (rule.min !== undefined && value < rule.min) {
+                return { error: { code: 'range', message: `must be greater than or equal to ${rule.min}` } };
+            }
+            if (rule.max !== undefined && value > rule.max) {
+                return { error: { code: 'range', message: `must be less than or equal to ${rule.max}` } };
+            }
+            return { value };
+        }
+
+        case 'decimal': {
+            // DECIMAL(precision, scale) 컬럼에 그대로 들어갈 수 있는지 확인
+            const text = toDecimalString(raw);
+            if (text === null) {
+                return { error: { code: 'type', message: 'must be a number' } };
+            }
+            const [integerPart, fractionPart = ''] = text.replace(/^[-+]/, '').split('.');
+            if (fractionPart.length > rule.scale) {
+                return { error: { code: 'precision', message: `must have at most ${rule.scale} decimal places` } };
+            }
+            const maxIntegerDigits = rule.precision - rule.scale;
+            if (integerPart.replace(/^0+(?=\d)/, '').length > maxIntegerDigits) {
+                const limit = `${'9'.repeat(maxIntegerDigits)}.${'9'.repeat(rule.scale)}`;
+                return { error: { code: 'range', message: `must be between -${limit} and ${limit}` } };
+            }
+            const value = Number(text);
+            if (rule.min !== undefined && value < rule.min) {
+                return { error: { code: 'range', message: `must be greater than or equal to ${rule.min}` } };
+            }
+            return { value };
+        }
+
+        case 'date': {
+            if (typeof raw !== 'string' || raw.trim() === '') {
+                return { error: { code: 'type', message: 'must be a valid date' } };
+            }
+            const local = rule.local ? LOCAL_DATE_TIME.exec(raw) : null;
+            if (local) {
+                const text = `${local[1]}T${local[2] || '00:00'}${local[3] || ':00'}`;
+                // 2024-02-30 처럼 없는 날짜는 UTC 로 읽어 다시 쓴 값과 비교해 거부
+                const check = new Date(`${text}Z`);
+                if (Number.isNaN(check.getTime()) || check.toISOString().slice(0, 19) !== text.slice(0, 19)) {
+                    return { error: { code: 'type', message: 'must be a valid date' } };
+                }
+                return { value: text };
+            }
+            const value = new Date(raw);
+            if (Number.isNaN(value.getTime())) {
+                return { error: { code: 'type', message: 'must be a valid date' } };
+            }
+            return { value };
+        }
+
+        case 'enum': {
+            if (typeof raw !== 'string') {
+                return { error: { code: 'type', message: `must be one of: ${rule.values.join(', ')}` } };
+            }
+            const value = rule.caseInsensitive ? raw.toLowerCase() : raw;
+            if (!rule.values.includes(value)) {
+                return { error: { code: 'enum', message: `must be one of: ${rule.values.join(', ')}` } };
+            }
+            return { value };
+        }
+
+        case 'boolean': {
+            if (typeof raw === 'boolean') return { value: raw };
+            if (raw === 'true' || raw === '1') return { value: true };
+            if (raw === 'false' || raw === '0') return { value: false };
+            return { error: { code: 'type', message: 'must be a boolean' } };
+        }
+
+        default:
+            throw new Error(`Unknown validation type: ${rule.type}`);
+    }
+}
+
+/**
+ * 중첩 필드 경로 (transactions + [0] / transactions[0] + amount)
+ */
+function joinPath(path, field) {
+    if (field === null || field === undefined) {
+        return path;
+    }
+    return typeof field === 'number' ? `${path}[${field}]` : `${path}.${field}`;
+}
+
+/**
+ * 배열 값 검증 (항목별로 checkField 재귀 호출)
+ * @returns {{value: Array, errors: Array}}
+ */
+function checkArray(rule, raw, location, path) {
+    if (!Array.isArray(raw)) {
+        return { errors: [fieldError(location, path, 'type', 'must be an array')] };
+    }
+    if (rule.minItems !== undefined && raw.length < rule.minItems) {
+        const message = rule.minItems === 1 ? 'must not be empty' : `must contain at least ${rule.minItems} items`;
+        return { errors: [fieldError(location, path, 'length', message)] };
+    }
+    if (rule.maxItems !== undefined && raw.length > rule.maxItems) {
+        return { errors: [fieldError(location, path, 'length', `must contain at most ${rule.maxItems} items`)] };
+    }
+
+    const errors = [];
+    const value = [];
+    const seen = new Set();
+    raw.forEach((item, index) => {
+        const itemPath = joinPath(path, index);
+        if (item === undefined || item === null) {
+            errors.push(fieldError(location, itemPath, 'required', 'is required'));
+            return;
+        }
+
+        const result = checkField(rule.items, item, location, itemPath);
+        if (result.errors.length > 0) {
+            errors.push(...result.errors);
+            return;
+        }
+        if (rule.unique) {
+            if (seen.has(result.value)) {
+                errors.push(fieldError(location, itemPath, 'duplicate', 'must not be repeated'));
+                return;
+            }
+            seen.add(result.value);
+        }
+        value.push(result.value);
+    });
+
+    return { value, errors };
+}
+
+/**
+ * 필드 하나 검증 (array/object 는 중첩 검증, 그 외는 checkValue)
+ * @returns {{value: any, errors: Array}}
+ */
+function checkField(rule, raw, location, path) {
+    if (rule.type === 'array') {
+        return checkArray(rule, raw, location, path);
+    }
+    if (rule.type === 'object') {
+        const result = validateObject(rule, raw, location);
+        return {
+            value: result.value,
+            errors: result.errors.map(error => ({ ...error, field: joinPath(path, error.field) }))
+        };
+    }
+
+    const result = checkValue(rule, raw);
+    return result.error
+        ? { errors: [fieldError(location, path, result.error.code, result.error.message)] }
+        : { value: result.value, errors: [] };
+}
+
+/**
+ * 객체 하나를 스키마로 검증
+ * @param {Object} schema
+ * @param {Object} input - req.body / req.query / req.params
+ * @param {string} location - 오류에 표시할 위치
+ * @returns {{value: Object, errors: Array}}
+ */
+function validateObject(schema, input, location) {
+    const errors = [];
+    const value = {};
+    const source = input && typeof input === 'object' && !Array.isArray(input) ? input : null;
+
+    if (input !== undefined && input !== null && !source) {
+        return { value, errors: [fieldError(location, null, 'type', 'must be an object')] };
+    }
+
+    const data = source || {};
+    const fields = schema.fields || {};
+
+    if (!schema.allowUnknown) {
+        for (const key of Object.keys(data)) {
+            if (!Object.prototype.hasOwnProperty.call(fields, key)) {
+                errors.push(fieldError(location, key, 'unknown', 'is not allowed'));
+            }
+        }
+    }
+
+    for (const [field, rule] of Object.entries(fields)) {
+        const raw = data[field];
+
+        if (raw === undefined || raw === null) {
+            if (rule.required) {
+                errors.push(fieldError(location, field, 'required', 'is required'));
+            } else if (rule.default !== undefined) {
+                value[field] = rule.default;
+            }
+            continue;
+        }
+
+        const result = checkField(rule, raw, location, field);
+        if (result.errors.length > 0) {
+            errors.push(...result.errors);
+        } else {
+            value[field] = result.value;
+        }
+    }
+
+    // 개별 필드가 모두 유효할 때만 필드 간 검증 수행
+    if (errors.length === 0 && typeof schema.refine === 'function') {
+        for (const issue of schema.refine(value) || []) {
+            errors.push(fieldError(location, issue.field || null, issue.code || 'invalid', issue.message));
+        }
+    }
+
+    return { value, errors };
+}
+
+/**
+ * 오류 목록에 맞는 HTTP 상태 코드 결정
+ * @param {Array} errors
+ * @returns {number} 400 또는 422
+ */
+function statusForErrors(errors) {
+    const malformed = errors.some(error =>
+        MALFORMED_CODES.has(error.code) || error.location !== 'body'
+    );
+    return malformed ? 400 : 422;
+}
+
+/**
+ * 검증 미들웨어 생성
+ * - 검증·변환된 값은 req.validated.{params,query,body} 에 저장
+ * @param {Object} schemas - { params, query, body } 각각 스키마
+ * @returns {Function} Express 미들웨어
+ */
+function validate(schemas) {
+    return (req, res, next) => {
+        const validated = {};
+        const errors = [];
+
+        for (const location of LOCATIONS) {
+            if (!schemas[location]) {
+                continue;
+            }
+            const result = validateObject(schemas[location], req[location], location);
+            validated[location] = result.value;
+            errors.push(...result.errors);
+        }
+
+        if (errors.length > 0) {
+            return next(new ValidationError(errors, { status: statusForErrors(errors) }));
+        }
+
+        req.validated = validated;
+        next();
+    };
+}
+
+module.exports = {
+    validate,
+    validateObject,
+    statusForErrors
+};
@@ -0,0 +1,226 @@
+const { validate, validateObject, statusForErrors } = require('./Validation');
+const { ValidationError } = require('./Errors');
+
+describe('Validation', () => {
+    describe('validateObject', () => {
+        test('should coerce values and apply defaults', () => {
+            const schema = {
+                fields: {
+                    limit: { type: 'integer', default: 50 },
+                    amount: { type: 'decimal', precision: 10, scale: 2 },
+                    from: { type: 'date' },
+                    order: { type: 'enum', values: ['asc', 'desc'], caseInsensitive: true },
+                    dryRun: { type: 'boolean' },
+                    name: { type: 'string', trim: true }
+                }
+            };
+
+            const { value, errors } = validateObject(schema, {
+                amount: '12.50',
+                from: '2024-01-01T00:00:00Z',
+                order: 'DESC',
+                dryRun: 'true',
+                name: '  padded  '
+            }, 'query');
+
+            expect(errors).toEqual([]);
+            expect(value).toEqual({
+                limit: 50,
+                amount: 12.5,
+                from: new Date('2024-01-01T00:00:00Z'),
+                order: 'desc',
+                dryRun: true,
+                name: 'padded'
+            });
+        });
+
+        test.each([
+            [{ type: 'decimal', precision: 10, scale: 2 }, 0, 0],
+            [{ type: 'decimal', precision: 10, scale: 2 }, -99999999.99, -99999999.99],
+            [{ type: 'decimal', precision: 10, scale: 2 }, '00000012.3', 12.3],
+            [{ type: 'integer', min: 1 }, '42', 42],
+            [{ type: 'date', local: true }, '2024-01-01', '2024-01-01T00:00:00'],
+            [{ type: 'date', local: true }, '2024-01-01T09:30', '2024-01-01T09:30:00'],
+            [{ type: 'date', local: true }, '2024-01-01T09:30:15.250', '2024-01-01T09:30:15.250']
+        ])('should accept %j with %p', (rule, raw, expected) => {
+            const { value, errors } = validateObject({ fields: { v: rule } }, { v: raw }, 'body');
+
+            expect(errors).toEqual([]);
+            expect(value.v).toBe(expected);
+        });
+
+        test.each([
+            [{ type: 'decimal', precision: 10, scale: 2 }, 'abc', 'type'],
+            [{ type: 'decimal', precision: 10, scale: 2 }, '1e5', 'type'],
+            [{ type: 'decimal', precision: 10, scale: 2 }, true, 'type'],
+            [{ type: 'decimal', precision: 10, scale: 2 }, 0.001, 'precision'],
+            [{ type: 'decimal', precision: 10, scale: 2 }, 100000000, 'range'],
+            [{ type: 'integer' }, '', 'type'],
+            [{ type: 'integer' }, 2.5, 'type'],
+            [{ type: 'integer' }, '0x10', 'type'],
+            [{ type: 'integer' }, '1e3', 'type'],
+            [{ type: 'integer' }, '1.0', 'type'],
+            [{ type: 'integer' }, '+5', 'type'],
+            [{ type: 'number', max: 10 }, 11, 'range'],
+            [{ type: 'string', minLength: 1, trim: true }, '   ', 'length'],
+            [{ type: 'string' }, 5, 'type'],
+            [{ type: 'enum', values: ['a'] }, 'b', 'enum'],
+            [{ type: 'boolean' }, 'yes', 'type'],
+            [{ type: 'date' }, 'tomorrow', 'type'],
+            [{ type: 'date', local: true }, '2024-02-30', 'type'],
+            [{ type: 'date', local: true }, '2024-01-01T24:00', 'type']
+        ])('should reject %j with %p (%s)', (rule, raw, code) => {
+            const { errors } = validateObject({ fields: { v: rule } }, { v: raw }, 'body');
+
+            expect(errors).toEqual([expect.objectContaining({ location: 'body', field: 'v', code })]);
+        });
+
+        test('should keep offsets as dates with the local option', () => {
+            const { value } = validateObject({ fields: { v: { type: 'date', local: true } } }, { v: '2024-01-01T00:00:00+09:00' }, 'query');
+
+            expect(value.v).toEqual(new Date('2023-12-31T15:00:00Z'));
+        });
+
+        test('should count string length in characters, not UTF-16 units', () => {
+            const schema = { fields: { v: { type: 'string', maxLength: 3 } } };
+
+            expect(validateObject(schema, { v: '😀😀😀' }, 'body').errors).toEqual([]);
+            expect(validateObject(schema, { v: '😀😀😀😀' }, 'body').errors).toHaveLength(1);
+        });
+
+        test('should report required, null and unknown fields', () => {
+            const schema = { fields: { a: { type: 'string', required: true }, b: { type: 'string', required: true } } };
+
+            const { errors } = validateObject(schema, { b: null, c: 1 }, 'body');
+
+            expect(errors).toEqual([
+                { location: 'body', field: 'c', code: 'unknown', message: 'is not allowed' },
+                { location: 'body', field: 'a', code: 'required', message: 'is required' },
+                { location: 'body', field: 'b', code: 'required', message: 'is required' }
+            ]);
+        });
+
+        test('should allow unknown fields when configured', () => {
+            const { errors } = validateObject({ fields: {}, allowUnknown: true }, { extra: 1 }, 'body');
+
+            expect(errors).toEqual([]);
+        });
+
+        test('should reject non-object input', () => {
+            const { errors } = validateObject({ fields: {} }, [1, 2], 'body');
+
+            expect(errors).toEqual([{ location: 'body', field: null, code: 'type', message: 'must be an object' }]);
+        });
+
+        test('should run refine only when fields are valid', () => {
+            const refine = jest.fn().mockReturnValue([{ field: 'a', message: 'too big' }]);
+            const schema = { fields: { a: { type: 'integer' } }, refine };
+
+            expect(validateObject(schema, { a: 'x' }, 'body').errors).toHaveLength(1);
+            expect(refine).not.toHaveBeenCalled();
+
+            expect(validateObject(schema, { a: 5 }, 'body').errors).toEqual([
+                { location: 'body', field: 'a', code: 'invalid', message: 'too big' }
+            ]);
+            expect(refine).toHaveBeenCalledWith({ a: 5 });
+        });
+
+        test('should validate array items and nested objects with field paths', () => {
+            const schema = {
+                fields: {
+                    items: {
+                        type: 'array',
+                        minItems: 1,
+                        items: { type: 'object', fields: { amount: { type: 'number', required: true } } }
+                    },
+                    ids: { type: 'array', unique: true, items: { type: 'integer', min: 1 } },
+                    filter: { type: 'object', fields: { q: { type: 'string' } } }
+                }
+            };
+
+            expect(validateObject(schema, { items: [{ amount: '1' }], ids: ['2', 3], filter: { q: 'a' } }, 'body')).toEqual({
+                value: { items: [{ amount: 1 }], ids: [2, 3], filter: { q: 'a' } },
+                errors: []
+            });
+            expect(validateObject(schema, {
+                items: [{ amount: 1 }, { amount: 'x', extra: 1 }, null, 5],
+                ids: [2, 0, 2],
+                filter: { q: 1 }
+            }, 'body').errors).toEqual([
+                { location: 'body', field: 'items[1].extra', code: 'unknown', message: 'is not allowed' },
+                { location: 'body', field: 'items[1].amount', code: 'type', message: 'must be a number' },
+                { location: 'body', field: 'items[2]', code: 'required', message: 'is required' },
+                { location: 'body', field: 'items[3]', code: 'type', message: 'must be an object' },
+                { location: 'body', field: 'ids[1]', code: 'range', message: 'must be greater than or equal to 1' },
+                { location: 'body', field: 'ids[2]', code: 'duplicate', message: 'must not be repeated' },
+                { location: 'body', field: 'filter.q', code: 'type', message: 'must be a string' }
+            ]);
+        });
+
+        test('should check array type and size', () => {
+            const schema = { fields: { ids: { type: 'array', minItems: 1, maxItems: 2, items: { type: 'integer' } } } };
+
+            expect(validateObject(schema, { ids: 1 }, 'body').errors[0]).toMatchObject({ field: 'ids', code: 'type', message: 'must be an array' });
+            expect(validateObject(schema, { ids: [] }, 'body').errors[0]).toMatchObject({ code: 'length', message: 'must not be empty' });
+            expect(validateObject(schema, { ids: [1, 2, 3] }, 'body').errors[0]).toMatchObject({ code: 'length', message: 'must contain at most 2 items' });
+        });
+    });
+
+    describe('statusForErrors', () => {
+        test('should use 422 only for semantic body errors', () => {
+            expect(statusForErrors([{ location: 'body', code: 'range' }])).toBe(422);
+            expect(statusForErrors([{ location: 'body', code: 'range' }, { location: 'body', code: 'type' }])).toBe(400);
+            expect(statusForErrors([{ location: 'query', code: 'range' }])).toBe(400);
+        });
+    });
+
+    describe('validate middleware', () => {
+        const createRes = () => {
+            const res = {};
+            res.status = jest.fn().mockReturnValue(res);
+            res.json = jest.fn().mockReturnValue(res);
+            return res;
+        };
+
+        test('should store validated values and call next', () => {
+            const middleware = validate({
+                params: { fields: { id: { type: 'integer', required: true } } },
+                body: { fields: { name: { type: 'string' } } }
+            });
+            const req = { params: { id: '7' }, body: { name: 'n' }, query: { ignored: '1' } };
+            const next = jest.fn();
+
+            middleware(req, createRes(), next);
+
+            expect(next).toHaveBeenCalledWith();
+            expect(req.validated).toEqual({ params: { id: 7 }, body: { name: 'n' } });
+        });
+
+        test('should pass ValidationError with errors from every location to next', () => {
+            const middleware = validate({
+                params: { fields: { id: { type: 'integer', required: true } } },
+                body: { fields: { name: { type: 'string', required: true } } }
+            });
+            const next = jest.fn();
+
+            middleware({ params: { id: 'x' }, body: {} }, createRes(), next);
+
+            const error = next.mock.calls[0][0];
+            expect(error).toBeInstanceOf(ValidationError);
+            expect(error.status).toBe(400);
+            expect(error.errors).toEqual([
+                { location: 'params', field: 'id', code: 'type', message: 'must be a number' },
+                { location: 'body', field: 'name', code: 'required', message: 'is required' }
+            ]);
+        });
+
+        test('should use 422 for semantic body errors', () => {
+            const middleware = validate({ body: { fields: { name: { type: 'string', maxLength: 1 } } } });
+            const next = jest.fn();
+
+            middleware({ body: { name: 'too long' } }, createRes(), next);
+
+            expect(next.mock.calls[0][0].status).toBe(422);
+        });
+    });
+});
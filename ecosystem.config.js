@@ -6,15 +6,18 @@ module.exports = {
     exec_mode: 'cluster',
     env: {
       NODE_ENV: 'development',
-      PORT: 4000
+      PORT: 4000,
+      LOG_LEVEL: 'info',
+      LOG_FORMAT: 'pretty'
     },
     env_production: {
       NODE_ENV: 'production',
-      PORT: 4000
+      PORT: 4000,
+      LOG_LEVEL: 'info',
+      LOG_FORMAT: 'json'
     },
     error_file: './logs/error.log',
     out_file: './logs/out.log',
-    log_date_format: 'YYYY-MM-DD HH:mm:ss',
     merge_logs: true,
     max_memory_restart: '500M',
     autorestart: true,
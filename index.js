@@ -1,5 +1,23 @@
+// .env 파일은 다른 모듈이 설정을 읽기 전에 로드
+const { loadEnvFiles, getConfig, loadConfig, redactConfig, getLoadedEnvFiles, ConfigError } = require('./Config');
+loadEnvFiles();
+
 const transactionService = require('./TransactionService');
 const { getInstance } = require('./RdsIamAuth');
+const { Migrator } = require('./Migrator');
+const { TrashPurger } = require('./TrashPurger');
+const { listAuditEntries } = require('./AuditLog');
+const { importTransactions } = require('./TransactionImport');
+const { exportTransactions } = require('./TransactionExport');
+const { idempotent, completeInTransaction } = require('./Idempotency');
+const { validate } = require('./Validation');
+const { NotFoundError, PreconditionFailedError } = require('./Errors');
+const { asyncHandler, notFoundHandler, errorHandler } = require('./ErrorHandler');
+const { requestContext, restoreRequestContext } = require('./RequestContext');
+const { logger, requestLogger } = require('./Logger');
+const { httpMetrics, metricsHandler } = require('./Metrics');
+const { authenticate, requireRole, loadAuthConfig } = require('./Auth');
+const schemas = require('./TransactionSchemas');
 const express = require('express');
 const bodyParser = require('body-parser');
 const cors = require('cors');
@@ -7,20 +25,24 @@ const os = require('os');
 const fetch = require('node-fetch');
 
 const app = express();
-const port = 4000;
+const { healthCheckTimeoutMs, corsOrigin } = getConfig().server;
 const corsOption = {
-    origin: process.env.CORS_ORIGIN,
+    origin: corsOrigin,
     credentials: true
 }
 
+// 본문을 스트림으로 읽는 대량 가져오기 경로
+const IMPORT_PATH = '/transactions/import';
+
 // RDS IAM Auth Manager 인스턴스
 let dbManager = null;
 let server = null;
+let trashPurger = null;
 
-// Initialize database and create transactions table if not exists
+// Initialize database and apply pending schema migrations
 async function initializeDatabase() {
     try {
-        console.log('Initializing database...');
+        logger.info('Initializing database');
 
         // RDS IAM Auth Manager 초기화
         dbManager = getInstance();
@@ -29,21 +51,15 @@ async function initializeDatabase() {
         // TransactionService에 DB 매니저 설정
         transactionService.setDbManager(dbManager);
 
-        // 테이블 생성
-        const createTableQuery = `
-            CREATE TABLE IF NOT EXISTS transactions (
-                id INT AUTO_INCREMENT PRIMARY KEY,
-                amount DECIMAL(10, 2) NOT NULL,
-                description VARCHAR(255) NOT NULL,
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            )
-        `;
-
-        await dbManager.query(createTableQuery);
-        console.log('Transactions table checked/created successfully');
+        // 스키마 마이그레이션 (여러 워커가 동시에 시작해도 잠금으로 한 번만 적용)
+        if (getConfig().database.migrateOnStartup) {
+            const migrator = new Migrator({ dbManager });
+            await migrator.up();
+        }
+        logger.info('Database schema checked/migrated successfully');
 
     } catch (err) {
-        console.error('Error initializing database:', err.message);
+        logger.error('Error initializing database', { err });
         throw err;
     }
 }
@@ -51,12 +67,16 @@ async function initializeDatabase() {
 // Graceful shutdown handler
 function setupGracefulShutdown() {
     const shutdown = async (signal) => {
-        console.log(`\n${signal} received, shutting down gracefully...`);
+        logger.info('Shutting down gracefully', { signal });
+
+        if (trashPurger) {
+            trashPurger.stop();
+        }
 
         // 서버 종료
         if (server) {
             server.close(() => {
-                console.log('HTTP server closed');
+                logger.info('HTTP server closed');
             });
         }
 
@@ -72,8 +92,16 @@ function setupGracefulShutdown() {
     process.on('SIGINT', () => shutdown('SIGINT'));
 }
 
+// 요청 ID 부여, 요청 완료 로그 (본문은 기록하지 않음), HTTP 메트릭
+app.use(requestContext);
+app.use(requestLogger);
+app.use(httpMetrics);
 app.use(bodyParser.urlencoded({ extended: true }));
-app.use(bodyParser.json());
+// 가져오기 API 는 본문을 직접 스트림으로 읽으므로 JSON 파싱에서 제외
+app.use(bodyParser.json({
+    type: req => req.path !== IMPORT_PATH && Boolean(req.is('application/json'))
+}));
+app.use(restoreRequestContext);
 app.use(cors(corsOption));
 
 // ROUTES FOR OUR API
@@ -93,6 +121,65 @@ function getInstanceIp() {
     return 'localhost';
 }
 
+// 단건 응답 형식
+function toTransactionResponse(row) {
+    return {
+        id: row.id,
+        amount: row.amount,
+        description: row.description,
+        created_at: row.created_at,
+        updated_at: row.updated_at,
+        version: row.version
+    };
+}
+
+// version 기반 강한 ETag
+function toEtag(row) {
+    return `"${row.version}"`;
+}
+
+// If-Match 헤더 파싱 (RFC 9110 13.1.1, 쉼표로 구분된 entity-tag 목록)
+// 없으면 undefined, '*'이면 '*', 그 외에는 강한 ETag 의 버전 숫자 배열
+// 약한 ETag (W/"3") 나 해석할 수 없는 태그는 강한 비교로 어떤 버전과도 일치하지 않으므로 제외 (빈 배열이면 412)
+function parseIfMatch(header) {
+    if (header === undefined) {
+        return undefined;
+    }
+    if (header.trim() === '*') {
+        return '*';
+    }
+    const versions = [];
+    for (const tag of header.split(',')) {
+        const match = /^"(\d+)"$/.exec(tag.trim());
+        if (match) {
+            versions.push(Number(match[1]));
+        }
+    }
+    return versions;
+}
+
+// 조회를 writer 에서 실행하도록 요청하는 헤더 (쓰기 직후 복제 지연 없이 읽어야 할 때 strong)
+const READ_CONSISTENCY_HEADER = 'X-Read-Consistency';
+
+// 서비스 호출에 전달할 호출자 정보 (감사/로그용) 와 테넌트 (모든 쿼리를 이 테넌트로 제한)
+function serviceContext(req) {
+    const context = { actor: req.user, tenantId: req.user.tenantId };
+    if (String(req.get(READ_CONSISTENCY_HEADER) || '').toLowerCase() === 'strong') {
+        context.consistency = 'strong';
+    }
+    return context;
+}
+
+// 본문 기반 구 라우트에 Deprecation 헤더 설정 (검증 실패 응답에도 포함)
+function deprecatedBodyIdRoute(req, res, next) {
+    const id = req.body && req.body.id;
+    res.set('Deprecation', 'true');
+    if (id !== undefined) {
+        res.set('Link', `</transactions/${encodeURIComponent(id)}>; rel="successor-version"`);
+    }
+    next();
+}
+
 // Version Info
 app.get('/', (req, res) => {
     const packageJson = require('./package.json');
@@ -103,160 +190,282 @@ app.get('/', (req, res) => {
     });
 });
 
-//Health Checking
+//Health Checking (기존 ALB 설정 호환용, DB 상태는 확인하지 않음)
 app.get('/health', (req, res) => {
     res.json({ status: "healthy", message: "This is the health check" });
 });
 
-// ADD TRANSACTION
-app.post('/transaction', async (req, res) => {
-    try {
-        console.log('POST /transaction - Body:', req.body);
-        const { amount, desc } = req.body;
+// Liveness: 프로세스가 요청을 처리할 수 있는지만 확인
+// (DB 장애 시 컨테이너가 재시작되지 않도록 DB 는 확인하지 않음 - ECS 컨테이너 헬스 체크용)
+app.get('/health/live', (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.json({ status: 'ok', uptimeSeconds: Math.floor(process.uptime()) });
+});
 
-        if (!amount || !desc) {
-            return res.status(400).json({
-                message: 'Missing required fields: amount and desc'
-            });
-        }
+// Prometheus 메트릭 (HTTP, 커넥션 풀, IAM 토큰, 쿼리 시간)
+app.get('/metrics', asyncHandler(metricsHandler));
 
-        await transactionService.addTransaction(amount, desc);
-        res.status(200).json({ message: 'added transaction successfully' });
+// Readiness: DB 에 SELECT 1 을 실행하고 풀/토큰 상태를 보고, 이상이 있으면 503 (ALB 대상 그룹용)
+app.get('/health/ready', asyncHandler(async (req, res) => {
+    const report = await getInstance().healthCheck({ timeoutMs: healthCheckTimeoutMs });
 
-    } catch (err) {
-        console.error('Error in POST /transaction:', err);
-        res.status(500).json({
-            message: 'something went wrong',
-            error: err.message
-        });
-    }
-});
+    res.set('Cache-Control', 'no-store');
+    res.status(report.status === 'ok' ? 200 : 503).json(report);
+}));
 
-// GET ALL TRANSACTIONS
-app.get('/transaction', async (req, res) => {
-    try {
-        const results = await transactionService.getAllTransactions();
+// 트랜잭션/감사/관리 API 인증 (버전/헬스 체크/메트릭은 인증 없이 접근)
+// 역할: reader - 조회, writer - 생성/수정/단건·일괄 삭제, admin - 전체 삭제, 감사 로그/설정 조회
+app.use(['/transaction', '/transactions', '/audit', '/admin'], asyncHandler(authenticate));
 
-        const transactionList = results.map(row => ({
-            id: row.id,
-            amount: row.amount,
-            description: row.description,
-            created_at: row.created_at
-        }));
+// ADD TRANSACTION (Idempotency-Key 헤더가 있으면 재시도해도 한 번만 추가)
+app.post('/transaction', requireRole('writer'), validate(schemas.createTransaction), idempotent(), asyncHandler(async (req, res) => {
+    const { amount, desc } = req.validated.body;
+    const toResponse = created => ({
+        status: 201,
+        headers: { Location: `/transactions/${created.id}`, ETag: toEtag(created) },
+        body: toTransactionResponse(created)
+    });
 
-        console.log('Retrieved transactions:', transactionList.length);
-        res.status(200).json({ result: transactionList });
+    const created = await transactionService.addTransaction(amount, desc, {
+        ...serviceContext(req),
+        beforeCommit: completeInTransaction(req, toResponse)
+    });
 
-    } catch (err) {
-        console.error('Error in GET /transaction:', err);
-        res.status(500).json({
-            message: "could not get all transactions",
-            error: err.message
-        });
-    }
-});
+    const { status, headers, body } = toResponse(created);
+    res.set(headers);
+    res.status(status).json(body);
+}));
+
+// IMPORT TRANSACTIONS (CSV, NDJSON, JSON 배열, 행별 오류 보고)
+app.post(IMPORT_PATH, requireRole('writer'), validate(schemas.importTransactions), asyncHandler(async (req, res) => {
+    const report = await importTransactions(req, {
+        ...req.validated.query,
+        contentType: req.get('Content-Type')
+    }, serviceContext(req));
+
+    res.status(200).json(report);
+}));
+
+// BATCH ADD TRANSACTIONS (하나의 DB 트랜잭션, Idempotency-Key 지원)
+app.post('/transactions/batch', requireRole('writer'), validate(schemas.createTransactionsBatch), idempotent(), asyncHandler(async (req, res) => {
+    const toResponse = created => ({ status: 201, body: { transactions: created.map(toTransactionResponse) } });
+
+    const created = await transactionService.createTransactions(
+        req.validated.body.transactions,
+        { maxItems: getConfig().batch.maxItems },
+        { ...serviceContext(req), beforeCommit: completeInTransaction(req, toResponse) }
+    );
+
+    const { status, body } = toResponse(created);
+    res.status(status).json(body);
+}));
+
+// BATCH DELETE TRANSACTIONS (ids 또는 filter, soft delete, 항목별 결과)
+app.post('/transactions/batch-delete', requireRole('writer'), validate(schemas.deleteTransactionsBatch), asyncHandler(async (req, res) => {
+    const result = await transactionService.deleteTransactions(
+        req.validated.body,
+        { maxItems: getConfig().batch.maxItems },
+        serviceContext(req)
+    );
+
+    res.status(200).json(result);
+}));
+
+// GET TRANSACTIONS (cursor pagination, sort, filters)
+app.get('/transaction', requireRole('reader'), validate(schemas.listTransactions), asyncHandler(async (req, res) => {
+    const { items, nextCursor } = await transactionService.listTransactions(req.validated.query, serviceContext(req));
+
+    const transactionList = items.map(toTransactionResponse);
+
+    res.status(200).json({ result: transactionList, nextCursor });
+}));
+
+//DELETE ALL TRANSACTIONS (soft delete, 휴지통에서 복원 가능)
+app.delete('/transaction', requireRole('admin'), asyncHandler(async (req, res) => {
+    const result = await transactionService.deleteAllTransactions(serviceContext(req));
+    res.status(200).json({
+        message: "delete function execution finished.",
+        affectedRows: result.affectedRows
+    });
+}));
 
-//DELETE ALL TRANSACTIONS
-app.delete('/transaction', async (req, res) => {
-    try {
-        const result = await transactionService.deleteAllTransactions();
-        res.status(200).json({
-            message: "delete function execution finished.",
-            affectedRows: result.affectedRows
-        });
+//DELETE ONE TRANSACTION (deprecated: DELETE /transactions/:id 사용)
+app.delete('/transaction/id', deprecatedBodyIdRoute, requireRole('writer'), validate(schemas.legacyTransactionIdBody), asyncHandler(async (req, res) => {
+    const { id } = req.validated.body;
 
-    } catch (err) {
-        console.error('Error in DELETE /transaction:', err);
-        res.status(500).json({
-            message: "Deleting all transactions may have failed.",
-            error: err.message
-        });
-    }
-});
+    const result = await transactionService.deleteTransactionById(id, serviceContext(req));
+    res.status(200).json({
+        message: `transaction with id ${id} seemingly deleted`,
+        affectedRows: result.affectedRows
+    });
+}));
 
-//DELETE ONE TRANSACTION
-app.delete('/transaction/id', async (req, res) => {
-    try {
-        const { id } = req.body;
+//GET SINGLE TRANSACTION (deprecated: GET /transactions/:id 사용)
+app.get('/transaction/id', deprecatedBodyIdRoute, requireRole('reader'), validate(schemas.legacyTransactionIdBody), asyncHandler(async (req, res) => {
+    const transaction = await transactionService.getTransactionById(req.validated.body.id, serviceContext(req));
 
-        if (!id) {
-            return res.status(400).json({
-                message: 'Missing required field: id'
-            });
-        }
+    res.status(200).json(toTransactionResponse(transaction));
+}));
 
-        const result = await transactionService.deleteTransactionById(id);
-        res.status(200).json({
-            message: `transaction with id ${id} seemingly deleted`,
-            affectedRows: result.affectedRows
-        });
+// EXPORT TRANSACTIONS (CSV, NDJSON, JSON 배열 스트리밍, /transactions/:id 보다 먼저 등록)
+app.get('/transactions/export', requireRole('reader'), validate(schemas.exportTransactions), asyncHandler(async (req, res) => {
+    await exportTransactions(res, req.validated.query, serviceContext(req));
+}));
 
-    } catch (err) {
-        console.error('Error in DELETE /transaction/id:', err);
-        res.status(500).json({
-            message: "error deleting transaction",
-            error: err.message
-        });
-    }
-});
+// TRANSACTION SUMMARY (건수, 합계, 평균, 최소, 최대, /transactions/:id 보다 먼저 등록)
+app.get('/transactions/summary', requireRole('reader'), validate(schemas.transactionSummary), asyncHandler(async (req, res) => {
+    const summary = await transactionService.getTransactionSummary(req.validated.query, serviceContext(req));
 
-//GET SINGLE TRANSACTION
-app.get('/transaction/id', async (req, res) => {
-    try {
-        const { id } = req.body;
+    res.status(200).json(summary);
+}));
 
-        if (!id) {
-            return res.status(400).json({
-                message: 'Missing required field: id'
-            });
-        }
+// TRANSACTION TIMESERIES (일/주/월 구간 집계와 누적 잔액, /transactions/:id 보다 먼저 등록)
+app.get('/transactions/timeseries', requireRole('reader'), validate(schemas.transactionTimeseries), asyncHandler(async (req, res) => {
+    const timeseries = await transactionService.getTransactionTimeseries(req.validated.query, serviceContext(req));
 
-        const result = await transactionService.findTransactionById(id);
+    res.status(200).json(timeseries);
+}));
 
-        if (result.length === 0) {
-            return res.status(404).json({
-                message: `transaction with id ${id} not found`
-            });
+// LIST DELETED TRANSACTIONS (/transactions/:id 보다 먼저 등록)
+app.get('/transactions/trash', requireRole('reader'), validate(schemas.listDeletedTransactions), asyncHandler(async (req, res) => {
+    const { items, nextCursor } = await transactionService.listDeletedTransactions(req.validated.query, serviceContext(req));
+
+    const transactionList = items.map(row => ({ ...toTransactionResponse(row), deleted_at: row.deleted_at }));
+
+    res.status(200).json({ result: transactionList, nextCursor });
+}));
+
+// GET SINGLE TRANSACTION
+app.get('/transactions/:id', requireRole('reader'), validate(schemas.getTransaction), asyncHandler(async (req, res) => {
+    const transaction = await transactionService.getTransactionById(req.validated.params.id, serviceContext(req));
+
+    res.set('ETag', toEtag(transaction));
+    res.status(200).json(toTransactionResponse(transaction));
+}));
+
+// REPLACE / UPDATE TRANSACTION
+function updateTransactionHandler({ partial }) {
+    return asyncHandler(async (req, res) => {
+        const { id } = req.validated.params;
+        const fields = req.validated.body;
+
+        const ifMatch = parseIfMatch(req.get('If-Match'));
+
+        // 강한 ETag 가 하나도 없으면 어떤 버전과도 일치하지 않음
+        if (Array.isArray(ifMatch) && ifMatch.length === 0) {
+            throw new PreconditionFailedError();
         }
 
-        const transaction = result[0];
-        res.status(200).json({
-            id: transaction.id,
-            amount: transaction.amount,
-            description: transaction.description,
-            created_at: transaction.created_at
-        });
+        const updated = await transactionService.updateTransaction(id, fields, {
+            replace: !partial,
+            expectedVersion: ifMatch
+        }, serviceContext(req));
 
-    } catch (err) {
-        console.error('Error in GET /transaction/id:', err);
-        res.status(500).json({
-            message: "error retrieving transaction",
-            error: err.message
-        });
+        res.set('ETag', toEtag(updated));
+        res.status(200).json(toTransactionResponse(updated));
+    });
+}
+
+app.put('/transactions/:id', requireRole('writer'), validate(schemas.replaceTransaction), updateTransactionHandler({ partial: false }));
+app.patch('/transactions/:id', requireRole('writer'), validate(schemas.patchTransaction), updateTransactionHandler({ partial: true }));
+
+// DELETE ONE TRANSACTION (soft delete)
+app.delete('/transactions/:id', requireRole('writer'), validate(schemas.deleteTransaction), asyncHandler(async (req, res) => {
+    const { id } = req.validated.params;
+
+    const result = await transactionService.deleteTransactionById(id, serviceContext(req));
+
+    if (result.affectedRows === 0) {
+        throw new NotFoundError(`transaction with id ${id} not found`);
     }
+
+    res.status(204).end();
+}));
+
+// RESTORE DELETED TRANSACTION
+app.post('/transactions/:id/restore', requireRole('writer'), validate(schemas.restoreTransaction), asyncHandler(async (req, res) => {
+    const restored = await transactionService.restoreTransaction(req.validated.params.id, serviceContext(req));
+
+    res.set('ETag', toEtag(restored));
+    res.status(200).json(toTransactionResponse(restored));
+}));
+
+// AUDIT LOG (읽기 전용, 호출자 테넌트의 기록만)
+app.get('/audit', requireRole('admin'), validate(schemas.listAuditEntries), asyncHandler(async (req, res) => {
+    const { items, nextCursor } = await listAuditEntries(req.validated.query, serviceContext(req));
+
+    res.status(200).json({ result: items, nextCursor });
+}));
+
+// 현재 설정 (비밀번호, JWT 시크릿 등은 가림)
+app.get('/admin/config', requireRole('admin'), (req, res) => {
+    const config = getConfig();
+
+    res.set('Cache-Control', 'no-store');
+    res.status(200).json({
+        nodeEnv: config.server.nodeEnv,
+        envFiles: getLoadedEnvFiles(),
+        config: redactConfig(config)
+    });
 });
 
+// 404 및 중앙 에러 처리 (RFC 7807 problem+json)
+app.use(notFoundHandler);
+app.use(errorHandler);
+
 // Initialize database and start server
 async function startServer() {
+    let config;
+    try {
+        // 누락/잘못된 환경 변수를 모두 보고하고 종료
+        config = loadConfig();
+    } catch (err) {
+        if (!(err instanceof ConfigError)) {
+            throw err;
+        }
+        err.errors.forEach(({ variable, message }) => logger.error('Invalid configuration', { variable, reason: message }));
+        process.exit(1);
+        return;
+    }
+
     try {
         // 데이터베이스 초기화
         await initializeDatabase();
-        console.log('Database initialization complete');
+        logger.info('Database initialization complete');
+
+        if (loadAuthConfig().disabled) {
+            logger.warn('Authentication is disabled (AUTH_DISABLED=true); all requests are treated as admin');
+        }
+
+        // 휴지통 보관 기간이 지난 행 주기적 영구 삭제
+        trashPurger = new TrashPurger({ dbManager });
+        trashPurger.start();
 
         // Graceful shutdown 설정
         setupGracefulShutdown();
 
         // 서버 시작
+        const { port } = config.server;
         server = app.listen(port, () => {
-            console.log(`AB3 backend app listening at http://localhost:${port}`);
-            console.log(`IAM Authentication: ${process.env.USE_IAM_AUTH === 'true' ? 'ENABLED' : 'DISABLED'}`);
+            logger.info('AB3 backend app listening', {
+                url: `http://localhost:${port}`,
+                nodeEnv: config.server.nodeEnv,
+                credentialsProvider: config.database.credentials.provider
+            });
         });
 
     } catch (err) {
-        console.error('Failed to start server:', err);
+        logger.error('Failed to start server', { err });
         process.exit(1);
     }
 }
 
-// 서버 시작
-startServer();
+// 서버 시작 (테스트에서 require 할 때는 시작하지 않음)
+if (require.main === module) {
+    startServer();
+}
+
+module.exports = {
+    app,
+    startServer
+};
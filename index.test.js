@@ -2,165 +2,66 @@
 jest.mock('./TransactionService');
 jest.mock('./RdsIamAuth');
 
-const express = require('express');
-const bodyParser = require('body-parser');
-const cors = require('cors');
 const http = require('http');
+const { Readable } = require('stream');
+const crypto = require('crypto');
 
 const transactionService = require('./TransactionService');
 const { getInstance } = require('./RdsIamAuth');
+const {
+    NotFoundError,
+    ConflictError,
+    PreconditionFailedError,
+    PayloadTooLargeError,
+    DatabaseUnavailableError,
+    CircuitOpenError
+} = require('./Errors');
+const { requestFingerprint } = require('./Idempotency');
+const { configure } = require('./Logger');
+const { resetConfig } = require('./Config');
+const { getRequestId } = require('./RequestContext');
+
+const JWT_SECRET = 'test-jwt-secret';
+
+// HS256 테스트 토큰 생성
+const signToken = (claims = {}) => {
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const payload = { sub: 'test-admin', roles: ['admin'], tenant_id: 'tenant-a', exp: Math.floor(Date.now() / 1000) + 300, ...claims };
+    const input = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(payload)}`;
+    return `${input}.${crypto.createHmac('sha256', JWT_SECRET).update(input).digest('base64url')}`;
+};
+
+// 기본 테스트 호출자 (tenant-a 의 admin JWT)
+const adminContext = {
+    actor: { type: 'user', id: 'test-admin', role: 'admin', tenantId: 'tenant-a' },
+    tenantId: 'tenant-a'
+};
+
+// addTransaction 이 돌려주는 추가된 행
+const createdRow = {
+    id: 7,
+    tenant_id: 'tenant-a',
+    amount: '100.00',
+    description: 'Test transaction',
+    created_at: new Date('2024-01-01T00:00:00Z'),
+    updated_at: null,
+    deleted_at: null,
+    version: 1
+};
 
 describe('3tier-back API Tests', () => {
     let app;
     let server;
     let mockDbManager;
+    let originalJwtSecret;
 
     beforeAll((done) => {
-        // Create Express app with same configuration as index.js
-        app = express();
-        const corsOption = {
-            origin: process.env.CORS_ORIGIN,
-            credentials: true
-        };
-
-        app.use(bodyParser.urlencoded({ extended: true }));
-        app.use(bodyParser.json());
-        app.use(cors(corsOption));
-
-        // Version Info
-        app.get('/', (req, res) => {
-            const packageJson = require('./package.json');
-            res.json({
-                service: "3tier-backend",
-                version: packageJson.version
-            });
-        });
-
-        // Health Checking
-        app.get('/health', (req, res) => {
-            res.json({ status: "healthy", message: "This is the health check" });
-        });
-
-        // ADD TRANSACTION
-        app.post('/transaction', async (req, res) => {
-            try {
-                const { amount, desc } = req.body;
-
-                if (!amount || !desc) {
-                    return res.status(400).json({
-                        message: 'Missing required fields: amount and desc'
-                    });
-                }
-
-                await transactionService.addTransaction(amount, desc);
-                res.status(200).json({ message: 'added transaction successfully' });
-
-            } catch (err) {
-                res.status(500).json({
-                    message: 'something went wrong',
-                    error: err.message
-                });
-            }
-        });
-
-        // GET ALL TRANSACTIONS
-        app.get('/transaction', async (req, res) => {
-            try {
-                const results = await transactionService.getAllTransactions();
-
-                const transactionList = results.map(row => ({
-                    id: row.id,
-                    amount: row.amount,
-                    description: row.description,
-                    created_at: row.created_at
-                }));
-
-                res.status(200).json({ result: transactionList });
-
-            } catch (err) {
-                res.status(500).json({
-                    message: "could not get all transactions",
-                    error: err.message
-                });
-            }
-        });
-
-        // DELETE ALL TRANSACTIONS
-        app.delete('/transaction', async (req, res) => {
-            try {
-                const result = await transactionService.deleteAllTransactions();
-                res.status(200).json({
-                    message: "delete function execution finished.",
-                    affectedRows: result.affectedRows
-                });
-
-            } catch (err) {
-                res.status(500).json({
-                    message: "Deleting all transactions may have failed.",
-                    error: err.message
-                });
-            }
-        });
-
-        // DELETE ONE TRANSACTION
-        app.delete('/transaction/id', async (req, res) => {
-            try {
-                const { id } = req.body;
-
-                if (!id) {
-                    return res.status(400).json({
-                        message: 'Missing required field: id'
-                    });
-                }
-
-                const result = await transactionService.deleteTransactionById(id);
-                res.status(200).json({
-                    message: `transaction with id ${id} seemingly deleted`,
-                    affectedRows: result.affectedRows
-                });
-
-            } catch (err) {
-                res.status(500).json({
-                    message: "error deleting transaction",
-                    error: err.message
-                });
-            }
-        });
-
-        // GET SINGLE TRANSACTION
-        app.get('/transaction/id', async (req, res) => {
-            try {
-                const { id } = req.body;
-
-                if (!id) {
-                    return res.status(400).json({
-                        message: 'Missing required field: id'
-                    });
-                }
-
-                const result = await transactionService.findTransactionById(id);
+        originalJwtSecret = process.env.JWT_SECRET;
+        process.env.JWT_SECRET = JWT_SECRET;
+        resetConfig();
 
-                if (result.length === 0) {
-                    return res.status(404).json({
-                        message: `transaction with id ${id} not found`
-                    });
-                }
-
-                const transaction = result[0];
-                res.status(200).json({
-                    id: transaction.id,
-                    amount: transaction.amount,
-                    description: transaction.description,
-                    created_at: transaction.created_at
-                });
-
-            } catch (err) {
-                res.status(500).json({
-                    message: "error retrieving transaction",
-                    error: err.message
-                });
-            }
-        });
+        // index.js는 require.main일 때만 서버를 시작하므로 app만 가져와 테스트 서버로 띄움
+        ({ app } = require('./index'));
 
         // Start test server
         server = app.listen(0, () => {
@@ -169,6 +70,13 @@ describe('3tier-back API Tests', () => {
     });
 
     afterAll((done) => {
+        if (originalJwtSecret === undefined) {
+            delete process.env.JWT_SECRET;
+        } else {
+            process.env.JWT_SECRET = originalJwtSecret;
+        }
+        resetConfig();
+
         if (server) {
             // Close all connections first to prevent hanging
             if (server.closeAllConnections) {
@@ -189,25 +97,42 @@ describe('3tier-back API Tests', () => {
         mockDbManager = {
             query: jest.fn(),
             initialize: jest.fn(),
-            shutdown: jest.fn()
+            shutdown: jest.fn(),
+            healthCheck: jest.fn()
         };
         getInstance.mockReturnValue(mockDbManager);
     });
 
     // Helper function to make requests
-    const makeRequest = (method, path, body = null) => {
+    // 기본으로 admin JWT 를 보내며, headers.Authorization 에 null 을 주면 인증 헤더를 생략
+    const makeRequest = (method, path, body = null, headers = {}) => {
         return new Promise((resolve, reject) => {
             const port = server.address().port;
+            // 문자열 본문은 그대로 전송 (CSV, NDJSON 등)
+            const payload = typeof body === 'string' ? body : (body ? JSON.stringify(body) : null);
+            const requestHeaders = {
+                'Content-Type': 'application/json',
+                Authorization: `Bearer ${signToken()}`,
+                ...headers
+            };
+            for (const [name, value] of Object.entries(requestHeaders)) {
+                if (value === null) {
+                    delete requestHeaders[name];
+                }
+            }
             const options = {
                 hostname: 'localhost',
                 port: port,
                 path: path,
                 method: method,
-                headers: {
-                    'Content-Type': 'application/json',
-                }
+                headers: requestHeaders
             };
 
+            // GET/DELETE는 기본적으로 chunked 전송을 하지 않으므로 본문 길이를 명시
+            if (payload) {
+                options.headers['Content-Length'] = Buffer.byteLength(payload);
+            }
+
             const req = http.request(options, (res) => {
                 let data = '';
 
@@ -218,15 +143,16 @@ describe('3tier-back API Tests', () => {
                 res.on('end', () => {
                     resolve({
                         status: res.statusCode,
-                        body: data ? JSON.parse(data) : {}
+                        headers: res.headers,
+                        body: data && /[/+]json/.test(res.headers['content-type']) ? JSON.parse(data) : (data || {})
                     });
                 });
             });
 
             req.on('error', reject);
 
-            if (body) {
-                req.write(JSON.stringify(body));
+            if (payload) {
+                req.write(payload);
             }
 
             req.end();
@@ -243,6 +169,77 @@ describe('3tier-back API Tests', () => {
         });
     });
 
+    describe('Unknown routes', () => {
+        test('should return 404 problem with generated correlation id', async () => {
+            const response = await makeRequest('GET', '/nope');
+
+            expect(response.status).toBe(404);
+            expect(response.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+            expect(response.body).toMatchObject({
+                status: 404,
+                detail: 'No route for GET /nope',
+                correlationId: response.headers['x-request-id']
+            });
+        });
+    });
+
+    describe('Request logging', () => {
+        let entries;
+        let previousSettings;
+
+        beforeEach(() => {
+            entries = [];
+            previousSettings = configure({ level: 'debug', write: (line, entry) => entries.push(entry) });
+        });
+
+        afterEach(() => {
+            configure(previousSettings);
+        });
+
+        test('should propagate X-Request-Id into service calls', async () => {
+            let serviceRequestId;
+            transactionService.addTransaction.mockImplementation(async () => {
+                serviceRequestId = getRequestId();
+                return createdRow;
+            });
+
+            await makeRequest('POST', '/transaction', { amount: 100, desc: 'Test transaction' }, {
+                'X-Request-Id': 'req-log-1'
+            });
+
+            expect(serviceRequestId).toBe('req-log-1');
+        });
+
+        test('should log completed requests without the request body', async () => {
+            transactionService.addTransaction.mockResolvedValue(createdRow);
+
+            await makeRequest('POST', '/transaction', { amount: 100, desc: 'secret memo' }, {
+                'X-Request-Id': 'req-log-2'
+            });
+
+            expect(entries).toContainEqual(expect.objectContaining({
+                level: 'info',
+                message: 'request completed',
+                requestId: 'req-log-2',
+                method: 'POST',
+                path: '/transaction',
+                status: 201,
+                actor: 'user:test-admin'
+            }));
+            expect(JSON.stringify(entries)).not.toContain('secret memo');
+        });
+
+        test('should log health checks at debug level', async () => {
+            await makeRequest('GET', '/health');
+
+            expect(entries).toContainEqual(expect.objectContaining({
+                level: 'debug',
+                message: 'request completed',
+                path: '/health'
+            }));
+        });
+    });
+
     describe('GET /health', () => {
         test('should return healthy status', async () => {
             const response = await makeRequest('GET', '/health');
@@ -255,18 +252,200 @@ describe('3tier-back API Tests', () => {
         });
     });
 
+    describe('GET /health/live', () => {
+        test('should return ok without touching the database', async () => {
+            const response = await makeRequest('GET', '/health/live');
+
+            expect(response.status).toBe(200);
+            expect(response.headers['cache-control']).toBe('no-store');
+            expect(response.body).toEqual({ status: 'ok', uptimeSeconds: expect.any(Number) });
+            expect(mockDbManager.healthCheck).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('GET /metrics', () => {
+        test('should expose HTTP metrics labelled by route pattern', async () => {
+            transactionService.getTransactionById.mockResolvedValue({
+                id: 7, amount: 1, description: 'x', version: 1
+            });
+            await makeRequest('GET', '/transactions/7');
+
+            const response = await makeRequest('GET', '/metrics');
+
+            expect(response.status).toBe(200);
+            expect(response.headers['content-type']).toMatch(/^text\/plain;.*version=0\.0\.4/);
+            expect(response.body).toMatch(/http_requests_total\{method="GET",route="\/transactions\/:id",status="200"\} \d+/);
+            expect(response.body).toContain('# TYPE http_request_duration_seconds histogram');
+            expect(response.body).not.toContain('route="/transactions/7"');
+        });
+    });
+
+    describe('GET /health/ready', () => {
+        test('should return 200 with the health report when ready', async () => {
+            const report = {
+                status: 'ok',
+                checks: {
+                    database: { status: 'ok', latencyMs: 3 },
+                    pool: { status: 'ok', connectionLimit: 10, total: 2, inUse: 1, idle: 1, queued: 0, saturation: 0.1 },
+                    token: { status: 'ok', iamAuth: false, lastRefreshAt: null, lastRefreshError: null }
+                }
+            };
+            mockDbManager.healthCheck.mockResolvedValue(report);
+
+            const response = await makeRequest('GET', '/health/ready');
+
+            expect(response.status).toBe(200);
+            expect(response.headers['cache-control']).toBe('no-store');
+            expect(response.body).toEqual(report);
+            expect(mockDbManager.healthCheck).toHaveBeenCalledWith({ timeoutMs: 2000 });
+        });
+
+        test('should return 503 when degraded', async () => {
+            mockDbManager.healthCheck.mockResolvedValue({
+                status: 'degraded',
+                checks: {
+                    database: { status: 'fail', latencyMs: 2000, error: 'Database did not respond within 2000ms' }
+                }
+            });
+
+            const response = await makeRequest('GET', '/health/ready');
+
+            expect(response.status).toBe(503);
+            expect(response.body.status).toBe('degraded');
+            expect(response.body.checks.database.status).toBe('fail');
+        });
+    });
+
+    describe('Authentication', () => {
+        test('should return 401 with a Bearer challenge when credentials are missing', async () => {
+            const response = await makeRequest('GET', '/transaction', null, { Authorization: null });
+
+            expect(response.status).toBe(401);
+            expect(response.headers['www-authenticate']).toBe('Bearer');
+            expect(response.body).toMatchObject({ status: 401, title: 'Unauthorized' });
+            expect(transactionService.listTransactions).not.toHaveBeenCalled();
+        });
+
+        test('should reject expired tokens', async () => {
+            const token = signToken({ exp: Math.floor(Date.now() / 1000) - 600 });
+
+            const response = await makeRequest('GET', '/transaction', null, { Authorization: `Bearer ${token}` });
+
+            expect(response.status).toBe(401);
+            expect(response.headers['www-authenticate']).toBe('Bearer error="invalid_token"');
+            expect(response.body.detail).toBe('Access token has expired');
+        });
+
+        test('should allow readers to list but not to create', async () => {
+            const token = signToken({ sub: 'viewer', roles: ['reader'] });
+            transactionService.listTransactions.mockResolvedValue({ items: [], nextCursor: null });
+
+            const list = await makeRequest('GET', '/transaction', null, { Authorization: `Bearer ${token}` });
+            const create = await makeRequest('POST', '/transaction', { amount: 1, desc: 'x' }, { Authorization: `Bearer ${token}` });
+
+            expect(list.status).toBe(200);
+            expect(create.status).toBe(403);
+            expect(create.body).toMatchObject({ status: 403, detail: 'This operation requires the writer role' });
+            expect(transactionService.addTransaction).not.toHaveBeenCalled();
+        });
+
+        test('should not allow writers to delete all transactions', async () => {
+            const token = signToken({ sub: 'editor', roles: ['writer'] });
+
+            const response = await makeRequest('DELETE', '/transaction', null, { Authorization: `Bearer ${token}` });
+
+            expect(response.status).toBe(403);
+            expect(transactionService.deleteAllTransactions).not.toHaveBeenCalled();
+        });
+
+        test('should authenticate API keys and pass the caller to the service', async () => {
+            mockDbManager.query.mockResolvedValue([[{ id: 7, name: 'batch-job', role: 'writer', tenant_id: 'tenant-b' }]]);
+            transactionService.deleteTransactionById.mockResolvedValue(true);
+
+            const response = await makeRequest('DELETE', '/transactions/5', null, {
+                Authorization: null,
+                'X-API-Key': 'batch-secret'
+            });
+
+            expect(response.status).toBe(204);
+            expect(transactionService.deleteTransactionById).toHaveBeenCalledWith(5, {
+                actor: { type: 'api_key', id: '7', name: 'batch-job', role: 'writer', tenantId: 'tenant-b' },
+                tenantId: 'tenant-b'
+            });
+        });
+
+        test('should reject unknown API keys', async () => {
+            mockDbManager.query.mockResolvedValue([[]]);
+
+            const response = await makeRequest('GET', '/transaction', null, {
+                Authorization: null,
+                'X-API-Key': 'unknown'
+            });
+
+            expect(response.status).toBe(401);
+            expect(response.body.detail).toBe('Invalid API key');
+        });
+
+        test('should scope service calls to the tenant of the token', async () => {
+            const token = signToken({ sub: 'bob', roles: ['reader'], tenant_id: 'tenant-b' });
+            transactionService.getTransactionById.mockRejectedValue(new NotFoundError('transaction with id 1 not found'));
+
+            const response = await makeRequest('GET', '/transactions/1', null, { Authorization: `Bearer ${token}` });
+
+            // 다른 테넌트의 행은 존재 여부도 드러내지 않고 404
+            expect(response.status).toBe(404);
+            expect(transactionService.getTransactionById).toHaveBeenCalledWith(1, {
+                actor: { type: 'user', id: 'bob', role: 'reader', tenantId: 'tenant-b' },
+                tenantId: 'tenant-b'
+            });
+        });
+
+        test('should reject an X-Tenant-Id that differs from the token tenant', async () => {
+            const response = await makeRequest('DELETE', '/transaction', null, { 'X-Tenant-Id': 'tenant-b' });
+
+            expect(response.status).toBe(403);
+            expect(response.body.detail).toBe("X-Tenant-Id does not match the caller's tenant");
+            expect(transactionService.deleteAllTransactions).not.toHaveBeenCalled();
+        });
+
+        test('should reject tokens without a tenant', async () => {
+            const token = signToken({ tenant_id: undefined });
+
+            const response = await makeRequest('GET', '/transaction', null, { Authorization: `Bearer ${token}` });
+
+            expect(response.status).toBe(403);
+            expect(response.body.detail).toBe('Caller is not assigned to a tenant');
+        });
+
+        test('should keep health, metrics and version endpoints public', async () => {
+            for (const path of ['/', '/health', '/health/live', '/metrics']) {
+                const response = await makeRequest('GET', path, null, { Authorization: null });
+                expect(response.status).toBe(200);
+            }
+        });
+    });
+
     describe('POST /transaction', () => {
-        test('should add transaction successfully', async () => {
-            transactionService.addTransaction.mockResolvedValue(200);
+        test('should return 201 with the created transaction and its Location', async () => {
+            transactionService.addTransaction.mockResolvedValue(createdRow);
 
             const response = await makeRequest('POST', '/transaction', {
                 amount: 100,
                 desc: 'Test transaction'
             });
 
-            expect(response.status).toBe(200);
-            expect(response.body).toEqual({ message: 'added transaction successfully' });
-            expect(transactionService.addTransaction).toHaveBeenCalledWith(100, 'Test transaction');
+            expect(response.status).toBe(201);
+            expect(response.headers.location).toBe('/transactions/7');
+            expect(response.headers.etag).toBe('"1"');
+            expect(response.body).toEqual({
+                id: 7,
+                amount: '100.00',
+                description: 'Test transaction',
+                created_at: '2024-01-01T00:00:00.000Z',
+                updated_at: null,
+                version: 1
+            });
+            expect(transactionService.addTransaction).toHaveBeenCalledWith(100, 'Test transaction', adminContext);
         });
 
         test('should return 400 when amount is missing', async () => {
@@ -275,78 +454,1198 @@ describe('3tier-back API Tests', () => {
             });
 
             expect(response.status).toBe(400);
+            expect(response.headers['content-type']).toMatch(/^application\/problem\+json/);
             expect(response.body).toEqual({
-                message: 'Missing required fields: amount and desc'
+                type: '/problems/validation-error',
+                title: 'Bad Request',
+                status: 400,
+                detail: 'Request validation failed',
+                instance: '/transaction',
+                correlationId: response.headers['x-request-id'],
+                errors: [{ location: 'body', field: 'amount', code: 'required', message: 'is required' }]
             });
+            expect(transactionService.addTransaction).not.toHaveBeenCalled();
         });
 
-        test('should return 500 when service throws error', async () => {
-            transactionService.addTransaction.mockRejectedValue(new Error('Database error'));
+        test('should accept an amount of 0 and coerce numeric strings', async () => {
+            transactionService.addTransaction.mockResolvedValue(createdRow);
+
+            const response = await makeRequest('POST', '/transaction', { amount: '0', desc: '  Zero  ' });
+
+            expect(response.status).toBe(201);
+            expect(transactionService.addTransaction).toHaveBeenCalledWith(0, 'Zero', adminContext);
+        });
 
+        test('should return 400 for non-numeric amount and unknown fields', async () => {
             const response = await makeRequest('POST', '/transaction', {
-                amount: 100,
-                desc: 'Test transaction'
+                amount: 'abc',
+                desc: 'Test',
+                extra: true
             });
 
-            expect(response.status).toBe(500);
-            expect(response.body.message).toBe('something went wrong');
+            expect(response.status).toBe(400);
+            expect(response.body.errors).toEqual([
+                { location: 'body', field: 'extra', code: 'unknown', message: 'is not allowed' },
+                { location: 'body', field: 'amount', code: 'type', message: 'must be a number' }
+            ]);
         });
-    });
 
-    describe('GET /transaction', () => {
-        test('should return all transactions', async () => {
-            const mockTransactions = [
-                { id: 1, amount: 100, description: 'Transaction 1', created_at: '2024-01-01' },
-                { id: 2, amount: 200, description: 'Transaction 2', created_at: '2024-01-02' }
-            ];
-            transactionService.getAllTransactions.mockResolvedValue(mockTransactions);
+        test('should return 422 listing each out-of-range field', async () => {
+            const response = await makeRequest('POST', '/transaction', {
+                amount: 123456789.5,
+                desc: 'x'.repeat(256)
+            });
 
-            const response = await makeRequest('GET', '/transaction');
+            expect(response.status).toBe(422);
+            expect(response.body).toMatchObject({
+                title: 'Unprocessable Entity',
+                status: 422,
+                errors: [
+                    {
+                        location: 'body',
+                        field: 'amount',
+                        code: 'range',
+                        message: 'must be between -99999999.99 and 99999999.99'
+                    },
+                    {
+                        location: 'body',
+                        field: 'desc',
+                        code: 'length',
+                        message: 'must be at most 255 characters'
+                    }
+                ]
+            });
+        });
 
-            expect(response.status).toBe(200);
-            expect(response.body.result).toEqual(mockTransactions);
+        test('should return 422 for too many decimal places', async () => {
+            const response = await makeRequest('POST', '/transaction', { amount: 1.005, desc: 'Test' });
+
+            expect(response.status).toBe(422);
+            expect(response.body.errors[0]).toMatchObject({ field: 'amount', code: 'precision' });
         });
 
-        test('should return 500 when service throws error', async () => {
-            transactionService.getAllTransactions.mockRejectedValue(new Error('Database error'));
+        describe('Idempotency-Key', () => {
+            const fingerprint = requestFingerprint('POST', '/transaction', { amount: 100, desc: 'Coffee' });
 
-            const response = await makeRequest('GET', '/transaction');
+            // INSERT 는 중복 키로 실패하고 SELECT 는 저장된 행을 반환
+            const storedKey = (row) => {
+                mockDbManager.query.mockImplementation(async (sql) => {
+                    if (sql.startsWith('INSERT')) {
+                        throw new ConflictError('Resource already exists', {
+                            cause: Object.assign(new Error('Duplicate entry'), { code: 'ER_DUP_ENTRY' })
+                        });
+                    }
+                    return sql.startsWith('SELECT') ? [[row]] : [{ affectedRows: 0 }];
+                });
+            };
 
-            expect(response.status).toBe(500);
-        });
-    });
+            test('should add once and store the response in the same DB transaction', async () => {
+                const tx = { query: jest.fn().mockResolvedValue([{ affectedRows: 1 }]) };
+                mockDbManager.query.mockResolvedValue([{ affectedRows: 1 }]);
+                transactionService.addTransaction.mockImplementation(async (amount, desc, context) => {
+                    await context.beforeCommit(tx, createdRow);
+                    return createdRow;
+                });
 
-    describe('DELETE /transaction', () => {
-        test('should delete all transactions successfully', async () => {
-            transactionService.deleteAllTransactions.mockResolvedValue({ affectedRows: 5 });
+                const response = await makeRequest('POST', '/transaction', { amount: 100, desc: 'Coffee' }, { 'Idempotency-Key': 'key-1' });
 
-            const response = await makeRequest('DELETE', '/transaction');
+                expect(response.status).toBe(201);
+                expect(transactionService.addTransaction).toHaveBeenCalledTimes(1);
+                expect(tx.query).toHaveBeenCalledWith(
+                    expect.stringContaining("SET `status` = 'completed'"),
+                    [201, JSON.stringify({ Location: '/transactions/7', ETag: '"1"' }), JSON.stringify(response.body), 'tenant-a', 'key-1']
+                );
+                expect(mockDbManager.query).not.toHaveBeenCalledWith(expect.stringContaining("SET `status` = 'completed'"), expect.anything());
+            });
 
-            expect(response.status).toBe(200);
-            expect(response.body.affectedRows).toBe(5);
+            test('should release the key when storing the response rolls back the insert', async () => {
+                mockDbManager.query.mockResolvedValue([{ affectedRows: 1 }]);
+                transactionService.addTransaction.mockImplementation(async (amount, desc, context) => {
+                    await context.beforeCommit({ query: jest.fn().mockRejectedValue(new Error('lock wait timeout')) }, createdRow);
+                    return createdRow;
+                });
+
+                const response = await makeRequest('POST', '/transaction', { amount: 100, desc: 'Coffee' }, { 'Idempotency-Key': 'key-1' });
+
+                expect(response.status).toBe(500);
+                expect(mockDbManager.query).toHaveBeenLastCalledWith(
+                    expect.stringContaining('DELETE FROM `idempotency_keys`'),
+                    ['tenant-a', 'key-1']
+                );
+            });
+
+            test('should not pass a commit hook without the header', async () => {
+                transactionService.addTransaction.mockResolvedValue(createdRow);
+
+                await makeRequest('POST', '/transaction', { amount: 100, desc: 'Coffee' });
+
+                expect(transactionService.addTransaction.mock.calls[0][2].beforeCommit).toBeUndefined();
+            });
+
+            test('should replay the stored response without adding again', async () => {
+                storedKey({
+                    fingerprint,
+                    status: 'completed',
+                    response_status: 201,
+                    response_headers: { Location: '/transactions/7', ETag: '"1"' },
+                    response_body: { id: 7, amount: '100.00' }
+                });
+
+                const response = await makeRequest('POST', '/transaction', { amount: 100, desc: 'Coffee' }, { 'Idempotency-Key': 'key-1' });
+
+                expect(response.status).toBe(201);
+                expect(response.headers['idempotent-replayed']).toBe('true');
+                expect(response.headers.location).toBe('/transactions/7');
+                expect(response.body).toEqual({ id: 7, amount: '100.00' });
+                expect(transactionService.addTransaction).not.toHaveBeenCalled();
+            });
+
+            test('should return 409 when the key was used for a different body', async () => {
+                storedKey({ fingerprint, status: 'completed' });
+
+                const response = await makeRequest('POST', '/transaction', { amount: 200, desc: 'Coffee' }, { 'Idempotency-Key': 'key-1' });
+
+                expect(response.status).toBe(409);
+                expect(response.body.type).toBe('/problems/idempotency-key-reused');
+                expect(transactionService.addTransaction).not.toHaveBeenCalled();
+            });
+
+            test('should return 409 with Retry-After while the first request is in progress', async () => {
+                storedKey({ fingerprint, status: 'processing' });
+
+                const response = await makeRequest('POST', '/transaction', { amount: 100, desc: 'Coffee' }, { 'Idempotency-Key': 'key-1' });
+
+                expect(response.status).toBe(409);
+                expect(response.body.type).toBe('/problems/idempotency-key-in-progress');
+                expect(response.headers['retry-after']).toBe('1');
+            });
         });
-    });
 
-    // Note: DELETE /transaction/id uses body parameter which may have parsing issues in test environment
-    describe.skip('DELETE /transaction/id', () => {
-        test('should delete transaction by id successfully', async () => {
-            // Skipped: DELETE requests with body may not parse correctly in all HTTP clients
+        test('should return 400 for malformed JSON body', async () => {
+            const response = await new Promise((resolve, reject) => {
+                const req = http.request({
+                    hostname: 'localhost',
+                    port: server.address().port,
+                    path: '/transaction',
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' }
+                }, (res) => {
+                    let data = '';
+                    res.on('data', chunk => { data += chunk; });
+                    res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+                });
+                req.on('error', reject);
+                req.end('{"amount": ');
+            });
+
+            expect(response.status).toBe(400);
+            expect(response.body.errors).toEqual([
+                { location: 'body', field: null, code: 'type', message: 'must be valid JSON' }
+            ]);
         });
 
-        test('should return 400 when id is missing', async () => {
-            // Skipped: DELETE requests with body may not parse correctly in all HTTP clients
+        test('should return 500 without leaking internal error message', async () => {
+            transactionService.addTransaction.mockRejectedValue(new Error("Table 'db.transactions' doesn't exist"));
+
+            const response = await makeRequest('POST', '/transaction', {
+                amount: 100,
+                desc: 'Test transaction'
+            }, { 'X-Request-Id': 'req-123' });
+
+            expect(response.status).toBe(500);
+            expect(response.headers['x-request-id']).toBe('req-123');
+            expect(response.body).toEqual({
+                type: 'about:blank',
+                title: 'Internal Server Error',
+                status: 500,
+                detail: 'An unexpected error occurred',
+                instance: '/transaction',
+                correlationId: 'req-123'
+            });
+            expect(JSON.stringify(response.body)).not.toContain('transactions');
         });
-    });
 
-    // Note: GET /transaction/id uses body parameter which is not standard REST practice
-    // These tests are skipped due to HTTP limitations with GET+body
-    describe.skip('GET /transaction/id', () => {
-        test('should return transaction by id', async () => {
-            // Skipped: GET requests with body are not standard HTTP
+        test('should return 503 when database is unavailable', async () => {
+            transactionService.addTransaction.mockRejectedValue(new DatabaseUnavailableError());
+
+            const response = await makeRequest('POST', '/transaction', {
+                amount: 100,
+                desc: 'Test transaction'
+            });
+
+            expect(response.status).toBe(503);
+            expect(response.body).toMatchObject({
+                type: '/problems/database-unavailable',
+                detail: 'Database is temporarily unavailable'
+            });
         });
 
-        test('should return 404 when transaction not found', async () => {
-            // Skipped: GET requests with body are not standard HTTP
+        test('should return 503 with Retry-After while the database circuit is open', async () => {
+            transactionService.addTransaction.mockRejectedValue(new CircuitOpenError(undefined, { retryAfter: 7 }));
+
+            const response = await makeRequest('POST', '/transaction', {
+                amount: 100,
+                desc: 'Test transaction'
+            });
+
+            expect(response.status).toBe(503);
+            expect(response.headers['retry-after']).toBe('7');
+            expect(response.body.type).toBe('/problems/database-circuit-open');
+        });
+    });
+
+    describe('Batch operations', () => {
+        const originalMaxItems = process.env.TRANSACTION_BATCH_MAX_ITEMS;
+
+        afterEach(() => {
+            if (originalMaxItems === undefined) {
+                delete process.env.TRANSACTION_BATCH_MAX_ITEMS;
+            } else {
+                process.env.TRANSACTION_BATCH_MAX_ITEMS = originalMaxItems;
+            }
+            resetConfig();
+        });
+
+        describe('POST /transactions/batch', () => {
+            test('should return 201 with the created transactions', async () => {
+                transactionService.createTransactions.mockResolvedValue([createdRow, { ...createdRow, id: 8 }]);
+
+                const response = await makeRequest('POST', '/transactions/batch', {
+                    transactions: [{ amount: 100, description: 'Test transaction' }, { amount: '100.00', description: ' Test transaction ' }]
+                });
+
+                expect(response.status).toBe(201);
+                expect(response.body.transactions.map(transaction => transaction.id)).toEqual([7, 8]);
+                expect(response.body.transactions[0]).not.toHaveProperty('tenant_id');
+                expect(transactionService.createTransactions).toHaveBeenCalledWith([
+                    { amount: 100, description: 'Test transaction' },
+                    { amount: 100, description: 'Test transaction' }
+                ], { maxItems: 500 }, adminContext);
+            });
+
+            test('should report invalid items by index', async () => {
+                const response = await makeRequest('POST', '/transactions/batch', {
+                    transactions: [{ amount: 1, description: 'ok' }, { amount: 1.005, description: '' }]
+                });
+
+                expect(response.status).toBe(422);
+                expect(response.body.errors).toEqual([
+                    { location: 'body', field: 'transactions[1].amount', code: 'precision', message: 'must have at most 2 decimal places' },
+                    { location: 'body', field: 'transactions[1].description', code: 'length', message: 'must not be empty' }
+                ]);
+                expect(transactionService.createTransactions).not.toHaveBeenCalled();
+            });
+
+            test('should return 413 when the batch is larger than allowed', async () => {
+                process.env.TRANSACTION_BATCH_MAX_ITEMS = '1';
+                resetConfig();
+                transactionService.createTransactions.mockRejectedValue(
+                    new PayloadTooLargeError('Batch must not contain more than 1 transactions')
+                );
+
+                const response = await makeRequest('POST', '/transactions/batch', {
+                    transactions: [{ amount: 1, description: 'a' }, { amount: 2, description: 'b' }]
+                });
+
+                expect(response.status).toBe(413);
+                expect(response.body.type).toBe('/problems/payload-too-large');
+                expect(transactionService.createTransactions.mock.calls[0][1]).toEqual({ maxItems: 1 });
+            });
+
+            test('should store the response for an Idempotency-Key with the inserted rows', async () => {
+                const tx = { query: jest.fn().mockResolvedValue([{ affectedRows: 1 }]) };
+                mockDbManager.query.mockResolvedValue([{ affectedRows: 1 }]);
+                transactionService.createTransactions.mockImplementation(async (rows, options, context) => {
+                    await context.beforeCommit(tx, [createdRow]);
+                    return [createdRow];
+                });
+
+                const response = await makeRequest('POST', '/transactions/batch', {
+                    transactions: [{ amount: 100, description: 'Test transaction' }]
+                }, { 'Idempotency-Key': 'batch-1' });
+
+                expect(response.status).toBe(201);
+                expect(tx.query).toHaveBeenCalledWith(
+                    expect.stringContaining("SET `status` = 'completed'"),
+                    [201, '{}', JSON.stringify(response.body), 'tenant-a', 'batch-1']
+                );
+            });
+
+            test('should require the writer role', async () => {
+                const token = signToken({ sub: 'viewer', roles: ['reader'] });
+
+                const response = await makeRequest('POST', '/transactions/batch', {
+                    transactions: [{ amount: 1, description: 'a' }]
+                }, { Authorization: `Bearer ${token}` });
+
+                expect(response.status).toBe(403);
+            });
+        });
+
+        describe('POST /transactions/batch-delete', () => {
+            test('should delete by ids and return per-item results', async () => {
+                const result = {
+                    deleted: 1,
+                    notFound: 1,
+                    results: [{ id: 1, status: 'deleted' }, { id: 2, status: 'not_found' }]
+                };
+                transactionService.deleteTransactions.mockResolvedValue(result);
+
+                const response = await makeRequest('POST', '/transactions/batch-delete', { ids: [1, '2'] });
+
+                expect(response.status).toBe(200);
+                expect(response.body).toEqual(result);
+                expect(transactionService.deleteTransactions).toHaveBeenCalledWith({ ids: [1, 2] }, { maxItems: 500 }, adminContext);
+            });
+
+            test('should delete by filter', async () => {
+                transactionService.deleteTransactions.mockResolvedValue({ deleted: 0, notFound: 0, results: [] });
+
+                const response = await makeRequest('POST', '/transactions/batch-delete', {
+                    filter: { to: '2024-01-01T00:00:00Z', q: 'test' }
+                });
+
+                expect(response.status).toBe(200);
+                expect(transactionService.deleteTransactions).toHaveBeenCalledWith(
+                    { filter: { to: new Date('2024-01-01T00:00:00Z'), q: 'test' } },
+                    { maxItems: 500 },
+                    adminContext
+                );
+            });
+
+            test.each([
+                [{}, 400, null, 'exactly one of ids or filter is required'],
+                [{ ids: [1], filter: { q: 'x' } }, 400, null, 'exactly one of ids or filter is required'],
+                [{ filter: {} }, 400, 'filter', 'must contain at least one condition'],
+                [{ ids: [1, 1] }, 422, 'ids[1]', 'must not be repeated']
+            ])('should reject %j', async (body, status, field, message) => {
+                const response = await makeRequest('POST', '/transactions/batch-delete', body);
+
+                expect(response.status).toBe(status);
+                expect(response.body.errors).toEqual([expect.objectContaining({ field, message })]);
+                expect(transactionService.deleteTransactions).not.toHaveBeenCalled();
+            });
+
+            test('should return 413 when the filter matches too many transactions', async () => {
+                transactionService.deleteTransactions.mockRejectedValue(
+                    new PayloadTooLargeError('Filter matches more than 500 transactions')
+                );
+
+                const response = await makeRequest('POST', '/transactions/batch-delete', { filter: { minAmount: 0 } });
+
+                expect(response.status).toBe(413);
+                expect(response.body.detail).toBe('Filter matches more than 500 transactions');
+            });
+        });
+    });
+
+    describe('POST /transactions/import', () => {
+        beforeEach(() => {
+            transactionService.insertTransactions.mockImplementation(async rows => rows.map((row, index) => index + 1));
+        });
+
+        test('should import a CSV upload', async () => {
+            const response = await makeRequest('POST', '/transactions/import', 'amount,description\n10,Coffee\n20,Lunch\n', {
+                'Content-Type': 'text/csv'
+            });
+
+            expect(response.status).toBe(200);
+            expect(response.body).toMatchObject({ format: 'csv', total: 2, inserted: 2, errors: [] });
+            expect(transactionService.insertTransactions).toHaveBeenCalledWith(
+                [{ amount: 10, description: 'Coffee' }, { amount: 20, description: 'Lunch' }],
+                { batchSize: 500 },
+                adminContext
+            );
+        });
+
+        test('should stream a JSON array without the JSON body parser', async () => {
+            const response = await makeRequest('POST', '/transactions/import?dryRun=true', [
+                { amount: 1, description: 'a' },
+                { amount: 'x', description: 'b' }
+            ]);
+
+            expect(response.status).toBe(200);
+            expect(response.body).toMatchObject({ format: 'json', dryRun: true, total: 2, valid: 1, failed: 1, inserted: 0 });
+            expect(response.body.errors).toEqual([
+                { location: 'body', row: 2, field: 'amount', code: 'type', message: 'must be a number' }
+            ]);
+            expect(transactionService.insertTransactions).not.toHaveBeenCalled();
+        });
+
+        test('should reject the whole upload with a per-row report in all-or-nothing mode', async () => {
+            const response = await makeRequest('POST', '/transactions/import', '{"amount": 1}\n', {
+                'Content-Type': 'application/x-ndjson'
+            });
+
+            expect(response.status).toBe(422);
+            expect(response.headers['content-type']).toMatch(/application\/problem\+json/);
+            expect(response.body.errors).toEqual([
+                { location: 'body', row: 1, field: 'description', code: 'required', message: 'is required' }
+            ]);
+            expect(transactionService.insertTransactions).not.toHaveBeenCalled();
+        });
+
+        test('should reject an unsupported content type', async () => {
+            const response = await makeRequest('POST', '/transactions/import', 'amount=1', {
+                'Content-Type': 'text/plain'
+            });
+
+            expect(response.status).toBe(415);
+            expect(response.body.type).toBe('/problems/unsupported-media-type');
+        });
+
+        test('should reject an unknown mode', async () => {
+            const response = await makeRequest('POST', '/transactions/import?mode=sometimes', '[]');
+
+            expect(response.status).toBe(400);
+        });
+
+        test('should require the writer role', async () => {
+            const token = signToken({ roles: ['reader'] });
+
+            const response = await makeRequest('POST', '/transactions/import', 'amount,description\n1,a\n', {
+                'Content-Type': 'text/csv',
+                Authorization: `Bearer ${token}`
+            });
+
+            expect(response.status).toBe(403);
+            expect(transactionService.insertTransactions).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('GET /transactions/export', () => {
+        const rows = [
+            { id: 1, amount: '10.50', description: 'Coffee, "large"', created_at: new Date('2024-01-01T00:00:00Z'), updated_at: null, version: 1, tenant_id: 'tenant-a' },
+            { id: 2, amount: '-3.00', description: 'Refund', created_at: new Date('2024-01-02T00:00:00Z'), updated_at: null, version: 2, tenant_id: 'tenant-a' }
+        ];
+
+        beforeEach(() => {
+            transactionService.streamTransactions.mockImplementation(async () => Readable.from(rows));
+        });
+
+        test('should stream a JSON array by default', async () => {
+            const response = await makeRequest('GET', '/transactions/export');
+
+            expect(response.status).toBe(200);
+            expect(response.headers['content-type']).toBe('application/json; charset=utf-8');
+            expect(response.headers['content-disposition']).toMatch(/^attachment; filename="transactions-\d{4}-\d{2}-\d{2}\.json"$/);
+            expect(response.headers['cache-control']).toBe('no-store');
+            expect(response.body).toEqual([
+                { id: 1, amount: '10.50', description: 'Coffee, "large"', created_at: '2024-01-01T00:00:00.000Z', updated_at: null, version: 1 },
+                { id: 2, amount: '-3.00', description: 'Refund', created_at: '2024-01-02T00:00:00.000Z', updated_at: null, version: 2 }
+            ]);
+        });
+
+        test('should stream CSV with the listing filters', async () => {
+            const response = await makeRequest('GET', '/transactions/export?format=csv&sort=id&order=asc&minAmount=-5&q=co');
+
+            expect(response.status).toBe(200);
+            expect(response.headers['content-type']).toBe('text/csv; charset=utf-8');
+            expect(response.headers['content-disposition']).toMatch(/filename="transactions-.*\.csv"$/);
+            expect(response.body).toBe(
+                'id,amount,description,created_at,updated_at,version\r\n'
+                + '1,10.50,"Coffee, ""large""",2024-01-01T00:00:00.000Z,,1\r\n'
+                + '2,-3.00,Refund,2024-01-02T00:00:00.000Z,,2\r\n'
+            );
+            expect(transactionService.streamTransactions).toHaveBeenCalledWith(
+                { sort: 'id', order: 'asc', minAmount: -5, q: 'co' },
+                adminContext
+            );
+        });
+
+        test('should stream NDJSON', async () => {
+            const response = await makeRequest('GET', '/transactions/export?format=ndjson');
+
+            expect(response.headers['content-type']).toBe('application/x-ndjson; charset=utf-8');
+            expect(response.body.trimEnd().split('\n').map(line => JSON.parse(line).id)).toEqual([1, 2]);
+        });
+
+        test('should reject invalid filters and pagination parameters', async () => {
+            const ranged = await makeRequest('GET', '/transactions/export?minAmount=10&maxAmount=1');
+            const paged = await makeRequest('GET', '/transactions/export?limit=10');
+            const format = await makeRequest('GET', '/transactions/export?format=xml');
+
+            expect([ranged.status, paged.status, format.status]).toEqual([400, 400, 400]);
+            expect(transactionService.streamTransactions).not.toHaveBeenCalled();
+        });
+
+        test('should return a problem response when the database is unavailable', async () => {
+            transactionService.streamTransactions.mockRejectedValue(new DatabaseUnavailableError());
+
+            const response = await makeRequest('GET', '/transactions/export?format=csv');
+
+            expect(response.status).toBe(503);
+            expect(response.headers['content-type']).toMatch(/application\/problem\+json/);
+        });
+
+        test('should abort the response when the stream fails midway', async () => {
+            transactionService.streamTransactions.mockImplementation(async () => Readable.from((async function* () {
+                yield rows[0];
+                throw new Error('Connection lost');
+            })()));
+
+            // 헤더를 보낸 뒤에는 상태 코드를 바꿀 수 없으므로 연결을 끊어 잘린 응답임을 알림
+            const complete = await new Promise((resolve, reject) => {
+                const req = http.get({
+                    port: server.address().port,
+                    path: '/transactions/export?format=ndjson',
+                    headers: { Authorization: `Bearer ${signToken()}` }
+                }, (res) => {
+                    res.on('error', () => {});
+                    res.on('close', () => resolve(res.complete));
+                    res.resume();
+                });
+                req.on('error', reject);
+            });
+
+            expect(complete).toBe(false);
+        });
+
+        test('should require the reader role', async () => {
+            const response = await makeRequest('GET', '/transactions/export', null, {
+                Authorization: `Bearer ${signToken({ roles: [] })}`
+            });
+
+            expect(response.status).toBe(403);
+        });
+    });
+
+    describe('GET /transactions/summary', () => {
+        test('should return the aggregate for the range', async () => {
+            const summary = { from: null, to: null, count: 2, sum: '30.00', avg: '15.00', min: '10.00', max: '20.00' };
+            transactionService.getTransactionSummary.mockResolvedValue(summary);
+
+            const response = await makeRequest('GET', '/transactions/summary?from=2024-01-01&to=2024-02-01');
+
+            expect(response.status).toBe(200);
+            expect(response.body).toEqual(summary);
+            expect(transactionService.getTransactionSummary).toHaveBeenCalledWith(
+                { from: '2024-01-01T00:00:00', to: '2024-02-01T00:00:00' },
+                adminContext
+            );
+        });
+
+        test('should pass local bounds as text and offset bounds as dates with the time zone', async () => {
+            transactionService.getTransactionSummary.mockResolvedValue({});
+
+            const response = await makeRequest('GET', '/transactions/summary?timeZone=Asia/Seoul&from=2024-01-01T09:30&to=2024-02-01T00:00:00%2B09:00');
+
+            expect(response.status).toBe(200);
+            expect(transactionService.getTransactionSummary).toHaveBeenCalledWith(
+                { timeZone: 'Asia/Seoul', from: '2024-01-01T09:30:00', to: new Date('2024-01-31T15:00:00Z') },
+                adminContext
+            );
+        });
+
+        test('should reject a range that does not move forward', async () => {
+            const response = await makeRequest('GET', '/transactions/summary?from=2024-02-01&to=2024-02-01');
+
+            expect(response.status).toBe(400);
+            expect(response.body.errors[0]).toMatchObject({ field: 'from', code: 'range' });
+            expect(transactionService.getTransactionSummary).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('GET /transactions/timeseries', () => {
+        test('should pass interval, time zone and range to the service', async () => {
+            const timeseries = { interval: 'month', timeZone: 'Asia/Seoul', from: null, to: null, series: [] };
+            transactionService.getTransactionTimeseries.mockResolvedValue(timeseries);
+
+            const response = await makeRequest('GET', '/transactions/timeseries?interval=month&timeZone=Asia/Seoul');
+
+            expect(response.status).toBe(200);
+            expect(response.body).toEqual(timeseries);
+            expect(transactionService.getTransactionTimeseries).toHaveBeenCalledWith(
+                { interval: 'month', timeZone: 'Asia/Seoul' },
+                adminContext
+            );
+        });
+
+        test('should default to daily periods', async () => {
+            transactionService.getTransactionTimeseries.mockResolvedValue({ series: [] });
+
+            await makeRequest('GET', '/transactions/timeseries');
+
+            expect(transactionService.getTransactionTimeseries).toHaveBeenCalledWith({ interval: 'day' }, adminContext);
+        });
+
+        test('should reject an unknown time zone or interval', async () => {
+            transactionService.normalizeTimeZone.mockReturnValue(null);
+
+            const zone = await makeRequest('GET', '/transactions/timeseries?timeZone=Mars%2FOlympus');
+            const interval = await makeRequest('GET', '/transactions/timeseries?interval=hour');
+
+            expect(zone.status).toBe(400);
+            expect(zone.body.errors[0]).toMatchObject({ field: 'timeZone', code: 'invalid' });
+            expect(interval.status).toBe(400);
+            expect(transactionService.getTransactionTimeseries).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('GET /transaction', () => {
+        test('should return first page of transactions', async () => {
+            const mockTransactions = [
+                { id: 2, amount: 200, description: 'Transaction 2', created_at: '2024-01-02' },
+                { id: 1, amount: 100, description: 'Transaction 1', created_at: '2024-01-01' }
+            ];
+            transactionService.listTransactions.mockResolvedValue({
+                items: mockTransactions,
+                nextCursor: null
+            });
+
+            const response = await makeRequest('GET', '/transaction');
+
+            expect(response.status).toBe(200);
+            expect(response.body.result).toEqual(mockTransactions);
+            expect(response.body.nextCursor).toBeNull();
+            expect(transactionService.listTransactions).toHaveBeenCalledWith({}, adminContext);
+        });
+
+        test('should pass pagination, sort and filter options to service', async () => {
+            transactionService.listTransactions.mockResolvedValue({ items: [], nextCursor: 'next' });
+
+            const response = await makeRequest('GET',
+                '/transaction?limit=10&sort=id&order=ASC&minAmount=5&maxAmount=50.5'
+                + '&from=2024-01-01&to=2024-02-01&q=coffee');
+
+            expect(response.status).toBe(200);
+            expect(response.body.nextCursor).toBe('next');
+            expect(transactionService.listTransactions).toHaveBeenCalledWith({
+                limit: 10,
+                sort: 'id',
+                order: 'asc',
+                minAmount: 5,
+                maxAmount: 50.5,
+                from: new Date('2024-01-01'),
+                to: new Date('2024-02-01'),
+                q: 'coffee'
+            }, adminContext);
+        });
+
+        test('should forward a cursor matching the sort order', async () => {
+            transactionService.decodeCursor.mockReturnValue({ sort: 'id', order: 'desc', id: 7 });
+            transactionService.listTransactions.mockResolvedValue({ items: [], nextCursor: null });
+
+            const response = await makeRequest('GET', '/transaction?sort=id&cursor=abc');
+
+            expect(response.status).toBe(200);
+            expect(transactionService.listTransactions).toHaveBeenCalledWith({
+                sort: 'id',
+                cursor: 'abc'
+            }, adminContext);
+        });
+
+        test.each([
+            ['limit=0', 'limit', 'must be greater than or equal to 1'],
+            ['limit=501', 'limit', 'must be less than or equal to 500'],
+            ['limit=1.5', 'limit', 'must be an integer'],
+            ['sort=amount', 'sort', 'must be one of: created_at, id'],
+            ['order=up', 'order', 'must be one of: asc, desc'],
+            ['minAmount=abc', 'minAmount', 'must be a number'],
+            ['from=not-a-date', 'from', 'must be a valid date'],
+            ['minAmount=10&maxAmount=5', 'minAmount', 'must not be greater than maxAmount'],
+            ['from=2024-02-01&to=2024-01-01', 'from', 'must not be later than to'],
+            ['page=2', 'page', 'is not allowed']
+        ])('should return 400 for invalid query %s', async (query, field, message) => {
+            const response = await makeRequest('GET', `/transaction?${query}`);
+
+            expect(response.status).toBe(400);
+            expect(response.body.detail).toBe('Request validation failed');
+            expect(response.body.errors).toEqual([
+                expect.objectContaining({ location: 'query', field, message })
+            ]);
+            expect(transactionService.listTransactions).not.toHaveBeenCalled();
+        });
+
+        test('should return 400 when cursor is malformed', async () => {
+            transactionService.decodeCursor.mockImplementation(() => {
+                throw new Error('Invalid cursor');
+            });
+
+            const response = await makeRequest('GET', '/transaction?cursor=garbage');
+
+            expect(response.status).toBe(400);
+            expect(response.body.errors).toEqual([
+                { location: 'query', field: 'cursor', code: 'invalid', message: 'is invalid' }
+            ]);
+        });
+
+        test('should return 400 when cursor was issued for another sort order', async () => {
+            transactionService.decodeCursor.mockReturnValue({ sort: 'created_at', order: 'asc', id: 1 });
+
+            const response = await makeRequest('GET', '/transaction?cursor=abc');
+
+            expect(response.status).toBe(400);
+            expect(response.body.errors).toEqual([{
+                location: 'query',
+                field: 'cursor',
+                code: 'invalid',
+                message: 'does not match the requested sort and order'
+            }]);
+        });
+
+        test('should return 500 when service throws error', async () => {
+            transactionService.listTransactions.mockRejectedValue(new Error('Database error'));
+
+            const response = await makeRequest('GET', '/transaction');
+
+            expect(response.status).toBe(500);
+            expect(response.body.detail).toBe('An unexpected error occurred');
+        });
+    });
+
+    describe('DELETE /transaction', () => {
+        test('should delete all transactions successfully', async () => {
+            transactionService.deleteAllTransactions.mockResolvedValue({ affectedRows: 5 });
+
+            const response = await makeRequest('DELETE', '/transaction');
+
+            expect(response.status).toBe(200);
+            expect(response.body.affectedRows).toBe(5);
+        });
+    });
+
+    describe('DELETE /transaction/id (deprecated)', () => {
+        test('should validate id and keep deprecation header on failure', async () => {
+            const response = await makeRequest('DELETE', '/transaction/id', {});
+
+            expect(response.status).toBe(400);
+            expect(response.headers.deprecation).toBe('true');
+            expect(response.body.errors).toEqual([
+                { location: 'body', field: 'id', code: 'required', message: 'is required' }
+            ]);
+            expect(transactionService.deleteTransactionById).not.toHaveBeenCalled();
+        });
+
+        test('should delete transaction and set deprecation headers', async () => {
+            transactionService.deleteTransactionById.mockResolvedValue({ affectedRows: 1 });
+
+            const response = await makeRequest('DELETE', '/transaction/id', { id: 3 });
+
+            expect(response.status).toBe(200);
+            expect(response.headers.deprecation).toBe('true');
+            expect(response.headers.link).toBe('</transactions/3>; rel="successor-version"');
+            expect(transactionService.deleteTransactionById).toHaveBeenCalledWith(3, adminContext);
+        });
+    });
+
+    describe('GET /transactions/:id', () => {
+        test('should return transaction by id with ETag', async () => {
+            const row = {
+                id: 5, amount: 100, description: 'Test', created_at: '2024-01-01',
+                updated_at: '2024-01-02', version: 3
+            };
+            transactionService.getTransactionById.mockResolvedValue(row);
+
+            const response = await makeRequest('GET', '/transactions/5');
+
+            expect(response.status).toBe(200);
+            expect(response.body).toEqual(row);
+            expect(response.headers.etag).toBe('"3"');
+            expect(response.headers.deprecation).toBeUndefined();
+            expect(transactionService.getTransactionById).toHaveBeenCalledWith(5, adminContext);
+        });
+
+        test('should request strong consistency with X-Read-Consistency', async () => {
+            transactionService.getTransactionById.mockResolvedValue({ id: 5, version: 1 });
+
+            await makeRequest('GET', '/transactions/5', null, { 'X-Read-Consistency': 'Strong' });
+            await makeRequest('GET', '/transactions/5', null, { 'X-Read-Consistency': 'eventual' });
+
+            expect(transactionService.getTransactionById).toHaveBeenNthCalledWith(
+                1, 5, { ...adminContext, consistency: 'strong' }
+            );
+            expect(transactionService.getTransactionById).toHaveBeenNthCalledWith(2, 5, adminContext);
+        });
+
+        test('should return 404 when transaction not found', async () => {
+            transactionService.getTransactionById.mockRejectedValue(
+                new NotFoundError('transaction with id 999 not found')
+            );
+
+            const response = await makeRequest('GET', '/transactions/999');
+
+            expect(response.status).toBe(404);
+            expect(response.body).toMatchObject({
+                type: '/problems/not-found',
+                title: 'Not Found',
+                status: 404,
+                detail: 'transaction with id 999 not found',
+                instance: '/transactions/999'
+            });
+        });
+
+        test.each(['abc', '0', '-1', '1.5', '99999999999999999999', '0x10', '1e3', '1.0', '+5'])(
+            'should return 400 for invalid id %s', async (id) => {
+                const response = await makeRequest('GET', `/transactions/${id}`);
+
+                expect(response.status).toBe(400);
+                expect(response.body.errors).toEqual([
+                    expect.objectContaining({ location: 'params', field: 'id' })
+                ]);
+                expect(transactionService.getTransactionById).not.toHaveBeenCalled();
+            }
+        );
+    });
+
+    describe('PUT /transactions/:id', () => {
+        test('should replace transaction', async () => {
+            const row = { id: 5, amount: 50, description: 'Fixed typo', created_at: '2024-01-01', version: 2 };
+            transactionService.updateTransaction.mockResolvedValue(row);
+
+            const response = await makeRequest('PUT', '/transactions/5', {
+                amount: 50,
+                description: 'Fixed typo'
+            });
+
+            expect(response.status).toBe(200);
+            expect(response.body).toEqual(row);
+            expect(response.headers.etag).toBe('"2"');
+            expect(transactionService.updateTransaction).toHaveBeenCalledWith(5, {
+                amount: 50,
+                description: 'Fixed typo'
+            }, { replace: true, expectedVersion: undefined }, adminContext);
+        });
+
+        test('should pass If-Match version to service', async () => {
+            transactionService.updateTransaction.mockResolvedValue({ id: 5, version: 4 });
+
+            const response = await makeRequest('PUT', '/transactions/5', {
+                amount: 50,
+                description: 'Fixed typo'
+            }, { 'If-Match': '"3"' });
+
+            expect(response.status).toBe(200);
+            expect(transactionService.updateTransaction).toHaveBeenCalledWith(5, expect.any(Object), {
+                replace: true,
+                expectedVersion: [3]
+            }, adminContext);
+        });
+
+        test('should pass every strong version of an If-Match list to service', async () => {
+            transactionService.updateTransaction.mockResolvedValue({ id: 5, version: 5 });
+
+            const response = await makeRequest('PUT', '/transactions/5', {
+                amount: 50,
+                description: 'Fixed typo'
+            }, { 'If-Match': '"3", W/"5" ,"4"' });
+
+            expect(response.status).toBe(200);
+            expect(transactionService.updateTransaction.mock.calls[0][2]).toEqual({ replace: true, expectedVersion: [3, 4] });
+        });
+
+        test('should accept If-Match wildcard without version check', async () => {
+            transactionService.updateTransaction.mockResolvedValue({ id: 5, version: 4 });
+
+            await makeRequest('PUT', '/transactions/5', {
+                amount: 50,
+                description: 'Fixed typo'
+            }, { 'If-Match': '*' });
+
+            expect(transactionService.updateTransaction).toHaveBeenCalledWith(5, expect.any(Object), {
+                replace: true,
+                expectedVersion: '*'
+            }, adminContext);
+        });
+
+        test('should pass no version without If-Match', async () => {
+            transactionService.updateTransaction.mockResolvedValue({ id: 5, version: 4 });
+
+            await makeRequest('PATCH', '/transactions/5', { amount: 50 });
+
+            expect(transactionService.updateTransaction.mock.calls[0][2]).toEqual({ replace: false, expectedVersion: undefined });
+        });
+
+        test('should return 412 for If-Match wildcard on a missing transaction', async () => {
+            transactionService.updateTransaction.mockRejectedValue(
+                new PreconditionFailedError('transaction with id 999 does not exist')
+            );
+
+            const response = await makeRequest('PUT', '/transactions/999', {
+                amount: 50,
+                description: 'Fixed typo'
+            }, { 'If-Match': '*' });
+
+            expect(response.status).toBe(412);
+            expect(response.body.type).toBe('/problems/precondition-failed');
+        });
+
+        test('should return 412 when version does not match', async () => {
+            transactionService.updateTransaction.mockRejectedValue(
+                new PreconditionFailedError('transaction with id 5 was modified', { currentVersion: 7 })
+            );
+
+            const response = await makeRequest('PUT', '/transactions/5', {
+                amount: 50,
+                description: 'Fixed typo'
+            }, { 'If-Match': '"3"' });
+
+            expect(response.status).toBe(412);
+            expect(response.body).toMatchObject({
+                type: '/problems/precondition-failed',
+                status: 412,
+                detail: 'transaction with id 5 was modified',
+                currentVersion: 7
+            });
+        });
+
+        test.each([
+            ['a weak ETag', 'W/"3"'],
+            ['a list of weak ETags', 'W/"3", W/"4"'],
+            ['an unparsable ETag', 'abc']
+        ])('should return 412 for If-Match with %s', async (_, ifMatch) => {
+            const response = await makeRequest('PUT', '/transactions/5', {
+                amount: 50,
+                description: 'Fixed typo'
+            }, { 'If-Match': ifMatch });
+
+            expect(response.status).toBe(412);
+            expect(response.body.type).toBe('/problems/precondition-failed');
+            expect(transactionService.updateTransaction).not.toHaveBeenCalled();
+        });
+
+        test('should return 400 when a field is missing', async () => {
+            const response = await makeRequest('PUT', '/transactions/5', { amount: 50 });
+
+            expect(response.status).toBe(400);
+            expect(response.body.errors).toEqual([
+                { location: 'body', field: 'description', code: 'required', message: 'is required' }
+            ]);
+            expect(transactionService.updateTransaction).not.toHaveBeenCalled();
+        });
+
+        test('should return 404 when transaction not found', async () => {
+            transactionService.updateTransaction.mockRejectedValue(
+                new NotFoundError('transaction with id 5 not found')
+            );
+
+            const response = await makeRequest('PUT', '/transactions/5', {
+                amount: 50,
+                description: 'Fixed typo'
+            });
+
+            expect(response.status).toBe(404);
+        });
+    });
+
+    describe('PATCH /transactions/:id', () => {
+        test('should update only given fields', async () => {
+            const row = { id: 5, amount: 100, description: 'Fixed typo', created_at: '2024-01-01' };
+            transactionService.updateTransaction.mockResolvedValue(row);
+
+            const response = await makeRequest('PATCH', '/transactions/5', {
+                description: 'Fixed typo'
+            });
+
+            expect(response.status).toBe(200);
+            expect(response.body).toEqual(row);
+            expect(transactionService.updateTransaction).toHaveBeenCalledWith(5, {
+                description: 'Fixed typo'
+            }, { replace: false, expectedVersion: undefined }, adminContext);
+        });
+
+        test('should return 400 when body is empty', async () => {
+            const response = await makeRequest('PATCH', '/transactions/5', {});
+
+            expect(response.status).toBe(400);
+            expect(response.body.errors).toEqual([{
+                location: 'body',
+                field: null,
+                code: 'required',
+                message: 'at least one of amount or description is required'
+            }]);
+        });
+
+        test('should return 400 when amount is not a number', async () => {
+            const response = await makeRequest('PATCH', '/transactions/5', { amount: 'abc' });
+
+            expect(response.status).toBe(400);
+            expect(response.body.errors).toEqual([
+                { location: 'body', field: 'amount', code: 'type', message: 'must be a number' }
+            ]);
+        });
+    });
+
+    describe('DELETE /transactions/:id', () => {
+        test('should delete transaction and return 204', async () => {
+            transactionService.deleteTransactionById.mockResolvedValue({ affectedRows: 1 });
+
+            const response = await makeRequest('DELETE', '/transactions/5');
+
+            expect(response.status).toBe(204);
+            expect(transactionService.deleteTransactionById).toHaveBeenCalledWith(5, adminContext);
+        });
+
+        test('should return 404 when transaction not found', async () => {
+            transactionService.deleteTransactionById.mockResolvedValue({ affectedRows: 0 });
+
+            const response = await makeRequest('DELETE', '/transactions/5');
+
+            expect(response.status).toBe(404);
+            expect(response.body.detail).toBe('transaction with id 5 not found');
+        });
+
+        test('should return 400 for invalid id', async () => {
+            const response = await makeRequest('DELETE', '/transactions/abc');
+
+            expect(response.status).toBe(400);
+            expect(transactionService.deleteTransactionById).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('GET /transactions/trash', () => {
+        test('should list deleted transactions with deleted_at', async () => {
+            transactionService.listDeletedTransactions.mockResolvedValue({
+                items: [{ id: 4, amount: '10.00', description: 'old', version: 2, deleted_at: '2024-03-01T00:00:00.000Z' }],
+                nextCursor: null
+            });
+
+            const response = await makeRequest('GET', '/transactions/trash?sort=id&limit=10');
+
+            expect(response.status).toBe(200);
+            expect(response.body.result[0]).toMatchObject({ id: 4, deleted_at: '2024-03-01T00:00:00.000Z' });
+            expect(transactionService.listDeletedTransactions).toHaveBeenCalledWith({ sort: 'id', limit: 10 }, adminContext);
+            expect(transactionService.getTransactionById).not.toHaveBeenCalled();
+        });
+
+        test('should validate query parameters like the list endpoint', async () => {
+            const response = await makeRequest('GET', '/transactions/trash?limit=0');
+
+            expect(response.status).toBe(400);
+            expect(transactionService.listDeletedTransactions).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('POST /transactions/:id/restore', () => {
+        test('should restore the transaction and return it with a new ETag', async () => {
+            transactionService.restoreTransaction.mockResolvedValue({ id: 4, amount: '10.00', description: 'old', version: 3 });
+
+            const response = await makeRequest('POST', '/transactions/4/restore');
+
+            expect(response.status).toBe(200);
+            expect(response.headers.etag).toBe('"3"');
+            expect(response.body).toMatchObject({ id: 4, version: 3 });
+            expect(transactionService.restoreTransaction).toHaveBeenCalledWith(4, adminContext);
+        });
+
+        test('should return 404 when the transaction is not in the trash', async () => {
+            transactionService.restoreTransaction.mockRejectedValue(new NotFoundError('deleted transaction with id 4 not found'));
+
+            const response = await makeRequest('POST', '/transactions/4/restore');
+
+            expect(response.status).toBe(404);
+        });
+
+        test('should require the writer role', async () => {
+            const token = signToken({ roles: ['reader'] });
+
+            const response = await makeRequest('POST', '/transactions/4/restore', null, { Authorization: `Bearer ${token}` });
+
+            expect(response.status).toBe(403);
+            expect(transactionService.restoreTransaction).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('GET /audit', () => {
+        test('should list audit entries of the caller tenant with filters', async () => {
+            mockDbManager.query.mockResolvedValue([[{
+                id: 12,
+                transaction_id: 4,
+                operation: 'delete',
+                actor: 'user:test-admin',
+                request_id: 'req-1',
+                before_data: '{"id":4,"version":2}',
+                after_data: '{"id":4,"version":3}',
+                created_at: '2024-03-01T00:00:00.000Z'
+            }]]);
+
+            const response = await makeRequest('GET', '/audit?transactionId=4&operation=delete&limit=5');
+
+            expect(response.status).toBe(200);
+            expect(response.body).toEqual({
+                result: [{
+                    id: 12,
+                    transactionId: 4,
+                    operation: 'delete',
+                    actor: 'user:test-admin',
+                    requestId: 'req-1',
+                    before: { id: 4, version: 2 },
+                    after: { id: 4, version: 3 },
+                    createdAt: '2024-03-01T00:00:00.000Z'
+                }],
+                nextCursor: null
+            });
+            expect(mockDbManager.query).toHaveBeenCalledWith(
+                expect.stringContaining('FROM transaction_audit WHERE `tenant_id` = ? AND `transaction_id` = ? AND `operation` = ?'),
+                ['tenant-a', 4, 'delete', 6]
+            );
+        });
+
+        test('should reject an unknown operation filter', async () => {
+            const response = await makeRequest('GET', '/audit?operation=truncate');
+
+            expect(response.status).toBe(400);
+            expect(mockDbManager.query).not.toHaveBeenCalled();
+        });
+
+        test('should require the admin role', async () => {
+            const token = signToken({ roles: ['writer'] });
+
+            const response = await makeRequest('GET', '/audit', null, { Authorization: `Bearer ${token}` });
+
+            expect(response.status).toBe(403);
+            expect(mockDbManager.query).not.toHaveBeenCalled();
+        });
+    });
+
+    // Note: DELETE /transaction/id uses body parameter which may have parsing issues in test environment
+    describe.skip('DELETE /transaction/id', () => {
+        test('should delete transaction by id successfully', async () => {
+            // Skipped: DELETE requests with body may not parse correctly in all HTTP clients
+        });
+
+        test('should return 400 when id is missing', async () => {
+            // Skipped: DELETE requests with body may not parse correctly in all HTTP clients
+        });
+    });
+
+    // Note: GET /transaction/id uses body parameter which is not standard REST practice
+    // These tests are skipped due to HTTP limitations with GET+body
+    describe.skip('GET /transaction/id', () => {
+        test('should return transaction by id', async () => {
+            // Skipped: GET requests with body are not standard HTTP
+        });
+
+        test('should return 404 when transaction not found', async () => {
+            // Skipped: GET requests with body are not standard HTTP
+        });
+    });
+
+    describe('GET /admin/config', () => {
+        test('should return the configuration with secrets redacted', async () => {
+            const response = await makeRequest('GET', '/admin/config');
+
+            expect(response.status).toBe(200);
+            expect(response.headers['cache-control']).toBe('no-store');
+            expect(response.body.nodeEnv).toBe('test');
+            expect(response.body.envFiles).toEqual([]);
+            expect(response.body.config.server).toMatchObject({ port: 4000 });
+            expect(response.body.config.auth.secret).toBe('[REDACTED]');
+            expect(JSON.stringify(response.body)).not.toContain(JWT_SECRET);
+        });
+
+        test('should require the admin role', async () => {
+            const token = signToken({ roles: ['reader'] });
+
+            const response = await makeRequest('GET', '/admin/config', null, { Authorization: `Bearer ${token}` });
+
+            expect(response.status).toBe(403);
+        });
+
+        test('should require authentication', async () => {
+            const response = await makeRequest('GET', '/admin/config', null, { Authorization: null });
+
+            expect(response.status).toBe(401);
         });
     });
 });
@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+// .env 파일은 다른 모듈이 설정을 읽기 전에 로드
+const { loadEnvFiles, loadConfig, ConfigError } = require('./Config');
+loadEnvFiles();
+
+const { getInstance } = require('./RdsIamAuth');
+const { Migrator } = require('./Migrator');
+
+const USAGE = `Usage: node migrate.js <command> [options]
+
+Commands:
+  up [--to <version>]     미적용 마이그레이션 적용 (지정 버전까지)
+  down [--steps <n>]      최근 적용된 마이그레이션 n개 되돌리기 (기본 1)
+  status                  마이그레이션 적용 상태 출력`;
+
+/**
+ * 명령행 인자 파싱
+ * @param {Array<string>} argv
+ * @returns {{command: string, options: Object}}
+ */
+function parseArgs(argv) {
+    const [command, ...rest] = argv;
+    const options = {};
+
+    for (let i = 0; i < rest.length; i++) {
+        const flag = rest[i];
+        const value = rest[i + 1];
+
+        if (flag === '--to') {
+            const number = parseInt(value, 10);
+            if (!Number.isInteger(number) || number < 0) {
+                throw new Error(`${flag} requires a non-negative integer`);
+            }
+            options[flag.slice(2)] = number;
+            i++;
+        } else if (flag === '--steps') {
+            // 0 을 허용하면 slice(-0) 으로 모든 마이그레이션이 되돌려지므로 1 이상만 허용
+            const number = parseInt(value, 10);
+            if (!Number.isInteger(number) || number < 1) {
+                throw new Error(`${flag} requires a positive integer`);
+            }
+            options[flag.slice(2)] = number;
+            i++;
+        } else {
+            throw new Error(`Unknown option: ${flag}`);
+        }
+    }
+
+    return { command, options };
+}
+
+/**
+ * CLI 실행
+ * @param {Array<string>} argv - process.argv.slice(2)
+ * @returns {Promise<number>} 종료 코드
+ */
+async function main(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs(argv);
+    } catch (err) {
+        console.error(err.message);
+        console.error(USAGE);
+        return 1;
+    }
+
+    const { command, options } = parsed;
+    if (!['up', 'down', 'status'].includes(command)) {
+        console.error(USAGE);
+        return 1;
+    }
+
+    try {
+        loadConfig();
+    } catch (err) {
+        if (!(err instanceof ConfigError)) {
+            throw err;
+        }
+        console.error(err.message);
+        return 1;
+    }
+
+    const dbManager = getInstance();
+
+    try {
+        await dbManager.initialize();
+        const migrator = new Migrator({ dbManager });
+
+        if (command === 'up') {
+            const applied = await migrator.up({ to: options.to });
+            applied.forEach(m => console.log(`  applied  ${m.version}_${m.name}`));
+        } else if (command === 'down') {
+            const reverted = await migrator.down({ steps: options.steps });
+            reverted.forEach(m => console.log(`  reverted ${m.version}_${m.name}`));
+        } else {
+            const rows = await migrator.status();
+            rows.forEach(m => console.log(`  ${m.status.padEnd(8)} ${m.version}_${m.name}`));
+        }
+
+        return 0;
+    } catch (err) {
+        console.error(`migrate ${command} failed:`, err.message);
+        return 1;
+    } finally {
+        await dbManager.shutdown();
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => process.exit(code));
+}
+
+module.exports = {
+    main,
+    parseArgs
+};
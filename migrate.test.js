@@ -0,0 +1,96 @@
+jest.mock('./RdsIamAuth');
+jest.mock('./Migrator');
+
+const { getInstance } = require('./RdsIamAuth');
+const { Migrator } = require('./Migrator');
+const { main, parseArgs } = require('./migrate');
+
+describe('migrate CLI', () => {
+    const originalEnv = process.env;
+    let mockDbManager;
+    let mockMigrator;
+
+    beforeEach(() => {
+        process.env = {
+            ...originalEnv,
+            NODE_ENV: 'test',
+            DB_HOST: 'db.example.com',
+            DB_USER: 'app',
+            DB_DATABASE: 'app'
+        };
+        jest.spyOn(console, 'log').mockImplementation();
+        jest.spyOn(console, 'error').mockImplementation();
+
+        mockDbManager = {
+            initialize: jest.fn().mockResolvedValue(),
+            shutdown: jest.fn().mockResolvedValue()
+        };
+        getInstance.mockReturnValue(mockDbManager);
+
+        mockMigrator = {
+            up: jest.fn().mockResolvedValue([{ version: 1, name: 'a' }]),
+            down: jest.fn().mockResolvedValue([{ version: 1, name: 'a' }]),
+            status: jest.fn().mockResolvedValue([{ version: 1, name: 'a', status: 'applied' }])
+        };
+        Migrator.mockImplementation(() => mockMigrator);
+    });
+
+    afterEach(() => {
+        process.env = originalEnv;
+    });
+
+    describe('parseArgs', () => {
+        test('should parse command and numeric options', () => {
+            expect(parseArgs(['up', '--to', '3'])).toEqual({ command: 'up', options: { to: 3 } });
+            expect(parseArgs(['down', '--steps', '2'])).toEqual({ command: 'down', options: { steps: 2 } });
+        });
+
+        test('should reject unknown or invalid options', () => {
+            expect(() => parseArgs(['up', '--force'])).toThrow('Unknown option: --force');
+            expect(() => parseArgs(['down', '--steps', 'x'])).toThrow('--steps requires a positive integer');
+            expect(() => parseArgs(['down', '--steps', '0'])).toThrow('--steps requires a positive integer');
+            expect(() => parseArgs(['up', '--to', '-1'])).toThrow('--to requires a non-negative integer');
+        });
+    });
+
+    test('should run up through the IAM auth manager', async () => {
+        const code = await main(['up', '--to', '2']);
+
+        expect(code).toBe(0);
+        expect(mockDbManager.initialize).toHaveBeenCalled();
+        expect(Migrator).toHaveBeenCalledWith({ dbManager: mockDbManager });
+        expect(mockMigrator.up).toHaveBeenCalledWith({ to: 2 });
+        expect(mockDbManager.shutdown).toHaveBeenCalled();
+    });
+
+    test('should run down and status', async () => {
+        expect(await main(['down'])).toBe(0);
+        expect(mockMigrator.down).toHaveBeenCalledWith({ steps: undefined });
+
+        expect(await main(['status'])).toBe(0);
+        expect(mockMigrator.status).toHaveBeenCalled();
+    });
+
+    test('should return 1 for unknown command without connecting', async () => {
+        expect(await main(['sideways'])).toBe(1);
+        expect(mockDbManager.initialize).not.toHaveBeenCalled();
+    });
+
+    test('should return 1 for invalid configuration without connecting', async () => {
+        delete process.env.DB_HOST;
+        process.env.DB_PORT = 'not-a-port';
+
+        expect(await main(['up'])).toBe(1);
+        expect(console.error).toHaveBeenCalledWith(expect.stringContaining('DB_HOST: is required'));
+        expect(console.error).toHaveBeenCalledWith(expect.stringContaining('DB_PORT: must be an integer'));
+        expect(getInstance).not.toHaveBeenCalled();
+    });
+
+    test('should return 1 and shut down when migration fails', async () => {
+        mockMigrator.up.mockRejectedValue(new Error('lock timeout'));
+
+        expect(await main(['up'])).toBe(1);
+        expect(console.error).toHaveBeenCalledWith('migrate up failed:', 'lock timeout');
+        expect(mockDbManager.shutdown).toHaveBeenCalled();
+    });
+});
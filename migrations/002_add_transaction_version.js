@@ -0,0 +1,37 @@
+/**
+ * 낙관적 동시성 제어용 version, updated_at 컬럼 추가
+ * - 이전 버전의 initializeDatabase()가 이미 컬럼을 추가했을 수 있으므로 존재 여부를 확인
+ */
+
+async function getColumns(connection) {
+    const [rows] = await connection.query(
+        "SELECT COLUMN_NAME FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'transactions'"
+    );
+    return new Set(rows.map(row => row.COLUMN_NAME));
+}
+
+async function up(connection) {
+    const columns = await getColumns(connection);
+
+    if (!columns.has('version')) {
+        await connection.query('ALTER TABLE transactions ADD COLUMN version INT UNSIGNED NOT NULL DEFAULT 1');
+    }
+    if (!columns.has('updated_at')) {
+        await connection.query(
+            'ALTER TABLE transactions ADD COLUMN updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP'
+        );
+    }
+}
+
+async function down(connection) {
+    const columns = await getColumns(connection);
+
+    if (columns.has('updated_at')) {
+        await connection.query('ALTER TABLE transactions DROP COLUMN updated_at');
+    }
+    if (columns.has('version')) {
+        await connection.query('ALTER TABLE transactions DROP COLUMN version');
+    }
+}
+
+module.exports = { up, down };
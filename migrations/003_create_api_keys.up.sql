@@ -0,0 +1,10 @@
+-- API 키 (평문은 저장하지 않고 SHA-256 16진수 해시만 저장)
+CREATE TABLE IF NOT EXISTS api_keys (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    key_hash CHAR(64) NOT NULL,
+    role ENUM('reader', 'writer', 'admin') NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    revoked_at TIMESTAMP NULL DEFAULT NULL,
+    UNIQUE KEY uq_api_keys_key_hash (key_hash)
+);
@@ -0,0 +1,58 @@
+/**
+ * 테넌트 격리용 tenant_id 컬럼 추가 (transactions, api_keys)
+ * - 기존 행은 'default' 테넌트로 채운 뒤 기본값을 제거해, 테넌트 없이 INSERT 하면 실패하도록 함
+ * - 목록 조회(tenant_id + created_at 정렬)를 위한 복합 인덱스 추가
+ */
+
+const DEFAULT_TENANT = 'default';
+
+async function getColumns(connection, table) {
+    const [rows] = await connection.query(
+        'SELECT COLUMN_NAME FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?',
+        [table]
+    );
+    return new Set(rows.map(row => row.COLUMN_NAME));
+}
+
+async function hasIndex(connection, table, name) {
+    const [rows] = await connection.query(
+        'SELECT 1 FROM information_schema.STATISTICS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ? LIMIT 1',
+        [table, name]
+    );
+    return rows.length > 0;
+}
+
+async function addTenantColumn(connection, table) {
+    const columns = await getColumns(connection, table);
+    if (columns.has('tenant_id')) {
+        return;
+    }
+    await connection.query(
+        `ALTER TABLE ${table} ADD COLUMN tenant_id VARCHAR(64) NOT NULL DEFAULT '${DEFAULT_TENANT}' AFTER id`
+    );
+    await connection.query(`ALTER TABLE ${table} ALTER COLUMN tenant_id DROP DEFAULT`);
+}
+
+async function up(connection) {
+    await addTenantColumn(connection, 'transactions');
+    await addTenantColumn(connection, 'api_keys');
+    if (!await hasIndex(connection, 'transactions', 'idx_transactions_tenant_created')) {
+        await connection.query(
+            'CREATE INDEX idx_transactions_tenant_created ON transactions (tenant_id, created_at, id)'
+        );
+    }
+}
+
+async function down(connection) {
+    if (await hasIndex(connection, 'transactions', 'idx_transactions_tenant_created')) {
+        await connection.query('DROP INDEX idx_transactions_tenant_created ON transactions');
+    }
+    for (const table of ['api_keys', 'transactions']) {
+        const columns = await getColumns(connection, table);
+        if (columns.has('tenant_id')) {
+            await connection.query(`ALTER TABLE ${table} DROP COLUMN tenant_id`);
+        }
+    }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,46 @@
+/**
+ * soft delete 용 deleted_at 컬럼 추가
+ * - NULL 이면 정상 행, 값이 있으면 휴지통에 있는 행
+ * - 테넌트별 목록/휴지통 조회와 보관 기간 정리(purge)를 위한 인덱스 추가
+ */
+
+async function getColumns(connection) {
+    const [rows] = await connection.query(
+        "SELECT COLUMN_NAME FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'transactions'"
+    );
+    return new Set(rows.map(row => row.COLUMN_NAME));
+}
+
+async function hasIndex(connection, name) {
+    const [rows] = await connection.query(
+        "SELECT 1 FROM information_schema.STATISTICS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'transactions' AND INDEX_NAME = ? LIMIT 1",
+        [name]
+    );
+    return rows.length > 0;
+}
+
+async function up(connection) {
+    const columns = await getColumns(connection);
+
+    if (!columns.has('deleted_at')) {
+        await connection.query('ALTER TABLE transactions ADD COLUMN deleted_at TIMESTAMP NULL DEFAULT NULL');
+    }
+    if (!await hasIndex(connection, 'idx_transactions_deleted_at')) {
+        await connection.query('CREATE INDEX idx_transactions_deleted_at ON transactions (deleted_at)');
+    }
+}
+
+async function down(connection) {
+    if (await hasIndex(connection, 'idx_transactions_deleted_at')) {
+        await connection.query('DROP INDEX idx_transactions_deleted_at ON transactions');
+    }
+
+    const columns = await getColumns(connection);
+    if (columns.has('deleted_at')) {
+        // 되돌리면 휴지통의 행이 다시 보이게 되므로 먼저 영구 삭제
+        await connection.query('DELETE FROM transactions WHERE deleted_at IS NOT NULL');
+        await connection.query('ALTER TABLE transactions DROP COLUMN deleted_at');
+    }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,16 @@
+-- 트랜잭션 변경 감사 로그 (애플리케이션은 INSERT/SELECT 만 수행)
+-- transactions 행이 영구 삭제되어도 기록이 남도록 외래 키를 두지 않음
+CREATE TABLE IF NOT EXISTS transaction_audit (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    tenant_id VARCHAR(64) NOT NULL,
+    transaction_id INT NOT NULL,
+    operation VARCHAR(32) NOT NULL,
+    actor VARCHAR(128) NULL,
+    request_id VARCHAR(128) NULL,
+    before_data JSON NULL,
+    after_data JSON NULL,
+    created_at TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    KEY idx_transaction_audit_tenant_id (tenant_id, id),
+    KEY idx_transaction_audit_transaction (tenant_id, transaction_id, id),
+    KEY idx_transaction_audit_created (tenant_id, created_at)
+);
@@ -0,0 +1,31 @@
+/**
+ * 집계 조회(/transactions/summary, /transactions/timeseries)용 복합 인덱스 추가
+ * - tenant_id, deleted_at 일치 + created_at 범위 조건을 인덱스만으로 처리
+ * - amount 를 포함해 집계 시 테이블 행을 읽지 않음 (커버링 인덱스)
+ */
+
+const INDEX_NAME = 'idx_transactions_tenant_deleted_created';
+
+async function hasIndex(connection, name) {
+    const [rows] = await connection.query(
+        "SELECT 1 FROM information_schema.STATISTICS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'transactions' AND INDEX_NAME = ? LIMIT 1",
+        [name]
+    );
+    return rows.length > 0;
+}
+
+async function up(connection) {
+    if (!await hasIndex(connection, INDEX_NAME)) {
+        await connection.query(
+            `CREATE INDEX ${INDEX_NAME} ON transactions (tenant_id, deleted_at, created_at, amount)`
+        );
+    }
+}
+
+async function down(connection) {
+    if (await hasIndex(connection, INDEX_NAME)) {
+        await connection.query(`DROP INDEX ${INDEX_NAME} ON transactions`);
+    }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,15 @@
+-- Idempotency-Key 헤더로 처리한 요청 (테넌트별 키, 요청 지문, 저장된 응답)
+-- status: processing (처리 중, 키 선점) → completed (응답 저장)
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    tenant_id VARCHAR(64) NOT NULL,
+    idempotency_key VARCHAR(255) NOT NULL,
+    fingerprint CHAR(64) NOT NULL,
+    status ENUM('processing', 'completed') NOT NULL DEFAULT 'processing',
+    response_status SMALLINT NULL,
+    response_headers JSON NULL,
+    response_body JSON NULL,
+    created_at TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    expires_at TIMESTAMP(3) NOT NULL,
+    PRIMARY KEY (tenant_id, idempotency_key),
+    KEY idx_idempotency_keys_expires_at (expires_at)
+);
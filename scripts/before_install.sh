@@ -15,6 +15,7 @@ if [ -d "/home/ec2-user/app" ]; then
     find . -maxdepth 1 -type f -name "*.yml" -delete
     find . -maxdepth 1 -type f -name "*.lock" -delete
     rm -rf coverage
+    rm -rf migrations
 fi
 
 echo "Before Install completed"